@@ -3,16 +3,43 @@
  * Refactored for better maintainability and performance
  */
 
-import { CONFIG, APP_STATES, getEmptyAnalysisData } from './config.js';
+import { CONFIG, APP_STATES, ERROR_MESSAGES, getEmptyAnalysisData } from './config.js';
 import { performanceMonitor, globalCache, lazyLoader } from './utils/performance.js';
-import { projectStorage, settingsStorage, dbManager } from './core/storage.js';
+import { projectStorage, settingsStorage, dbManager, getProjectState, createAttachment } from './core/storage.js';
 import { ProjectListComponent } from './components/project-list.js';
-import { MapComponent } from './components/map-component.js';
+import { MapComponent, STYLE_PROPERTIES, mapEditCommand } from './components/map-component.js';
 import { FileUploaderComponent } from './components/file-uploader.js';
 import { aiIntegration } from './components/ai-integration.js';
 import { modalManager } from './components/modal-manager.js';
 import { documentGenerator } from './components/document-generator.js';
 import { aiFeedbackUI } from './components/ai-feedback-ui.js';
+import { RevisionHistoryComponent } from './components/revision-history.js';
+import { projectHistory } from './core/history.js';
+import { undoManager, applyCommand, getValueByPath } from './core/undo-stack.js';
+import { vault } from './core/vault.js';
+import { tabSync } from './core/tab-sync.js';
+import { StorageDashboardComponent } from './components/storage-dashboard.js';
+import { CoordinateImportWizard } from './components/coordinate-import-wizard.js';
+import { GeoreferencerComponent } from './components/georeferencer.js';
+import { PortfolioMapComponent } from './components/portfolio-map.js';
+import { ProjectAttachmentsComponent } from './components/project-attachments.js';
+import { storageMonitor } from './services/storage-monitor.js';
+import { SecurityUtils } from './utils/security.js';
+import { describeCoordinateSystem } from './services/crs.js';
+import { measureParcel, compareArea, formatBearing } from './services/geometry.js';
+import { validateGeoJSON, applyGeometryFix, repairGeoJSON, GEOMETRY_FIXES } from './services/geometry-validation.js';
+import { zoningLayer, zonesAround, zonesToAnalisisZona } from './services/zoning.js';
+import { setbackLayers, applySetbackFindings } from './services/setback.js';
+import { adminBoundary, KABUPATEN, extractedAdministrative, compareAdministrative, administrativeCommand } from './services/admin-boundary.js';
+import { tileCache } from './services/tile-cache.js';
+import { PAPER_SIZES, LAYOUT_DPI } from './services/map-layout.js';
+import { solveGeoreference, renderWarpedOverlay, rasterizePdfPage } from './services/georeference.js';
+
+// Blank rows for the editable tables in the editor view
+const ROW_TEMPLATES = {
+    analisis_zona: () => ({ zona: '', peruntukan: '', kesesuaian: 'SESUAI', keterangan: '' }),
+    catatan_tambahan: () => ''
+};
 
 class KRKApplication {
     constructor() {
@@ -20,6 +47,8 @@ class KRKApplication {
         this.components = {};
         this.modals = {};
         this.currentState = APP_STATES.UPLOADER;
+        this.currentProject = null;
+        this.readOnly = false;
         
         this.init();
     }
@@ -41,6 +70,13 @@ class KRKApplication {
             await this.initializeEventHandlers();
             await this.loadInitialData();
             
+            storageMonitor.checkQuota().catch(console.error);
+            
+            // Encrypted data stays hidden until the vault is unlocked
+            if (vault.isEnabled() && !vault.isUnlocked()) {
+                modalManager.showVaultUnlock();
+            }
+            
             this.isInitialized = true;
             performanceMonitor.endTiming('appInit');
             
@@ -54,6 +90,7 @@ class KRKApplication {
     async initializeCore() {
         // Initialize storage systems
         await dbManager.ensureReady();
+        await projectStorage.ensureReady();
         
         // Load settings
         await settingsStorage.loadSettings();
@@ -109,14 +146,35 @@ class KRKApplication {
             () => this.showCreateProjectModal()
         );
 
+        // Overview map of all projects
+        document.getElementById('portfolio-map-btn')?.addEventListener('click',
+            () => this.showPortfolioMap()
+        );
+
         // Performance stats button
         document.getElementById('performance-stats-btn')?.addEventListener('click',
             () => this.showPerformanceStats()
         );
 
+        // Storage dashboard button and quota warnings
+        document.getElementById('storage-dashboard-btn')?.addEventListener('click',
+            () => this.showStorageDashboard()
+        );
+        storageMonitor.addWarningListener(warning => this.onStorageWarning(warning));
+
         // Settings modal handlers
         this.setupSettingsHandlers();
         
+        // Form edits and undo/redo for the open project
+        this.setupWorkspaceEditing();
+        this.setupUndoShortcuts();
+        
+        // Vault lock state and inactivity tracking
+        this.setupVaultHandlers();
+        
+        // Changes made in other open tabs
+        tabSync.addListener(event => this.onTabSyncEvent(event));
+        
         // Global error handler
         window.addEventListener('error', (event) => {
             console.error('Global error:', event.error);
@@ -134,6 +192,11 @@ class KRKApplication {
         // Update project count
         this.updateProjectCount();
         
+        // Warn about projects saved by a newer version of the app
+        if (projectStorage.skippedProjects.length > 0) {
+            this.showError(`${projectStorage.skippedProjects.length} proyek tidak dimuat: ${ERROR_MESSAGES.SCHEMA_TOO_NEW}`);
+        }
+        
         // Load active project if exists
         const activeProject = projectStorage.getActiveProject();
         if (activeProject) {
@@ -164,8 +227,9 @@ class KRKApplication {
 
     async onProjectDelete(projectId) {
         if (confirm('Apakah Anda yakin ingin menghapus proyek ini?')) {
-            const success = this.components.projectList.deleteProject(projectId);
+            const success = await this.components.projectList.deleteProject(projectId);
             if (success) {
+                undoManager.clear(projectId);
                 this.showSuccess('Proyek berhasil dihapus');
                 this.updateProjectCount();
                 
@@ -182,6 +246,15 @@ class KRKApplication {
     async renderWorkspace(project) {
         const workspaceContent = document.getElementById('workspace-content');
         
+        if (this.currentProject && this.currentProject.id !== project.id) {
+            tabSync.releaseLock(this.currentProject.id);
+        }
+        this.currentProject = project;
+        this.closePortfolioMap();
+        
+        // Another tab editing this project leaves it read-only here
+        this.readOnly = !tabSync.acquireLock(project.id);
+        
         // Show skeleton while loading
         this.showWorkspaceSkeleton();
         
@@ -205,6 +278,10 @@ class KRKApplication {
                     break;
             }
             
+            this.renderAttachmentsPanel(project);
+            if (this.readOnly) {
+                this.applyReadOnlyMode(project);
+            }
             this.hideWorkspaceSkeleton();
         } catch (error) {
             console.error('Error rendering workspace:', error);
@@ -213,17 +290,42 @@ class KRKApplication {
         }
     }
 
+    // Original uploads of the project, shown below every workspace view
+    renderAttachmentsPanel(project) {
+        const container = document.createElement('div');
+        container.className = 'mt-4';
+        document.getElementById('workspace-content').appendChild(container);
+        
+        new ProjectAttachmentsComponent(container, project, (message) => this.showError(message));
+    }
+
+    // Disables editing controls and offers to take the lock over
+    applyReadOnlyMode(project) {
+        const workspaceContent = document.getElementById('workspace-content');
+        
+        workspaceContent.querySelectorAll('input, textarea, select').forEach(el => { el.disabled = true; });
+        workspaceContent.querySelectorAll(
+            '[data-row-action], [data-attachment-action="remove"], #analyze-btn, #back-to-uploader-btn, #manual-save-btn, #file-uploader button, #coordinate-import-btn, #draw-boundary-btn, #use-computed-area-btn, #detect-zones-btn, #update-setbacks-btn, #compose-map-btn, #remove-map-layout-btn, [data-geometry-fix], [data-georeference-remove], #georeference-clear-btn'
+        ).forEach(el => { el.disabled = true; });
+        
+        const banner = document.createElement('div');
+        banner.className = 'alert alert-warning d-flex justify-content-between align-items-center';
+        banner.innerHTML = `
+            <span><i class="bi bi-lock-fill"></i> Proyek ini sedang diedit di tab lain. Tampilan ini hanya-baca.</span>
+            <button class="btn btn-sm btn-warning" id="take-over-lock-btn">Ambil Alih</button>
+        `;
+        workspaceContent.prepend(banner);
+        
+        banner.querySelector('#take-over-lock-btn').addEventListener('click', async () => {
+            if (!confirm('Ambil alih pengeditan? Perubahan yang belum tersimpan di tab lain dapat hilang.')) return;
+            
+            tabSync.acquireLock(project.id, { force: true });
+            await this.renderWorkspace(projectStorage.getProject(project.id) || project);
+        });
+    }
+
     determineProjectState(project) {
-        if (project.analysisResult?.analisis_zona?.length > 0) {
-            return APP_STATES.EDITOR;
-        }
-        if (project.mapFileContent) {
-            return APP_STATES.ANALYSIS;
-        }
-        if (project.analysisResult?.pemohon?.nama) {
-            return APP_STATES.POST_EXTRACTION;
-        }
-        return APP_STATES.UPLOADER;
+        return getProjectState(project);
     }
 
     async renderUploaderView(project) {
@@ -260,6 +362,8 @@ class KRKApplication {
                     <h5>Data Lokasi & Peruntukan</h5>
                     <div class="row">
                         <div class="col-12 mb-3"><label class="form-label">Alamat Lengkap Lokasi</label><textarea class="form-control" data-path="lokasi_proyek.lokasi" rows="3">${data.lokasi_proyek?.lokasi || ''}</textarea></div>
+                        <div class="col-md-6 mb-3"><label class="form-label">Kecamatan</label><input type="text" class="form-control" data-path="lokasi_proyek.kecamatan" value="${SecurityUtils.escapeAttribute(data.lokasi_proyek?.kecamatan || '')}"></div>
+                        <div class="col-md-6 mb-3"><label class="form-label">Desa/Kelurahan</label><input type="text" class="form-control" data-path="lokasi_proyek.kelurahan" value="${SecurityUtils.escapeAttribute(data.lokasi_proyek?.kelurahan || '')}"></div>
                         <div class="col-12 mb-3"><label class="form-label">Peruntukan Pembangunan</label><input type="text" class="form-control" data-path="lokasi_proyek.peruntukan" value="${data.lokasi_proyek?.peruntukan || ''}"></div>
                     </div>
                 </div>
@@ -272,18 +376,24 @@ class KRKApplication {
         
         document.getElementById('workspace-content').innerHTML = content;
         
-        // Bind form events
-        this.bindFormEvents(project);
-        
         // Initialize file uploader
         await this.initializeFileUploader(project);
     }
 
     async renderAnalysisView(project) {
+        // Scanned maps are georeferenced beside the map before digitizing
+        const isImage = project.mapFileContent?.type === 'image';
+        const mapContent = isImage
+            ? '<div class="row g-3"><div class="col-lg-6" id="georeference-tool"></div><div class="col-lg-6"><div id="map"></div></div></div>'
+            : '<div id="map"></div>';
         const content = `
             <h3>Proyek: ${project.projectName}</h3>
             <p class="text-muted">Langkah 2: Visualisasi Peta & Lakukan Analisis</p>
-            <div class="card"><div class="card-body"><h5 class="card-title">Peta Lokasi</h5><div id="map"></div></div></div>
+            <div class="card"><div class="card-body"><h5 class="card-title">Peta Lokasi</h5>${mapContent}</div></div>
+            <div id="geometry-validation-report" class="mt-4"></div>
+            <div id="admin-boundary-check" class="mt-4"></div>
+            <div id="zoning-detection" class="mt-4"></div>
+            <div id="setback-analysis" class="mt-4"></div>
             <div id="geojson-data-container" class="mt-4"></div>
             <div class="step-navigation">
                 <button class="btn btn-secondary" id="back-to-uploader-btn"><i class="bi bi-arrow-left"></i> Ganti File Peta</button>
@@ -299,19 +409,292 @@ class KRKApplication {
         // Display GeoJSON data
         if (project.geojsonData) {
             await this.components.map.displayGeoJSON(project.geojsonData);
+            this.components.map.displayOverlays(project.mapFileContent?.overlays);
             this.displayGeoJsonProperties(project.geojsonData);
+            this.renderGeometryReport(project);
+            await this.checkAdminBoundary(project);
+            await this.showZoning(project);
+            await this.renderZoningDetection(project);
+            await this.showSetbacks(project);
+            await this.enableMapEditing(project);
+        }
+        
+        if (isImage) {
+            await this.initializeGeoreferencer(project);
+            if (!project.geojsonData) await this.enableMapEditing(project);
         }
         
         // Bind events
         document.getElementById('analyze-btn').onclick = () => this.handleAIAnalysis(project);
         document.getElementById('back-to-uploader-btn').onclick = () => {
-            project.geojsonData = null;
-            project.mapFileContent = null;
-            projectStorage.updateProject(project.id, project);
-            this.renderWorkspace(project);
+            this.executeCommand(project, {
+                type: 'batch',
+                commands: [
+                    { type: 'set', path: 'geojsonData', before: project.geojsonData, after: null },
+                    { type: 'set', path: 'mapFileContent', before: project.mapFileContent, after: null }
+                ]
+            });
         };
     }
 
+    // Per-feature geometry issues with one-click fixes; errors block the AI analysis
+    renderGeometryReport(project) {
+        const container = document.getElementById('geometry-validation-report');
+        if (!container) return;
+        
+        const { issues, blocking } = validateGeoJSON(project.geojsonData);
+        this.components.map?.highlightGeometryIssues(project.geojsonData, issues);
+        
+        if (issues.length === 0) {
+            container.innerHTML = project.geojsonData?.features?.length
+                ? '<div class="alert alert-success py-2"><i class="bi bi-check-circle-fill"></i> Geometri bidang valid.</div>'
+                : '';
+            return;
+        }
+        
+        const rows = issues.map(issue => `
+            <tr class="${issue.severity === 'error' ? 'table-danger' : 'table-warning'}">
+                <td>${issue.featureIndex + 1}</td>
+                <td>${issue.message}${issue.detail ? ` (${issue.detail})` : ''}</td>
+                <td class="text-end">
+                    <button class="btn btn-sm btn-outline-${issue.fix === 'remove' ? 'danger' : 'primary'}" data-geometry-fix="${issue.fix}" data-feature-index="${issue.featureIndex}">${GEOMETRY_FIXES[issue.fix]}</button>
+                </td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <div class="card border-${blocking ? 'danger' : 'warning'}">
+                <div class="card-body">
+                    <div class="d-flex justify-content-between align-items-center mb-2">
+                        <h5 class="card-title mb-0">Validasi Geometri</h5>
+                        ${issues.some(issue => issue.fix !== 'remove') ? '<button class="btn btn-sm btn-primary" data-geometry-fix="all"><i class="bi bi-magic"></i> Perbaiki Semua</button>' : ''}
+                    </div>
+                    <p class="small text-muted">${blocking
+                        ? 'Perbaiki atau hapus fitur bermasalah sebelum melanjutkan ke analisis AI. Lokasi masalah ditandai merah di peta.'
+                        : 'Peringatan ini tidak menghalangi analisis.'}</p>
+                    <table class="table table-sm mb-0">
+                        <thead><tr><th>Fitur</th><th>Masalah</th><th></th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+        
+        container.querySelectorAll('[data-geometry-fix]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const { geometryFix, featureIndex } = button.dataset;
+                const after = geometryFix === 'all'
+                    ? repairGeoJSON(project.geojsonData)
+                    : applyGeometryFix(project.geojsonData, geometryFix, Number(featureIndex));
+                
+                // Each repair is its own undo step
+                undoManager.getStack(project.id).seal();
+                this.executeCommand(project, await this.parcelEditCommand(project, after));
+            });
+        });
+    }
+
+    // Zones of the pola ruang map around the parcel, when one was loaded in Settings
+    async showZoning(project) {
+        try {
+            const layer = await zoningLayer.load();
+            if (layer?.zoneProperty) {
+                this.components.map.displayZoning(zonesAround(layer.geojson, project.geojsonData), layer.zoneProperty);
+            }
+        } catch (error) {
+            console.error('Error loading zoning map:', error);
+        }
+    }
+
+    // analisis_zona rows from overlaying the parcel on the pola ruang map;
+    // empty without a zoning map
+    async detectZoneRows(project) {
+        try {
+            const detection = await zoningLayer.detect(project.geojsonData);
+            return zonesToAnalisisZona(detection, project.analysisResult?.lokasi_proyek?.peruntukan);
+        } catch (error) {
+            console.error('Error detecting zones:', error);
+            return [];
+        }
+    }
+
+    async renderZoningDetection(project) {
+        const container = document.getElementById('zoning-detection');
+        if (!container) return;
+        
+        const layer = await zoningLayer.load().catch(() => null);
+        if (!layer?.zoneProperty) {
+            container.innerHTML = `
+                <div class="alert alert-secondary py-2 mb-0"><i class="bi bi-info-circle"></i>
+                    ${layer ? 'Pilih kolom kode zona peta pola ruang' : 'Unggah peta pola ruang RTRW'} di menu Pengaturan untuk mendeteksi zona bidang secara otomatis.
+                </div>
+            `;
+            return;
+        }
+        
+        const detection = await zoningLayer.detect(project.geojsonData).catch(() => null);
+        const rows = zonesToAnalisisZona(detection, project.analysisResult?.lokasi_proyek?.peruntukan);
+        if (rows.length === 0) {
+            container.innerHTML = '<div class="alert alert-warning py-2 mb-0"><i class="bi bi-exclamation-triangle"></i> Bidang berada di luar cakupan peta pola ruang.</div>';
+            return;
+        }
+        
+        const number = (value) => value.toLocaleString('id-ID', { maximumFractionDigits: 2 });
+        const uncovered = (1 - detection.coveredShare) * 100;
+        container.innerHTML = `
+            <div class="card">
+                <div class="card-body">
+                    <h5 class="card-title">Zona Pola Ruang</h5>
+                    <table class="table table-sm mb-2">
+                        <thead><tr><th>Zona</th><th>Peruntukan</th><th class="text-end">Luas (m²)</th><th class="text-end">%</th></tr></thead>
+                        <tbody>${rows.map(row => `
+                            <tr><td>${SecurityUtils.sanitizeHTML(row.zona)}</td><td>${SecurityUtils.sanitizeHTML(row.peruntukan)}</td><td class="text-end">${number(row.luas)}</td><td class="text-end">${number(row.persentase)}</td></tr>
+                        `).join('')}</tbody>
+                    </table>
+                    ${uncovered >= 1 ? `<p class="small text-warning mb-1">${number(uncovered)}% bidang berada di luar peta pola ruang.</p>` : ''}
+                    <p class="small text-muted mb-0">Sumber: ${SecurityUtils.sanitizeHTML(layer.name)}. Zona ini diisikan ke Analisis Zona Rencana saat analisis dilanjutkan.</p>
+                </div>
+            </div>
+        `;
+    }
+
+    // Kecamatan and desa of a parcel; null without any boundary layer or parcel
+    async lookupAdminBoundary(geojson) {
+        if (!geojson) return null;
+        try {
+            return await adminBoundary.lookup(geojson);
+        } catch (error) {
+            console.error('Error looking up administrative boundaries:', error);
+            return null;
+        }
+    }
+
+    // Reports where the letter's address disagrees with the boundary layers,
+    // in either view. Rendering never writes lokasi_proyek: it is filled only
+    // when the parcel changes, so later corrections by hand are kept.
+    async checkAdminBoundary(project) {
+        this.renderAdminBoundaryCheck(project, await this.lookupAdminBoundary(project.geojsonData));
+    }
+
+    // One undo step for a new parcel geometry and the kecamatan and desa it lies in
+    async parcelEditCommand(project, geojson) {
+        const command = mapEditCommand(project, geojson);
+        const fill = administrativeCommand(project.analysisResult, await this.lookupAdminBoundary(geojson));
+        if (fill) command.commands.push(...fill.commands);
+        return command;
+    }
+
+    renderAdminBoundaryCheck(project, lookup) {
+        const container = document.getElementById('admin-boundary-check');
+        if (!container) return;
+        
+        if (!lookup) {
+            container.innerHTML = `
+                <div class="alert alert-secondary py-2 mb-0"><i class="bi bi-info-circle"></i>
+                    Unggah batas kecamatan dan desa/kelurahan di menu Pengaturan untuk mengisi lokasi administrasi bidang secara otomatis.
+                </div>
+            `;
+            return;
+        }
+        
+        const percent = (share) => (share * 100).toLocaleString('id-ID', { maximumFractionDigits: 1 });
+        if (!lookup.inside) {
+            container.innerHTML = `
+                <div class="alert alert-danger py-2 mb-0"><i class="bi bi-x-octagon"></i>
+                    Bidang berada di luar batas ${KABUPATEN.nama} (${percent(lookup.coverage)}% di dalam). Periksa sistem koordinat atau batas bidang; analisis tidak dapat dilanjutkan.
+                </div>
+            `;
+            return;
+        }
+        
+        const written = project.analysisResult?.batas_administrasi?.tertulis || extractedAdministrative(project.analysisResult);
+        const mismatches = compareAdministrative(written, lookup);
+        const badges = { ejaan: '<span class="badge bg-warning text-dark">Beda ejaan</span>', beda: '<span class="badge bg-danger">Berbeda</span>' };
+        const rows = [['kecamatan', 'Kecamatan'], ['desa', 'Desa/Kelurahan']].map(([level, label]) => {
+            const unit = lookup[level];
+            const mismatch = mismatches.find(item => item.level === level);
+            const status = mismatch ? badges[mismatch.kind] : (unit && written[level] ? '<span class="badge bg-success">Sesuai</span>' : '');
+            const others = unit?.others.map(other => `${SecurityUtils.sanitizeHTML(other.name)} (${percent(other.share)}%)`).join(', ');
+            return `
+                <tr>
+                    <td>${label}</td>
+                    <td>${unit ? SecurityUtils.sanitizeHTML(unit.name) : '-'}${others ? `<div class="small text-warning">Juga mencakup ${others}</div>` : ''}</td>
+                    <td>${SecurityUtils.sanitizeHTML(written[level] || '-')}</td>
+                    <td>${status}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        const table = `
+            <table class="table table-sm mb-2">
+                <thead><tr><th></th><th>Menurut batas wilayah</th><th>Pada surat</th><th></th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${lookup.partial ? `<p class="small text-warning mb-1">${percent(1 - lookup.coverage)}% bidang berada di luar batas ${KABUPATEN.nama}.</p>` : ''}
+            ${mismatches.length > 0 ? '<p class="small text-danger mb-1">Alamat pada surat tidak sesuai dengan letak bidang. Periksa kembali surat permohonan atau batas bidang.</p>' : ''}
+            <p class="small text-muted mb-0">Kecamatan dan desa/kelurahan menurut batas wilayah diisikan ke data lokasi proyek saat bidang diunggah, diubah, atau dianalisis, dan dapat dibatalkan (Ctrl+Z).</p>
+        `;
+        container.innerHTML = document.getElementById('analyze-btn')
+            ? `<div class="card"><div class="card-body"><h5 class="card-title">Lokasi Administrasi</h5>${table}</div></div>`
+            : table;
+    }
+
+    // Setback findings for the parcel; null without any line layer
+    async findSetbacks(project) {
+        try {
+            return await setbackLayers.analyze(project.geojsonData);
+        } catch (error) {
+            console.error('Error analyzing setbacks:', error);
+            return null;
+        }
+    }
+
+    // Setback buffers on the map and the findings table, in either view
+    async showSetbacks(project) {
+        const findings = await this.findSetbacks(project);
+        try {
+            this.components.map.displaySetbacks(findings ? await setbackLayers.buffers(project.geojsonData) : {});
+        } catch (error) {
+            console.error('Error drawing setbacks:', error);
+        }
+        
+        const container = document.getElementById('setback-analysis');
+        if (!container) return;
+        
+        if (!findings) {
+            container.innerHTML = `
+                <div class="alert alert-secondary py-2 mb-0"><i class="bi bi-info-circle"></i>
+                    Unggah lapisan garis sungai, jalan atau rel kereta di menu Pengaturan untuk memeriksa sempadan bidang.
+                </div>
+            `;
+            return;
+        }
+        if (findings.length === 0) {
+            container.innerHTML = '<div class="alert alert-success py-2 mb-0"><i class="bi bi-check-circle"></i> Tidak ada sungai, jalan atau rel kereta dalam radius 500 m dari bidang.</div>';
+            return;
+        }
+        
+        const number = (value) => value.toLocaleString('id-ID', { maximumFractionDigits: 2 });
+        const table = `
+            <table class="table table-sm mb-2">
+                <thead><tr><th>Sempadan</th><th>Garis terdekat</th><th class="text-end">Jarak (m)</th><th class="text-end">Di dalam sempadan (m²)</th><th></th></tr></thead>
+                <tbody>${findings.map(finding => `
+                    <tr class="${finding.encroaches ? 'table-danger' : ''}">
+                        <td>${SecurityUtils.sanitizeHTML(finding.label)} (${number(finding.distance)} m)</td>
+                        <td>${SecurityUtils.sanitizeHTML(finding.name || '-')}</td>
+                        <td class="text-end">${number(finding.nearestDistance)}</td>
+                        <td class="text-end">${finding.encroaches ? `${number(finding.area)} (${number(finding.share * 100)}%)` : '-'}</td>
+                        <td>${finding.encroaches ? '<span class="badge bg-danger">Melanggar</span>' : '<span class="badge bg-success">Aman</span>'}</td>
+                    </tr>
+                `).join('')}</tbody>
+            </table>
+            <p class="small text-muted mb-0">Jarak sempadan menurut ketentuan umum Perda RTRW. Temuan ditambahkan ke Ketentuan Teknis dan Validasi Perda saat analisis dilanjutkan.</p>
+        `;
+        container.innerHTML = document.getElementById('analyze-btn')
+            ? `<div class="card"><div class="card-body"><h5 class="card-title">Analisis Sempadan</h5>${table}</div></div>`
+            : table;
+    }
+
     async renderEditorView(project) {
         const data = project.analysisResult;
         const content = `
@@ -320,6 +703,7 @@ class KRKApplication {
                 <div>
                     <button class="btn btn-outline-info btn-sm" data-action="summarize-analysis" title="Minta AI untuk meringkas hasil analisis"><i class="bi bi-card-text"></i> ✨ Ringkas Analisis</button>
                     <button class="btn btn-outline-warning btn-sm" data-action="identify-issues" title="Minta AI untuk mengidentifikasi potensi masalah"><i class="bi bi-exclamation-triangle"></i> ✨ Identifikasi Masalah</button>
+                    <button class="btn btn-outline-secondary" id="revision-history-btn" title="Lihat dan pulihkan revisi sebelumnya"><i class="bi bi-clock-history"></i> Riwayat</button>
                     <button class="btn btn-outline-success" id="manual-save-btn"><i class="bi bi-save-fill"></i> Simpan Proyek</button>
                     <button class="btn btn-primary" id="preview-document-btn"><i class="bi bi-eye-fill"></i> Preview Dokumen</button>
                 </div>
@@ -331,10 +715,102 @@ class KRKApplication {
                         <button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#collapseMap">Peta Lokasi Lahan</button>
                     </h2>
                     <div id="collapseMap" class="accordion-collapse collapse show" data-bs-parent="#editorAccordion">
-                        <div class="accordion-body p-2"><div id="map"></div></div>
+                        <div class="accordion-body p-2"><div id="map"></div><div id="admin-boundary-check" class="mt-2"></div></div>
+                    </div>
+                </div>
+                <div class="accordion-item">
+                    <h2 class="accordion-header">
+                        <button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#collapsePetaCetak">Peta Lampiran KRK</button>
+                    </h2>
+                    <div id="collapsePetaCetak" class="accordion-collapse collapse" data-bs-parent="#editorAccordion">
+                        <div class="accordion-body">
+                            <div class="row g-2 align-items-end mb-2">
+                                <div class="col-auto">
+                                    <label class="form-label small mb-0" for="map-layout-paper">Kertas</label>
+                                    <select class="form-select form-select-sm" id="map-layout-paper">
+                                        ${Object.entries(PAPER_SIZES).map(([key, paper]) => `<option value="${key}">${paper.label}</option>`).join('')}
+                                    </select>
+                                </div>
+                                <div class="col-auto">
+                                    <label class="form-label small mb-0" for="map-layout-orientation">Orientasi</label>
+                                    <select class="form-select form-select-sm" id="map-layout-orientation">
+                                        <option value="portrait">Tegak</option>
+                                        <option value="landscape">Mendatar</option>
+                                    </select>
+                                </div>
+                                <div class="col-auto">
+                                    <label class="form-label small mb-0" for="map-layout-dpi">Resolusi</label>
+                                    <select class="form-select form-select-sm" id="map-layout-dpi">
+                                        ${LAYOUT_DPI.map(dpi => `<option value="${dpi}" ${dpi === 200 ? 'selected' : ''}>${dpi} dpi</option>`).join('')}
+                                    </select>
+                                </div>
+                                <div class="col-auto">
+                                    <div class="form-check"><input class="form-check-input" type="checkbox" id="map-layout-basemap" checked><label class="form-check-label small" for="map-layout-basemap">Peta dasar</label></div>
+                                    <div class="form-check"><input class="form-check-input" type="checkbox" id="map-layout-follow-view"><label class="form-check-label small" for="map-layout-follow-view">Ikuti tampilan peta saat ini</label></div>
+                                </div>
+                            </div>
+                            <button class="btn btn-sm btn-outline-primary me-2" id="compose-map-btn"><i class="bi bi-printer"></i> Susun Peta Lampiran</button>
+                            <button class="btn btn-sm btn-outline-danger" id="remove-map-layout-btn" ${data.mapScreenshot ? '' : 'disabled'}><i class="bi bi-trash"></i> Hapus</button>
+                            <div id="map-layout-preview" class="mt-3"></div>
+                        </div>
+                    </div>
+                </div>
+                <div class="accordion-item">
+                    <h2 class="accordion-header">
+                        <button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#collapseZona">Analisis Zona Rencana</button>
+                    </h2>
+                    <div id="collapseZona" class="accordion-collapse collapse" data-bs-parent="#editorAccordion">
+                        <div class="accordion-body">
+                            <button class="btn btn-sm btn-outline-secondary mb-2" id="detect-zones-btn"><i class="bi bi-layers"></i> Deteksi dari Peta Pola Ruang</button>
+                            ${this.renderZonaTable(data.analisis_zona || [])}
+                        </div>
+                    </div>
+                </div>
+                <div class="accordion-item">
+                    <h2 class="accordion-header">
+                        <button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#collapseSempadan">Sempadan</button>
+                    </h2>
+                    <div id="collapseSempadan" class="accordion-collapse collapse" data-bs-parent="#editorAccordion">
+                        <div class="accordion-body">
+                            <button class="btn btn-sm btn-outline-secondary mb-2" id="update-setbacks-btn"><i class="bi bi-signpost-split"></i> Perbarui Ketentuan Teknis & Validasi Perda</button>
+                            <div id="setback-analysis"></div>
+                        </div>
+                    </div>
+                </div>
+                <div class="accordion-item">
+                    <h2 class="accordion-header">
+                        <button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#collapseCatatan">Catatan Tambahan</button>
+                    </h2>
+                    <div id="collapseCatatan" class="accordion-collapse collapse" data-bs-parent="#editorAccordion">
+                        <div class="accordion-body">${this.renderCatatanTable(data.catatan_tambahan || [])}</div>
+                    </div>
+                </div>
+                <div class="accordion-item">
+                    <h2 class="accordion-header">
+                        <button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#collapseKoordinat">Tabel Koordinat</button>
+                    </h2>
+                    <div id="collapseKoordinat" class="accordion-collapse collapse" data-bs-parent="#editorAccordion">
+                        <div class="accordion-body">
+                            <label class="form-label" for="coordinate-system-field">Sistem koordinat pada surat</label>
+                            <select class="form-select form-select-sm mb-3" id="coordinate-system-field" data-path="koordinat_sistem">
+                                ${modalManager.renderCoordinateSystemOptions(documentGenerator.getCoordinateSystem(project))}
+                            </select>
+                            <div id="coordinate-table-preview"></div>
+                        </div>
+                    </div>
+                </div>
+                <div class="accordion-item">
+                    <h2 class="accordion-header">
+                        <button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#collapseUkuran">Pengukuran Bidang</button>
+                    </h2>
+                    <div id="collapseUkuran" class="accordion-collapse collapse" data-bs-parent="#editorAccordion">
+                        <div class="accordion-body">
+                            <label class="form-label" for="declared-area-field">Luas lahan pada surat (m²)</label>
+                            <input type="number" step="0.01" min="0" class="form-control form-control-sm mb-3" id="declared-area-field" data-path="lokasi_proyek.luas_total" value="${SecurityUtils.escapeAttribute(data.lokasi_proyek?.luas_total ?? '')}">
+                            <div id="parcel-measurement-preview"></div>
+                        </div>
                     </div>
                 </div>
-                <!-- Add more accordion items for form sections -->
             </div>
         `;
         
@@ -346,10 +822,165 @@ class KRKApplication {
         // Display map data
         if (project.geojsonData) {
             await this.components.map.displayGeoJSON(project.geojsonData);
+            this.components.map.displayOverlays(project.mapFileContent?.overlays);
+            await this.checkAdminBoundary(project);
+            await this.showZoning(project);
+            await this.showSetbacks(project);
+            await this.enableMapEditing(project);
         }
+        await this.showGeoreferencedImage(project);
         
         // Bind events
         this.bindEditorEvents(project);
+        this.renderCoordinatePreview(project);
+        this.renderMeasurementPreview(project);
+        this.renderMapLayoutPreview(project);
+    }
+
+    // The composed map attachment as it goes into the letter ({%peta_lokasi})
+    renderMapLayoutPreview(project) {
+        const container = document.getElementById('map-layout-preview');
+        if (!container) return;
+        
+        const image = project.analysisResult?.mapScreenshot;
+        container.innerHTML = typeof image === 'string' && image.startsWith('data:image/')
+            ? `<img src="${image}" alt="Peta lampiran" class="img-fluid border" style="max-height: 480px">`
+            : '<p class="text-muted small mb-0">Belum ada peta lampiran. Peta disusun dari batas bidang, zona pola ruang dan peta dasar.</p>';
+    }
+
+    async handleComposeMap(project) {
+        const value = (id) => document.getElementById(id)?.value;
+        const followView = document.getElementById('map-layout-follow-view')?.checked;
+        const view = followView ? this.components.map?.map?.getBounds() : null;
+        
+        this.showSpinner('Menyusun peta lampiran...');
+        try {
+            const image = await documentGenerator.generateMapScreenshot(project, {
+                paper: value('map-layout-paper'),
+                orientation: value('map-layout-orientation'),
+                dpi: Number(value('map-layout-dpi')),
+                basemap: document.getElementById('map-layout-basemap')?.checked,
+                bounds: view ? [view.getWest(), view.getSouth(), view.getEast(), view.getNorth()] : null
+            });
+            
+            const path = 'analysisResult.mapScreenshot';
+            await this.executeCommand(project, { type: 'set', path, before: getValueByPath(project, path), after: image });
+            this.hideSpinner();
+            this.showSuccess('Peta lampiran disusun');
+        } catch (error) {
+            this.hideSpinner();
+            console.error('Map layout error:', error);
+            this.showError(`Gagal menyusun peta lampiran: ${error.message}`);
+        }
+    }
+
+    // The coordinate table as it will appear in the letter
+    renderCoordinatePreview(project) {
+        const container = document.getElementById('coordinate-table-preview');
+        if (!container) return;
+        
+        const system = documentGenerator.getCoordinateSystem(project);
+        const { labelX, labelY } = describeCoordinateSystem(system);
+        const rows = documentGenerator.formatCoordinateTable(project.geojsonData, system);
+        
+        container.innerHTML = rows.length === 0
+            ? '<p class="text-muted small mb-0">Belum ada titik koordinat dari data peta.</p>'
+            : `
+                <table class="table table-sm table-bordered small">
+                    <thead><tr><th>Titik</th><th>${labelX}</th><th>${labelY}</th></tr></thead>
+                    <tbody>${rows.map(row => `<tr><td>${row.titik}</td><td>${row.x}</td><td>${row.y}</td></tr>`).join('')}</tbody>
+                </table>
+            `;
+    }
+
+    // Geodesic size of the parcel polygon, checked against the declared area
+    renderMeasurementPreview(project) {
+        const container = document.getElementById('parcel-measurement-preview');
+        if (!container) return;
+        
+        const measurement = measureParcel(project.geojsonData);
+        if (!measurement) {
+            container.innerHTML = '<p class="text-muted small mb-0">Belum ada poligon bidang pada data peta.</p>';
+            return;
+        }
+        
+        const number = (value, digits = 2) => value.toLocaleString('id-ID', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+        const comparison = compareArea(measurement.area, project.analysisResult?.lokasi_proyek?.luas_total, CONFIG.AREA_MISMATCH_TOLERANCE);
+        const sides = measurement.rings.flatMap(ring => ring.segments.map(segment => ({ ring: ring.label, ...segment })));
+        
+        container.innerHTML = `
+            ${comparison?.exceedsTolerance ? `
+                <div class="alert alert-warning small d-flex justify-content-between align-items-center">
+                    <span><i class="bi bi-exclamation-triangle-fill"></i> Luas pada surat (${number(comparison.declared)} m²) berbeda ${number(comparison.ratio * 100, 1)}% dari luas terukur (${number(measurement.area)} m²).</span>
+                    <button class="btn btn-sm btn-warning" id="use-computed-area-btn">Gunakan Luas Terukur</button>
+                </div>
+            ` : ''}
+            ${!comparison ? `
+                <div class="alert alert-info small d-flex justify-content-between align-items-center">
+                    <span>Luas lahan belum diisi; surat akan memakai luas terukur.</span>
+                    <button class="btn btn-sm btn-outline-primary" id="use-computed-area-btn">Isi dengan Luas Terukur</button>
+                </div>
+            ` : ''}
+            <p class="small mb-2">
+                <strong>Luas terukur:</strong> ${number(measurement.area)} m² (${number(measurement.areaHa, 4)} ha)<br>
+                <strong>Keliling:</strong> ${number(measurement.perimeter)} m
+            </p>
+            <table class="table table-sm table-bordered small">
+                <thead><tr><th>Bidang</th><th>Sisi</th><th>Panjang (m)</th><th>Azimut</th></tr></thead>
+                <tbody>${sides.map(side => `<tr><td>${side.ring}</td><td>${side.from}–${side.to}</td><td>${number(side.length)}</td><td>${formatBearing(side.bearing)}</td></tr>`).join('')}</tbody>
+            </table>
+        `;
+        
+        container.querySelector('#use-computed-area-btn')?.addEventListener('click', () => {
+            const path = 'analysisResult.lokasi_proyek.luas_total';
+            this.executeCommand(project, {
+                type: 'set',
+                path,
+                before: getValueByPath(project, path),
+                after: Math.round(measurement.area * 100) / 100
+            });
+        });
+    }
+
+    renderZonaTable(zones) {
+        const escape = SecurityUtils.escapeAttribute;
+        const rows = zones.map((zone, index) => `
+            <tr>
+                <td><input type="text" class="form-control form-control-sm" data-path="analisis_zona.${index}.zona" value="${escape(zone.zona)}"></td>
+                <td><input type="text" class="form-control form-control-sm" data-path="analisis_zona.${index}.peruntukan" value="${escape(zone.peruntukan)}"></td>
+                <td>
+                    <select class="form-select form-select-sm" data-path="analisis_zona.${index}.kesesuaian">
+                        ${['SESUAI', 'BERSYARAT', 'TIDAK_SESUAI'].map(option => `<option value="${option}" ${zone.kesesuaian === option ? 'selected' : ''}>${option}</option>`).join('')}
+                    </select>
+                </td>
+                <td><textarea class="form-control form-control-sm" rows="1" data-path="analisis_zona.${index}.keterangan">${escape(zone.keterangan)}</textarea></td>
+                <td><button class="btn btn-sm btn-outline-danger" data-row-action="remove" data-array-path="analisis_zona" data-index="${index}" title="Hapus baris"><i class="bi bi-trash"></i></button></td>
+            </tr>
+        `).join('');
+        
+        return `
+            <table class="table table-sm align-middle">
+                <thead><tr><th>Zona</th><th>Peruntukan</th><th>Kesesuaian</th><th>Keterangan</th><th></th></tr></thead>
+                <tbody>${rows || '<tr><td colspan="5" class="text-muted">Belum ada data zona.</td></tr>'}</tbody>
+            </table>
+            <button class="btn btn-sm btn-outline-primary" data-row-action="add" data-array-path="analisis_zona"><i class="bi bi-plus-lg"></i> Tambah Zona</button>
+        `;
+    }
+
+    renderCatatanTable(notes) {
+        const rows = notes.map((note, index) => `
+            <tr>
+                <td><textarea class="form-control form-control-sm" rows="1" data-path="catatan_tambahan.${index}">${SecurityUtils.escapeAttribute(note)}</textarea></td>
+                <td><button class="btn btn-sm btn-outline-danger" data-row-action="remove" data-array-path="catatan_tambahan" data-index="${index}" title="Hapus baris"><i class="bi bi-trash"></i></button></td>
+            </tr>
+        `).join('');
+        
+        return `
+            <table class="table table-sm align-middle">
+                <tbody>${rows || '<tr><td colspan="2" class="text-muted">Belum ada catatan.</td></tr>'}</tbody>
+            </table>
+            <button class="btn btn-sm btn-outline-primary" data-row-action="add" data-array-path="catatan_tambahan"><i class="bi bi-plus-lg"></i> Tambah Catatan</button>
+        `;
     }
 
     async initializeFileUploader(project) {
@@ -368,6 +999,21 @@ class KRKApplication {
                 uploaderContainer,
                 (fileData, file) => this.onFileUploaded(project, fileData, file)
             );
+            
+            // Surveyor point lists go through a wizard instead of the drop zone
+            const importButton = document.createElement('button');
+            importButton.id = 'coordinate-import-btn';
+            importButton.className = 'btn btn-outline-primary w-100 mt-2';
+            importButton.innerHTML = '<i class="bi bi-table"></i> Impor Daftar Koordinat (CSV/Excel)';
+            importButton.addEventListener('click', () => this.showCoordinateImport(project));
+            uploaderContainer.after(importButton);
+            
+            const drawButton = document.createElement('button');
+            drawButton.id = 'draw-boundary-btn';
+            drawButton.className = 'btn btn-outline-secondary w-100 mt-2';
+            drawButton.innerHTML = '<i class="bi bi-pencil-square"></i> Gambar Batas di Peta';
+            drawButton.addEventListener('click', () => this.startBoundaryDrawing(project));
+            importButton.after(drawButton);
             console.log('File uploader component initialized successfully');
         } catch (error) {
             console.error('Error initializing file uploader:', error);
@@ -380,12 +1026,152 @@ class KRKApplication {
     }
 
     async initializeMap() {
+        // Each render replaces the #map element, which needs a map of its own
+        const container = document.getElementById('map');
+        if (this.components.map?.map && this.components.map.map.getContainer() !== container) {
+            this.components.map.destroy();
+            this.components.map = null;
+        }
+        
         if (!this.components.map) {
             this.components.map = new MapComponent('map');
+            await this.showOfflineBasemap();
         }
         return this.components.map;
     }
 
+    // MBTiles basemap loaded in Settings, for use without a connection
+    async showOfflineBasemap() {
+        try {
+            const source = await tileCache.loadBasemap();
+            if (source) this.components.map.displayOfflineBasemap(source);
+        } catch (error) {
+            console.error('Error loading offline basemap:', error);
+        }
+    }
+
+    async initializeGeoreferencer(project) {
+        this.components.georeferencer?.destroy();
+        this.components.georeferencer = null;
+        
+        const container = document.getElementById('georeference-tool');
+        if (!container) return;
+        
+        await this.components.map.ready;
+        this.components.georeferencer = new GeoreferencerComponent(container, this.components.map, project.mapFileContent, {
+            readOnly: this.readOnly,
+            onChange: (georeference) => this.onGeoreferenceChanged(project, georeference),
+            onPageChange: (page) => this.changeMapImagePage(project, page)
+        });
+    }
+
+    // Saved without re-rendering so the image keeps its zoom and scroll
+    async onGeoreferenceChanged(project, georeference) {
+        if (this.readOnly) return;
+        
+        const path = 'mapFileContent.georeference';
+        const stack = undoManager.getStack(project.id);
+        stack.seal();
+        stack.push({ type: 'set', path, before: getValueByPath(project, path), after: georeference });
+        stack.seal();
+        
+        project.mapFileContent.georeference = georeference;
+        await projectStorage.updateProject(project.id, project, { reason: 'georeference' });
+    }
+
+    // Another page of an uploaded PDF, rasterized from the stored original;
+    // control points belong to a page, so they start over
+    async changeMapImagePage(project, page) {
+        const fileData = project.mapFileContent;
+        this.showSpinner(`Merender halaman ${page}...`);
+        
+        try {
+            const file = await dbManager.getFile(fileData.fileId);
+            if (!file) throw new Error('File PDF asli tidak ditemukan');
+            
+            const raster = await rasterizePdfPage(file, page);
+            const { georeference, ...rest } = fileData;
+            this.hideSpinner();
+            await this.executeCommand(project, {
+                type: 'set',
+                path: 'mapFileContent',
+                before: fileData,
+                after: { ...rest, ...raster }
+            });
+        } catch (error) {
+            this.hideSpinner();
+            console.error('Error rendering PDF page:', error);
+            this.showError(`Gagal merender halaman PDF: ${error.message}`);
+        }
+    }
+
+    // Georeferenced scan under the parcel, without the control point tool
+    async showGeoreferencedImage(project) {
+        const fileData = project.mapFileContent;
+        if (fileData?.type !== 'image' || !fileData.georeference?.points?.length) return;
+        
+        try {
+            const { points, order, opacity } = fileData.georeference;
+            const { url, bounds } = await renderWarpedOverlay(fileData.data, solveGeoreference(points, order));
+            await this.components.map.ready;
+            this.components.map.displayRasterOverlay(url, bounds, opacity);
+        } catch (error) {
+            // Too few points for the chosen transform: nothing to show yet
+            console.warn('Georeferenced image not shown:', error.message);
+        }
+    }
+
+    // Map draw/edit tools write the boundary straight back to the project
+    async enableMapEditing(project) {
+        if (this.readOnly) return;
+        
+        try {
+            await this.components.map.enableEditing((geojson) => this.onMapEdited(project, geojson));
+        } catch (error) {
+            console.error('Error enabling map editing:', error);
+            this.showError('Alat gambar peta gagal dimuat');
+        }
+    }
+
+    async onMapEdited(project, geojson) {
+        if (this.readOnly) return;
+        
+        // Every map edit is its own undo step
+        const command = await this.parcelEditCommand(project, geojson);
+        undoManager.getStack(project.id).push(command);
+        applyCommand(project, command, 'redo');
+        
+        // The edit stays on the map and in memory; the next save stores it
+        if (!await projectStorage.updateProject(project.id, project, { reason: 'map_edit' })) {
+            this.showError('Gagal menyimpan perubahan peta');
+        }
+        
+        this.displayGeoJsonProperties(geojson);
+        this.renderGeometryReport(project);
+        this.checkAdminBoundary(project);
+        this.renderZoningDetection(project);
+        this.showSetbacks(project);
+        this.renderCoordinatePreview(project);
+        this.renderMeasurementPreview(project);
+    }
+
+    // Start from an empty map when there is only a sketch or an address
+    startBoundaryDrawing(project) {
+        const geojson = { type: 'FeatureCollection', features: [] };
+        this.executeCommand(project, {
+            type: 'batch',
+            commands: [
+                { type: 'set', path: 'geojsonData', before: project.geojsonData, after: geojson },
+                {
+                    type: 'set',
+                    path: 'mapFileContent',
+                    before: project.mapFileContent,
+                    after: { type: 'geojson', data: geojson, featureCount: 0, sourceFormat: 'drawing' }
+                }
+            ]
+        });
+    }
+
     async onFileUploaded(project, fileData, file) {
         try {
             // Handle different file types
@@ -396,10 +1182,22 @@ class KRKApplication {
                 project.mapFileContent = fileData;
             }
             
-            projectStorage.updateProject(project.id, project);
+            // Keep the original file so it can be downloaded again later
+            if (fileData.fileId) {
+                project.attachments = [...(project.attachments || []), createAttachment(fileData.fileId, file, 'map')];
+            }
             
-            // Refresh workspace
-            await this.renderWorkspace(project);
+            await projectStorage.updateProject(project.id, project, { reason: 'upload' });
+            // Undo steps from before the upload would bring the old map back
+            undoManager.clear(project.id);
+            
+            // The new parcel's kecamatan and desa, as an undo step; else just refresh
+            const fill = administrativeCommand(project.analysisResult, await this.lookupAdminBoundary(project.geojsonData));
+            if (fill) {
+                await this.executeCommand(project, fill);
+            } else {
+                await this.renderWorkspace(project);
+            }
             
             this.showSuccess('File berhasil diunggah');
         } catch (error) {
@@ -413,16 +1211,42 @@ class KRKApplication {
             this.showError('Kunci API Gemini belum diatur. Harap atur di menu Pengaturan.');
             return;
         }
+        
+        if (!project.geojsonData?.features?.length) {
+            this.showError('Gambar atau unggah batas bidang terlebih dahulu.');
+            return;
+        }
+        
+        if (validateGeoJSON(project.geojsonData).blocking) {
+            this.showError('Geometri bidang masih bermasalah. Perbaiki atau hapus fitur pada laporan Validasi Geometri.');
+            return;
+        }
+        
+        const administrative = await this.lookupAdminBoundary(project.geojsonData);
+        if (administrative && !administrative.inside) {
+            this.showError(`Bidang berada di luar batas ${KABUPATEN.nama}. Periksa sistem koordinat atau batas bidang.`);
+            return;
+        }
 
         try {
             this.showSpinner('Menganalisis data dengan AI...');
 
+            // Zones from the pola ruang map are filled in before the AI step and
+            // given to it as facts
+            const detectedZones = await this.detectZoneRows(project);
+            const projectData = detectedZones.length > 0
+                ? { ...project.analysisResult, analisis_zona: detectedZones }
+                : project.analysisResult || {};
+
             const referenceText = settingsStorage.get('perdaRTRW', '');
             const analysisResult = await aiIntegration.analyzeMapData(
                 project.geojsonData,
-                project.analysisResult || {},
+                projectData,
                 [referenceText]
             );
+            if (detectedZones.length > 0) {
+                analysisResult.analisis_zona = detectedZones;
+            }
 
             // Validate with Perda and enhance analysis
             const validationResult = await aiIntegration.validateWithPerda(analysisResult, project);
@@ -434,7 +1258,23 @@ class KRKApplication {
                 perda_validation: validationResult.perda_validation
             };
 
-            projectStorage.updateProject(project.id, project);
+            // Setbacks measured on the map go into the technical requirements
+            const setbackFindings = await this.findSetbacks(project);
+            if (setbackFindings) {
+                Object.assign(project.analysisResult, applySetbackFindings(project.analysisResult, setbackFindings));
+            }
+
+            // The AI result replaces whole sections, so earlier steps no longer apply
+            undoManager.clear(project.id);
+            
+            // The AI's lokasi_proyek gives way to the boundary layers, as an undo step
+            const fill = administrativeCommand(project.analysisResult, administrative);
+            if (fill) {
+                applyCommand(project, fill, 'redo');
+                undoManager.getStack(project.id).push(fill);
+            }
+
+            await projectStorage.updateProject(project.id, project, { reason: 'ai_analysis' });
             
             this.hideSpinner();
             await this.renderWorkspace(project);
@@ -456,21 +1296,123 @@ class KRKApplication {
         }
     }
 
-    bindFormEvents(project) {
+    // Bound once; handlers always act on the project currently shown in the workspace
+    setupWorkspaceEditing() {
         const workspaceContent = document.getElementById('workspace-content');
+        if (!workspaceContent) return;
+        
         workspaceContent.addEventListener('input', (e) => {
-            if (e.target.dataset.path) {
-                this.setPropertyByPath(project.analysisResult, e.target.dataset.path, e.target.value);
-                projectStorage.updateProject(project.id, project);
+            const project = this.currentProject;
+            if (!project || this.readOnly || !e.target.dataset.path) return;
+            
+            const path = `analysisResult.${e.target.dataset.path}`;
+            undoManager.getStack(project.id).push({
+                type: 'set',
+                path,
+                before: getValueByPath(project, path),
+                after: e.target.value
+            });
+            
+            this.setPropertyByPath(project.analysisResult, e.target.dataset.path, e.target.value);
+            // The edit stays in the form; the next keystroke saves it again
+            projectStorage.updateProject(project.id, project).then(saved => {
+                if (!saved) this.showError('Gagal menyimpan perubahan');
+            });
+        });
+        
+        // Leaving a field starts a new undo step
+        workspaceContent.addEventListener('change', (e) => {
+            if (this.currentProject && e.target.dataset.path) {
+                undoManager.getStack(this.currentProject.id).seal();
+            }
+        });
+        
+        workspaceContent.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-row-action]');
+            const project = this.currentProject;
+            if (!button || !project || this.readOnly) return;
+            
+            const arrayPath = button.dataset.arrayPath;
+            const path = `analysisResult.${arrayPath}`;
+            const rows = getValueByPath(project, path) || [];
+            
+            if (button.dataset.rowAction === 'add') {
+                this.executeCommand(project, { type: 'insert', path, index: rows.length, value: ROW_TEMPLATES[arrayPath]() });
+            } else if (button.dataset.rowAction === 'remove') {
+                const index = parseInt(button.dataset.index, 10);
+                this.executeCommand(project, { type: 'remove', path, index, value: rows[index] });
             }
         });
     }
 
+    setupUndoShortcuts() {
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || !this.currentProject) return;
+            if (e.target.closest?.('.modal')) return;
+            
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.stepUndoHistory('undo');
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.stepUndoHistory('redo');
+            }
+        });
+    }
+
+    async executeCommand(project, command) {
+        if (this.readOnly) return;
+        
+        try {
+            applyCommand(project, command, 'redo');
+            undoManager.getStack(project.id).push(command);
+            await projectStorage.updateProject(project.id, project);
+            await this.renderWorkspace(project);
+        } catch (error) {
+            console.error('Error applying edit:', error);
+            this.showError('Gagal menerapkan perubahan');
+        }
+    }
+
+    async stepUndoHistory(direction) {
+        const project = this.currentProject;
+        if (this.readOnly) return;
+        
+        const stack = undoManager.getStack(project.id);
+        const command = direction === 'undo' ? stack.undo() : stack.redo();
+        if (!command) return;
+        
+        try {
+            applyCommand(project, command, direction);
+            await projectStorage.updateProject(project.id, project);
+            
+            // Field edits only need the input refreshed; structural changes re-render
+            const field = command.type === 'set' && command.path.startsWith('analysisResult.')
+                ? document.querySelector(`[data-path="${command.path.slice('analysisResult.'.length)}"]`)
+                : null;
+            
+            if (field) {
+                field.value = getValueByPath(project, command.path) ?? '';
+                field.focus();
+            } else {
+                await this.renderWorkspace(project);
+            }
+        } catch (error) {
+            console.error(`Error during ${direction}:`, error);
+            this.showError(direction === 'undo' ? 'Gagal membatalkan perubahan' : 'Gagal mengulang perubahan');
+        }
+    }
+
     bindEditorEvents(project) {
         // Manual save button
-        document.getElementById('manual-save-btn')?.addEventListener('click', () => {
-            projectStorage.updateProject(project.id, project);
-            this.showSuccess('Proyek berhasil disimpan');
+        document.getElementById('manual-save-btn')?.addEventListener('click', async () => {
+            const success = await projectStorage.updateProject(project.id, project);
+            if (success) {
+                this.showSuccess('Proyek berhasil disimpan');
+            } else {
+                this.showError('Gagal menyimpan proyek');
+            }
         });
 
         // Preview document button
@@ -478,13 +1420,56 @@ class KRKApplication {
             this.showDocumentPreview(project);
         });
 
-        // AI action buttons
-        document.addEventListener('click', async (e) => {
-            if (e.target.matches('[data-action="summarize-analysis"]')) {
-                await this.handleAISummary(project, 'summarize');
-            } else if (e.target.matches('[data-action="identify-issues"]')) {
-                await this.handleAISummary(project, 'identify-issues');
+        // Revision history button
+        document.getElementById('revision-history-btn')?.addEventListener('click', () => {
+            this.showRevisionHistory(project);
+        });
+
+        // The field itself is saved by the workspace input handler
+        document.getElementById('coordinate-system-field')?.addEventListener('change', () => {
+            this.renderCoordinatePreview(project);
+        });
+        document.getElementById('declared-area-field')?.addEventListener('input', () => {
+            this.renderMeasurementPreview(project);
+        });
+        document.getElementById('detect-zones-btn')?.addEventListener('click', async () => {
+            const rows = await this.detectZoneRows(project);
+            if (rows.length === 0) {
+                this.showError('Tidak ada zona terdeteksi. Pastikan peta pola ruang sudah diunggah di Pengaturan dan mencakup bidang ini.');
+                return;
+            }
+            
+            const path = 'analysisResult.analisis_zona';
+            this.executeCommand(project, { type: 'set', path, before: getValueByPath(project, path), after: rows });
+        });
+        document.getElementById('compose-map-btn')?.addEventListener('click', () => this.handleComposeMap(project));
+        document.getElementById('remove-map-layout-btn')?.addEventListener('click', () => {
+            const path = 'analysisResult.mapScreenshot';
+            this.executeCommand(project, { type: 'set', path, before: getValueByPath(project, path), after: null });
+        });
+        document.getElementById('update-setbacks-btn')?.addEventListener('click', async () => {
+            const findings = await this.findSetbacks(project);
+            if (!findings) {
+                this.showError('Belum ada lapisan garis sempadan. Unggah lapisan sungai, jalan atau rel kereta di Pengaturan.');
+                return;
             }
+            
+            const updated = applySetbackFindings(project.analysisResult, findings);
+            this.executeCommand(project, {
+                type: 'batch',
+                commands: Object.entries(updated).map(([key, after]) => {
+                    const path = `analysisResult.${key}`;
+                    return { type: 'set', path, before: getValueByPath(project, path), after };
+                })
+            });
+        });
+
+        // AI action buttons
+        document.querySelector('[data-action="summarize-analysis"]')?.addEventListener('click', () => {
+            this.handleAISummary(project, 'summarize');
+        });
+        document.querySelector('[data-action="identify-issues"]')?.addEventListener('click', () => {
+            this.handleAISummary(project, 'identify-issues');
         });
         
         // Add feedback buttons for AI results
@@ -522,6 +1507,42 @@ class KRKApplication {
         }
     }
 
+    async showRevisionHistory(project) {
+        try {
+            await modalManager.createHistoryModal();
+            
+            new RevisionHistoryComponent(
+                document.getElementById('history-content'),
+                project.id,
+                (revisionId) => this.handleRestoreRevision(revisionId)
+            );
+            
+            modalManager.showModal('history');
+        } catch (error) {
+            console.error('Revision history error:', error);
+            this.showError('Gagal memuat riwayat revisi');
+        }
+    }
+
+    async handleRestoreRevision(revisionId) {
+        try {
+            const restored = await projectHistory.restoreRevision(revisionId);
+            if (!restored) {
+                this.showError('Gagal memulihkan revisi');
+                return;
+            }
+            
+            modalManager.hideModal('history');
+            undoManager.clear(restored.id);
+            this.components.projectList?.refresh();
+            await this.renderWorkspace(restored);
+            this.showSuccess('Proyek berhasil dipulihkan ke revisi terpilih');
+        } catch (error) {
+            console.error('Restore revision error:', error);
+            this.showError(`Gagal memulihkan revisi: ${error.message}`);
+        }
+    }
+
     async showDocumentPreview(project) {
         try {
             // Generate preview HTML
@@ -553,9 +1574,11 @@ class KRKApplication {
         let content = '<h5>Data Atribut Peta</h5>';
         geojsonData.features.forEach((feature, index) => {
             content += `<div class="card mb-3"><div class="card-header"><strong>Fitur #${index + 1}</strong></div><div class="card-body"><table class="table table-sm table-bordered"><tbody>`;
-            if (Object.keys(feature.properties || {}).length > 0) {
-                for (const key in feature.properties) {
-                    content += `<tr><td>${key}</td><td>${feature.properties[key]}</td></tr>`;
+            const attributes = Object.entries(feature.properties || {}).filter(([key]) => !STYLE_PROPERTIES.includes(key));
+            if (attributes.length > 0) {
+                // Uploaded files (e.g. KML descriptions) may carry markup
+                for (const [key, value] of attributes) {
+                    content += `<tr><td>${SecurityUtils.sanitizeHTML(key)}</td><td>${SecurityUtils.sanitizeHTML(String(value))}</td></tr>`;
                 }
             } else {
                 content += '<tr><td colspan="2" class="text-muted">Tidak ada data atribut pada fitur ini.</td></tr>';
@@ -621,6 +1644,13 @@ class KRKApplication {
     }
 
     renderEmptyWorkspace() {
+        if (this.currentProject) {
+            tabSync.releaseLock(this.currentProject.id);
+        }
+        this.currentProject = null;
+        this.readOnly = false;
+        this.closePortfolioMap();
+        
         const content = `
             <div class="text-center d-flex flex-column align-items-center justify-content-center h-100">
                 <i class="bi bi-files text-muted" style="font-size: 4rem;"></i>
@@ -637,6 +1667,27 @@ class KRKApplication {
         document.getElementById('workspace-content').innerHTML = content;
     }
 
+    // Every project with a parcel on one map; a marker opens its workspace
+    showPortfolioMap() {
+        if (this.currentProject) {
+            tabSync.releaseLock(this.currentProject.id);
+        }
+        this.currentProject = null;
+        this.readOnly = false;
+        this.closePortfolioMap();
+        
+        this.components.portfolioMap = new PortfolioMapComponent(
+            document.getElementById('workspace-content'),
+            projectStorage.getAllProjects(),
+            (projectId) => this.components.projectList.selectProject(projectId)
+        );
+    }
+
+    closePortfolioMap() {
+        this.components.portfolioMap?.destroy();
+        this.components.portfolioMap = null;
+    }
+
     showWorkspaceSkeleton() {
         document.getElementById('workspace-skeleton').classList.remove('d-none');
         document.getElementById('workspace-content').classList.add('d-none');
@@ -665,6 +1716,143 @@ class KRKApplication {
         this.updateProjectCount();
     }
 
+    // Called after a backup restore rewrote the stores
+    async onDataRestored() {
+        undoManager.clearAll();
+        await this.refreshProjectList();
+        
+        const activeProject = projectStorage.getActiveProject();
+        if (activeProject) {
+            await this.renderWorkspace(activeProject);
+        } else {
+            this.renderEmptyWorkspace();
+        }
+    }
+
+    async showCoordinateImport(project) {
+        await modalManager.createCoordinateImportModal();
+        
+        new CoordinateImportWizard(
+            document.getElementById('coordinate-import-content'),
+            async ({ geojson, file, sourceCrs }) => {
+                try {
+                    // Stored like any upload so the sheet stays attached to the project
+                    const fileData = {
+                        type: 'geojson',
+                        data: geojson,
+                        featureCount: geojson.features.length,
+                        sourceFormat: 'coordinate-list',
+                        sourceCrs
+                    };
+                    const fileId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+                    await dbManager.saveFile(fileId, file, {
+                        originalName: file.name,
+                        processedData: fileData,
+                        uploadDate: new Date().toISOString()
+                    });
+                    fileData.fileId = fileId;
+                    
+                    modalManager.hideModal('coordinateImport');
+                    await this.onFileUploaded(project, fileData, file);
+                } catch (error) {
+                    console.error('Error importing coordinate list:', error);
+                    this.showError('Gagal mengimpor daftar koordinat');
+                }
+            }
+        );
+        
+        modalManager.showModal('coordinateImport');
+    }
+
+    async showStorageDashboard() {
+        await modalManager.createStorageModal();
+        
+        new StorageDashboardComponent(
+            document.getElementById('storage-content'),
+            () => this.onDataRestored()
+        );
+        
+        modalManager.showModal('storage');
+    }
+
+    onStorageWarning(warning) {
+        if (warning.level === 'warning') {
+            this.showInfo(warning.message);
+        } else {
+            this.showError(warning.message);
+        }
+    }
+
+    setupVaultHandlers() {
+        vault.addLockListener(state => this.onVaultLockChange(state));
+        
+        ['pointerdown', 'keydown', 'wheel'].forEach(eventName => {
+            document.addEventListener(eventName, () => vault.touch(), { passive: true });
+        });
+    }
+
+    async onVaultLockChange(state) {
+        // Storage has already swapped its in-memory settings and projects
+        aiIntegration.loadSettings();
+        await projectStorage.ensureReady();
+        await this.onDataRestored();
+        
+        if (state === 'lock') {
+            modalManager.closeAllModals();
+            this.showInfo('Brankas terkunci karena tidak ada aktivitas atau dikunci manual');
+            modalManager.showVaultUnlock();
+        }
+    }
+
+    async onTabSyncEvent(event) {
+        const openId = this.currentProject?.id;
+        
+        switch (event.type) {
+            case 'project-updated': {
+                await this.refreshProjectList();
+                const project = projectStorage.getProject(event.projectId);
+                if (event.projectId !== openId || !project) break;
+                
+                // Local undo steps no longer match the stored project
+                undoManager.clear(event.projectId);
+                await this.renderWorkspace(project);
+                
+                // Read-only views follow the editing tab quietly
+                if (!this.readOnly) {
+                    this.showError('Proyek yang sedang dibuka diubah di tab lain. Tampilan dimuat ulang dengan data terbaru.');
+                }
+                break;
+            }
+            case 'project-deleted':
+                await this.refreshProjectList();
+                if (event.projectId === openId) {
+                    undoManager.clear(event.projectId);
+                    this.renderEmptyWorkspace();
+                    this.showInfo('Proyek yang sedang dibuka dihapus di tab lain');
+                }
+                break;
+            case 'projects-reloaded':
+                await this.onDataRestored();
+                this.showInfo('Data proyek dimuat ulang karena diimpor atau dipulihkan di tab lain');
+                break;
+            case 'settings-changed':
+                aiIntegration.loadSettings();
+                break;
+            case 'lock-lost':
+                if (event.projectId === openId) {
+                    await this.renderWorkspace(this.currentProject);
+                    this.showInfo('Pengeditan proyek ini diambil alih oleh tab lain');
+                }
+                break;
+            case 'locks-changed':
+                // Becomes editable once the other tab lets go
+                if (this.readOnly && openId && !tabSync.isLockedElsewhere(openId)) {
+                    await this.renderWorkspace(this.currentProject);
+                }
+                break;
+        }
+    }
+
     showSpinner(text = 'Memproses...') {
         modalManager.showSpinner(text);
     }
@@ -8,6 +8,7 @@ import { performanceMonitor, globalCache, debounce } from '../utils/performance.
 import { settingsStorage } from '../core/storage.js';
 import { aiPromptEngine } from './ai-prompt-engine.js';
 import { perdaReferenceManager } from '../data/perda-references.js';
+import { measureParcel } from '../services/geometry.js';
 
 export class AIIntegrationComponent {
     constructor() {
@@ -147,6 +148,8 @@ export class AIIntegrationComponent {
             const promptData = await aiPromptEngine.generatePrompt('map_analysis', {
                 geoJsonData: geoJsonData,
                 projectData: projectData,
+                measurement: measureParcel(geoJsonData),
+                detectedZones: (projectData.analisis_zona || []).filter(zone => zone.sumber === 'peta_pola_ruang'),
                 perdaReference: combinedReference,
                 kabupaten: projectData.lokasi_proyek?.kabupaten || 'Kabupaten Garut'
             });
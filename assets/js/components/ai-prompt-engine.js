@@ -7,6 +7,7 @@ import { CONFIG } from '../config.js';
 import { performanceMonitor } from '../utils/performance.js';
 import { settingsStorage } from '../core/storage.js';
 import { perdaReferenceManager } from '../data/perda-references.js';
+import { formatBearing } from '../services/geometry.js';
 
 export class AIPromptEngine {
     constructor() {
@@ -56,6 +57,7 @@ REQUIRED JSON OUTPUT:
     },
     "lokasi_proyek": {
         "alamat_lengkap": "alamat detail dengan RT/RW/Kelurahan/Kecamatan",
+        "kelurahan": "nama desa/kelurahan",
         "kecamatan": "nama kecamatan",
         "kabupaten": "nama kabupaten/kota",
         "provinsi": "nama provinsi",
@@ -101,7 +103,17 @@ DATA PROYEK:
 - Lokasi: ${context.projectData.lokasi_proyek?.alamat_lengkap || 'Tidak tersedia'}
 - Peruntukan: ${context.projectData.lokasi_proyek?.peruntukan || 'Tidak tersedia'}
 - Luas: ${context.projectData.lokasi_proyek?.luas_total || 0} ${context.projectData.lokasi_proyek?.satuan_luas || 'm²'}
-
+${context.measurement ? `
+PENGUKURAN BIDANG (geodesik WGS 84, dihitung dari poligon peta):
+- Luas: ${context.measurement.area.toFixed(2)} m² (${context.measurement.areaHa.toFixed(4)} ha)
+- Keliling: ${context.measurement.perimeter.toFixed(2)} m
+- Sisi batas: ${context.measurement.rings.flatMap(ring => ring.segments).slice(0, 50).map(segment => `${segment.from}-${segment.to} ${segment.length.toFixed(2)} m (azimut ${formatBearing(segment.bearing)})`).join('; ')}
+Gunakan luas terukur ini untuk perhitungan KDB/KLB/KDH dan sebutkan bila berbeda dari luas yang dinyatakan.
+` : ''}${context.detectedZones?.length ? `
+ZONA POLA RUANG (tumpang susun poligon bidang dengan peta pola ruang resmi):
+${context.detectedZones.map(zone => `- ${zone.zona} (${zone.peruntukan}): ${zone.luas} m², ${zone.persentase}% luas bidang`).join('\n')}
+Zona ini sudah pasti; gunakan sebagai zona rencana dan jangan menebak zona lain.
+` : ''}
 REFERENSI PERDA RTRW KABUPATEN GARUT:
 ${context.perdaReference || perdaReferenceManager.getAnalysisContext(context.projectData)}
 
@@ -0,0 +1,282 @@
+/**
+ * Coordinate Import Wizard
+ * Reads a CSV/spreadsheet of boundary points, lets the user map the
+ * columns and previews the resulting parcel before it is used
+ */
+
+import { SecurityUtils } from '../utils/security.js';
+import { CRS_LIST, getCrs } from '../services/crs.js';
+import {
+    readSheets,
+    guessColumnMapping,
+    looksLikeHeader,
+    buildPoints,
+    buildParcelGeoJSON
+} from '../services/coordinate-list-import.js';
+import { MapComponent } from './map-component.js';
+
+const FROM_COLUMN = 'column';
+
+export class CoordinateImportWizard {
+    constructor(container, onComplete) {
+        // Fresh root per instance so reopening the modal does not stack listeners
+        this.container = document.createElement('div');
+        container.replaceChildren(this.container);
+        this.onComplete = onComplete;
+
+        this.file = null;
+        this.sheets = [];
+        this.sheetIndex = 0;
+        this.mapping = null;
+        this.hasHeader = true;
+        this.crsChoice = '';
+        this.result = null;
+        this.map = null;
+
+        this.render();
+        this.bindEvents();
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="mb-3">
+                <label for="coordinate-file-input" class="form-label">File daftar koordinat (CSV, XLS, XLSX)</label>
+                <input type="file" class="form-control" id="coordinate-file-input" accept=".csv,.txt,.xls,.xlsx">
+                <div class="form-text">Satu baris per titik batas, berurutan mengelilingi bidang (misalnya kolom Titik, X, Y).</div>
+            </div>
+            <div id="coordinate-mapping"></div>
+            <div id="coordinate-preview"></div>
+        `;
+    }
+
+    bindEvents() {
+        this.container.addEventListener('change', (e) => {
+            const target = e.target;
+            if (target.id === 'coordinate-file-input') {
+                this.loadFile(target.files[0]);
+            } else if (target.id === 'coordinate-sheet-select') {
+                this.sheetIndex = parseInt(target.value, 10);
+                this.guessMapping();
+                this.renderMapping();
+                this.updatePreview();
+            } else if (target.id === 'coordinate-header-check') {
+                this.hasHeader = target.checked;
+                this.renderMapping();
+                this.updatePreview();
+            } else if (target.dataset.column) {
+                this.mapping[target.dataset.column] = target.value === '' ? null : parseInt(target.value, 10);
+                this.updatePreview();
+            } else if (target.id === 'coordinate-crs-select') {
+                this.crsChoice = target.value;
+                this.updatePreview();
+            }
+        });
+
+        this.container.addEventListener('click', (e) => {
+            if (e.target.closest('#coordinate-import-confirm') && this.result?.geojson) {
+                this.onComplete({
+                    geojson: this.result.geojson,
+                    file: this.file,
+                    sourceCrs: this.describeSourceCrs()
+                });
+            }
+        });
+    }
+
+    async loadFile(file) {
+        if (!file) return;
+
+        const mappingContainer = this.container.querySelector('#coordinate-mapping');
+        mappingContainer.innerHTML = '<div class="text-center p-3"><div class="spinner-border text-primary" role="status"></div></div>';
+        this.container.querySelector('#coordinate-preview').innerHTML = '';
+
+        try {
+            this.file = file;
+            this.sheets = (await readSheets(file)).filter(sheet => sheet.rows.length > 0);
+            if (this.sheets.length === 0) {
+                throw new Error('File tidak berisi data');
+            }
+
+            this.sheetIndex = 0;
+            this.guessMapping();
+            this.renderMapping();
+            this.updatePreview();
+        } catch (error) {
+            console.error('Coordinate list read error:', error);
+            mappingContainer.innerHTML = `<div class="alert alert-danger">Gagal membaca file: ${SecurityUtils.sanitizeHTML(error.message)}</div>`;
+        }
+    }
+
+    get rows() {
+        return this.sheets[this.sheetIndex]?.rows || [];
+    }
+
+    guessMapping() {
+        const guessed = guessColumnMapping(this.rows[0] || []);
+
+        // Without recognisable headers assume Titik, X, Y in the first three columns
+        this.hasHeader = looksLikeHeader(this.rows[0] || [], guessed);
+        this.mapping = this.hasHeader && guessed.x !== null && guessed.y !== null
+            ? guessed
+            : { id: 0, x: 1, y: 2, crs: null };
+        this.crsChoice = this.mapping.crs !== null ? FROM_COLUMN : '';
+    }
+
+    columnLabel(index) {
+        const letter = String.fromCharCode(65 + index);
+        const header = this.hasHeader ? String(this.rows[0]?.[index] ?? '').trim() : '';
+        return header ? `${letter} – ${header}` : `Kolom ${letter}`;
+    }
+
+    renderColumnSelect(key, label, optional) {
+        const columnCount = Math.max(...this.rows.slice(0, 20).map(row => row.length));
+        const options = Array.from({ length: columnCount }, (_, index) => `
+            <option value="${index}" ${this.mapping[key] === index ? 'selected' : ''}>${SecurityUtils.sanitizeHTML(this.columnLabel(index))}</option>
+        `).join('');
+
+        return `
+            <div class="col-md-3">
+                <label class="form-label small">${label}</label>
+                <select class="form-select form-select-sm" data-column="${key}">
+                    ${optional ? `<option value="" ${this.mapping[key] === null ? 'selected' : ''}>(tidak ada)</option>` : ''}
+                    ${options}
+                </select>
+            </div>
+        `;
+    }
+
+    renderMapping() {
+        const crsOptions = CRS_LIST.map(crs => `
+            <option value="${crs.code}" ${this.crsChoice === crs.code ? 'selected' : ''}>${crs.name}</option>
+        `).join('');
+
+        this.container.querySelector('#coordinate-mapping').innerHTML = `
+            <div class="card mb-3">
+                <div class="card-body">
+                    <h6 class="card-title">Pemetaan Kolom</h6>
+                    <div class="row g-2 mb-2">
+                        ${this.sheets.length > 1 ? `
+                            <div class="col-md-6">
+                                <label class="form-label small" for="coordinate-sheet-select">Lembar kerja</label>
+                                <select class="form-select form-select-sm" id="coordinate-sheet-select">
+                                    ${this.sheets.map((sheet, index) => `<option value="${index}" ${index === this.sheetIndex ? 'selected' : ''}>${SecurityUtils.sanitizeHTML(sheet.name)}</option>`).join('')}
+                                </select>
+                            </div>
+                        ` : ''}
+                        <div class="col-md-6 d-flex align-items-end">
+                            <div class="form-check">
+                                <input class="form-check-input" type="checkbox" id="coordinate-header-check" ${this.hasHeader ? 'checked' : ''}>
+                                <label class="form-check-label small" for="coordinate-header-check">Baris pertama adalah judul kolom</label>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="row g-2 mb-2">
+                        ${this.renderColumnSelect('id', 'Nomor/Nama Titik', true)}
+                        ${this.renderColumnSelect('x', 'X / Bujur / Easting', false)}
+                        ${this.renderColumnSelect('y', 'Y / Lintang / Northing', false)}
+                        ${this.renderColumnSelect('crs', 'Sistem Koordinat (kolom)', true)}
+                    </div>
+                    <label class="form-label small" for="coordinate-crs-select">Sistem koordinat</label>
+                    <select class="form-select form-select-sm" id="coordinate-crs-select">
+                        <option value="" ${this.crsChoice === '' ? 'selected' : ''}>WGS 84 (lintang/bujur)</option>
+                        <option value="${FROM_COLUMN}" ${this.crsChoice === FROM_COLUMN ? 'selected' : ''}>Baca dari kolom sistem koordinat</option>
+                        ${crsOptions}
+                    </select>
+                </div>
+            </div>
+        `;
+    }
+
+    // Explicit CRS for all rows, or null to read the CRS column (WGS84 without one)
+    getSelectedCrs() {
+        if (this.crsChoice === FROM_COLUMN) return null;
+        return getCrs(this.crsChoice);
+    }
+
+    describeSourceCrs() {
+        if (this.crsChoice === FROM_COLUMN) {
+            return [...new Set(this.result.points.map(point => getCrs(point.crs)?.name))].join(', ');
+        }
+        return (this.getSelectedCrs() || CRS_LIST[0]).name;
+    }
+
+    updatePreview() {
+        const preview = this.container.querySelector('#coordinate-preview');
+        const mapping = {
+            ...this.mapping,
+            // The CRS column is only read when chosen as the source of the CRS
+            crs: this.crsChoice === FROM_COLUMN ? this.mapping.crs : null
+        };
+
+        if (this.crsChoice === FROM_COLUMN && mapping.crs === null) {
+            this.result = null;
+            preview.innerHTML = '<div class="alert alert-warning small">Pilih kolom sistem koordinat terlebih dahulu.</div>';
+            return;
+        }
+
+        const { points, errors } = buildPoints(this.rows, { mapping, hasHeader: this.hasHeader, crs: this.getSelectedCrs() });
+        let geojson = null;
+        let buildError = null;
+        if (errors.length === 0) {
+            try {
+                geojson = buildParcelGeoJSON(points);
+            } catch (error) {
+                buildError = error.message;
+            }
+        }
+        this.result = { points, errors, geojson };
+
+        preview.innerHTML = `
+            ${errors.length > 0 ? `
+                <div class="alert alert-danger small">
+                    <strong>${errors.length} baris bermasalah:</strong>
+                    <ul class="mb-0">${errors.slice(0, 10).map(error => `<li>Baris ${error.row}: ${SecurityUtils.sanitizeHTML(error.message)}</li>`).join('')}</ul>
+                    ${errors.length > 10 ? `<div>… dan ${errors.length - 10} lainnya</div>` : ''}
+                </div>
+            ` : ''}
+            ${buildError ? `<div class="alert alert-warning small">${SecurityUtils.sanitizeHTML(buildError)}</div>` : ''}
+            <div class="row g-3">
+                <div class="col-md-5">
+                    <div class="table-responsive" style="max-height: 320px; overflow-y: auto;">
+                        <table class="table table-sm table-bordered small">
+                            <thead class="table-light"><tr><th>No.</th><th>Titik</th><th>X</th><th>Y</th><th>Bujur</th><th>Lintang</th></tr></thead>
+                            <tbody>
+                                ${points.map((point, index) => `
+                                    <tr>
+                                        <td>K${index + 1}</td>
+                                        <td>${SecurityUtils.sanitizeHTML(point.id)}</td>
+                                        <td>${point.x}</td>
+                                        <td>${point.y}</td>
+                                        <td>${point.lon.toFixed(6)}</td>
+                                        <td>${point.lat.toFixed(6)}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+                <div class="col-md-7"><div id="coordinate-import-map" style="height: 320px;"></div></div>
+            </div>
+            <div class="text-end mt-3">
+                <button type="button" class="btn btn-primary" id="coordinate-import-confirm" ${geojson ? '' : 'disabled'}>
+                    <i class="bi bi-check2-circle"></i> Gunakan ${points.length} Titik sebagai Batas Bidang
+                </button>
+            </div>
+        `;
+
+        this.showOnMap(geojson);
+    }
+
+    async showOnMap(geojson) {
+        if (!geojson) return;
+
+        try {
+            // The preview markup is replaced on every update, so is the map
+            this.map?.map?.remove();
+            this.map = new MapComponent('coordinate-import-map');
+            await this.map.displayGeoJSON(geojson);
+        } catch (error) {
+            console.error('Coordinate preview map error:', error);
+        }
+    }
+}
@@ -5,7 +5,15 @@
 
 import { CONFIG, ERROR_MESSAGES } from '../config.js';
 import { performanceMonitor } from '../utils/performance.js';
-import { dbManager } from '../core/storage.js';
+import { dbManager, settingsStorage } from '../core/storage.js';
+import { describeCoordinateSystem, formatPoint } from '../services/crs.js';
+import { measureParcel, formatBearing } from '../services/geometry.js';
+import { mapLayoutComposer, imageDimensions } from '../services/map-layout.js';
+import { zoningLayer, zonesAround } from '../services/zoning.js';
+import { tileCache } from '../services/tile-cache.js';
+
+// Width of the map attachment in the DOCX: 16 cm at 96 dpi
+const MAP_IMAGE_WIDTH = 605;
 
 export class DocumentGenerator {
     constructor() {
@@ -28,8 +36,7 @@ export class DocumentGenerator {
                 this.loadScript('https://cdnjs.cloudflare.com/ajax/libs/pizzip/3.1.5/pizzip.min.js'),
                 this.loadScript('https://cdnjs.cloudflare.com/ajax/libs/docxtemplater/3.47.2/docxtemplater.js'),
                 this.loadScript('https://cdnjs.cloudflare.com/ajax/libs/FileSaver.js/2.0.0/FileSaver.min.js'),
-                this.loadScript('https://cdn.jsdelivr.net/npm/docxtemplater-image-module-free@1.1.1/build/imagemodule.js'),
-                this.loadScript('https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js')
+                this.loadScript('https://cdn.jsdelivr.net/npm/docxtemplater-image-module-free@1.1.1/build/imagemodule.js')
             ]);
 
             this.isLibrariesLoaded = true;
@@ -107,19 +114,39 @@ export class DocumentGenerator {
         }
     }
 
-    // Generate map screenshot
-    async generateMapScreenshot(mapElement, options = {}) {
+    // Map attachment (PNG data URL) composed from the project: parcel, zoning
+    // map around it and title block. options: paper, orientation, dpi,
+    // bounds (view to show instead of the parcel) and basemap (default true).
+    async generateMapScreenshot(projectData, options = {}) {
         performanceMonitor.startTiming('generateMapScreenshot');
 
         try {
-            await this.loadLibraries();
-
-            const canvas = await html2canvas(mapElement, {
-                useCORS: true,
-                allowTaint: true,
-                scale: 2,
-                backgroundColor: '#ffffff',
-                ...options
+            const { basemap = true, ...layoutOptions } = options;
+
+            const layer = await zoningLayer.load().catch(() => null);
+            const zoning = layer?.zoneProperty
+                ? { geojson: zonesAround(layer.geojson, projectData.geojsonData), zoneProperty: layer.zoneProperty }
+                : null;
+
+            const mbtiles = basemap ? await tileCache.loadBasemap().catch(() => null) : null;
+            const data = this.prepareTemplateData(projectData);
+
+            const canvas = await mapLayoutComposer.render({
+                geojson: projectData.geojsonData,
+                zoning,
+                getTile: basemap ? (z, x, y) => tileCache.getTileBlob(z, x, y) : null,
+                tileMaxZoom: mbtiles?.metadata.maxZoom ?? 19,
+                attribution: basemap ? (mbtiles ? mbtiles.metadata.attribution || mbtiles.metadata.name : tileCache.getBasemapAttribution()) : '',
+                title: projectData.projectName,
+                details: [
+                    ['Pemohon', data.pemohon.nama],
+                    ['Lokasi', data.lokasi_proyek.lokasi],
+                    ['Peruntukan', data.lokasi_proyek.peruntukan],
+                    ['Luas', data.pengukuran.luas_m2 ? `${data.pengukuran.luas_m2} m²` : ''],
+                    ['Nomor KRK', data.surat_meta.nomor_surat],
+                    ['Tanggal', data.surat_meta.tanggal_surat || data.tanggal_sekarang]
+                ],
+                ...layoutOptions
             });
 
             const dataUrl = canvas.toDataURL('image/png');
@@ -174,8 +201,14 @@ export class DocumentGenerator {
     prepareTemplateData(projectData) {
         const analysis = projectData.analysisResult || {};
         
-        // Format coordinate table
-        const coordinateTable = this.formatCoordinateTable(projectData.geojsonData);
+        // Format coordinate table in the project's coordinate system
+        const coordinateSystem = this.getCoordinateSystem(projectData);
+        const coordinateTable = this.formatCoordinateTable(projectData.geojsonData, coordinateSystem);
+        const systemInfo = describeCoordinateSystem(coordinateSystem);
+        
+        // Parcel area, perimeter and sides computed from the map polygon
+        const measurement = measureParcel(projectData.geojsonData);
+        const declaredArea = Number(analysis.lokasi_proyek?.luas_total) || 0;
         
         // Format analysis zones
         const analysisZones = this.formatAnalysisZones(analysis.analisis_zona || []);
@@ -212,10 +245,17 @@ export class DocumentGenerator {
             // Project location
             lokasi_proyek: {
                 lokasi: analysis.lokasi_proyek?.lokasi || '',
+                kecamatan: analysis.lokasi_proyek?.kecamatan || '',
+                kelurahan: analysis.lokasi_proyek?.kelurahan || '',
                 peruntukan: analysis.lokasi_proyek?.peruntukan || '',
-                luas_total: this.formatNumber(analysis.lokasi_proyek?.luas_total || 0)
+                // The computed area stands in when none was declared
+                luas_total: this.formatNumber(declaredArea || (measurement ? Math.round(measurement.area) : 0)),
+                luas_terhitung: measurement ? this.formatNumber(Math.round(measurement.area)) : ''
             },
 
+            // Parcel measurements
+            pengukuran: this.formatMeasurement(measurement),
+
             // Analysis results
             analisis_zona: analysisZones,
             ketentuan_teknis: technicalReqs,
@@ -223,6 +263,9 @@ export class DocumentGenerator {
             
             // Coordinate table
             koordinat_table: coordinateTable,
+            koordinat_sistem: systemInfo.name,
+            koordinat_label_x: systemInfo.labelX,
+            koordinat_label_y: systemInfo.labelY,
 
             // Signatory
             penandatangan: {
@@ -240,6 +283,9 @@ export class DocumentGenerator {
             // Business use
             is_usaha: analysis.is_usaha || false,
 
+            // Map attachment, for an image tag {%peta_lokasi} in the template
+            peta_lokasi: analysis.mapScreenshot || '',
+
             // Current date
             tanggal_sekarang: this.formatDate(new Date().toISOString())
         };
@@ -254,7 +300,7 @@ export class DocumentGenerator {
             const doc = new window.Docxtemplater(zip, {
                 paragraphLoop: true,
                 linebreaks: true,
-                modules: []
+                modules: window.ImageModule ? [this.createImageModule()] : []
             });
 
             // Set template data
@@ -275,8 +321,30 @@ export class DocumentGenerator {
         }
     }
 
-    // Format coordinate table for template
-    formatCoordinateTable(geoJsonData) {
+    // Image tags take data URLs and are scaled to the attachment width
+    createImageModule() {
+        return new window.ImageModule({
+            centered: true,
+            getImage: (dataUrl) => {
+                const binary = atob(dataUrl.split(',')[1]);
+                return Uint8Array.from(binary, char => char.charCodeAt(0));
+            },
+            getSize: (image) => {
+                const size = imageDimensions(new Uint8Array(image));
+                if (!size) return [MAP_IMAGE_WIDTH, MAP_IMAGE_WIDTH];
+                return [MAP_IMAGE_WIDTH, Math.round(size.height * MAP_IMAGE_WIDTH / size.width)];
+            }
+        });
+    }
+
+    getCoordinateSystem(projectData) {
+        return projectData.analysisResult?.koordinat_sistem || settingsStorage.get('coordinateSystem', 'decimal');
+    }
+
+    // Format coordinate table for template. x/y hold the values in the chosen
+    // system; longitude/latitude carry the same values for templates written
+    // before coordinate systems could be chosen.
+    formatCoordinateTable(geoJsonData, coordinateSystem = 'decimal') {
         if (!geoJsonData || !geoJsonData.features) {
             return [];
         }
@@ -289,20 +357,12 @@ export class DocumentGenerator {
                 const coords = feature.geometry.coordinates;
                 
                 if (feature.geometry.type === 'Point') {
-                    coordinates.push({
-                        titik: `K${pointIndex}`,
-                        longitude: coords[0].toFixed(6),
-                        latitude: coords[1].toFixed(6)
-                    });
+                    coordinates.push(this.formatCoordinateRow(pointIndex, coords, coordinateSystem));
                     pointIndex++;
                 } else if (feature.geometry.type === 'Polygon') {
                     coords[0].forEach((coord, index) => {
                         if (index < coords[0].length - 1) { // Skip last point (same as first)
-                            coordinates.push({
-                                titik: `K${pointIndex}`,
-                                longitude: coord[0].toFixed(6),
-                                latitude: coord[1].toFixed(6)
-                            });
+                            coordinates.push(this.formatCoordinateRow(pointIndex, coord, coordinateSystem));
                             pointIndex++;
                         }
                     });
@@ -313,6 +373,35 @@ export class DocumentGenerator {
         return coordinates;
     }
 
+    // Measurement of the parcel polygon for the template; empty values without a polygon
+    formatMeasurement(measurement) {
+        if (!measurement) {
+            return { luas_m2: '', luas_ha: '', keliling: '', sisi: [] };
+        }
+
+        const decimal = (value, digits) => value.toLocaleString('id-ID', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+        const sides = measurement.rings.flatMap(ring => ring.segments.map(segment => ({ bidang: ring.label, ...segment })));
+
+        return {
+            luas_m2: decimal(measurement.area, 2),
+            luas_ha: decimal(measurement.areaHa, 4),
+            keliling: decimal(measurement.perimeter, 2),
+            sisi: sides.map((side, index) => ({
+                nomor: index + 1,
+                bidang: side.bidang,
+                dari: side.from,
+                ke: side.to,
+                panjang: decimal(side.length, 2),
+                azimut: formatBearing(side.bearing)
+            }))
+        };
+    }
+
+    formatCoordinateRow(pointIndex, coord, coordinateSystem) {
+        const { x, y } = formatPoint(coord, coordinateSystem);
+        return { titik: `K${pointIndex}`, x, y, longitude: x, latitude: y };
+    }
+
     // Format analysis zones
     formatAnalysisZones(zones) {
         return zones.map((zone, index) => ({
@@ -324,14 +413,21 @@ export class DocumentGenerator {
         }));
     }
 
-    // Format technical requirements
+    // Format technical requirements; entries are text or
+    // { kategori, nilai, satuan, keterangan } as in the AI schema
     formatTechnicalRequirements(requirements) {
         return requirements.map((req, index) => ({
             nomor: index + 1,
-            ketentuan: req
+            ketentuan: typeof req === 'string' ? req : this.formatKetentuan(req)
         }));
     }
 
+    formatKetentuan(req) {
+        const value = [req?.nilai, req?.satuan].filter(part => part !== undefined && part !== null && part !== '').join(' ');
+        const head = [req?.kategori, value].filter(Boolean).join(' ');
+        return [head, req?.keterangan].filter(Boolean).join(': ');
+    }
+
     // Format additional notes
     formatAdditionalNotes(notes) {
         return notes.map((note, index) => ({
@@ -452,7 +548,9 @@ export class DocumentGenerator {
                 <ol>
                     <li><strong>Lokasi:</strong><br>${data.lokasi_proyek.lokasi}</li>
                     <li><strong>Peruntukan:</strong><br>${data.lokasi_proyek.peruntukan}</li>
-                    <li><strong>Luas Lahan:</strong><br>± ${data.lokasi_proyek.luas_total} m²</li>
+                    <li><strong>Luas Lahan:</strong><br>± ${data.lokasi_proyek.luas_total} m²
+                        ${data.pengukuran.luas_m2 ? `<br><small>Luas terukur dari peta: ${data.pengukuran.luas_m2} m² (${data.pengukuran.luas_ha} ha), keliling ${data.pengukuran.keliling} m</small>` : ''}
+                    </li>
                     
                     ${data.analisis_zona.length > 0 ? `
                     <li><strong>Analisis Zona Rencana:</strong>
@@ -474,27 +572,33 @@ export class DocumentGenerator {
                     ` : ''}
                     
                     ${data.koordinat_table.length > 0 ? `
-                    <li><strong>Koordinat Lokasi:</strong><br>
+                    <li><strong>Koordinat Lokasi (${data.koordinat_sistem}):</strong><br>
                         <table class="coordinate-table">
                             <thead>
                                 <tr>
                                     <th>Titik</th>
-                                    <th>Longitude</th>
-                                    <th>Latitude</th>
+                                    <th>${data.koordinat_label_x}</th>
+                                    <th>${data.koordinat_label_y}</th>
                                 </tr>
                             </thead>
                             <tbody>
                                 ${data.koordinat_table.map(coord => `
                                     <tr>
                                         <td>${coord.titik}</td>
-                                        <td>${coord.longitude}</td>
-                                        <td>${coord.latitude}</td>
+                                        <td>${coord.x}</td>
+                                        <td>${coord.y}</td>
                                     </tr>
                                 `).join('')}
                             </tbody>
                         </table>
                     </li>
                     ` : ''}
+                    
+                    ${data.peta_lokasi.startsWith('data:image/') ? `
+                    <li><strong>Peta Lokasi:</strong><br>
+                        <img src="${data.peta_lokasi}" alt="Peta lokasi" class="img-fluid border">
+                    </li>
+                    ` : ''}
                 </ol>
                 
                 ${data.catatan_tambahan.length > 0 ? `
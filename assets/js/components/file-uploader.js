@@ -6,6 +6,13 @@
 import { CONFIG, ERROR_MESSAGES, SUCCESS_MESSAGES } from '../config.js';
 import { FileProcessor, performanceMonitor } from '../utils/performance.js';
 import { dbManager } from '../core/storage.js';
+import { SecurityUtils } from '../utils/security.js';
+import { convertKmlFile } from '../services/kml-import.js';
+import { convertShapefile } from '../services/shapefile-import.js';
+import { readDxfFile, guessBoundaryLayer, entitiesLookGeographic, dxfToGeoJSON } from '../services/dxf-import.js';
+import { CRS_LIST, WGS84, getCrs, detectCrsFromGeoJSON, looksGeographic, reprojectGeoJSON } from '../services/crs.js';
+import { hasSwappedAxes } from '../services/geometry-validation.js';
+import { rasterizePdfPage } from '../services/georeference.js';
 
 export class FileUploaderComponent {
     constructor(container, onFileUploaded, options = {}) {
@@ -65,6 +72,19 @@ export class FileUploaderComponent {
                     </div>
                 </div>
                 
+                <!-- Source CRS, outside the drop zone so clicks do not open the file dialog -->
+                <div class="mt-2">
+                    <label for="source-crs-select" class="form-label small mb-1">Sistem koordinat sumber</label>
+                    <select class="form-select form-select-sm" id="source-crs-select">
+                        <option value="">Otomatis (dari .prj atau data)</option>
+                        ${this.renderCrsOptions()}
+                    </select>
+                    <div class="form-text">KML/KMZ selalu WGS 84. Pilih sistem lain bila file tidak menyertakan .prj.</div>
+                </div>
+                
+                <!-- DXF layer selection, shown while a DXF file is being imported -->
+                <div id="dxf-layer-picker" class="d-none mt-3"></div>
+                
                 <!-- File input (hidden) -->
                 <input type="file" id="file-input" class="d-none" 
                        accept="${this.options.acceptedFormats.join(',')}"
@@ -79,6 +99,21 @@ export class FileUploaderComponent {
         `;
     }
 
+    renderCrsOptions() {
+        const groups = new Map();
+        CRS_LIST.forEach(crs => {
+            if (!groups.has(crs.group)) groups.set(crs.group, []);
+            groups.get(crs.group).push(`<option value="${crs.code}">${crs.name}</option>`);
+        });
+        
+        return [...groups].map(([group, options]) => `<optgroup label="${group}">${options.join('')}</optgroup>`).join('');
+    }
+
+    // Null lets the importer detect the CRS itself
+    getSourceCrs() {
+        return getCrs(this.container.querySelector('#source-crs-select')?.value) || null;
+    }
+
     bindEvents() {
         const dropZone = this.container.querySelector('#file-drop-zone');
         const fileInput = this.container.querySelector('#file-input');
@@ -268,8 +303,16 @@ export class FileUploaderComponent {
             // Process based on file type
             if (this.isGeoJSONFile(file)) {
                 fileData = await this.processGeoJSONFile(file);
+            } else if (this.isKMLFile(file)) {
+                fileData = await this.processKMLFile(file);
+            } else if (this.isShapefile(file)) {
+                fileData = await this.processShapefile(file);
+            } else if (this.isDxfFile(file)) {
+                fileData = await this.processDxfFile(file);
             } else if (this.isImageFile(file)) {
                 fileData = await this.processImageFile(file);
+            } else if (this.isPdfFile(file)) {
+                fileData = await this.processPdfFile(file);
             } else {
                 fileData = await this.processGenericFile(file);
             }
@@ -282,6 +325,9 @@ export class FileUploaderComponent {
                 uploadDate: new Date().toISOString()
             });
             
+            // Links the processed copy to the original upload (project attachment)
+            fileData.fileId = fileId;
+            
             // Add to uploaded files list
             this.uploadedFiles.push({
                 id: fileId,
@@ -308,24 +354,165 @@ export class FileUploaderComponent {
 
     async processGeoJSONFile(file) {
         const text = await FileProcessor.readFileAsText(file);
+        let geoJsonData;
         
         try {
-            const geoJsonData = JSON.parse(text);
+            geoJsonData = JSON.parse(text);
             
             // Validate GeoJSON structure
-            if (!geoJsonData.type || !geoJsonData.features) {
+            if (!geoJsonData.type || !Array.isArray(geoJsonData.features)) {
                 throw new Error('Format GeoJSON tidak valid');
             }
-            
-            return {
-                type: 'geojson',
-                data: geoJsonData,
-                featureCount: geoJsonData.features.length
-            };
-            
         } catch (error) {
             throw new Error('File JSON/GeoJSON tidak valid');
         }
+        
+        // Projected exports (e.g. QGIS in UTM) are converted to WGS84; swapped
+        // lat/lon is kept as is and reported by the geometry validation
+        const geographic = looksGeographic(geoJsonData) || hasSwappedAxes(geoJsonData);
+        const crs = this.getSourceCrs() || detectCrsFromGeoJSON(geoJsonData) || (geographic ? WGS84 : null);
+        if (!crs) {
+            throw new Error('Koordinat bukan derajat dan sistem koordinatnya tidak diketahui. Pilih sistem koordinat sumber.');
+        }
+        
+        // The legacy "crs" member no longer applies once converted
+        const { crs: sourceCrsMember, ...data } = reprojectGeoJSON(geoJsonData, crs);
+        
+        return {
+            type: 'geojson',
+            data,
+            featureCount: data.features.length,
+            sourceCrs: crs.name
+        };
+    }
+
+    // Converted to GeoJSON so it is stored and shown like a GeoJSON upload
+    async processKMLFile(file) {
+        const { geojson, sourceFormat } = await convertKmlFile(file);
+        
+        if (geojson.features.length === 0) {
+            throw new Error('Tidak ada Placemark dengan geometri di dalam file');
+        }
+        
+        return {
+            type: 'geojson',
+            data: geojson,
+            featureCount: geojson.features.length,
+            sourceFormat
+        };
+    }
+
+    // Reprojected to WGS84 from the CRS in the .prj
+    async processShapefile(file) {
+        const { geojson, sourceCrs } = await convertShapefile(file, this.getSourceCrs());
+        
+        if (geojson.features.length === 0) {
+            throw new Error('Shapefile tidak berisi geometri');
+        }
+        
+        return {
+            type: 'geojson',
+            data: geojson,
+            featureCount: geojson.features.length,
+            sourceFormat: 'shapefile',
+            sourceCrs
+        };
+    }
+
+    // The boundary layer and CRS come from the user; other chosen layers are kept as overlays
+    async processDxfFile(file) {
+        const { entities, layers } = await readDxfFile(file);
+        const choice = await this.chooseDxfLayers(layers, entities);
+        const { boundary, overlays } = dxfToGeoJSON(entities, choice);
+        
+        return {
+            type: 'geojson',
+            data: boundary,
+            featureCount: boundary.features.length,
+            sourceFormat: 'dxf',
+            sourceCrs: choice.crs.name,
+            overlays
+        };
+    }
+
+    // Resolves with { boundaryLayer, overlayLayers, crs } or rejects when cancelled
+    chooseDxfLayers(layers, entities) {
+        const picker = this.container.querySelector('#dxf-layer-picker');
+        const boundaryLayer = guessBoundaryLayer(layers);
+        if (!boundaryLayer) {
+            return Promise.reject(new Error('Tidak ada polyline tertutup di dalam file DXF'));
+        }
+        
+        const defaultCrs = this.getSourceCrs() || (entitiesLookGeographic(entities) ? WGS84 : null);
+        const rows = layers.map((layer, index) => `
+            <tr>
+                <td class="text-center">
+                    <input class="form-check-input" type="radio" name="dxf-boundary-layer" value="${index}"
+                           ${layer.name === boundaryLayer ? 'checked' : ''} ${layer.closedCount === 0 ? 'disabled' : ''}>
+                </td>
+                <td class="text-center">
+                    <input class="form-check-input" type="checkbox" name="dxf-overlay-layer" value="${index}" checked>
+                </td>
+                <td>${SecurityUtils.sanitizeHTML(layer.name)}</td>
+                <td class="text-end">${layer.entityCount}</td>
+                <td class="text-end">${layer.closedCount}</td>
+            </tr>
+        `).join('');
+        
+        picker.innerHTML = `
+            <div class="card">
+                <div class="card-body">
+                    <h6 class="card-title">Impor DXF: pilih layer batas bidang</h6>
+                    <div class="table-responsive" style="max-height: 260px; overflow-y: auto;">
+                        <table class="table table-sm small mb-2">
+                            <thead class="table-light">
+                                <tr><th class="text-center">Batas</th><th class="text-center">Overlay</th><th>Layer</th><th class="text-end">Objek</th><th class="text-end">Tertutup</th></tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                    <label for="dxf-crs-select" class="form-label small mb-1">Sistem koordinat gambar</label>
+                    <select class="form-select form-select-sm" id="dxf-crs-select">
+                        <option value="">Pilih sistem koordinat…</option>
+                        ${this.renderCrsOptions()}
+                    </select>
+                    <div class="form-text">Layer batas menjadi poligon bidang; layer overlay dapat ditampilkan di peta sebagai pelengkap.</div>
+                    <div id="dxf-picker-error" class="text-danger small mt-2"></div>
+                    <div class="text-end mt-2">
+                        <button type="button" class="btn btn-sm btn-secondary" id="dxf-cancel-btn">Batal</button>
+                        <button type="button" class="btn btn-sm btn-primary" id="dxf-confirm-btn">Gunakan</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        picker.querySelector('#dxf-crs-select').value = defaultCrs?.code || '';
+        picker.classList.remove('d-none');
+        
+        return new Promise((resolve, reject) => {
+            const close = () => {
+                picker.classList.add('d-none');
+                picker.innerHTML = '';
+            };
+            
+            picker.querySelector('#dxf-cancel-btn').addEventListener('click', () => {
+                close();
+                reject(new Error('Impor DXF dibatalkan'));
+            });
+            
+            picker.querySelector('#dxf-confirm-btn').addEventListener('click', () => {
+                const crs = getCrs(picker.querySelector('#dxf-crs-select').value);
+                const boundary = picker.querySelector('input[name="dxf-boundary-layer"]:checked');
+                if (!crs || !boundary) {
+                    picker.querySelector('#dxf-picker-error').textContent = 'Pilih layer batas dan sistem koordinat gambar.';
+                    return;
+                }
+                
+                const overlayLayers = Array.from(picker.querySelectorAll('input[name="dxf-overlay-layer"]:checked'))
+                    .map(input => layers[input.value].name);
+                close();
+                resolve({ boundaryLayer: layers[boundary.value].name, overlayLayers, crs });
+            });
+        });
     }
 
     async processImageFile(file) {
@@ -339,6 +526,22 @@ export class FileUploaderComponent {
         };
     }
 
+    // First page as an image, to georeference like a scan; other pages are
+    // rendered on request from the stored original
+    async processPdfFile(file) {
+        const { data, dimensions, page, pageCount } = await rasterizePdfPage(file, 1);
+        
+        return {
+            type: 'image',
+            data,
+            size: file.size,
+            dimensions,
+            sourceFormat: 'pdf',
+            page,
+            pageCount
+        };
+    }
+
     async processGenericFile(file) {
         const arrayBuffer = await FileProcessor.readFileAsArrayBuffer(file);
         
@@ -370,6 +573,19 @@ export class FileUploaderComponent {
                file.type === 'application/json';
     }
 
+    isKMLFile(file) {
+        return ['.kml', '.kmz'].some(ext => file.name.toLowerCase().endsWith(ext));
+    }
+
+    // Zipped shapefile (.shp with .dbf/.prj) or a lone .shp
+    isShapefile(file) {
+        return ['.zip', '.shp'].some(ext => file.name.toLowerCase().endsWith(ext));
+    }
+
+    isDxfFile(file) {
+        return file.name.toLowerCase().endsWith('.dxf');
+    }
+
     isImageFile(file) {
         return file.type.startsWith('image/') ||
                ['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.webp'].some(ext => 
@@ -377,6 +593,10 @@ export class FileUploaderComponent {
                );
     }
 
+    isPdfFile(file) {
+        return file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf');
+    }
+
     showProgress() {
         const progress = this.container.querySelector('#upload-progress');
         const content = this.container.querySelector('.uploader-content');
@@ -424,8 +644,9 @@ export class FileUploaderComponent {
                 <div class="file-info">
                     <div class="fw-semibold">${file.name}</div>
                     <div class="small text-muted">
-                        ${this.formatFileSize(file.size)} • ${file.data.type}
+                        ${FileProcessor.formatFileSize(file.size)} • ${file.data.type}
                         ${file.data.featureCount ? ` • ${file.data.featureCount} features` : ''}
+                        ${file.data.sourceCrs ? ` • ${file.data.sourceCrs}` : ''}
                     </div>
                 </div>
                 <div class="file-actions">
@@ -451,16 +672,6 @@ export class FileUploaderComponent {
         }
     }
 
-    formatFileSize(bytes) {
-        if (bytes === 0) return '0 Bytes';
-        
-        const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-    }
-
     showError(message) {
         // Create or update error message
         let errorDiv = this.container.querySelector('.upload-error');
@@ -0,0 +1,287 @@
+/**
+ * Georeferencer
+ * Shows an uploaded map image beside the map; control points are picked on
+ * the image and then on the map, and once they fit, the warped image is
+ * overlaid on the map to digitize the parcel from
+ */
+
+import { SecurityUtils } from '../utils/security.js';
+import { GEOREFERENCE_ORDERS, solveGeoreference, renderWarpedOverlay } from '../services/georeference.js';
+
+const ZOOM_STEP = 1.5;
+
+export class GeoreferencerComponent {
+    // fileData: the image upload (mapFileContent) with its saved georeference.
+    // onChange receives { points, order, opacity } after every edit;
+    // onPageChange a page number of a rasterized PDF.
+    constructor(container, mapComponent, fileData, { readOnly = false, onChange, onPageChange } = {}) {
+        this.container = container;
+        this.mapComponent = mapComponent;
+        this.fileData = fileData;
+        this.readOnly = readOnly;
+        this.onChange = onChange;
+        this.onPageChange = onPageChange;
+
+        const saved = fileData.georeference || {};
+        this.points = saved.points || [];
+        this.order = saved.order || 1;
+        this.opacity = saved.opacity ?? 0.7;
+        this.pending = null;
+        this.zoom = null;
+        this.solution = null;
+        this.error = '';
+        this.warpRun = 0;
+
+        this.handleMapClick = this.handleMapClick.bind(this);
+        this.render();
+        this.bindEvents();
+        this.update();
+    }
+
+    render() {
+        const { pageCount, page, sourceFormat } = this.fileData;
+        const pageOptions = Array.from({ length: pageCount || 0 }, (_, i) => `
+            <option value="${i + 1}" ${i + 1 === page ? 'selected' : ''}>Halaman ${i + 1}</option>
+        `).join('');
+        const orderOptions = Object.entries(GEOREFERENCE_ORDERS).map(([order, { label, minPoints }]) => `
+            <option value="${order}" ${Number(order) === this.order ? 'selected' : ''}>${label} (≥ ${minPoints} titik)</option>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="d-flex justify-content-between align-items-center mb-2">
+                <h6 class="mb-0">Georeferensi Gambar Peta</h6>
+                <div class="btn-group btn-group-sm">
+                    <button type="button" class="btn btn-outline-secondary" data-georeference-zoom="out" title="Perkecil"><i class="bi bi-zoom-out"></i></button>
+                    <button type="button" class="btn btn-outline-secondary" data-georeference-zoom="fit" title="Sesuaikan"><i class="bi bi-arrows-angle-contract"></i></button>
+                    <button type="button" class="btn btn-outline-secondary" data-georeference-zoom="in" title="Perbesar"><i class="bi bi-zoom-in"></i></button>
+                </div>
+            </div>
+            ${sourceFormat === 'pdf' && pageCount > 1 ? `
+                <select class="form-select form-select-sm mb-2" id="georeference-page-select">${pageOptions}</select>
+            ` : ''}
+            <div class="border bg-light" id="georeference-viewport" style="height: 420px; overflow: auto;">
+                <div class="position-relative d-inline-block" id="georeference-sheet">
+                    <img src="${this.fileData.data}" alt="Gambar peta" draggable="false" class="d-block" style="cursor: crosshair; max-width: none;">
+                    <div id="georeference-image-markers"></div>
+                </div>
+            </div>
+            <div id="georeference-status" class="small my-2"></div>
+            <div class="row g-2 mb-2">
+                <div class="col-sm-7">
+                    <label class="form-label small mb-1" for="georeference-order-select">Transformasi</label>
+                    <select class="form-select form-select-sm" id="georeference-order-select">${orderOptions}</select>
+                </div>
+                <div class="col-sm-5">
+                    <label class="form-label small mb-1" for="georeference-opacity">Opasitas overlay</label>
+                    <input type="range" class="form-range" id="georeference-opacity" min="0.1" max="1" step="0.05" value="${this.opacity}">
+                </div>
+            </div>
+            <div id="georeference-points"></div>
+        `;
+    }
+
+    bindEvents() {
+        const image = this.container.querySelector('#georeference-sheet img');
+        image.addEventListener('load', () => this.setZoom('fit'));
+        image.addEventListener('click', (e) => this.handleImageClick(e));
+
+        this.container.addEventListener('click', (e) => {
+            const zoom = e.target.closest('[data-georeference-zoom]');
+            if (zoom) {
+                this.setZoom(zoom.dataset.georeferenceZoom);
+                return;
+            }
+
+            const remove = e.target.closest('[data-georeference-remove]');
+            if (remove && !this.readOnly) {
+                this.points = this.points.filter((_, index) => index !== Number(remove.dataset.georeferenceRemove));
+                this.commit();
+            } else if (e.target.closest('#georeference-cancel-btn')) {
+                this.pending = null;
+                this.update({ warp: false });
+            } else if (e.target.closest('#georeference-clear-btn') && !this.readOnly) {
+                if (!confirm('Hapus semua titik kontrol?')) return;
+                this.points = [];
+                this.commit();
+            }
+        });
+
+        this.container.addEventListener('change', (e) => {
+            if (e.target.id === 'georeference-order-select') {
+                this.order = Number(e.target.value);
+                this.commit();
+            } else if (e.target.id === 'georeference-opacity') {
+                this.commit({ warp: false });
+            } else if (e.target.id === 'georeference-page-select') {
+                this.onPageChange?.(Number(e.target.value));
+            }
+        });
+
+        this.container.addEventListener('input', (e) => {
+            if (e.target.id === 'georeference-opacity') {
+                this.opacity = Number(e.target.value);
+                this.mapComponent.setRasterOpacity(this.opacity);
+            }
+        });
+
+        this.mapComponent.on('click', this.handleMapClick);
+    }
+
+    setZoom(action) {
+        const image = this.container.querySelector('#georeference-sheet img');
+        const viewport = this.container.querySelector('#georeference-viewport');
+        if (!image.naturalWidth) return;
+
+        const fit = Math.min(viewport.clientWidth / image.naturalWidth, viewport.clientHeight / image.naturalHeight);
+        if (action === 'in') this.zoom = Math.min(8, (this.zoom || fit) * ZOOM_STEP);
+        else if (action === 'out') this.zoom = Math.max(fit, (this.zoom || fit) / ZOOM_STEP);
+        else this.zoom = fit;
+
+        image.style.width = `${Math.round(image.naturalWidth * this.zoom)}px`;
+    }
+
+    // Pixel position on the full-size image
+    handleImageClick(e) {
+        if (this.readOnly) return;
+
+        const image = e.currentTarget;
+        const rect = image.getBoundingClientRect();
+        this.pending = [
+            Math.round((e.clientX - rect.left) * image.naturalWidth / rect.width * 10) / 10,
+            Math.round((e.clientY - rect.top) * image.naturalHeight / rect.height * 10) / 10
+        ];
+        this.update({ warp: false });
+    }
+
+    handleMapClick(e) {
+        if (this.readOnly || !this.pending) return;
+
+        this.points = [...this.points, {
+            pixel: this.pending,
+            lonLat: [Number(e.latlng.lng.toFixed(8)), Number(e.latlng.lat.toFixed(8))]
+        }];
+        this.pending = null;
+        this.commit();
+    }
+
+    commit(options) {
+        this.onChange?.({ points: this.points, order: this.order, opacity: this.opacity });
+        this.update(options);
+    }
+
+    update({ warp = true } = {}) {
+        try {
+            this.solution = solveGeoreference(this.points, this.order);
+            this.error = '';
+        } catch (error) {
+            this.solution = null;
+            this.error = error.message;
+        }
+
+        this.renderStatus();
+        this.renderImageMarkers();
+        this.renderPointTable();
+        this.mapComponent.displayControlPoints(this.points.map((point, index) => ({
+            lonLat: point.lonLat,
+            error: this.solution?.residuals[index].error
+        })));
+
+        if (warp) this.updateOverlay();
+    }
+
+    // Warping takes a moment; only the latest run is shown
+    async updateOverlay() {
+        const run = ++this.warpRun;
+        if (!this.solution) {
+            this.mapComponent.clearRasterOverlay();
+            return;
+        }
+
+        try {
+            const { url, bounds } = await renderWarpedOverlay(this.fileData.data, this.solution);
+            if (run === this.warpRun) {
+                this.mapComponent.displayRasterOverlay(url, bounds, this.opacity);
+            }
+        } catch (error) {
+            console.error('Error warping image:', error);
+            this.error = 'Gambar gagal ditransformasi';
+            this.renderStatus();
+        }
+    }
+
+    renderStatus() {
+        const status = this.container.querySelector('#georeference-status');
+        if (this.readOnly) {
+            status.innerHTML = '<span class="text-muted">Hanya-baca.</span>';
+        } else if (this.pending) {
+            status.innerHTML = `
+                <span class="text-primary"><i class="bi bi-geo-alt-fill"></i> Titik ${this.points.length + 1} dipilih pada gambar. Klik posisi yang sama di peta.</span>
+                <button type="button" class="btn btn-link btn-sm p-0 ms-2" id="georeference-cancel-btn">Batal</button>
+            `;
+        } else if (this.solution) {
+            status.innerHTML = `<span class="text-success"><i class="bi bi-check-circle-fill"></i> Gambar terpasang di peta. Gambar batas bidang dengan alat gambar peta.</span>`;
+        } else {
+            status.innerHTML = `<span class="text-muted">Klik titik yang mudah dikenali pada gambar (persimpangan jalan, sudut bangunan, titik grid), lalu posisinya di peta.${this.error && this.points.length > 0 ? ` ${SecurityUtils.sanitizeHTML(this.error)}.` : ''}</span>`;
+        }
+    }
+
+    // Markers placed in percent so they follow the image zoom
+    renderImageMarkers() {
+        const { naturalWidth: width, naturalHeight: height } = this.container.querySelector('#georeference-sheet img');
+        const size = this.fileData.dimensions || {};
+        const w = width || size.width;
+        const h = height || size.height;
+        if (!w || !h) return;
+
+        const marker = ([x, y], label, color) => `
+            <span class="position-absolute badge rounded-pill" style="left: ${x / w * 100}%; top: ${y / h * 100}%; transform: translate(-50%, -50%); background: ${color}; pointer-events: none;">${label}</span>
+        `;
+        this.container.querySelector('#georeference-image-markers').innerHTML =
+            this.points.map((point, index) => marker(point.pixel, index + 1, '#e65100')).join('') +
+            (this.pending ? marker(this.pending, this.points.length + 1, '#0d6efd') : '');
+    }
+
+    renderPointTable() {
+        const container = this.container.querySelector('#georeference-points');
+        if (this.points.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const rows = this.points.map((point, index) => {
+            const residual = this.solution?.residuals[index];
+            return `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td>${point.pixel[0].toFixed(1)}, ${point.pixel[1].toFixed(1)}</td>
+                    <td>${point.lonLat[0].toFixed(6)}, ${point.lonLat[1].toFixed(6)}</td>
+                    <td class="text-end">${residual ? residual.error.toFixed(2) : '-'}</td>
+                    <td class="text-end">
+                        <button type="button" class="btn btn-sm btn-outline-danger py-0" data-georeference-remove="${index}" title="Hapus titik"><i class="bi bi-x-lg"></i></button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="table-responsive">
+                <table class="table table-sm small align-middle mb-1">
+                    <thead class="table-light">
+                        <tr><th>#</th><th>Piksel (x, y)</th><th>Bujur, Lintang</th><th class="text-end">Galat (m)</th><th></th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <div class="d-flex justify-content-between align-items-center small">
+                <span>${this.solution ? `RMSE: <strong>${this.solution.rmse.toFixed(2)} m</strong>` : ''}</span>
+                <button type="button" class="btn btn-link btn-sm text-danger p-0" id="georeference-clear-btn">Hapus semua titik</button>
+            </div>
+        `;
+    }
+
+    destroy() {
+        // The map may already be gone with the workspace it was in
+        if (this.mapComponent.map) this.mapComponent.off('click', this.handleMapClick);
+        this.warpRun++;
+    }
+}
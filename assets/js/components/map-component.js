@@ -3,8 +3,31 @@
  * Handles large GeoJSON datasets efficiently
  */
 
-import { debounce, throttle, performanceMonitor, globalCache } from '../utils/performance.js';
+import { debounce, throttle, performanceMonitor, globalCache, loadScript } from '../utils/performance.js';
 import { CONFIG } from '../config.js';
+import { SecurityUtils } from '../utils/security.js';
+import { measureParcel } from '../services/geometry.js';
+import { zoneCode, zoneColor } from '../services/zoning.js';
+import { SETBACK_TYPES } from '../services/setback.js';
+import { mapLayoutComposer } from '../services/map-layout.js';
+import { tileCache } from '../services/tile-cache.js';
+
+// simplestyle properties carried over from KML styles; used for drawing, not shown as attributes
+export const STYLE_PROPERTIES = ['stroke', 'stroke-opacity', 'stroke-width', 'fill', 'fill-opacity', 'marker-color'];
+
+// Undo step for one map edit; a GeoJSON map file follows the edited boundary
+export function mapEditCommand(project, geojson) {
+    const commands = [{ type: 'set', path: 'geojsonData', before: project.geojsonData, after: geojson }];
+    if (project.mapFileContent?.type === 'geojson') {
+        commands.push({
+            type: 'set',
+            path: 'mapFileContent',
+            before: project.mapFileContent,
+            after: { ...project.mapFileContent, data: geojson, featureCount: geojson.features.length }
+        });
+    }
+    return { type: 'batch', commands };
+}
 
 export class MapComponent {
     constructor(containerId, options = {}) {
@@ -16,13 +39,30 @@ export class MapComponent {
             minZoom: 8,
             enableClustering: true,
             enableHeatmap: false,
-            tileLayer: CONFIG.MAP_TILE_URL,
-            attribution: CONFIG.MAP_ATTRIBUTION,
+            tileLayer: tileCache.getBasemapUrl(),
+            attribution: tileCache.getBasemapAttribution(),
             ...options
         };
         
         this.map = null;
         this.geoJsonLayer = null;
+        this.folderLayers = new Map();
+        this.folderControl = null;
+        this.overlayLayers = new Map();
+        this.overlayControl = null;
+        this.issueLayer = null;
+        this.zoningLayer = null;
+        this.zoningLegend = null;
+        this.setbackLayer = null;
+        this.rasterOverlay = null;
+        this.controlPointLayer = null;
+        this.portfolioLayer = null;
+        this.baseLayer = null;
+        this.offlineBaseLayer = null;
+        this.basemapControl = null;
+        this.editingEnabled = false;
+        this.onGeometryChange = null;
+        this.measureControl = null;
         this.markerLayer = null;
         this.clusterGroup = null;
         this.heatmapLayer = null;
@@ -32,7 +72,8 @@ export class MapComponent {
         this.renderQueue = [];
         this.isRendering = false;
         
-        this.init();
+        // Leaflet loads asynchronously; await before using this.map right after construction
+        this.ready = this.init();
     }
 
     async init() {
@@ -83,19 +124,14 @@ export class MapComponent {
         });
 
         // Add tile layer
-        L.tileLayer(this.options.tileLayer, {
+        this.baseLayer = L.tileLayer(this.options.tileLayer, {
             attribution: this.options.attribution,
             maxZoom: this.options.maxZoom
         }).addTo(this.map);
 
         // Initialize clustering if enabled
         if (this.options.enableClustering && window.L.markerClusterGroup) {
-            this.clusterGroup = L.markerClusterGroup({
-                chunkedLoading: true,
-                chunkInterval: 200,
-                chunkDelay: 50
-            });
-            this.map.addLayer(this.clusterGroup);
+            this.createClusterGroup();
         }
 
         // Add scale control
@@ -109,6 +145,15 @@ export class MapComponent {
         this.addLoadingControl();
     }
 
+    createClusterGroup() {
+        this.clusterGroup = L.markerClusterGroup({
+            chunkedLoading: true,
+            chunkInterval: 200,
+            chunkDelay: 50
+        });
+        this.map.addLayer(this.clusterGroup);
+    }
+
     addLoadingControl() {
         const LoadingControl = L.Control.extend({
             onAdd: function(map) {
@@ -184,6 +229,10 @@ export class MapComponent {
             
             // Process data in chunks for better performance
             await this.processGeoJSONInChunks(geoJsonData, options);
+            this.addFolderControl();
+            if (this.editingEnabled) {
+                this.prepareEditableLayers();
+            }
             
             // Fit bounds to data
             if (this.geoJsonLayer && this.geoJsonLayer.getBounds().isValid()) {
@@ -224,29 +273,573 @@ export class MapComponent {
     }
 
     async processGeoJSONChunk(chunkGeoJSON, options) {
-        const layer = L.geoJSON(chunkGeoJSON, {
-            style: this.getFeatureStyle.bind(this),
-            pointToLayer: this.createPointMarker.bind(this),
-            onEachFeature: this.onEachFeature.bind(this),
-            ...options
+        if (!this.geoJsonLayer) {
+            this.geoJsonLayer = L.featureGroup();
+            this.map.addLayer(this.geoJsonLayer);
+        }
+        
+        // Features from KML folders are grouped per folder
+        const byFolder = new Map();
+        chunkGeoJSON.features.forEach(feature => {
+            const folder = feature.properties?.folder || '';
+            if (!byFolder.has(folder)) byFolder.set(folder, []);
+            byFolder.get(folder).push(feature);
+        });
+        
+        byFolder.forEach((features, folder) => {
+            const layer = L.geoJSON({ type: 'FeatureCollection', features }, {
+                style: this.getFeatureStyle.bind(this),
+                pointToLayer: this.createPointMarker.bind(this),
+                onEachFeature: this.onEachFeature.bind(this),
+                ...options
+            });
+            this.getFolderLayer(folder).addLayer(layer);
+        });
+    }
+
+    getFolderLayer(folder) {
+        if (!this.folderLayers.has(folder)) {
+            const group = L.featureGroup();
+            this.folderLayers.set(folder, group);
+            this.geoJsonLayer.addLayer(group);
+        }
+        return this.folderLayers.get(folder);
+    }
+
+    // Lets folders be toggled like the feature groups of the source KML
+    addFolderControl() {
+        if (this.folderLayers.size < 2) return;
+        
+        const overlays = {};
+        this.folderLayers.forEach((group, folder) => {
+            overlays[SecurityUtils.sanitizeHTML(folder || 'Tanpa Folder')] = group;
+        });
+        this.folderControl = L.control.layers(null, overlays, { collapsed: false }).addTo(this.map);
+    }
+
+    // Supporting drawing layers (e.g. DXF building footprints), hidden until ticked in the layer control
+    displayOverlays(geoJsonData) {
+        this.clearOverlays();
+        
+        const features = geoJsonData?.features || [];
+        if (!this.map || features.length === 0) return;
+        
+        const byLayer = new Map();
+        features.forEach(feature => {
+            const name = feature.properties?.layer || 'Overlay';
+            if (!byLayer.has(name)) byLayer.set(name, []);
+            byLayer.get(name).push(feature);
+        });
+        
+        const overlays = {};
+        byLayer.forEach((layerFeatures, name) => {
+            const layer = L.geoJSON({ type: 'FeatureCollection', features: layerFeatures }, {
+                style: () => ({ color: '#616161', weight: 1, opacity: 0.9, fillOpacity: 0.05, interactive: false }),
+                pointToLayer: (feature, latlng) => {
+                    const marker = L.circleMarker(latlng, { radius: 2, color: '#616161', interactive: false });
+                    if (feature.properties?.name) {
+                        marker.bindTooltip(SecurityUtils.sanitizeHTML(feature.properties.name), { permanent: true, direction: 'right' });
+                    }
+                    return marker;
+                }
+            });
+            this.overlayLayers.set(name, layer);
+            overlays[SecurityUtils.sanitizeHTML(name)] = layer;
+        });
+        this.overlayControl = L.control.layers(null, overlays, { collapsed: true }).addTo(this.map);
+    }
+
+    clearOverlays() {
+        this.overlayLayers.forEach(layer => this.map?.removeLayer(layer));
+        this.overlayLayers.clear();
+        
+        if (this.overlayControl) {
+            this.map.removeControl(this.overlayControl);
+            this.overlayControl = null;
+        }
+    }
+
+    // Pola ruang zones under the parcel, coloured per zone type, with a legend
+    displayZoning(geoJsonData, zoneProperty) {
+        this.clearZoning();
+        
+        const features = geoJsonData?.features || [];
+        if (!this.map || features.length === 0) return;
+        
+        // Below the parcel and its overlays
+        if (!this.map.getPane('zoningPane')) {
+            this.map.createPane('zoningPane').style.zIndex = 350;
+        }
+        
+        const codes = new Set();
+        this.zoningLayer = L.geoJSON(geoJsonData, {
+            pane: 'zoningPane',
+            pmIgnore: true,
+            style: (feature) => {
+                const code = zoneCode(feature, zoneProperty);
+                codes.add(code);
+                return { color: zoneColor(code), weight: 1, opacity: 0.8, fillOpacity: 0.35 };
+            },
+            onEachFeature: (feature, layer) => {
+                layer.bindTooltip(SecurityUtils.sanitizeHTML(zoneCode(feature, zoneProperty)), { sticky: true });
+            }
+        }).addTo(this.map);
+        
+        this.zoningLegend = L.control({ position: 'bottomright' });
+        this.zoningLegend.onAdd = () => {
+            const div = L.DomUtil.create('div', 'leaflet-bar bg-white px-2 py-1 small');
+            div.innerHTML = '<strong>Pola Ruang</strong>' + [...codes].sort().map(code => `
+                <div><span class="d-inline-block me-1 align-middle" style="width:12px;height:12px;background:${zoneColor(code)}"></span>${SecurityUtils.sanitizeHTML(code)}</div>
+            `).join('');
+            return div;
+        };
+        this.zoningLegend.addTo(this.map);
+    }
+
+    clearZoning() {
+        if (this.zoningLayer) {
+            this.map?.removeLayer(this.zoningLayer);
+            this.zoningLayer = null;
+        }
+        if (this.zoningLegend) {
+            this.map?.removeControl(this.zoningLegend);
+            this.zoningLegend = null;
+        }
+    }
+
+    // Local MBTiles basemap (an MBTilesSource), shown instead of the online
+    // tiles with a switch back to them
+    displayOfflineBasemap(source) {
+        this.clearOfflineBasemap();
+        if (!this.map || !source) return;
+        
+        const { name, bounds, minZoom, maxZoom, attribution } = source.metadata;
+        const MBTilesLayer = L.GridLayer.extend({
+            createTile(coords, done) {
+                const tile = document.createElement('img');
+                const data = source.getTile(coords.z, coords.x, coords.y);
+                if (!data) {
+                    setTimeout(() => done(null, tile));
+                    return tile;
+                }
+                
+                const url = URL.createObjectURL(new Blob([data], { type: source.mimeType }));
+                tile.onload = () => {
+                    URL.revokeObjectURL(url);
+                    done(null, tile);
+                };
+                tile.onerror = () => {
+                    URL.revokeObjectURL(url);
+                    done(new Error('Ubin MBTiles rusak'), tile);
+                };
+                tile.src = url;
+                return tile;
+            }
+        });
+        
+        this.offlineBaseLayer = new MBTilesLayer({
+            attribution: SecurityUtils.sanitizeHTML(attribution),
+            minNativeZoom: minZoom ?? undefined,
+            maxNativeZoom: maxZoom ?? undefined,
+            maxZoom: this.options.maxZoom,
+            bounds: bounds ? L.latLngBounds([bounds[1], bounds[0]], [bounds[3], bounds[2]]) : undefined
+        });
+        
+        this.map.removeLayer(this.baseLayer);
+        this.offlineBaseLayer.addTo(this.map);
+        this.basemapControl = L.control.layers({
+            [`${SecurityUtils.sanitizeHTML(name)} (offline)`]: this.offlineBaseLayer,
+            [tileCache.getTileSource() ? 'Peta dasar online' : 'OpenStreetMap']: this.baseLayer
+        }, {}, { position: 'topright' }).addTo(this.map);
+    }
+
+    clearOfflineBasemap() {
+        if (this.basemapControl) {
+            this.map?.removeControl(this.basemapControl);
+            this.basemapControl = null;
+        }
+        if (this.offlineBaseLayer) {
+            this.map?.removeLayer(this.offlineBaseLayer);
+            this.offlineBaseLayer = null;
+            if (this.map && this.baseLayer && !this.map.hasLayer(this.baseLayer)) {
+                this.baseLayer.addTo(this.map);
+            }
+        }
+    }
+
+    // Setback buffers per type ({ type: [lon/lat rings] }); rings are drawn
+    // as one nonzero-filled polygon per type so that overlaps show as a union
+    displaySetbacks(buffers) {
+        this.clearSetbacks();
+        if (!this.map || Object.keys(buffers || {}).length === 0) return;
+        
+        // Above the zoning map, below the parcel
+        if (!this.map.getPane('setbackPane')) {
+            this.map.createPane('setbackPane').style.zIndex = 360;
+        }
+        
+        this.setbackLayer = L.featureGroup([], { pmIgnore: true });
+        Object.entries(buffers).forEach(([type, rings]) => {
+            const { label, color } = SETBACK_TYPES[type];
+            L.polygon(rings.map(ring => ring.map(([lon, lat]) => [lat, lon])), {
+                pane: 'setbackPane',
+                pmIgnore: true,
+                color,
+                weight: 1,
+                dashArray: '4 3',
+                fillColor: color,
+                fillOpacity: 0.3,
+                fillRule: 'nonzero'
+            })
+                .bindTooltip(SecurityUtils.sanitizeHTML(label), { sticky: true })
+                .addTo(this.setbackLayer);
+        });
+        this.setbackLayer.addTo(this.map);
+    }
+
+    clearSetbacks() {
+        if (this.setbackLayer) {
+            this.map?.removeLayer(this.setbackLayer);
+            this.setbackLayer = null;
+        }
+    }
+
+    // Georeferenced scan (a north-up Web Mercator image) to digitize from;
+    // above the zoning and setbacks, below the parcel
+    displayRasterOverlay(url, [west, south, east, north], opacity = 0.7) {
+        this.clearRasterOverlay();
+        if (!this.map) return;
+        
+        if (!this.map.getPane('rasterPane')) {
+            this.map.createPane('rasterPane').style.zIndex = 370;
+        }
+        
+        this.rasterOverlay = L.imageOverlay(url, [[south, west], [north, east]], {
+            pane: 'rasterPane',
+            pmIgnore: true,
+            opacity,
+            interactive: false
+        }).addTo(this.map);
+    }
+
+    setRasterOpacity(opacity) {
+        this.rasterOverlay?.setOpacity(opacity);
+    }
+
+    clearRasterOverlay() {
+        if (this.rasterOverlay) {
+            this.map?.removeLayer(this.rasterOverlay);
+            this.rasterOverlay = null;
+        }
+    }
+
+    // Georeferencing control points ({ lonLat, error }), numbered from 1,
+    // with the residual of each in its tooltip
+    displayControlPoints(points) {
+        this.clearControlPoints();
+        if (!this.map || points.length === 0) return;
+        
+        this.controlPointLayer = L.featureGroup([], { pmIgnore: true });
+        points.forEach(({ lonLat: [lon, lat], error }, index) => {
+            const tooltip = Number.isFinite(error) ? `${index + 1} (galat ${error.toFixed(2)} m)` : `${index + 1}`;
+            L.circleMarker([lat, lon], { radius: 6, color: '#ffffff', weight: 2, fillColor: '#e65100', fillOpacity: 1, pmIgnore: true })
+                .bindTooltip(tooltip, { permanent: true, direction: 'right', offset: [6, 0] })
+                .addTo(this.controlPointLayer);
+        });
+        this.controlPointLayer.addTo(this.map);
+    }
+
+    clearControlPoints() {
+        if (this.controlPointLayer) {
+            this.map?.removeLayer(this.controlPointLayer);
+            this.controlPointLayer = null;
+        }
+    }
+
+    // Every project with a parcel (buildPortfolio entries): the parcel outline
+    // and a clustered marker at its centre, coloured by colorOf(entry); the
+    // popup opens the project through onOpen(id)
+    async displayPortfolio(entries, { colorOf, onOpen }) {
+        await this.ready;
+        if (!window.L.markerClusterGroup) {
+            await loadScript(CONFIG.LEAFLET_MARKERCLUSTER_URL);
+        }
+        if (!this.clusterGroup) {
+            this.createClusterGroup();
+        }
+        this.clearPortfolio();
+        
+        this.portfolioLayer = L.featureGroup([], { pmIgnore: true });
+        const markers = entries.map(entry => {
+            const color = colorOf(entry);
+            const popup = () => this.createPortfolioPopup(entry, onOpen);
+            
+            L.geoJSON(entry.geojson, {
+                pmIgnore: true,
+                filter: (feature) => ['Polygon', 'MultiPolygon'].includes(feature.geometry?.type),
+                style: () => ({ color, weight: 2, opacity: 0.9, fillOpacity: 0.25 })
+            }).bindPopup(popup).addTo(this.portfolioLayer);
+            
+            const [lon, lat] = entry.centroid;
+            return L.circleMarker([lat, lon], { radius: 8, color: '#ffffff', weight: 2, fillColor: color, fillOpacity: 0.9 })
+                .bindTooltip(SecurityUtils.sanitizeHTML(entry.name))
+                .bindPopup(popup);
         });
         
+        this.portfolioLayer.addTo(this.map);
+        this.clusterGroup.addLayers(markers);
+        
+        if (markers.length > 0) {
+            this.fitBounds(L.latLngBounds(markers.map(marker => marker.getLatLng())), { maxZoom: 15 });
+        }
+    }
+
+    createPortfolioPopup(entry, onOpen) {
+        const div = document.createElement('div');
+        div.innerHTML = `
+            <h6 class="mb-1">${SecurityUtils.sanitizeHTML(entry.name)}</h6>
+            <div class="small">
+                ${entry.pemohon ? `<div>Pemohon: ${SecurityUtils.sanitizeHTML(entry.pemohon)}</div>` : ''}
+                ${entry.kecamatan ? `<div>Kecamatan: ${SecurityUtils.sanitizeHTML(entry.kecamatan)}</div>` : ''}
+                ${entry.peruntukan ? `<div>Peruntukan: ${SecurityUtils.sanitizeHTML(entry.peruntukan)}</div>` : ''}
+                <div>Status: ${entry.status}</div>
+            </div>
+            <button type="button" class="btn btn-sm btn-primary mt-2">Buka Proyek</button>
+        `;
+        div.querySelector('button').addEventListener('click', () => onOpen(entry.id));
+        return div;
+    }
+
+    clearPortfolio() {
+        if (this.portfolioLayer) {
+            this.map?.removeLayer(this.portfolioLayer);
+            this.portfolioLayer = null;
+        }
+        this.clusterGroup?.clearLayers();
+    }
+
+    // Density of points ([lon, lat]) as a heat layer (Leaflet.heat)
+    async displayHeatmap(points) {
+        await this.ready;
+        if (!window.L.heatLayer) {
+            await loadScript(CONFIG.LEAFLET_HEAT_URL);
+        }
+        
+        this.clearHeatmap();
+        this.heatmapLayer = L.heatLayer(points.map(([lon, lat]) => [lat, lon]), {
+            radius: 25,
+            blur: 20,
+            maxZoom: 14
+        }).addTo(this.map);
+    }
+
+    clearHeatmap() {
+        if (this.heatmapLayer) {
+            this.map?.removeLayer(this.heatmapLayer);
+            this.heatmapLayer = null;
+        }
+    }
+
+    // Outlines features with geometry issues and marks where each issue is
+    highlightGeometryIssues(geoJsonData, issues) {
+        this.clearGeometryIssues();
+        if (!this.map || !issues?.length) return;
+        
+        this.issueLayer = L.featureGroup([], { pmIgnore: true });
+        const features = geoJsonData?.features || [];
+        
+        new Set(issues.map(issue => issue.featureIndex)).forEach(featureIndex => {
+            const featureIssues = issues.filter(issue => issue.featureIndex === featureIndex);
+            const color = featureIssues.some(issue => issue.severity === 'error') ? '#dc3545' : '#fd7e14';
+            
+            // Swapped or invalid coordinates cannot be drawn where they belong
+            const drawable = features[featureIndex]?.geometry
+                && !featureIssues.some(issue => ['null-geometry', 'invalid-coordinates', 'swapped-axes'].includes(issue.code));
+            if (drawable) {
+                L.geoJSON(features[featureIndex], {
+                    pmIgnore: true,
+                    interactive: false,
+                    style: () => ({ color, weight: 3, dashArray: '6 4', fill: false }),
+                    pointToLayer: (feature, latlng) => L.circleMarker(latlng, { radius: 10, color, fill: false, pmIgnore: true })
+                }).addTo(this.issueLayer);
+            }
+            
+            featureIssues.filter(issue => issue.location).forEach(issue => {
+                L.circleMarker([issue.location[1], issue.location[0]], {
+                    radius: 6, color, fillColor: color, fillOpacity: 0.8, pmIgnore: true
+                })
+                    .bindTooltip(SecurityUtils.sanitizeHTML(`Fitur ${featureIndex + 1}: ${issue.message}`))
+                    .addTo(this.issueLayer);
+            });
+        });
+        
+        this.issueLayer.addTo(this.map);
+    }
+
+    clearGeometryIssues() {
+        if (this.issueLayer) {
+            this.map?.removeLayer(this.issueLayer);
+            this.issueLayer = null;
+        }
+    }
+
+    // Draw/edit tools (Leaflet-Geoman): polygon, rectangle and point, vertex
+    // drag/insert/delete with snapping. onChange receives the edited FeatureCollection.
+    async enableEditing(onChange) {
+        if (!this.isInitialized) {
+            await this.init();
+        }
+        if (!window.L.PM) {
+            await loadScript(CONFIG.LEAFLET_GEOMAN_URL);
+        }
+        
+        this.onGeometryChange = onChange;
+        if (this.editingEnabled) return;
+        this.editingEnabled = true;
+        
+        this.map.pm.setLang('id');
+        this.map.pm.addControls({
+            position: 'topleft',
+            drawMarker: true,
+            drawPolygon: true,
+            drawRectangle: true,
+            drawPolyline: false,
+            drawCircle: false,
+            drawCircleMarker: false,
+            drawText: false,
+            editMode: true,
+            dragMode: false,
+            cutPolygon: false,
+            rotateMode: false,
+            removalMode: true
+        });
+        this.addMeasureControl();
+        
+        this.map.on('pm:drawstart', ({ workingLayer }) => {
+            workingLayer.on('pm:vertexadded', () => this.showMeasurement(workingLayer));
+        });
+        this.map.on('pm:create', ({ layer }) => {
+            layer.feature = { type: 'Feature', properties: { sumber: 'Digambar' } };
+            this.watchEditableLayer(layer);
+            this.showMeasurement(layer);
+            this.emitGeometryChange();
+        });
+        this.map.on('pm:remove', () => this.emitGeometryChange());
+        
+        this.prepareEditableLayers();
+    }
+
+    // New shapes join the unfoldered group; shown features report their edits
+    prepareEditableLayers() {
         if (!this.geoJsonLayer) {
-            this.geoJsonLayer = L.layerGroup();
+            this.geoJsonLayer = L.featureGroup();
             this.map.addLayer(this.geoJsonLayer);
         }
         
-        this.geoJsonLayer.addLayer(layer);
+        this.map.pm.setGlobalOptions({
+            snappable: true,
+            snapDistance: 15,
+            allowSelfIntersection: false,
+            layerGroup: this.getFolderLayer('')
+        });
+        
+        this.geoJsonLayer.eachLayer(function watch(layer) {
+            if (layer instanceof L.LayerGroup) {
+                layer.eachLayer(watch, this);
+            } else if (!layer.options.pmIgnore) {
+                this.watchEditableLayer(layer);
+            }
+        }, this);
+    }
+
+    watchEditableLayer(layer) {
+        layer.on('pm:markerdrag pm:vertexadded pm:vertexremoved', () => this.showMeasurement(layer));
+        layer.on('pm:edit', () => {
+            this.showMeasurement(layer);
+            this.emitGeometryChange();
+        });
+    }
+
+    emitGeometryChange() {
+        if (this.onGeometryChange) {
+            this.onGeometryChange(this.getEditedGeoJSON());
+        }
+    }
+
+    // Features as currently drawn on the map, in the shape they were loaded
+    getEditedGeoJSON() {
+        const features = [];
+        const collect = (layer) => {
+            if (layer.options?.pmIgnore) return;
+            
+            if (layer instanceof L.LayerGroup && !layer.feature) {
+                layer.eachLayer(collect);
+            } else if (layer instanceof L.LayerGroup) {
+                // Numbered point: the circle marker carries the position
+                const circle = layer.getLayers().find(child => child instanceof L.CircleMarker);
+                if (circle) {
+                    features.push({ ...layer.feature, geometry: circle.toGeoJSON(false).geometry });
+                }
+            } else {
+                features.push(layer.toGeoJSON(false));
+            }
+        };
+        
+        if (this.geoJsonLayer) collect(this.geoJsonLayer);
+        return { type: 'FeatureCollection', features };
+    }
+
+    addMeasureControl() {
+        this.measureControl = L.control({ position: 'bottomleft' });
+        this.measureControl.onAdd = () => {
+            const div = L.DomUtil.create('div', 'leaflet-bar bg-white px-2 py-1 small');
+            div.textContent = 'Pilih alat gambar atau edit untuk mengukur bidang';
+            return div;
+        };
+        this.measureControl.addTo(this.map);
+    }
+
+    // Live area and perimeter of the shape being drawn or edited
+    showMeasurement(layer) {
+        const container = this.measureControl?.getContainer();
+        if (!container) return;
+        
+        if (layer instanceof L.CircleMarker || layer instanceof L.Marker) {
+            const { lat, lng } = layer.getLatLng();
+            container.textContent = `Titik: ${lat.toFixed(6)}, ${lng.toFixed(6)}`;
+            return;
+        }
+        
+        let geometry;
+        if (layer instanceof L.Polygon) {
+            geometry = layer.toGeoJSON(false).geometry;
+        } else {
+            // The working layer while drawing is an open line; close it to measure
+            const ring = layer.getLatLngs().map(({ lat, lng }) => [lng, lat]);
+            if (ring.length < 3) {
+                container.textContent = `${ring.length} titik`;
+                return;
+            }
+            geometry = { type: 'Polygon', coordinates: [[...ring, ring[0]]] };
+        }
+        
+        const measurement = measureParcel({ type: 'FeatureCollection', features: [{ type: 'Feature', properties: {}, geometry }] });
+        if (!measurement) return;
+        
+        const number = (value) => value.toLocaleString('id-ID', { maximumFractionDigits: 2 });
+        container.textContent = `Luas: ${number(measurement.area)} m² (${number(measurement.areaHa)} ha) · Keliling: ${number(measurement.perimeter)} m`;
     }
 
     getFeatureStyle(feature) {
-        // Default style with performance optimizations
+        const properties = feature?.properties || {};
+        
+        // Default style with performance optimizations, overridden by styles from the source file
         return {
-            color: '#0D47A1',
-            weight: 2,
-            opacity: 0.8,
-            fillColor: '#4CAF50',
-            fillOpacity: 0.3,
+            color: properties.stroke || '#0D47A1',
+            weight: properties['stroke-width'] ?? 2,
+            opacity: properties['stroke-opacity'] ?? 0.8,
+            fillColor: properties.fill || '#4CAF50',
+            fillOpacity: properties['fill-opacity'] ?? 0.3,
             interactive: true
         };
     }
@@ -258,7 +851,7 @@ export class MapComponent {
         // Create custom marker with number
         const marker = L.circleMarker(latlng, {
             radius: 8,
-            fillColor: '#0D47A1',
+            fillColor: properties['marker-color'] || '#0D47A1',
             color: 'white',
             weight: 2,
             opacity: 1,
@@ -273,10 +866,13 @@ export class MapComponent {
             iconAnchor: [10, 10]
         });
         
-        const numberMarker = L.marker(latlng, { icon });
+        // The label follows the point when it is edited on the map
+        const numberMarker = L.marker(latlng, { icon, pmIgnore: true });
+        marker.on('pm:edit', () => numberMarker.setLatLng(marker.getLatLng()));
         
         // Group marker and number
         const group = L.layerGroup([marker, numberMarker]);
+        marker.on('pm:remove', () => group.removeLayer(numberMarker));
         
         return group;
     }
@@ -310,8 +906,8 @@ export class MapComponent {
         let content = '<div class="popup-content">';
         
         for (const [key, value] of Object.entries(properties)) {
-            if (value !== null && value !== undefined && value !== '') {
-                content += `<div><strong>${key}:</strong> ${value}</div>`;
+            if (value !== null && value !== undefined && value !== '' && !STYLE_PROPERTIES.includes(key)) {
+                content += `<div><strong>${SecurityUtils.sanitizeHTML(key)}:</strong> ${SecurityUtils.sanitizeHTML(String(value))}</div>`;
             }
         }
         
@@ -336,8 +932,9 @@ export class MapComponent {
     }
 
     resetHighlight(e) {
-        if (this.geoJsonLayer && e.target.setStyle) {
-            this.geoJsonLayer.resetStyle(e.target);
+        // Feature groups have no resetStyle; restore the feature's own style
+        if (e.target.setStyle && e.target.feature) {
+            e.target.setStyle(this.getFeatureStyle(e.target.feature));
         }
     }
 
@@ -452,6 +1049,17 @@ export class MapComponent {
             this.map.removeLayer(this.geoJsonLayer);
             this.geoJsonLayer = null;
         }
+        this.folderLayers.clear();
+        
+        if (this.folderControl) {
+            this.map.removeControl(this.folderControl);
+            this.folderControl = null;
+        }
+        
+        this.clearOverlays();
+        this.clearGeometryIssues();
+        this.clearZoning();
+        this.clearSetbacks();
         
         if (this.markerLayer) {
             this.map.removeLayer(this.markerLayer);
@@ -486,23 +1094,17 @@ export class MapComponent {
         return btoa(JSON.stringify(data)).slice(0, 16);
     }
 
-    // Screenshot functionality
+    // Print layout of the data on the map, showing the current view
     async captureScreenshot(options = {}) {
         performanceMonitor.startTiming('captureScreenshot');
         
         try {
-            // Import html2canvas dynamically
-            if (!window.html2canvas) {
-                await this.loadHtml2Canvas();
-            }
-            
-            const mapContainer = this.map.getContainer();
-            
-            const canvas = await html2canvas(mapContainer, {
-                useCORS: true,
-                allowTaint: true,
-                scale: 2,
-                backgroundColor: '#ffffff',
+            const view = this.map.getBounds();
+            const canvas = await mapLayoutComposer.render({
+                geojson: this.currentData,
+                bounds: [view.getWest(), view.getSouth(), view.getEast(), view.getNorth()],
+                getTile: (z, x, y) => tileCache.getTileBlob(z, x, y),
+                attribution: this.options.attribution,
                 ...options
             });
             
@@ -515,16 +1117,6 @@ export class MapComponent {
         }
     }
 
-    async loadHtml2Canvas() {
-        return new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = 'https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js';
-            script.onload = resolve;
-            script.onerror = reject;
-            document.head.appendChild(script);
-        });
-    }
-
     // Utility methods
     fitBounds(bounds, options = {}) {
         if (bounds && bounds.isValid()) {
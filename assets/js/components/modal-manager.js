@@ -3,8 +3,17 @@
  * Centralized modal handling with dynamic creation and management
  */
 
-import { performanceMonitor, lazyLoader } from '../utils/performance.js';
-import { projectStorage, settingsStorage } from '../core/storage.js';
+import { CONFIG, ERROR_MESSAGES, SUCCESS_MESSAGES } from '../config.js';
+import { performanceMonitor, lazyLoader, FileProcessor } from '../utils/performance.js';
+import { projectStorage, settingsStorage, vaultStorage, dbManager, createAttachment } from '../core/storage.js';
+import { vault } from '../core/vault.js';
+import { backupService } from '../services/backup-service.js';
+import { COORDINATE_SYSTEMS } from '../services/crs.js';
+import { zoningLayer } from '../services/zoning.js';
+import { setbackLayers, SETBACK_LAYERS } from '../services/setback.js';
+import { adminBoundary, ADMIN_LEVELS } from '../services/admin-boundary.js';
+import { tileCache, countTiles, estimateSeedSize } from '../services/tile-cache.js';
+import { SecurityUtils } from '../utils/security.js';
 import { aiIntegration } from './ai-integration.js';
 
 export class ModalManager {
@@ -85,10 +94,72 @@ export class ModalManager {
                                 </ul>
                             </div>
                             <hr>
+                            <div class="mb-3">
+                                <label class="form-label">Peta Pola Ruang RTRW</label>
+                                <p class="form-text">Poligon pola ruang/zonasi resmi (GeoJSON atau Shapefile .zip). Bidang setiap proyek ditumpangsusunkan dengan peta ini untuk mengisi Analisis Zona secara otomatis sebelum analisis AI.</p>
+                                <div id="zoning-layer-settings"></div>
+                                <input type="file" id="zoning-layer-input" class="d-none" accept=".geojson,.json,.zip">
+                            </div>
+                            <hr>
+                            <div class="mb-3">
+                                <label class="form-label">Lapisan Garis Sempadan</label>
+                                <p class="form-text">Garis sungai, jalan (dengan fungsi arteri/kolektor/lokal) dan rel kereta (GeoJSON atau Shapefile .zip). Garis diberi buffer sesuai jarak sempadan Perda untuk menghitung bagian bidang yang berada di dalam sempadan.</p>
+                                <div id="setback-layer-settings"></div>
+                                <input type="file" id="setback-layer-input" class="d-none" accept=".geojson,.json,.zip">
+                            </div>
+                            <hr>
+                            <div class="mb-3">
+                                <label class="form-label">Batas Administrasi</label>
+                                <p class="form-text">Poligon batas kecamatan dan desa/kelurahan Kabupaten Garut (GeoJSON atau Shapefile .zip, misalnya dari BIG atau BPS). Lapisan se-provinsi perlu kolom kabupaten seperti WADMKK, dan hanya wilayah Garut yang disimpan; lapisan tanpa kolom itu harus berada di dalam wilayah Garut. Kecamatan dan desa bidang diisikan otomatis dan dibandingkan dengan alamat pada surat; bidang di luar kabupaten ditolak.</p>
+                                <div id="admin-boundary-settings"></div>
+                                <input type="file" id="admin-boundary-input" class="d-none" accept=".geojson,.json,.zip">
+                            </div>
+                            <hr>
+                            <div class="mb-3">
+                                <label class="form-label">Peta Dasar Offline</label>
+                                <p class="form-text">Ubin peta dasar untuk suatu area disimpan di browser agar peta tetap tampil tanpa koneksi; ubin yang pernah dilihat juga disimpan otomatis (maksimal ± 2.000 ubin terakhir). Server OpenStreetMap tidak mengizinkan unduhan massal: isi sumber ubin yang ketentuannya mengizinkan (misalnya server ubin instansi), atau gunakan MBTiles di bawah.</p>
+                                <div class="row g-2 mb-2">
+                                    <div class="col-8"><label class="form-label small mb-0" for="tile-source-url">Sumber ubin (URL {z}/{x}/{y})</label><input type="url" class="form-control form-control-sm" id="tile-source-url" placeholder="https://tiles.contoh.go.id/{z}/{x}/{y}.png"></div>
+                                    <div class="col-4"><label class="form-label small mb-0" for="tile-source-attribution">Atribusi</label><input type="text" class="form-control form-control-sm" id="tile-source-attribution"></div>
+                                    <div class="col-3"><label class="form-label small mb-0" for="tile-seed-west">Barat</label><input type="number" step="0.01" class="form-control form-control-sm" id="tile-seed-west" data-tile-seed value="${CONFIG.TILE_SEED_BOUNDS[0]}"></div>
+                                    <div class="col-3"><label class="form-label small mb-0" for="tile-seed-south">Selatan</label><input type="number" step="0.01" class="form-control form-control-sm" id="tile-seed-south" data-tile-seed value="${CONFIG.TILE_SEED_BOUNDS[1]}"></div>
+                                    <div class="col-3"><label class="form-label small mb-0" for="tile-seed-east">Timur</label><input type="number" step="0.01" class="form-control form-control-sm" id="tile-seed-east" data-tile-seed value="${CONFIG.TILE_SEED_BOUNDS[2]}"></div>
+                                    <div class="col-3"><label class="form-label small mb-0" for="tile-seed-north">Utara</label><input type="number" step="0.01" class="form-control form-control-sm" id="tile-seed-north" data-tile-seed value="${CONFIG.TILE_SEED_BOUNDS[3]}"></div>
+                                    <div class="col-3"><label class="form-label small mb-0" for="tile-seed-min-zoom">Zoom min</label><input type="number" min="0" max="19" class="form-control form-control-sm" id="tile-seed-min-zoom" data-tile-seed value="${CONFIG.TILE_SEED_MIN_ZOOM}"></div>
+                                    <div class="col-3"><label class="form-label small mb-0" for="tile-seed-max-zoom">Zoom maks</label><input type="number" min="0" max="19" class="form-control form-control-sm" id="tile-seed-max-zoom" data-tile-seed value="${CONFIG.TILE_SEED_MAX_ZOOM}"></div>
+                                </div>
+                                <p class="small mb-2" id="tile-seed-estimate"></p>
+                                <div class="progress mb-2 d-none" id="tile-seed-progress"><div class="progress-bar" role="progressbar" style="width: 0%"></div></div>
+                                <button type="button" class="btn btn-outline-primary me-2" id="tile-seed-btn"><i class="bi bi-cloud-download"></i> Unduh Ubin Area</button>
+                                <button type="button" class="btn btn-outline-warning me-2 d-none" id="tile-seed-cancel-btn"><i class="bi bi-x-circle"></i> Batalkan</button>
+                                <button type="button" class="btn btn-outline-danger" id="tile-cache-clear-btn"><i class="bi bi-trash"></i> Kosongkan Cache</button>
+                                <p class="form-text" id="tile-cache-status"></p>
+                                <label class="form-label">Peta Dasar MBTiles</label>
+                                <p class="form-text">File .mbtiles raster (misalnya hasil ekspor QGIS) dipakai sebagai peta dasar tanpa koneksi.</p>
+                                <div id="mbtiles-settings"></div>
+                                <input type="file" id="mbtiles-input" class="d-none" accept=".mbtiles">
+                            </div>
+                            <hr>
+                            <div class="mb-3">
+                                <label for="history-retention-input" class="form-label">Jumlah Riwayat Revisi per Proyek</label>
+                                <input type="number" class="form-control" id="history-retention-input" min="1" max="500">
+                                <p class="form-text">Revisi terlama akan dihapus otomatis bila jumlahnya melebihi batas ini.</p>
+                            </div>
+                            <div class="mb-3">
+                                <label for="coordinate-system-select" class="form-label">Sistem Koordinat Tabel KRK</label>
+                                <select class="form-select" id="coordinate-system-select">${this.renderCoordinateSystemOptions()}</select>
+                                <p class="form-text">Bawaan untuk proyek baru; dapat diubah per proyek di editor.</p>
+                            </div>
+                            <hr>
+                            <h5>Keamanan</h5>
+                            <p class="form-text">Brankas mengenkripsi Kunci API (dan opsional data proyek) dengan kata sandi. Kata sandi tidak disimpan dan tidak dapat dipulihkan; tanpa kata sandi, data terenkripsi tidak dapat dibuka.</p>
+                            <div id="vault-settings" class="mb-3"></div>
+                            <hr>
                             <h5>Manajemen Data</h5>
+                            <p class="form-text">Ekspor menghasilkan arsip .zip berisi proyek, pengaturan, riwayat revisi, riwayat feedback AI, file unggahan, dan template kustom.</p>
                             <button class="btn btn-success me-2" id="export-data-btn"><i class="bi bi-download"></i> Ekspor Semua Data</button>
                             <button class="btn btn-info" id="import-data-btn-wrapper"><i class="bi bi-upload"></i> Impor Data</button>
-                            <input type="file" id="import-data-input" class="d-none" accept=".json">
+                            <input type="file" id="import-data-input" class="d-none" accept=".zip,.json">
                         </div>
                         <div class="modal-footer">
                             <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Tutup</button>
@@ -266,6 +337,200 @@ export class ModalManager {
         return modal;
     }
 
+    // Revision History Modal
+    async createHistoryModal() {
+        if (this.modals.has('history')) return this.modals.get('history');
+
+        const modalHtml = `
+            <div class="modal fade" id="historyModal" tabindex="-1" aria-labelledby="historyModalLabel" aria-hidden="true">
+                <div class="modal-dialog modal-xl">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title" id="historyModalLabel"><i class="bi bi-clock-history"></i> Riwayat Revisi Proyek</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                        </div>
+                        <div class="modal-body">
+                            <div id="history-content"></div>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Tutup</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const modal = this.createModalFromHTML(modalHtml, 'history');
+        return modal;
+    }
+
+    // Storage Dashboard Modal
+    async createStorageModal() {
+        if (this.modals.has('storage')) return this.modals.get('storage');
+
+        const modalHtml = `
+            <div class="modal fade" id="storageModal" tabindex="-1" aria-labelledby="storageModalLabel" aria-hidden="true">
+                <div class="modal-dialog modal-xl">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title" id="storageModalLabel"><i class="bi bi-hdd"></i> Penggunaan Penyimpanan</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                        </div>
+                        <div class="modal-body">
+                            <div id="storage-content"></div>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Tutup</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const modal = this.createModalFromHTML(modalHtml, 'storage');
+        return modal;
+    }
+
+    // Coordinate List Import Modal
+    async createCoordinateImportModal() {
+        if (this.modals.has('coordinateImport')) return this.modals.get('coordinateImport');
+
+        const modalHtml = `
+            <div class="modal fade" id="coordinateImportModal" tabindex="-1" aria-labelledby="coordinateImportModalLabel" aria-hidden="true">
+                <div class="modal-dialog modal-xl">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title" id="coordinateImportModalLabel"><i class="bi bi-table"></i> Impor Daftar Koordinat</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                        </div>
+                        <div class="modal-body">
+                            <div id="coordinate-import-content"></div>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Batal</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const modal = this.createModalFromHTML(modalHtml, 'coordinateImport');
+        return modal;
+    }
+
+    // Vault Unlock Modal
+    async createVaultUnlockModal() {
+        if (this.modals.has('vaultUnlock')) return this.modals.get('vaultUnlock');
+
+        const modalHtml = `
+            <div class="modal fade" id="vaultUnlockModal" tabindex="-1" aria-labelledby="vaultUnlockModalLabel" aria-hidden="true" data-bs-backdrop="static">
+                <div class="modal-dialog">
+                    <div class="modal-content">
+                        <form id="vault-unlock-form">
+                            <div class="modal-header">
+                                <h5 class="modal-title" id="vaultUnlockModalLabel"><i class="bi bi-shield-lock"></i> Buka Brankas</h5>
+                            </div>
+                            <div class="modal-body">
+                                <p>Data terenkripsi. Masukkan kata sandi brankas untuk membukanya.</p>
+                                <input type="password" class="form-control" id="vault-passphrase-input" autocomplete="current-password" placeholder="Kata sandi brankas">
+                                <div class="invalid-feedback" id="vault-unlock-error">Kata sandi salah.</div>
+                            </div>
+                            <div class="modal-footer">
+                                <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Lanjutkan Tanpa Membuka</button>
+                                <button type="submit" class="btn btn-primary" id="vault-unlock-btn">Buka Kunci</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const modal = this.createModalFromHTML(modalHtml, 'vaultUnlock');
+        this.bindVaultUnlockModalEvents(modal);
+        
+        return modal;
+    }
+
+    // Passphrase of a sealed backup archive
+    async createBackupPassphraseModal() {
+        if (this.modals.has('backupPassphrase')) return this.modals.get('backupPassphrase');
+
+        const modalHtml = `
+            <div class="modal fade" id="backupPassphraseModal" tabindex="-1" aria-labelledby="backupPassphraseModalLabel" aria-hidden="true">
+                <div class="modal-dialog">
+                    <div class="modal-content">
+                        <form id="backup-passphrase-form">
+                            <div class="modal-header">
+                                <h5 class="modal-title" id="backupPassphraseModalLabel"><i class="bi bi-file-earmark-lock"></i> Arsip Terenkripsi</h5>
+                                <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                            </div>
+                            <div class="modal-body">
+                                <p>${ERROR_MESSAGES.BACKUP_PASSPHRASE_REQUIRED}</p>
+                                <input type="password" class="form-control" id="backup-passphrase-input" autocomplete="off" placeholder="Kata sandi brankas">
+                                <div class="invalid-feedback">Kata sandi salah.</div>
+                            </div>
+                            <div class="modal-footer">
+                                <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Batal</button>
+                                <button type="submit" class="btn btn-primary" id="backup-passphrase-btn">Buka Arsip</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const modal = this.createModalFromHTML(modalHtml, 'backupPassphrase');
+        document.getElementById('backup-passphrase-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.openBackup(this.pendingBackupFile, document.getElementById('backup-passphrase-input').value);
+        });
+        document.getElementById('backupPassphraseModal')?.addEventListener('shown.bs.modal', () => {
+            document.getElementById('backup-passphrase-input')?.focus();
+        });
+
+        return modal;
+    }
+
+    // Import / Backup Restore Preview Modal
+    async createRestoreModal() {
+        if (this.modals.has('restore')) return this.modals.get('restore');
+
+        const modalHtml = `
+            <div class="modal fade" id="restoreModal" tabindex="-1" aria-labelledby="restoreModalLabel" aria-hidden="true">
+                <div class="modal-dialog modal-lg">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title" id="restoreModalLabel"><i class="bi bi-archive"></i> Impor Data</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                        </div>
+                        <div class="modal-body">
+                            <div class="mb-3">
+                                <div class="form-check form-check-inline">
+                                    <input class="form-check-input" type="radio" name="restore-mode" id="restore-mode-replace" value="replace" checked>
+                                    <label class="form-check-label" for="restore-mode-replace">Ganti semua data</label>
+                                </div>
+                                <div class="form-check form-check-inline">
+                                    <input class="form-check-input" type="radio" name="restore-mode" id="restore-mode-merge" value="merge">
+                                    <label class="form-check-label" for="restore-mode-merge">Gabungkan dengan data saat ini</label>
+                                </div>
+                            </div>
+                            <div id="restore-preview-content"></div>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Batal</button>
+                            <button type="button" class="btn btn-danger" id="confirm-restore-btn">Impor</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const modal = this.createModalFromHTML(modalHtml, 'restore');
+        this.bindRestoreModalEvents(modal);
+        
+        return modal;
+    }
+
     // Preview Modal
     async createPreviewModal() {
         if (this.modals.has('preview')) return this.modals.get('preview');
@@ -334,6 +599,111 @@ export class ModalManager {
         exportBtn?.addEventListener('click', () => this.handleExportData());
         importBtn?.addEventListener('click', () => importInput.click());
         importInput?.addEventListener('change', (e) => this.handleImportData(e));
+
+        // Refresh on open, the vault may have locked or unlocked since
+        document.getElementById('settingsModal')?.addEventListener('show.bs.modal', () => this.loadSettingsData());
+
+        const vaultSettings = document.getElementById('vault-settings');
+        vaultSettings?.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-vault-action]')?.dataset.vaultAction;
+            if (action) this.handleVaultAction(action);
+        });
+        vaultSettings?.addEventListener('change', (e) => {
+            if (e.target.id === 'vault-encrypt-projects-toggle') {
+                this.handleVaultProjectEncryption(e.target);
+            }
+        });
+
+        const zoningSettings = document.getElementById('zoning-layer-settings');
+        const zoningInput = document.getElementById('zoning-layer-input');
+        zoningSettings?.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-zoning-action]')?.dataset.zoningAction;
+            if (action === 'upload') zoningInput.click();
+            if (action === 'remove') this.handleRemoveZoningLayer();
+        });
+        zoningSettings?.addEventListener('change', async (e) => {
+            if (e.target.id !== 'zoning-property-select') return;
+            try {
+                await zoningLayer.setZoneProperty(e.target.value);
+                this.showToast('success', 'Kolom kode zona disimpan');
+            } catch (error) {
+                console.error('Zone property save error:', error);
+                this.showToast('error', `Gagal menyimpan kolom kode zona: ${error.message}`);
+            }
+        });
+        zoningInput?.addEventListener('change', (e) => this.handleZoningLayerUpload(e));
+
+        const setbackSettings = document.getElementById('setback-layer-settings');
+        const setbackInput = document.getElementById('setback-layer-input');
+        setbackSettings?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-setback-action]');
+            if (!button) return;
+            if (button.dataset.setbackAction === 'upload') {
+                setbackInput.dataset.layer = button.dataset.layer;
+                setbackInput.click();
+            }
+            if (button.dataset.setbackAction === 'remove') this.handleRemoveSetbackLayer(button.dataset.layer);
+        });
+        setbackSettings?.addEventListener('change', async (e) => {
+            if (e.target.id !== 'road-class-select') return;
+            try {
+                await setbackLayers.setRoadClassProperty(e.target.value || null);
+                this.showToast('success', 'Kolom fungsi jalan disimpan');
+            } catch (error) {
+                console.error('Road class property save error:', error);
+                this.showToast('error', `Gagal menyimpan kolom fungsi jalan: ${error.message}`);
+            }
+        });
+        setbackInput?.addEventListener('change', (e) => this.handleSetbackLayerUpload(e));
+
+        const adminSettings = document.getElementById('admin-boundary-settings');
+        const adminInput = document.getElementById('admin-boundary-input');
+        adminSettings?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-admin-boundary-action]');
+            if (!button) return;
+            if (button.dataset.adminBoundaryAction === 'upload') {
+                adminInput.dataset.level = button.dataset.level;
+                adminInput.click();
+            }
+            if (button.dataset.adminBoundaryAction === 'remove') this.handleRemoveAdminBoundary(button.dataset.level);
+        });
+        adminSettings?.addEventListener('change', async (e) => {
+            const level = e.target.dataset.adminNameProperty;
+            if (!level) return;
+            try {
+                await adminBoundary.setNameProperty(level, e.target.value || null);
+                this.showToast('success', `Kolom nama ${ADMIN_LEVELS[level].toLowerCase()} disimpan`);
+            } catch (error) {
+                console.error('Admin boundary name property save error:', error);
+                this.showToast('error', `Gagal menyimpan kolom nama ${ADMIN_LEVELS[level].toLowerCase()}: ${error.message}`);
+            }
+        });
+        adminInput?.addEventListener('change', (e) => this.handleAdminBoundaryUpload(e));
+
+        document.querySelectorAll('[data-tile-seed]').forEach(input => {
+            input.addEventListener('input', () => this.updateTileSeedEstimate());
+        });
+        document.getElementById('tile-seed-btn')?.addEventListener('click', () => this.handleTileSeed());
+        document.getElementById('tile-seed-cancel-btn')?.addEventListener('click', () => tileCache.cancel());
+        document.getElementById('tile-cache-clear-btn')?.addEventListener('click', () => this.handleClearTileCache());
+
+        const mbtilesInput = document.getElementById('mbtiles-input');
+        document.getElementById('mbtiles-settings')?.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-mbtiles-action]')?.dataset.mbtilesAction;
+            if (action === 'upload') mbtilesInput.click();
+            if (action === 'remove') this.handleRemoveMBTiles();
+        });
+        mbtilesInput?.addEventListener('change', (e) => this.handleMBTilesUpload(e));
+    }
+
+    bindVaultUnlockModalEvents(modals) {
+        document.getElementById('vault-unlock-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleVaultUnlock();
+        });
+        document.getElementById('vaultUnlockModal')?.addEventListener('shown.bs.modal', () => {
+            document.getElementById('vault-passphrase-input')?.focus();
+        });
     }
 
     bindCreateProjectModalEvents(modals) {
@@ -368,6 +738,13 @@ export class ModalManager {
         });
     }
 
+    bindRestoreModalEvents(modals) {
+        document.querySelectorAll('input[name="restore-mode"]').forEach(input => {
+            input.addEventListener('change', () => this.renderRestorePreview());
+        });
+        document.getElementById('confirm-restore-btn')?.addEventListener('click', () => this.handleConfirmRestore());
+    }
+
     bindPreviewModalEvents(modals) {
         const editBtn = document.getElementById('edit-surat-btn');
         const printBtn = document.getElementById('print-pdf-btn');
@@ -385,12 +762,17 @@ export class ModalManager {
         const apiKey = document.getElementById('gemini-api-key-input').value;
         const model = document.getElementById('gemini-model-select').value;
         const perdaText = document.getElementById('perda-rtrw-textarea').value;
+        const historyRetention = parseInt(document.getElementById('history-retention-input').value, 10);
+        const coordinateSystem = document.getElementById('coordinate-system-select').value;
 
         settingsStorage.update({
             geminiApiKey: apiKey,
             geminiModel: model,
-            perdaRTRW: perdaText
+            perdaRTRW: perdaText,
+            historyRetention: historyRetention > 0 ? historyRetention : CONFIG.HISTORY_MAX_REVISIONS,
+            coordinateSystem
         });
+        this.saveTileSource();
 
         aiIntegration.updateSettings(apiKey, model);
         
@@ -398,6 +780,735 @@ export class ModalManager {
         this.showToast('success', 'Pengaturan berhasil disimpan');
     }
 
+    async showVaultUnlock() {
+        await this.createVaultUnlockModal();
+
+        const input = document.getElementById('vault-passphrase-input');
+        input.value = '';
+        input.classList.remove('is-invalid');
+        this.showModal('vaultUnlock');
+    }
+
+    async handleVaultUnlock() {
+        const input = document.getElementById('vault-passphrase-input');
+        const button = document.getElementById('vault-unlock-btn');
+
+        button.disabled = true;
+        try {
+            const unlocked = await vault.unlock(input.value);
+            if (unlocked) {
+                input.value = '';
+                this.hideModal('vaultUnlock');
+                this.showToast('success', 'Brankas berhasil dibuka');
+            } else {
+                input.classList.add('is-invalid');
+                input.select();
+            }
+        } catch (error) {
+            this.showToast('error', `Gagal membuka brankas: ${error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // Options for choosing how the KRK coordinate table is written
+    renderCoordinateSystemOptions(selected = 'decimal') {
+        const groups = new Map();
+        COORDINATE_SYSTEMS.forEach(system => {
+            if (!groups.has(system.group)) groups.set(system.group, []);
+            groups.get(system.group).push(
+                `<option value="${system.value}" ${system.value === selected ? 'selected' : ''}>${system.label}</option>`
+            );
+        });
+        
+        return [...groups].map(([group, options]) => `<optgroup label="${group}">${options.join('')}</optgroup>`).join('');
+    }
+
+    renderVaultSettings() {
+        const container = document.getElementById('vault-settings');
+        if (!container) return;
+
+        if (!vault.isEnabled()) {
+            container.innerHTML = `
+                <div class="row g-2">
+                    <div class="col-md-6">
+                        <input type="password" class="form-control" id="vault-new-passphrase" autocomplete="new-password" placeholder="Kata sandi baru (min. ${CONFIG.VAULT_MIN_PASSPHRASE} karakter)">
+                    </div>
+                    <div class="col-md-6">
+                        <input type="password" class="form-control" id="vault-confirm-passphrase" autocomplete="new-password" placeholder="Ulangi kata sandi">
+                    </div>
+                </div>
+                <div class="form-check my-2">
+                    <input class="form-check-input" type="checkbox" id="vault-encrypt-projects-input">
+                    <label class="form-check-label" for="vault-encrypt-projects-input">Enkripsi juga data proyek dan riwayat revisi</label>
+                </div>
+                <button type="button" class="btn btn-outline-primary" data-vault-action="enable"><i class="bi bi-shield-lock"></i> Aktifkan Brankas</button>
+            `;
+            return;
+        }
+
+        if (!vault.isUnlocked()) {
+            container.innerHTML = `
+                <p class="mb-2"><span class="badge bg-secondary"><i class="bi bi-lock-fill"></i> Terkunci</span></p>
+                <button type="button" class="btn btn-outline-primary" data-vault-action="unlock"><i class="bi bi-unlock"></i> Buka Kunci</button>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <p class="mb-2"><span class="badge bg-success"><i class="bi bi-shield-check"></i> Aktif &amp; terbuka</span>
+                <span class="form-text ms-2">Terkunci otomatis setelah ${Math.round(CONFIG.VAULT_AUTO_LOCK_MS / 60000)} menit tanpa aktivitas.</span></p>
+            <div class="form-check form-switch mb-2">
+                <input class="form-check-input" type="checkbox" id="vault-encrypt-projects-toggle" ${vault.encryptsProjects() ? 'checked' : ''}>
+                <label class="form-check-label" for="vault-encrypt-projects-toggle">Enkripsi data proyek dan riwayat revisi</label>
+            </div>
+            <button type="button" class="btn btn-outline-secondary me-2" data-vault-action="lock"><i class="bi bi-lock"></i> Kunci Sekarang</button>
+            <button type="button" class="btn btn-outline-danger" data-vault-action="disable"><i class="bi bi-shield-x"></i> Nonaktifkan Brankas</button>
+        `;
+    }
+
+    async renderZoningLayerSettings() {
+        const container = document.getElementById('zoning-layer-settings');
+        if (!container) return;
+
+        let layer = null;
+        try {
+            layer = await zoningLayer.load();
+        } catch (error) {
+            console.error('Error loading zoning map:', error);
+        }
+
+        if (!layer) {
+            container.innerHTML = `
+                <p class="mb-2"><span class="badge bg-secondary">Belum dimuat</span></p>
+                <button type="button" class="btn btn-outline-primary" data-zoning-action="upload"><i class="bi bi-upload"></i> Unggah Peta Pola Ruang</button>
+            `;
+            return;
+        }
+
+        const options = zoningLayer.getProperties().map(property => `
+            <option value="${SecurityUtils.escapeAttribute(property)}" ${property === layer.zoneProperty ? 'selected' : ''}>${SecurityUtils.sanitizeHTML(property)}</option>
+        `).join('');
+        container.innerHTML = `
+            <p class="mb-2"><span class="badge bg-success"><i class="bi bi-map"></i> ${SecurityUtils.sanitizeHTML(layer.name)}</span>
+                <span class="form-text ms-2">${layer.geojson.features.length} poligon, dimuat ${new Date(layer.importedAt).toLocaleDateString('id-ID')}</span></p>
+            <div class="row g-2 align-items-center mb-2">
+                <div class="col-auto"><label for="zoning-property-select" class="col-form-label">Kolom kode zona</label></div>
+                <div class="col-auto">
+                    <select class="form-select form-select-sm" id="zoning-property-select">
+                        ${layer.zoneProperty ? '' : '<option value="" selected>— Pilih kolom —</option>'}
+                        ${options}
+                    </select>
+                </div>
+            </div>
+            <button type="button" class="btn btn-outline-secondary me-2" data-zoning-action="upload"><i class="bi bi-arrow-repeat"></i> Ganti</button>
+            <button type="button" class="btn btn-outline-danger" data-zoning-action="remove"><i class="bi bi-trash"></i> Hapus</button>
+        `;
+    }
+
+    async handleZoningLayerUpload(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        this.showSpinner('Memuat peta pola ruang...');
+        try {
+            const layer = await zoningLayer.importFile(file);
+            this.showToast('success', layer.zoneProperty
+                ? `Peta pola ruang dimuat (${layer.geojson.features.length} poligon)`
+                : 'Peta pola ruang dimuat. Pilih kolom kode zona.');
+        } catch (error) {
+            console.error('Zoning map import error:', error);
+            this.showToast('error', `Gagal memuat peta pola ruang: ${error.message}`);
+        } finally {
+            this.hideSpinner();
+            await this.renderZoningLayerSettings();
+        }
+    }
+
+    async handleRemoveZoningLayer() {
+        if (!confirm('Hapus peta pola ruang? Deteksi zona otomatis tidak tersedia sampai peta diunggah kembali.')) return;
+
+        try {
+            await zoningLayer.remove();
+            this.showToast('success', 'Peta pola ruang dihapus');
+        } catch (error) {
+            this.showToast('error', `Gagal menghapus peta pola ruang: ${error.message}`);
+        }
+        await this.renderZoningLayerSettings();
+    }
+
+    async renderSetbackLayerSettings() {
+        const container = document.getElementById('setback-layer-settings');
+        if (!container) return;
+
+        let layers = {};
+        try {
+            layers = await setbackLayers.load();
+        } catch (error) {
+            console.error('Error loading setback layers:', error);
+        }
+
+        const rows = Object.entries(SETBACK_LAYERS).map(([key, label]) => {
+            const layer = layers[key];
+            const status = layer
+                ? `<span class="badge bg-success"><i class="bi bi-bezier2"></i> ${SecurityUtils.sanitizeHTML(layer.name)}</span>
+                    <span class="form-text ms-2">${layer.geojson.features.length} garis, dimuat ${new Date(layer.importedAt).toLocaleDateString('id-ID')}</span>`
+                : '<span class="badge bg-secondary">Belum dimuat</span>';
+            const actions = layer
+                ? `<button type="button" class="btn btn-sm btn-outline-secondary me-1" data-setback-action="upload" data-layer="${key}" title="Ganti"><i class="bi bi-arrow-repeat"></i></button>
+                    <button type="button" class="btn btn-sm btn-outline-danger" data-setback-action="remove" data-layer="${key}" title="Hapus"><i class="bi bi-trash"></i></button>`
+                : `<button type="button" class="btn btn-sm btn-outline-primary" data-setback-action="upload" data-layer="${key}"><i class="bi bi-upload"></i> Unggah</button>`;
+            return `
+                <li class="list-group-item d-flex justify-content-between align-items-center">
+                    <div><strong class="me-2">${label}</strong>${status}</div>
+                    <div class="text-nowrap">${actions}</div>
+                </li>
+            `;
+        }).join('');
+
+        let roadClass = '';
+        if (layers.jalan) {
+            const options = setbackLayers.getRoadProperties().map(property => `
+                <option value="${SecurityUtils.escapeAttribute(property)}" ${property === layers.jalan.classProperty ? 'selected' : ''}>${SecurityUtils.sanitizeHTML(property)}</option>
+            `).join('');
+            roadClass = `
+                <div class="row g-2 align-items-center mt-2">
+                    <div class="col-auto"><label for="road-class-select" class="col-form-label">Kolom fungsi jalan</label></div>
+                    <div class="col-auto">
+                        <select class="form-select form-select-sm" id="road-class-select">
+                            <option value="" ${layers.jalan.classProperty ? '' : 'selected'}>— Semua jalan lokal —</option>
+                            ${options}
+                        </select>
+                    </div>
+                </div>
+            `;
+        }
+
+        container.innerHTML = `<ul class="list-group">${rows}</ul>${roadClass}`;
+    }
+
+    async handleSetbackLayerUpload(event) {
+        const file = event.target.files[0];
+        const layer = event.target.dataset.layer;
+        event.target.value = '';
+        if (!file || !SETBACK_LAYERS[layer]) return;
+
+        this.showSpinner(`Memuat lapisan ${SETBACK_LAYERS[layer].toLowerCase()}...`);
+        try {
+            const layers = await setbackLayers.importFile(layer, file);
+            this.showToast('success', `Lapisan ${SETBACK_LAYERS[layer]} dimuat (${layers[layer].geojson.features.length} garis)`);
+        } catch (error) {
+            console.error('Setback layer import error:', error);
+            this.showToast('error', `Gagal memuat lapisan ${SETBACK_LAYERS[layer]}: ${error.message}`);
+        } finally {
+            this.hideSpinner();
+            await this.renderSetbackLayerSettings();
+        }
+    }
+
+    async handleRemoveSetbackLayer(layer) {
+        if (!confirm(`Hapus lapisan ${SETBACK_LAYERS[layer]}? Sempadan dari lapisan ini tidak diperiksa sampai diunggah kembali.`)) return;
+
+        try {
+            await setbackLayers.remove(layer);
+            this.showToast('success', `Lapisan ${SETBACK_LAYERS[layer]} dihapus`);
+        } catch (error) {
+            this.showToast('error', `Gagal menghapus lapisan ${SETBACK_LAYERS[layer]}: ${error.message}`);
+        }
+        await this.renderSetbackLayerSettings();
+    }
+
+    async renderAdminBoundarySettings() {
+        const container = document.getElementById('admin-boundary-settings');
+        if (!container) return;
+
+        let layers = {};
+        try {
+            layers = await adminBoundary.load();
+        } catch (error) {
+            console.error('Error loading administrative boundaries:', error);
+        }
+
+        const rows = Object.entries(ADMIN_LEVELS).map(([level, label]) => {
+            const layer = layers[level];
+            if (!layer) {
+                return `
+                    <li class="list-group-item d-flex justify-content-between align-items-center">
+                        <div><strong class="me-2">${label}</strong><span class="badge bg-secondary">Belum dimuat</span></div>
+                        <button type="button" class="btn btn-sm btn-outline-primary" data-admin-boundary-action="upload" data-level="${level}"><i class="bi bi-upload"></i> Unggah</button>
+                    </li>
+                `;
+            }
+
+            const options = adminBoundary.getProperties(level).map(property => `
+                <option value="${SecurityUtils.escapeAttribute(property)}" ${property === layer.nameProperty ? 'selected' : ''}>${SecurityUtils.sanitizeHTML(property)}</option>
+            `).join('');
+            return `
+                <li class="list-group-item">
+                    <div class="d-flex justify-content-between align-items-center">
+                        <div><strong class="me-2">${label}</strong><span class="badge bg-success"><i class="bi bi-bounding-box"></i> ${SecurityUtils.sanitizeHTML(layer.name)}</span>
+                            <span class="form-text ms-2">${layer.geojson.features.length} poligon, dimuat ${new Date(layer.importedAt).toLocaleDateString('id-ID')}</span></div>
+                        <div class="text-nowrap">
+                            <button type="button" class="btn btn-sm btn-outline-secondary me-1" data-admin-boundary-action="upload" data-level="${level}" title="Ganti"><i class="bi bi-arrow-repeat"></i></button>
+                            <button type="button" class="btn btn-sm btn-outline-danger" data-admin-boundary-action="remove" data-level="${level}" title="Hapus"><i class="bi bi-trash"></i></button>
+                        </div>
+                    </div>
+                    <div class="row g-2 align-items-center mt-1">
+                        <div class="col-auto"><label for="admin-name-${level}" class="col-form-label col-form-label-sm">Kolom nama</label></div>
+                        <div class="col-auto">
+                            <select class="form-select form-select-sm" id="admin-name-${level}" data-admin-name-property="${level}">
+                                ${layer.nameProperty ? '' : '<option value="" selected>— Pilih kolom —</option>'}
+                                ${options}
+                            </select>
+                        </div>
+                    </div>
+                </li>
+            `;
+        }).join('');
+
+        container.innerHTML = `<ul class="list-group">${rows}</ul>`;
+    }
+
+    async handleAdminBoundaryUpload(event) {
+        const file = event.target.files[0];
+        const level = event.target.dataset.level;
+        event.target.value = '';
+        if (!file || !ADMIN_LEVELS[level]) return;
+
+        this.showSpinner(`Memuat batas ${ADMIN_LEVELS[level].toLowerCase()}...`);
+        try {
+            const layers = await adminBoundary.importFile(level, file);
+            this.showToast('success', layers[level].nameProperty
+                ? `Batas ${ADMIN_LEVELS[level]} dimuat (${layers[level].geojson.features.length} poligon)`
+                : `Batas ${ADMIN_LEVELS[level]} dimuat. Pilih kolom nama.`);
+        } catch (error) {
+            console.error('Administrative boundary import error:', error);
+            this.showToast('error', `Gagal memuat batas ${ADMIN_LEVELS[level]}: ${error.message}`);
+        } finally {
+            this.hideSpinner();
+            await this.renderAdminBoundarySettings();
+        }
+    }
+
+    async handleRemoveAdminBoundary(level) {
+        if (!confirm(`Hapus batas ${ADMIN_LEVELS[level]}? Kecamatan dan desa tidak diisi otomatis dari lapisan ini sampai diunggah kembali.`)) return;
+
+        try {
+            await adminBoundary.remove(level);
+            this.showToast('success', `Batas ${ADMIN_LEVELS[level]} dihapus`);
+        } catch (error) {
+            this.showToast('error', `Gagal menghapus batas ${ADMIN_LEVELS[level]}: ${error.message}`);
+        }
+        await this.renderAdminBoundarySettings();
+    }
+
+    // Area and zoom range from the offline basemap form, or null when invalid
+    readTileSeedForm() {
+        const value = (id) => parseFloat(document.getElementById(id)?.value);
+        const bounds = ['tile-seed-west', 'tile-seed-south', 'tile-seed-east', 'tile-seed-north'].map(value);
+        const minZoom = value('tile-seed-min-zoom');
+        const maxZoom = value('tile-seed-max-zoom');
+
+        const valid = bounds.every(Number.isFinite) && bounds[0] < bounds[2] && bounds[1] < bounds[3]
+            && Number.isInteger(minZoom) && Number.isInteger(maxZoom) && minZoom >= 0 && minZoom <= maxZoom && maxZoom <= 19;
+        return valid ? { bounds, minZoom, maxZoom } : null;
+    }
+
+    updateTileSeedEstimate() {
+        const estimate = document.getElementById('tile-seed-estimate');
+        if (!estimate) return;
+
+        const form = this.readTileSeedForm();
+        if (!form) {
+            estimate.innerHTML = '<span class="text-danger">Batas area atau rentang zoom tidak valid.</span>';
+            return;
+        }
+
+        const tiles = countTiles(form.bounds, form.minZoom, form.maxZoom);
+        estimate.textContent = `± ${tiles.toLocaleString('id-ID')} ubin, perkiraan ${FileProcessor.formatFileSize(estimateSeedSize(tiles))}`;
+        if (tiles > CONFIG.TILE_SEED_MAX_TILES) {
+            estimate.innerHTML += ` <span class="text-danger">melebihi batas ${CONFIG.TILE_SEED_MAX_TILES.toLocaleString('id-ID')} ubin.</span>`;
+        }
+    }
+
+    saveTileSource() {
+        settingsStorage.update({
+            tileSourceUrl: document.getElementById('tile-source-url').value.trim(),
+            tileSourceAttribution: document.getElementById('tile-source-attribution').value.trim()
+        });
+    }
+
+    async renderOfflineMapSettings() {
+        this.updateTileSeedEstimate();
+
+        const status = document.getElementById('tile-cache-status');
+        if (status) {
+            if (!tileCache.isSupported()) {
+                status.textContent = 'Browser ini tidak mendukung Cache Storage.';
+            } else {
+                const cached = await tileCache.countCachedTiles().catch(() => 0);
+                status.textContent = `${cached.toLocaleString('id-ID')} ubin tersimpan di cache.`;
+            }
+        }
+        this.setTileSeedRunning(Boolean(tileCache.seeding));
+
+        const container = document.getElementById('mbtiles-settings');
+        if (!container) return;
+
+        let basemap = null;
+        try {
+            basemap = await tileCache.loadBasemap();
+        } catch (error) {
+            console.error('Error loading MBTiles basemap:', error);
+        }
+
+        if (!basemap) {
+            container.innerHTML = `
+                <p class="mb-2"><span class="badge bg-secondary">Belum dimuat</span></p>
+                <button type="button" class="btn btn-outline-primary" data-mbtiles-action="upload"><i class="bi bi-upload"></i> Unggah MBTiles</button>
+            `;
+            return;
+        }
+
+        const { name, minZoom, maxZoom, format } = basemap.metadata;
+        container.innerHTML = `
+            <p class="mb-2"><span class="badge bg-success"><i class="bi bi-map"></i> ${SecurityUtils.sanitizeHTML(basemap.fileName || name)}</span>
+                <span class="form-text ms-2">${SecurityUtils.sanitizeHTML(name)}, ${format.toUpperCase()}, zoom ${minZoom}–${maxZoom}</span></p>
+            <button type="button" class="btn btn-outline-secondary me-2" data-mbtiles-action="upload"><i class="bi bi-arrow-repeat"></i> Ganti</button>
+            <button type="button" class="btn btn-outline-danger" data-mbtiles-action="remove"><i class="bi bi-trash"></i> Hapus</button>
+        `;
+    }
+
+    setTileSeedRunning(running) {
+        document.getElementById('tile-seed-btn')?.toggleAttribute('disabled', running);
+        document.getElementById('tile-cache-clear-btn')?.toggleAttribute('disabled', running);
+        document.getElementById('tile-seed-cancel-btn')?.classList.toggle('d-none', !running);
+        document.getElementById('tile-seed-progress')?.classList.toggle('d-none', !running);
+    }
+
+    async handleTileSeed() {
+        const form = this.readTileSeedForm();
+        if (!form) {
+            this.showToast('error', 'Batas area atau rentang zoom tidak valid');
+            return;
+        }
+
+        this.saveTileSource();
+        const tiles = countTiles(form.bounds, form.minZoom, form.maxZoom);
+        const size = FileProcessor.formatFileSize(estimateSeedSize(tiles));
+        // seed() itself refuses a missing source or an area over the cap; only ask when it will run
+        const refused = tiles > CONFIG.TILE_SEED_MAX_TILES || !tileCache.getTileSource();
+        if (!refused && !confirm(`Unduh ± ${tiles.toLocaleString('id-ID')} ubin (perkiraan ${size})? Proses dapat berlangsung lama dan dapat dibatalkan.`)) return;
+
+        this.setTileSeedRunning(true);
+        const bar = document.querySelector('#tile-seed-progress .progress-bar');
+        const status = document.getElementById('tile-cache-status');
+        try {
+            const result = await tileCache.seed(form.bounds, form.minZoom, form.maxZoom, (progress) => {
+                if (bar) bar.style.width = `${(progress.done / progress.total * 100).toFixed(1)}%`;
+                if (status) {
+                    status.textContent = `${progress.done.toLocaleString('id-ID')} / ${progress.total.toLocaleString('id-ID')} ubin`
+                        + ` (${FileProcessor.formatFileSize(progress.bytes)} diunduh${progress.failed ? `, ${progress.failed} gagal` : ''})`;
+                }
+            });
+
+            if (result.cancelled) {
+                this.showToast('info', `Pengunduhan dibatalkan setelah ${result.done.toLocaleString('id-ID')} ubin`);
+            } else if (result.failed > 0) {
+                this.showToast('info', `${result.failed} ubin gagal diunduh; ulangi untuk melengkapi`);
+            } else {
+                this.showToast('success', 'Ubin area tersimpan untuk penggunaan offline');
+            }
+        } catch (error) {
+            console.error('Tile seeding error:', error);
+            this.showToast('error', `Gagal mengunduh ubin: ${error.message}`);
+        } finally {
+            this.setTileSeedRunning(false);
+            await this.renderOfflineMapSettings();
+        }
+    }
+
+    async handleClearTileCache() {
+        if (!confirm('Kosongkan cache ubin peta? Peta dasar tidak tampil tanpa koneksi sampai ubin diunduh kembali.')) return;
+
+        try {
+            await tileCache.clear();
+            this.showToast('success', 'Cache ubin peta dikosongkan');
+        } catch (error) {
+            this.showToast('error', `Gagal mengosongkan cache: ${error.message}`);
+        }
+        await this.renderOfflineMapSettings();
+    }
+
+    async handleMBTilesUpload(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        this.showSpinner('Memuat MBTiles...');
+        try {
+            const source = await tileCache.importMBTiles(file);
+            this.showToast('success', `Peta dasar ${source.metadata.name} dimuat; dipakai saat peta dibuka kembali`);
+        } catch (error) {
+            console.error('MBTiles import error:', error);
+            this.showToast('error', `Gagal memuat MBTiles: ${error.message}`);
+        } finally {
+            this.hideSpinner();
+            await this.renderOfflineMapSettings();
+        }
+    }
+
+    async handleRemoveMBTiles() {
+        if (!confirm('Hapus peta dasar MBTiles?')) return;
+
+        try {
+            await tileCache.removeMBTiles();
+            this.showToast('success', 'Peta dasar MBTiles dihapus');
+        } catch (error) {
+            this.showToast('error', `Gagal menghapus MBTiles: ${error.message}`);
+        }
+        await this.renderOfflineMapSettings();
+    }
+
+    async handleVaultAction(action) {
+        if (action === 'unlock') {
+            this.hideModal('settings');
+            await this.showVaultUnlock();
+            return;
+        }
+
+        if (action === 'lock') {
+            vault.lock();
+            this.hideModal('settings');
+            return;
+        }
+
+        try {
+            if (action === 'enable') {
+                const passphrase = document.getElementById('vault-new-passphrase').value;
+                if (passphrase !== document.getElementById('vault-confirm-passphrase').value) {
+                    this.showToast('error', 'Konfirmasi kata sandi tidak cocok');
+                    return;
+                }
+
+                this.showSpinner('Mengenkripsi data...');
+                await vaultStorage.enable(passphrase, {
+                    encryptProjects: document.getElementById('vault-encrypt-projects-input').checked
+                });
+                this.hideSpinner();
+                this.showToast('success', 'Brankas diaktifkan');
+            } else if (action === 'disable') {
+                if (!confirm('Nonaktifkan brankas? Semua data akan disimpan tanpa enkripsi.')) return;
+
+                this.showSpinner('Mendekripsi data...');
+                await vaultStorage.disable();
+                this.hideSpinner();
+                this.showToast('success', 'Brankas dinonaktifkan');
+            }
+        } catch (error) {
+            this.hideSpinner();
+            this.showToast('error', error.message);
+        }
+
+        this.renderVaultSettings();
+    }
+
+    async handleVaultProjectEncryption(toggle) {
+        toggle.disabled = true;
+        this.showSpinner(toggle.checked ? 'Mengenkripsi data proyek...' : 'Mendekripsi data proyek...');
+
+        try {
+            await vaultStorage.setProjectEncryption(toggle.checked);
+            this.hideSpinner();
+        } catch (error) {
+            this.hideSpinner();
+            toggle.checked = !toggle.checked;
+            this.showToast('error', error.message);
+        }
+
+        toggle.disabled = false;
+    }
+
+    async handleExportData() {
+        this.showSpinner('Membuat arsip cadangan...');
+        
+        try {
+            const backup = await backupService.createBackup();
+            backupService.downloadBackup(backup);
+            this.hideSpinner();
+            this.showToast('success', SUCCESS_MESSAGES.EXPORT_SUCCESS);
+        } catch (error) {
+            this.hideSpinner();
+            this.showToast('error', `Gagal mengekspor data: ${error.message}`);
+        }
+    }
+
+    async handleImportData(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        if (file.name.toLowerCase().endsWith('.zip')) {
+            await this.openBackup(file);
+            return;
+        }
+
+        try {
+            // Plain JSON export, projects only
+            const data = JSON.parse(await FileProcessor.readFileAsText(file));
+            const { projects } = projectStorage.prepareImport(data);
+            await this.showRestorePreview({ kind: 'json', data, projects });
+        } catch (error) {
+            this.showToast('error', `Gagal mengimpor data: ${error.message}`);
+        }
+    }
+
+    // Sealed archives ask for a passphrase until it fits or the user cancels
+    async openBackup(file, passphrase = null) {
+        this.showSpinner('Memeriksa arsip cadangan...');
+
+        try {
+            const backup = await backupService.readBackup(file, passphrase);
+            this.hideSpinner();
+            this.hideModal('backupPassphrase');
+            this.pendingBackupFile = null;
+            await this.showRestorePreview({ kind: 'backup', backup, projects: backup.projects });
+        } catch (error) {
+            this.hideSpinner();
+            if (error.message === ERROR_MESSAGES.BACKUP_PASSPHRASE_REQUIRED || error.message === ERROR_MESSAGES.BACKUP_PASSPHRASE_WRONG) {
+                await this.createBackupPassphraseModal();
+                this.pendingBackupFile = file;
+
+                const input = document.getElementById('backup-passphrase-input');
+                if (passphrase === null) input.value = '';
+                input.classList.toggle('is-invalid', passphrase !== null);
+                input.select();
+                this.hideModal('settings');
+                this.showModal('backupPassphrase');
+            } else {
+                this.showToast('error', `Gagal mengimpor data: ${error.message}`);
+            }
+        }
+    }
+
+    async showRestorePreview(pendingImport) {
+        this.pendingImport = pendingImport;
+
+        await this.createRestoreModal();
+        document.getElementById('restore-mode-replace').checked = true;
+        this.renderRestorePreview();
+        this.hideModal('settings');
+        this.showModal('restore');
+    }
+
+    renderRestorePreview() {
+        const container = document.getElementById('restore-preview-content');
+        if (!container || !this.pendingImport) return;
+
+        const mode = document.querySelector('input[name="restore-mode"]:checked')?.value || 'replace';
+        const { kind, backup, projects: incoming } = this.pendingImport;
+        const backupPreview = kind === 'backup' ? backupService.previewRestore(backup, mode) : null;
+        const projects = backupPreview ? backupPreview.projects : projectStorage.previewImport(incoming, mode);
+        const listNames = (names) => names.length > 0
+            ? `<ul class="small mb-0">${names.map(name => `<li>${SecurityUtils.sanitizeHTML(name)}</li>`).join('')}</ul>`
+            : '';
+
+        container.innerHTML = `
+            ${backupPreview ? `<p class="text-muted small">Arsip dibuat ${new Date(backupPreview.createdAt).toLocaleString('id-ID')}. Semua checksum valid.</p>` : ''}
+            <ul class="list-group mb-3">
+                <li class="list-group-item">Proyek dalam file impor: <strong>${projects.incoming}</strong></li>
+                <li class="list-group-item">Proyek baru: <strong>${projects.added.length}</strong>${listNames(projects.added)}</li>
+                ${mode === 'replace' ? `
+                <li class="list-group-item ${projects.overwritten.length ? 'list-group-item-warning' : ''}">
+                    Proyek yang akan ditimpa: <strong>${projects.overwritten.length}</strong>${listNames(projects.overwritten)}
+                </li>
+                <li class="list-group-item ${projects.removed.length ? 'list-group-item-danger' : ''}">
+                    Proyek yang akan dihapus: <strong>${projects.removed.length}</strong>${listNames(projects.removed)}
+                </li>` : `
+                <li class="list-group-item">Proyek identik (dilewati): <strong>${projects.unchanged}</strong></li>`}
+                ${backupPreview ? `
+                <li class="list-group-item">File tersimpan: <strong>${backupPreview.files}</strong>${backupPreview.hasCustomTemplate ? ' (termasuk template DOCX kustom)' : ''}${mode === 'merge' ? ', file yang sudah ada tidak ditimpa' : ''}</li>
+                <li class="list-group-item">Riwayat revisi: <strong>${backupPreview.revisions}</strong>, feedback AI: <strong>${backupPreview.feedback}</strong></li>
+                <li class="list-group-item">Pengaturan: <strong>${backupPreview.replacesSettings ? 'diganti dari arsip' : 'tetap menggunakan pengaturan saat ini'}</strong></li>` : ''}
+            </ul>
+            ${projects.conflicts.length > 0 ? this.renderConflictChoices(projects.conflicts) : ''}
+            <div class="alert alert-info small mb-0">Jika impor gagal di tengah jalan, semua data dikembalikan ke kondisi sebelumnya.</div>
+        `;
+    }
+
+    renderConflictChoices(conflicts) {
+        const formatDate = (value) => value ? new Date(value).toLocaleString('id-ID') : '-';
+        const choices = [
+            { value: 'mine', label: 'Pertahankan milik saya' },
+            { value: 'theirs', label: 'Ambil dari impor' },
+            { value: 'both', label: 'Simpan keduanya' }
+        ];
+
+        return `
+            <h6>Konflik (${conflicts.length})</h6>
+            <p class="small text-muted">Proyek berikut ada di kedua sisi dengan waktu perubahan berbeda. Pilih versi yang disimpan.</p>
+            <table class="table table-sm align-middle small">
+                <thead class="table-light"><tr><th>Proyek</th><th>Milik Saya</th><th>Dari Impor</th><th>Pilihan</th></tr></thead>
+                <tbody>
+                    ${conflicts.map(({ id, mine, theirs }) => `
+                        <tr>
+                            <td>${SecurityUtils.sanitizeHTML(mine.projectName)}</td>
+                            <td>${formatDate(mine.lastModified)}</td>
+                            <td>${formatDate(theirs.lastModified)}</td>
+                            <td>
+                                <select class="form-select form-select-sm" data-conflict-id="${SecurityUtils.escapeAttribute(id)}">
+                                    ${choices.map(choice => `<option value="${choice.value}">${choice.label}</option>`).join('')}
+                                </select>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    readConflictResolutions() {
+        const resolutions = {};
+        document.querySelectorAll('#restore-preview-content [data-conflict-id]').forEach(select => {
+            resolutions[select.dataset.conflictId] = select.value;
+        });
+        return resolutions;
+    }
+
+    async handleConfirmRestore() {
+        if (!this.pendingImport) return;
+
+        const mode = document.querySelector('input[name="restore-mode"]:checked')?.value || 'replace';
+        const resolutions = this.readConflictResolutions();
+        const { kind, backup, data } = this.pendingImport;
+
+        this.hideModal('restore');
+        this.showSpinner('Mengimpor data...');
+
+        try {
+            let counts = null;
+            if (kind === 'backup') {
+                counts = await backupService.applyRestore(backup, mode, resolutions);
+            } else if (mode === 'merge') {
+                counts = await projectStorage.mergeData(data, resolutions);
+            } else {
+                await projectStorage.importData(data);
+            }
+
+            this.hideSpinner();
+            this.showToast('success', mode === 'merge'
+                ? `Impor selesai: ${counts.added} ditambahkan, ${counts.updated} diperbarui, ${counts.skipped} dilewati`
+                : SUCCESS_MESSAGES.IMPORT_SUCCESS);
+            window.app?.onDataRestored();
+        } catch (error) {
+            this.hideSpinner();
+            this.showToast('error', error.message);
+        }
+
+        this.pendingImport = null;
+    }
+
     handleCreateBlankProject() {
         this.hideModal('createProject');
         
@@ -426,14 +1537,22 @@ export class ModalManager {
                 const base64Data = e.target.result.split(',')[1];
                 const extractedData = await aiIntegration.extractDataFromDocument(base64Data, file.type, file.name);
                 
+                // Keep the applicant letter as a project attachment
+                const fileId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+                await dbManager.saveFile(fileId, file, {
+                    originalName: file.name,
+                    uploadDate: new Date().toISOString()
+                });
+                
                 const newProject = {
                     projectName: `Proyek dari ${file.name.substring(0, 30)}`,
                     geojsonData: null,
                     mapFileContent: null,
-                    analysisResult: extractedData
+                    analysisResult: extractedData,
+                    attachments: [createAttachment(fileId, file, 'letter')]
                 };
 
-                const success = projectStorage.addProject(newProject);
+                const success = await projectStorage.addProject(newProject);
                 if (success) {
                     this.hideSpinner();
                     this.showToast('success', 'Data berhasil diekstrak dan proyek dibuat');
@@ -450,7 +1569,7 @@ export class ModalManager {
         event.target.value = '';
     }
 
-    handleSaveNewProject() {
+    async handleSaveNewProject() {
         const projectNameInput = document.getElementById('project-name-input');
         const projectName = projectNameInput.value.trim();
         
@@ -465,10 +1584,11 @@ export class ModalManager {
             projectName: projectName,
             geojsonData: null,
             mapFileContent: null,
-            analysisResult: null
+            analysisResult: null,
+            attachments: []
         };
 
-        const success = projectStorage.addProject(newProject);
+        const success = await projectStorage.addProject(newProject);
         if (success) {
             this.hideModal('addProject');
             this.showToast('success', 'Proyek berhasil dibuat');
@@ -477,9 +1597,9 @@ export class ModalManager {
         }
     }
 
-    handleConfirmDelete() {
+    async handleConfirmDelete() {
         if (this.projectToDelete) {
-            const success = projectStorage.deleteProject(this.projectToDelete);
+            const success = await projectStorage.deleteProject(this.projectToDelete);
             if (success) {
                 this.hideModal('deleteConfirm');
                 this.showToast('success', 'Proyek berhasil dihapus');
@@ -573,10 +1693,30 @@ export class ModalManager {
         const apiKeyInput = document.getElementById('gemini-api-key-input');
         const modelSelect = document.getElementById('gemini-model-select');
         const perdaTextarea = document.getElementById('perda-rtrw-textarea');
-
-        if (apiKeyInput) apiKeyInput.value = settingsStorage.get('geminiApiKey', '');
+        const retentionInput = document.getElementById('history-retention-input');
+
+        if (apiKeyInput) {
+            // The stored key cannot be read or replaced while the vault is locked
+            const locked = vault.isEnabled() && !vault.isUnlocked();
+            apiKeyInput.value = settingsStorage.get('geminiApiKey', '') || '';
+            apiKeyInput.disabled = locked;
+            apiKeyInput.placeholder = locked ? 'Brankas terkunci' : 'Masukkan Kunci API Anda di sini';
+        }
         if (modelSelect) modelSelect.value = settingsStorage.get('geminiModel', 'gemini-1.5-flash-latest');
         if (perdaTextarea) perdaTextarea.value = settingsStorage.get('perdaRTRW', '');
+        if (retentionInput) retentionInput.value = settingsStorage.get('historyRetention', CONFIG.HISTORY_MAX_REVISIONS);
+        const coordinateSelect = document.getElementById('coordinate-system-select');
+        if (coordinateSelect) coordinateSelect.value = settingsStorage.get('coordinateSystem', 'decimal');
+        const tileSourceInput = document.getElementById('tile-source-url');
+        if (tileSourceInput) {
+            tileSourceInput.value = settingsStorage.get('tileSourceUrl', '');
+            document.getElementById('tile-source-attribution').value = settingsStorage.get('tileSourceAttribution', '');
+        }
+        this.renderVaultSettings();
+        this.renderZoningLayerSettings();
+        this.renderSetbackLayerSettings();
+        this.renderAdminBoundarySettings();
+        this.renderOfflineMapSettings();
     }
 
     showSpinner(text = 'Memproses...') {
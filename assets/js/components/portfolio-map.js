@@ -0,0 +1,153 @@
+/**
+ * Portfolio Map
+ * Overview map of all KRK projects, coloured by status or zoning
+ * compliance, with filters and a density heatmap
+ */
+
+import { SecurityUtils } from '../utils/security.js';
+import { MapComponent } from './map-component.js';
+import {
+    PROJECT_STATUSES,
+    KESESUAIAN_LEVELS,
+    buildPortfolio,
+    filterPortfolio,
+    portfolioOptions,
+    portfolioColor
+} from '../services/portfolio.js';
+
+export class PortfolioMapComponent {
+    // onOpen receives the id of the project to open
+    constructor(container, projects, onOpen) {
+        // Own root, so listeners go away with it when the workspace is replaced
+        this.container = document.createElement('div');
+        container.replaceChildren(this.container);
+        this.onOpen = onOpen;
+
+        this.entries = buildPortfolio(projects);
+        this.skipped = projects.length - this.entries.length;
+        this.filters = { from: '', to: '', kecamatan: '', peruntukan: '' };
+        this.colorBy = 'status';
+        this.showHeatmap = false;
+        this.map = null;
+
+        this.render();
+        this.bindEvents();
+        this.map = new MapComponent('portfolio-map', { enableClustering: true });
+        this.update();
+    }
+
+    render() {
+        const options = portfolioOptions(this.entries);
+        const select = (filter, label, values) => `
+            <div class="col-md-3">
+                <label class="form-label small mb-1" for="portfolio-${filter}">${label}</label>
+                <select class="form-select form-select-sm" id="portfolio-${filter}" data-portfolio-filter="${filter}">
+                    <option value="">Semua</option>
+                    ${values.map(value => `<option value="${SecurityUtils.escapeAttribute(value)}">${SecurityUtils.sanitizeHTML(value)}</option>`).join('')}
+                </select>
+            </div>
+        `;
+
+        this.container.innerHTML = `
+            <h3>Peta Portofolio KRK</h3>
+            <p class="text-muted">Lokasi seluruh proyek yang sudah memiliki batas bidang. Klik penanda untuk membuka proyek.</p>
+            <div class="card mb-3">
+                <div class="card-body">
+                    <div class="row g-2 align-items-end">
+                        <div class="col-md-3">
+                            <label class="form-label small mb-1">Tanggal dibuat</label>
+                            <div class="input-group input-group-sm">
+                                <input type="date" class="form-control" data-portfolio-filter="from" title="Dari tanggal">
+                                <input type="date" class="form-control" data-portfolio-filter="to" title="Sampai tanggal">
+                            </div>
+                        </div>
+                        ${select('kecamatan', 'Kecamatan', options.kecamatan)}
+                        ${select('peruntukan', 'Peruntukan', options.peruntukan)}
+                        <div class="col-md-3">
+                            <label class="form-label small mb-1" for="portfolio-color-by">Warna menurut</label>
+                            <select class="form-select form-select-sm" id="portfolio-color-by">
+                                <option value="status">Status proyek</option>
+                                <option value="kesesuaian">Kesesuaian zona</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div class="d-flex justify-content-between align-items-center mt-2 small">
+                        <div class="form-check form-switch mb-0">
+                            <input class="form-check-input" type="checkbox" id="portfolio-heatmap">
+                            <label class="form-check-label" for="portfolio-heatmap">Peta kepadatan</label>
+                        </div>
+                        <span id="portfolio-count" class="text-muted"></span>
+                    </div>
+                </div>
+            </div>
+            <div class="card">
+                <div class="card-body">
+                    <div id="portfolio-map" style="height: 560px;"></div>
+                    <div id="portfolio-legend" class="small mt-2"></div>
+                </div>
+            </div>
+        `;
+    }
+
+    bindEvents() {
+        this.container.addEventListener('change', (e) => {
+            const filter = e.target.dataset.portfolioFilter;
+            if (filter) {
+                this.filters[filter] = e.target.value;
+                this.update();
+            } else if (e.target.id === 'portfolio-color-by') {
+                this.colorBy = e.target.value;
+                this.update();
+            } else if (e.target.id === 'portfolio-heatmap') {
+                this.showHeatmap = e.target.checked;
+                this.update();
+            }
+        });
+    }
+
+    async update() {
+        if (!this.map) return;
+        const visible = filterPortfolio(this.entries, this.filters);
+
+        try {
+            await this.map.displayPortfolio(visible, {
+                colorOf: (entry) => portfolioColor(entry, this.colorBy),
+                onOpen: this.onOpen
+            });
+
+            if (this.showHeatmap) {
+                await this.map.displayHeatmap(visible.map(entry => entry.centroid));
+            } else {
+                this.map.clearHeatmap();
+            }
+        } catch (error) {
+            console.error('Error showing portfolio map:', error);
+        }
+
+        this.renderSummary(visible);
+    }
+
+    renderSummary(visible) {
+        const counts = visible.reduce((acc, entry) => {
+            const key = this.colorBy === 'kesesuaian' ? entry.kesesuaian : entry.status;
+            acc[key] = (acc[key] || 0) + 1;
+            return acc;
+        }, {});
+        const legend = this.colorBy === 'kesesuaian'
+            ? Object.entries(KESESUAIAN_LEVELS).map(([key, { label, color }]) => [key, label, color])
+            : Object.entries(PROJECT_STATUSES).map(([key, { color }]) => [key, key, color]);
+
+        this.container.querySelector('#portfolio-legend').innerHTML = legend.map(([key, label, color]) => `
+            <span class="me-3 text-nowrap"><span class="d-inline-block rounded-circle me-1 align-middle" style="width: 12px; height: 12px; background: ${color}"></span>${label} (${counts[key] || 0})</span>
+        `).join('');
+
+        this.container.querySelector('#portfolio-count').textContent =
+            `${visible.length} dari ${this.entries.length} proyek ditampilkan` +
+            (this.skipped > 0 ? ` · ${this.skipped} proyek belum memiliki batas bidang` : '');
+    }
+
+    destroy() {
+        this.map?.destroy();
+        this.map = null;
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * Project Attachments Component
+ * Lists the original uploads of a project (applicant letter, map files)
+ * so they can be downloaded again or detached
+ */
+
+import { FileProcessor } from '../utils/performance.js';
+import { SecurityUtils } from '../utils/security.js';
+import { dbManager, projectStorage } from '../core/storage.js';
+
+const KIND_LABELS = {
+    letter: { text: 'Surat Permohonan', icon: 'bi-envelope-paper' },
+    map: { text: 'File Peta', icon: 'bi-map' },
+    other: { text: 'Lampiran', icon: 'bi-paperclip' }
+};
+
+export class ProjectAttachmentsComponent {
+    constructor(container, project, onError) {
+        this.container = container;
+        this.project = project;
+        this.onError = onError;
+
+        this.render();
+        this.bindEvents();
+    }
+
+    render() {
+        const attachments = this.project.attachments || [];
+
+        this.container.innerHTML = `
+            <div class="card">
+                <div class="card-body">
+                    <h5 class="card-title"><i class="bi bi-paperclip"></i> Lampiran Proyek</h5>
+                    ${attachments.length === 0
+                        ? '<p class="text-muted small mb-0">Belum ada file asli yang tersimpan untuk proyek ini.</p>'
+                        : `<ul class="list-group list-group-flush">${attachments.map(a => this.renderItem(a)).join('')}</ul>`}
+                </div>
+            </div>
+        `;
+    }
+
+    renderItem(attachment) {
+        const kind = KIND_LABELS[attachment.kind] || KIND_LABELS.other;
+        const fileId = SecurityUtils.escapeAttribute(attachment.fileId);
+        const uploaded = attachment.uploadedAt ? new Date(attachment.uploadedAt).toLocaleString('id-ID') : '-';
+
+        return `
+            <li class="list-group-item d-flex justify-content-between align-items-center px-0">
+                <div>
+                    <i class="bi ${kind.icon} me-1"></i>
+                    <strong>${SecurityUtils.sanitizeHTML(attachment.name)}</strong>
+                    <span class="badge bg-light text-dark ms-1">${kind.text}</span>
+                    <div class="small text-muted">${attachment.size ? FileProcessor.formatFileSize(attachment.size) + ' • ' : ''}${uploaded}</div>
+                </div>
+                <div>
+                    <button class="btn btn-sm btn-outline-primary" data-attachment-action="download" data-file-id="${fileId}" title="Unduh file asli"><i class="bi bi-download"></i></button>
+                    <button class="btn btn-sm btn-outline-danger" data-attachment-action="remove" data-file-id="${fileId}" title="Hapus lampiran"><i class="bi bi-trash"></i></button>
+                </div>
+            </li>
+        `;
+    }
+
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-attachment-action]');
+            if (!button) return;
+
+            const attachment = (this.project.attachments || []).find(a => a.fileId === button.dataset.fileId);
+            if (!attachment) return;
+
+            if (button.dataset.attachmentAction === 'download') {
+                this.download(attachment);
+            } else {
+                this.remove(attachment);
+            }
+        });
+    }
+
+    async download(attachment) {
+        try {
+            const blob = await dbManager.getFile(attachment.fileId);
+            if (!blob) {
+                this.onError?.('File asli tidak lagi tersedia di penyimpanan');
+                return;
+            }
+
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = attachment.name;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            console.error('Attachment download error:', error);
+            this.onError?.('Gagal mengunduh lampiran');
+        }
+    }
+
+    async remove(attachment) {
+        if (!confirm(`Hapus lampiran "${attachment.name}"? File asli akan dihapus bila tidak dipakai proyek lain.`)) return;
+
+        // The workspace saves its own project object, keep it in step
+        const previous = this.project.attachments || [];
+        this.project.attachments = previous.filter(a => a.fileId !== attachment.fileId);
+
+        const success = await projectStorage.removeAttachment(this.project.id, attachment.fileId);
+        if (!success) {
+            this.project.attachments = previous;
+            this.onError?.('Gagal menghapus lampiran');
+        }
+
+        this.render();
+    }
+}
@@ -6,6 +6,7 @@
 import { VirtualScroller, debounce, performanceMonitor } from '../utils/performance.js';
 import { projectStorage } from '../core/storage.js';
 import { CONFIG } from '../config.js';
+import { getProjectStatus, PROJECT_STATUSES } from '../services/portfolio.js';
 
 export class ProjectListComponent {
     constructor(container, onProjectSelect, onProjectDelete) {
@@ -146,22 +147,11 @@ export class ProjectListComponent {
     }
 
     getProjectStatus(project) {
-        if (!project.analysisResult) return 'Baru';
-        if (project.analysisResult.analisis_zona?.length > 0) return 'Selesai';
-        if (project.mapFileContent) return 'Analisis';
-        if (project.analysisResult.pemohon?.nama) return 'Data Ekstrak';
-        return 'Upload';
+        return getProjectStatus(project);
     }
 
     getStatusBadgeClass(project) {
-        const status = this.getProjectStatus(project);
-        switch (status) {
-            case 'Selesai': return 'bg-success';
-            case 'Analisis': return 'bg-warning';
-            case 'Data Ekstrak': return 'bg-info';
-            case 'Upload': return 'bg-secondary';
-            default: return 'bg-light text-dark';
-        }
+        return PROJECT_STATUSES[this.getProjectStatus(project)].badge;
     }
 
     selectProject(projectId) {
@@ -238,11 +228,11 @@ export class ProjectListComponent {
         this.loadProjects();
     }
 
-    addProject(project) {
+    async addProject(project) {
         performanceMonitor.startTiming('addProject');
         
         // Add to storage
-        projectStorage.addProject(project);
+        await projectStorage.addProject(project);
         
         // Refresh list
         this.loadProjects();
@@ -253,11 +243,11 @@ export class ProjectListComponent {
         performanceMonitor.endTiming('addProject');
     }
 
-    deleteProject(projectId) {
+    async deleteProject(projectId) {
         performanceMonitor.startTiming('deleteProject');
         
         // Remove from storage
-        const success = projectStorage.deleteProject(projectId);
+        const success = await projectStorage.deleteProject(projectId);
         
         if (success) {
             // Refresh list
@@ -273,11 +263,11 @@ export class ProjectListComponent {
         return success;
     }
 
-    updateProject(projectId, updates) {
+    async updateProject(projectId, updates) {
         performanceMonitor.startTiming('updateProject');
         
         // Update in storage
-        const success = projectStorage.updateProject(projectId, updates);
+        const success = await projectStorage.updateProject(projectId, updates);
         
         if (success) {
             // Refresh list to show updated data
@@ -300,16 +290,16 @@ export class ProjectListComponent {
     }
 
     // Performance optimization: batch updates
-    batchUpdate(updates) {
+    async batchUpdate(updates) {
         performanceMonitor.startTiming('batchUpdate');
         
         let hasChanges = false;
         
-        updates.forEach(({ projectId, data }) => {
-            if (projectStorage.updateProject(projectId, data)) {
+        for (const { projectId, data } of updates) {
+            if (await projectStorage.updateProject(projectId, data)) {
                 hasChanges = true;
             }
-        });
+        }
         
         if (hasChanges) {
             this.loadProjects();
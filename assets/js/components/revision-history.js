@@ -0,0 +1,192 @@
+/**
+ * Revision History Component
+ * Lists project revisions, shows field-level diffs and restores older versions
+ */
+
+import { projectHistory } from '../core/history.js';
+import { SecurityUtils } from '../utils/security.js';
+
+const REASON_LABELS = {
+    create: 'Dibuat',
+    save: 'Disimpan',
+    upload: 'Unggah Peta',
+    ai_analysis: 'Analisis AI',
+    map_edit: 'Edit Peta',
+    georeference: 'Georeferensi',
+    admin_boundary: 'Batas Administrasi',
+    restore: 'Dipulihkan',
+    import: 'Diimpor',
+    cleanup: 'Pembersihan',
+    attachment: 'Lampiran'
+};
+
+const CHANGE_LABELS = {
+    added: { text: 'Ditambah', badge: 'bg-success' },
+    removed: { text: 'Dihapus', badge: 'bg-danger' },
+    changed: { text: 'Diubah', badge: 'bg-warning text-dark' }
+};
+
+export class RevisionHistoryComponent {
+    constructor(container, projectId, onRestore) {
+        // Fresh root per instance so reopening the modal does not stack listeners
+        this.container = document.createElement('div');
+        container.replaceChildren(this.container);
+        this.projectId = projectId;
+        this.onRestore = onRestore;
+
+        this.revisions = [];
+        this.fromId = null;
+        this.toId = null;
+
+        this.init();
+    }
+
+    async init() {
+        this.container.innerHTML = '<div class="text-center p-3"><div class="spinner-border text-primary" role="status"></div></div>';
+
+        try {
+            this.revisions = await projectHistory.getRevisions(this.projectId);
+        } catch (error) {
+            console.error('Failed to load revisions:', error);
+            this.container.innerHTML = '<div class="alert alert-danger">Gagal memuat riwayat revisi.</div>';
+            return;
+        }
+
+        if (this.revisions.length === 0) {
+            this.container.innerHTML = '<div class="alert alert-info">Belum ada riwayat revisi untuk proyek ini.</div>';
+            return;
+        }
+
+        // Default comparison: previous revision against the newest one
+        this.toId = this.revisions[0].id;
+        this.fromId = (this.revisions[1] || this.revisions[0]).id;
+
+        this.render();
+        this.bindEvents();
+        await this.renderDiff();
+    }
+
+    render() {
+        const original = projectHistory.findOriginalRevision(this.revisions);
+        const hasRevisiLetter = this.revisions.some(r => r.isRevisi);
+
+        this.container.innerHTML = `
+            <div class="d-flex justify-content-between align-items-center mb-2">
+                <small class="text-muted">${this.revisions.length} revisi tersimpan. Pilih <strong>A</strong> dan <strong>B</strong> untuk membandingkan.</small>
+                ${hasRevisiLetter && original ? `
+                    <button class="btn btn-sm btn-outline-primary" data-history-action="compare-original">
+                        <i class="bi bi-arrow-left-right"></i> Bandingkan dengan KRK Asli
+                    </button>` : ''}
+            </div>
+            <div class="table-responsive" style="max-height: 280px; overflow-y: auto;">
+                <table class="table table-sm table-hover align-middle mb-3">
+                    <thead class="table-light">
+                        <tr><th>A</th><th>B</th><th>Waktu</th><th>Keterangan</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${this.revisions.map((revision, index) => this.renderRevisionRow(revision, index)).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <h6>Perubahan</h6>
+            <div id="revision-diff-content"></div>
+        `;
+    }
+
+    renderRevisionRow(revision, index) {
+        const time = new Date(revision.timestamp).toLocaleString('id-ID');
+        const reason = REASON_LABELS[revision.reason] || revision.reason;
+        const revisiBadge = revision.isRevisi
+            ? `<span class="badge bg-info text-dark ms-1">Revisi ${SecurityUtils.sanitizeHTML(revision.revisiNomor || '')}</span>`
+            : '';
+
+        return `
+            <tr>
+                <td><input class="form-check-input" type="radio" name="revision-from" value="${revision.id}" ${revision.id === this.fromId ? 'checked' : ''}></td>
+                <td><input class="form-check-input" type="radio" name="revision-to" value="${revision.id}" ${revision.id === this.toId ? 'checked' : ''}></td>
+                <td>${time}${index === 0 ? ' <span class="badge bg-secondary">Terbaru</span>' : ''}</td>
+                <td>${reason}${revisiBadge}</td>
+                <td class="text-end">
+                    ${index === 0 ? '' : `<button class="btn btn-sm btn-outline-warning" data-history-action="restore" data-revision-id="${revision.id}"><i class="bi bi-arrow-counterclockwise"></i> Pulihkan</button>`}
+                </td>
+            </tr>
+        `;
+    }
+
+    async renderDiff() {
+        const diffContainer = this.container.querySelector('#revision-diff-content');
+        if (!diffContainer) return;
+
+        if (this.fromId === this.toId) {
+            diffContainer.innerHTML = '<p class="text-muted small">Pilih dua revisi yang berbeda untuk melihat perubahan.</p>';
+            return;
+        }
+
+        try {
+            const changes = await projectHistory.compareRevisions(this.fromId, this.toId);
+
+            if (changes.length === 0) {
+                diffContainer.innerHTML = '<p class="text-muted small">Tidak ada perubahan di antara kedua revisi.</p>';
+                return;
+            }
+
+            diffContainer.innerHTML = `
+                <table class="table table-sm table-bordered small">
+                    <thead class="table-light"><tr><th>Kolom</th><th>Jenis</th><th>A</th><th>B</th></tr></thead>
+                    <tbody>
+                        ${changes.map(change => `
+                            <tr>
+                                <td><code>${SecurityUtils.sanitizeHTML(change.path)}</code></td>
+                                <td><span class="badge ${CHANGE_LABELS[change.type].badge}">${CHANGE_LABELS[change.type].text}</span></td>
+                                <td class="text-danger">${this.formatValue(change.before)}</td>
+                                <td class="text-success">${this.formatValue(change.after)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        } catch (error) {
+            console.error('Failed to compare revisions:', error);
+            diffContainer.innerHTML = '<div class="alert alert-danger">Gagal membandingkan revisi.</div>';
+        }
+    }
+
+    formatValue(value) {
+        if (value === undefined || value === null || value === '') return '<em class="text-muted">-</em>';
+        if (typeof value === 'object') {
+            const json = JSON.stringify(value);
+            return SecurityUtils.sanitizeHTML(json.length > 120 ? `${json.slice(0, 120)}…` : json);
+        }
+        return SecurityUtils.sanitizeHTML(String(value));
+    }
+
+    bindEvents() {
+        this.container.addEventListener('change', (e) => {
+            if (e.target.name === 'revision-from') {
+                this.fromId = e.target.value;
+                this.renderDiff();
+            } else if (e.target.name === 'revision-to') {
+                this.toId = e.target.value;
+                this.renderDiff();
+            }
+        });
+
+        this.container.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-history-action]');
+            if (!button) return;
+
+            if (button.dataset.historyAction === 'restore') {
+                if (!confirm('Pulihkan proyek ke revisi ini? Keadaan saat ini tetap tersimpan di riwayat.')) return;
+                button.disabled = true;
+                await this.onRestore(button.dataset.revisionId);
+            } else if (button.dataset.historyAction === 'compare-original') {
+                const original = projectHistory.findOriginalRevision(this.revisions);
+                this.fromId = original.id;
+                this.toId = this.revisions[0].id;
+                this.container.querySelector(`input[name="revision-from"][value="${this.fromId}"]`).checked = true;
+                this.container.querySelector(`input[name="revision-to"][value="${this.toId}"]`).checked = true;
+                this.renderDiff();
+            }
+        });
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * Storage Dashboard Component
+ * Shows quota usage with a per-project breakdown and runs guided cleanup
+ */
+
+import { FileProcessor } from '../utils/performance.js';
+import { SecurityUtils } from '../utils/security.js';
+import { storageMonitor } from '../services/storage-monitor.js';
+
+const LEVEL_STYLES = {
+    ok: { bar: 'bg-success', alert: null },
+    warning: { bar: 'bg-warning', alert: 'alert-warning' },
+    critical: { bar: 'bg-danger', alert: 'alert-danger' }
+};
+
+const size = (bytes) => FileProcessor.formatFileSize(bytes);
+
+export class StorageDashboardComponent {
+    constructor(container, onCleanup) {
+        // Fresh root per instance so reopening the modal does not stack listeners
+        this.container = document.createElement('div');
+        container.replaceChildren(this.container);
+        this.onCleanup = onCleanup;
+        this.report = null;
+        this.message = null;
+
+        this.bindEvents();
+        this.refresh();
+    }
+
+    async refresh() {
+        this.container.innerHTML = '<div class="text-center p-3"><div class="spinner-border text-primary" role="status"></div></div>';
+
+        try {
+            this.report = await storageMonitor.getReport();
+            this.render();
+        } catch (error) {
+            console.error('Failed to build storage report:', error);
+            this.container.innerHTML = '<div class="alert alert-danger">Gagal membaca penggunaan penyimpanan.</div>';
+        }
+    }
+
+    render() {
+        const { usage, breakdown, localStorageSize, complete } = this.report;
+        const { totals } = breakdown;
+
+        this.container.innerHTML = `
+            ${this.message ? `<div class="alert alert-${this.message.type} small">${SecurityUtils.sanitizeHTML(this.message.text)}</div>` : ''}
+            ${this.renderUsage(usage)}
+            <div class="row text-center small g-2 mb-3">
+                ${[
+                    ['Data Analisis', totals.analysis],
+                    ['GeoJSON', totals.geojson],
+                    ['Gambar Peta', totals.screenshots],
+                    ['File Unggahan', totals.uploads],
+                    ['Riwayat Revisi', totals.history],
+                    ['File Yatim', totals.orphaned]
+                ].map(([label, bytes]) => `
+                    <div class="col-4 col-md-2">
+                        <div class="border rounded p-2"><div class="text-muted">${label}</div><strong>${size(bytes)}</strong></div>
+                    </div>
+                `).join('')}
+            </div>
+            <p class="small text-muted">Template kustom: ${size(breakdown.templateSize)} • localStorage: ${size(localStorageSize)}</p>
+            ${this.renderProjectTable(breakdown.projects)}
+            <h6 class="mt-3">Pembersihan</h6>
+            ${complete ? '' : '<div class="alert alert-secondary small">Sebagian proyek belum termuat (brankas terkunci atau data versi lebih baru), pembersihan dinonaktifkan.</div>'}
+            <div class="list-group">
+                ${this.renderAction('purge-files', 'Hapus file yatim',
+                    `${breakdown.orphanedFiles.length} file (${size(totals.orphaned)}) tidak dipakai proyek mana pun.`,
+                    !complete || breakdown.orphanedFiles.length === 0)}
+                ${this.renderAction('purge-revisions', 'Hapus riwayat proyek yang sudah dihapus',
+                    `${breakdown.orphanedRevisionCount} revisi milik proyek yang tidak ada lagi.`,
+                    !complete || breakdown.orphanedRevisionCount === 0)}
+                ${this.renderAction('compress-images', 'Kompres gambar peta',
+                    `Simpan ulang gambar peta sebagai JPEG (maks. 1600px). Total saat ini ${size(totals.screenshots)}.`,
+                    totals.screenshots === 0)}
+            </div>
+        `;
+    }
+
+    renderUsage(usage) {
+        if (!usage) {
+            return '<p class="small text-muted">Browser tidak menyediakan informasi kuota penyimpanan.</p>';
+        }
+
+        const style = LEVEL_STYLES[usage.level];
+        const percentage = Math.min(usage.percentage, 100);
+
+        return `
+            <div class="mb-3">
+                <div class="d-flex justify-content-between small mb-1">
+                    <span>Terpakai ${size(usage.used)} dari ${size(usage.available)}</span>
+                    <strong>${usage.percentage.toFixed(1)}%</strong>
+                </div>
+                <div class="progress" style="height: 10px;">
+                    <div class="progress-bar ${style.bar}" role="progressbar" style="width: ${percentage}%"></div>
+                </div>
+                ${style.alert ? `<div class="alert ${style.alert} small mt-2 mb-0">Ruang penyimpanan hampir penuh. Jalankan pembersihan di bawah atau ekspor lalu hapus proyek lama.</div>` : ''}
+            </div>
+        `;
+    }
+
+    renderProjectTable(rows) {
+        if (rows.length === 0) {
+            return '<div class="alert alert-info small">Belum ada proyek tersimpan.</div>';
+        }
+
+        return `
+            <div class="table-responsive" style="max-height: 300px; overflow-y: auto;">
+                <table class="table table-sm table-hover align-middle small">
+                    <thead class="table-light">
+                        <tr><th>Proyek</th><th>Analisis</th><th>GeoJSON</th><th>Gambar</th><th>Unggahan</th><th>Riwayat</th><th>Total</th></tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr>
+                                <td>${SecurityUtils.sanitizeHTML(row.name || row.id)}</td>
+                                <td>${size(row.analysis)}</td>
+                                <td>${size(row.geojson)}</td>
+                                <td>${size(row.screenshots)}</td>
+                                <td>${size(row.uploads)}</td>
+                                <td>${size(row.history)}</td>
+                                <td><strong>${size(row.total)}</strong></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderAction(action, title, description, disabled) {
+        return `
+            <div class="list-group-item d-flex justify-content-between align-items-center">
+                <div>
+                    <div class="fw-semibold">${title}</div>
+                    <small class="text-muted">${description}</small>
+                </div>
+                <button class="btn btn-sm btn-outline-danger" data-storage-action="${action}" ${disabled ? 'disabled' : ''}>Jalankan</button>
+            </div>
+        `;
+    }
+
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-storage-action]');
+            if (button && !button.disabled) {
+                this.runAction(button.dataset.storageAction, button);
+            }
+        });
+    }
+
+    async runAction(action, button) {
+        if (!confirm('Jalankan pembersihan ini? Tindakan tidak dapat dibatalkan.')) return;
+
+        button.disabled = true;
+        try {
+            if (action === 'purge-files') {
+                const result = await storageMonitor.purgeOrphanedFiles();
+                this.message = { type: 'success', text: `${result.count} file dihapus, ${size(result.bytes)} dibebaskan.` };
+            } else if (action === 'purge-revisions') {
+                const result = await storageMonitor.purgeOrphanedRevisions();
+                this.message = { type: 'success', text: `${result.count} revisi dihapus.` };
+            } else if (action === 'compress-images') {
+                const result = await storageMonitor.compressScreenshots();
+                this.message = { type: 'success', text: `${result.count} gambar dikompres, ${size(result.savedBytes)} dihemat.` };
+                if (result.count > 0 && this.onCleanup) {
+                    this.onCleanup();
+                }
+            }
+        } catch (error) {
+            this.message = { type: 'danger', text: error.message };
+        }
+
+        await this.refresh();
+    }
+}
@@ -6,14 +6,48 @@
 // Application Configuration
 export const CONFIG = {
     // Storage Keys
-    PROJECTS_KEY: 'krk_projects_garut_v3',
+    PROJECTS_KEY: 'krk_projects_garut_v3', // Legacy localStorage key, migrated to PROJECT_STORE_NAME
     SETTINGS_KEY: 'krk_settings_garut_v3',
     TEMPLATE_KEY: 'custom_docx_template',
+    ZONING_LAYER_KEY: 'rtrw_zoning_layer', // Pola ruang map shared by all projects
+    SETBACK_LAYERS_KEY: 'setback_line_layers', // River, road and rail lines for sempadan checks
+    MBTILES_KEY: 'offline_basemap_mbtiles', // Local MBTiles basemap
+    ADMIN_BOUNDARY_KEY: 'admin_boundary_layers', // Kecamatan and desa polygons of the kabupaten
+    MIGRATION_LOG_KEY: 'krk_migration_log_garut',
+    VAULT_KEY: 'krk_vault_garut',
+    PROJECT_LOCKS_KEY: 'krk_project_locks_garut',
+    SYNC_EVENT_KEY: 'krk_sync_event_garut', // Fallback transport without BroadcastChannel
+    
+    // Version of the stored project/settings shape (see SCHEMA_MIGRATIONS)
+    SCHEMA_VERSION: 3,
     
     // IndexedDB Configuration
     DB_NAME: 'KRK_FilesDB',
-    DB_VERSION: 1,
+    DB_VERSION: 3,
     FILE_STORE_NAME: 'files',
+    PROJECT_STORE_NAME: 'projects',
+    HISTORY_STORE_NAME: 'history',
+    
+    // Revision History Settings
+    HISTORY_MAX_REVISIONS: 50, // Per project, overridable in settings
+    HISTORY_COALESCE_MS: 60 * 1000, // Saves within 1 minute share one revision
+    UNDO_STACK_LIMIT: 100, // Undo steps kept per open project
+    
+    // Storage Quota & Cleanup
+    STORAGE_WARNING_PERCENT: 80, // Percent of the browser quota
+    STORAGE_CRITICAL_PERCENT: 95,
+    FILE_GC_GRACE_MS: 24 * 60 * 60 * 1000, // Unreferenced uploads are kept for 1 day
+    
+    // Vault (at-rest encryption) Settings
+    VAULT_PBKDF2_ITERATIONS: 310000,
+    VAULT_MIN_PASSPHRASE: 8,
+    VAULT_AUTO_LOCK_MS: 15 * 60 * 1000, // Lock after 15 minutes without activity
+    
+    // Cross-Tab Sync
+    SYNC_CHANNEL_NAME: 'krk_sync_garut',
+    SYNC_SAVE_DELAY_MS: 500,
+    PROJECT_LOCK_TTL_MS: 30 * 1000, // Edit lock expires unless renewed by its tab
+    PROJECT_LOCK_HEARTBEAT_MS: 10 * 1000,
     
     // API Configuration
     GEMINI_API_BASE: 'https://generativelanguage.googleapis.com/v1beta/models',
@@ -27,7 +61,7 @@ export const CONFIG = {
     
     // File Upload Settings
     MAX_FILE_SIZE: 50 * 1024 * 1024, // 50MB
-    SUPPORTED_MAP_FORMATS: ['.json', '.geojson', '.kml', '.shp', '.pdf', '.png', '.jpg', '.jpeg'],
+    SUPPORTED_MAP_FORMATS: ['.json', '.geojson', '.kml', '.kmz', '.shp', '.zip', '.dxf', '.pdf', '.png', '.jpg', '.jpeg'],
     SUPPORTED_DOC_FORMATS: ['.pdf', '.txt', '.docx', '.xls', '.xlsx', '.png', '.jpg', '.jpeg'],
     
     // Map Configuration
@@ -36,6 +70,29 @@ export const CONFIG = {
     MAP_TILE_URL: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
     MAP_ATTRIBUTION: '© OpenStreetMap contributors',
     
+    // Offline basemap. Seeding needs a tile source set in the settings whose
+    // terms allow bulk downloads; OpenStreetMap's tile servers do not.
+    TILE_CACHE_NAME: 'krk-tiles-v1', // Seeded tiles; also named in sw.js, which serves it cache-first
+    TILE_VIEW_CACHE_NAME: 'krk-tiles-viewed-v1', // Tiles cached by sw.js as they are viewed
+    TILE_SEED_BOUNDS: [107.42, -7.75, 108.13, -6.95], // Kabupaten Garut (west, south, east, north)
+    TILE_SEED_MIN_ZOOM: 10,
+    TILE_SEED_MAX_ZOOM: 15, // ± 6,600 tiles for the whole kabupaten
+    TILE_SEED_MAX_TILES: 10000,
+    
+    // Warn when the declared parcel area differs from the computed one by more than this fraction
+    AREA_MISMATCH_TOLERANCE: 0.05,
+    
+    // Libraries loaded on demand
+    JSZIP_URL: 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js',
+    XLSX_URL: 'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js',
+    LEAFLET_GEOMAN_URL: 'https://unpkg.com/@geoman-io/leaflet-geoman-free@2.17.0/dist/leaflet-geoman.js',
+    LEAFLET_MARKERCLUSTER_URL: 'https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js',
+    LEAFLET_HEAT_URL: 'https://unpkg.com/leaflet.heat@0.2.0/dist/leaflet-heat.js',
+    SQL_JS_URL: 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.10.3/sql-wasm.js',
+    SQL_JS_WASM_URL: 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.10.3/sql-wasm.wasm',
+    PDFJS_URL: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
+    PDFJS_WORKER_URL: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
+    
     // UI Configuration
     TOAST_DURATION: 3000,
     SPINNER_DELAY: 500,
@@ -45,6 +102,15 @@ export const CONFIG = {
     DEFAULT_TEMPLATE_BASE64: "UEsDBBQABgAIAAAAIQCSq9v6bAIAALMhAAATANoGW0NvbnRlbnRfVHlwZXNdLnhtbCCiBAIooAACAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAC0lMtuwjAQRfeV+g/FN5EuijbQ2q1D2jZp06cPfI0xsmEkT2sM/++diA7bUFF2Yd6ZOe/MDJ792JzVKhSKSxU5aZ4Vkwp5p9n+vP0L8yY0VpNEEZ24jyG9U3kXo4wD9Qy+3wX8owhYI5yF4w733sVdDi49uAOBYxYpD2B9p108U101b0l3wUaApk0LBNZ2DFx/4kEE3T2X0rB1J/YkYqs3B/4p3b/g92z2f4mKkRjW/1n4o1w42B7M1cewM5oKLeV24gRx0GqY3M2Yy0tRE8CDJXDfU/I3yJ23k2llU6M4qN8KLiQ1Yv2s794S4z1W6wK2u1N2x8tA7+A7yvsyDM9y08PzP7g/l36n8gfh/M9v4y+V+0f8Y/oPiX/4/gFJiD5uA3+vff5BUEsDBBQABgAIAAAAIQAx35v3SAAAAJgBAAALANoGAl9yZWxzLy5yZWxzIKJAzUrEMBC78x6D72O9g4pEtD2L0L2P0A8Q7M2AFxvDYLf97QkJVKvYh33n5o3nM2e293wE1WdeYt2FspYgC3kMI3suv95Irs9l0C2Wc6GCA2QWU4EC29yGvjrs1xVj8oA9x4sC7sVBR3A9Y4eD1hsw15vo0xARwR3g3wFhShRn/ZSEJj1EaEldy5Yy+aX4xwe8hd9l+Jn/3n5o+g/+f8x1+ss1xH8mX0fxk8S/J96n/wPUEsDBBQABgAIAAAAIQCEw/zJvQIAAIMDAAAcANoGCXdvcmQvX3JlbHMvZG9jdW1lbnQueG1sLnJlbHMgdpNNT8MwEIDvSPyHyPtuG4gQNW3TCRInggkv6h2CZDdpx8S2rTz+Pcl2A+30/Pa9PXt7u7q9I4RGs6YIrsIpoVimjW9n5eL6Jj9JvDeMYGvWkYwYgP3l6/V4b1S08QijhAThI2yC/xWzKxGT2c+b3T2D6wHre4PkQyP2QexuNTHpYcNW+gJUeZ7D18oTwRFAwFse9XF2XCnprbPeSY+c2uY8ygFuOzvz5o6O19GwcVnGzMPcDnl4pXn9qFnhoFGW/D3usC82NvWLaIVbYl1342Y7/ZUDfL/wxt5bI/N5jR/uBf2j4g/f4wSNN/wLUEsDBBQABgAIAAAAIQC+4Wb69AYAAK0dAAAPAAAAcw93b3JkL2RvY3VtZW50LnhtbJxdW2/bNhB+n7T/wdD3AEkco7GdpC5FugYpsgxp2zQoMhSJli..."
 };
 
+// Files shared by all projects; cleanup never treats them as unreferenced
+export const RESERVED_FILE_IDS = new Set([
+    CONFIG.TEMPLATE_KEY,
+    CONFIG.ZONING_LAYER_KEY,
+    CONFIG.SETBACK_LAYERS_KEY,
+    CONFIG.MBTILES_KEY,
+    CONFIG.ADMIN_BOUNDARY_KEY
+]);
+
 // Application States
 export const APP_STATES = {
     UPLOADER: 'uploader',
@@ -80,7 +146,12 @@ export const ERROR_MESSAGES = {
     MAP_RENDER_ERROR: 'Gagal merender peta.',
     AI_ANALYSIS_ERROR: 'Gagal melakukan analisis AI.',
     EXPORT_ERROR: 'Gagal mengekspor data.',
-    IMPORT_ERROR: 'Gagal mengimpor data.'
+    IMPORT_ERROR: 'Gagal mengimpor data.',
+    SCHEMA_TOO_NEW: 'Data dibuat oleh versi aplikasi yang lebih baru dan tidak dapat dimuat.',
+    VAULT_LOCKED: 'Brankas terkunci. Buka kunci terlebih dahulu.',
+    BACKUP_INCOMPLETE: 'Sebagian proyek belum dimuat, cadangan dibatalkan agar pemulihan tidak menghapusnya.',
+    BACKUP_PASSPHRASE_REQUIRED: 'Arsip cadangan terenkripsi. Masukkan kata sandi brankas saat cadangan dibuat.',
+    BACKUP_PASSPHRASE_WRONG: 'Kata sandi arsip cadangan salah.'
 };
 
 // Success Messages
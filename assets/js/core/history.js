@@ -0,0 +1,253 @@
+/**
+ * Project Revision History
+ * Keeps timestamped snapshots of each project so changes can be compared and restored
+ */
+
+import { CONFIG } from '../config.js';
+import { performanceMonitor } from '../utils/performance.js';
+import { dbManager, projectStorage, settingsStorage } from './storage.js';
+
+// Heavy fields that are not worth duplicating into every revision
+const SNAPSHOT_EXCLUDED_ANALYSIS_FIELDS = ['mapScreenshot'];
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const formatPath = (base, key) =>
+    typeof key === 'number' ? `${base}[${key}]` : (base ? `${base}.${key}` : key);
+
+/**
+ * Field-level diff between two values.
+ * Returns a flat list of { path, type: 'added' | 'removed' | 'changed', before, after }.
+ */
+export function diffObjects(before, after, path = '') {
+    if (Array.isArray(before) && Array.isArray(after)) {
+        const changes = [];
+        const length = Math.max(before.length, after.length);
+        for (let i = 0; i < length; i++) {
+            changes.push(...diffObjects(before[i], after[i], formatPath(path, i)));
+        }
+        return changes;
+    }
+
+    if (isPlainObject(before) && isPlainObject(after)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        const changes = [];
+        for (const key of keys) {
+            changes.push(...diffObjects(before[key], after[key], formatPath(path, key)));
+        }
+        return changes;
+    }
+
+    if (before === after) return [];
+    if (before === undefined) return [{ path, type: 'added', before, after }];
+    if (after === undefined) return [{ path, type: 'removed', before, after }];
+    return [{ path, type: 'changed', before, after }];
+}
+
+export class ProjectHistoryManager {
+    constructor(db, storage) {
+        this.db = db;
+        this.storage = storage;
+        this.latestRevisions = new Map(); // projectId -> newest revision record
+        this.pendingWrites = new Map(); // projectId -> promise chain, keeps writes ordered
+
+        this.storage.addChangeListener((type, payload, meta) => this.handleStorageChange(type, payload, meta));
+    }
+
+    handleStorageChange(type, payload, meta) {
+        if (type === 'save') {
+            this.recordRevision(payload, meta.reason).catch(error => {
+                console.error('Failed to record revision:', error);
+            });
+        } else if (type === 'delete') {
+            this.deleteHistory(payload.id).catch(error => {
+                console.error('Failed to delete revision history:', error);
+            });
+        } else if (type === 'restore') {
+            // Stores were rewritten wholesale, cached revisions are stale
+            this.latestRevisions.clear();
+        } else if (type === 'import') {
+            payload.forEach(project => {
+                this.recordRevision(project, 'import').catch(error => {
+                    console.error('Failed to record revision:', error);
+                });
+            });
+        }
+    }
+
+    getRetention() {
+        const retention = parseInt(settingsStorage.get('historyRetention', CONFIG.HISTORY_MAX_REVISIONS), 10);
+        return retention > 0 ? retention : CONFIG.HISTORY_MAX_REVISIONS;
+    }
+
+    createSnapshot(project) {
+        // Deep copy now, the caller keeps mutating the live project object
+        const snapshot = JSON.parse(JSON.stringify({
+            projectName: project.projectName,
+            analysisResult: project.analysisResult || null,
+            geojsonData: project.geojsonData || null
+        }));
+
+        if (snapshot.analysisResult) {
+            SNAPSHOT_EXCLUDED_ANALYSIS_FIELDS.forEach(field => delete snapshot.analysisResult[field]);
+        }
+
+        return snapshot;
+    }
+
+    // Queue per project so coalescing always sees the previous write
+    recordRevision(project, reason = 'save') {
+        const snapshot = this.createSnapshot(project);
+        const previous = this.pendingWrites.get(project.id) || Promise.resolve();
+        const next = previous
+            .catch(() => {})
+            .then(() => this.writeRevision(project.id, snapshot, reason));
+
+        this.pendingWrites.set(project.id, next);
+        next.finally(() => {
+            if (this.pendingWrites.get(project.id) === next) {
+                this.pendingWrites.delete(project.id);
+            }
+        }).catch(() => {});
+
+        return next;
+    }
+
+    async writeRevision(projectId, snapshot, reason) {
+        performanceMonitor.startTiming('recordRevision');
+
+        const latest = await this.getLatestRevision(projectId);
+        const now = Date.now();
+
+        // Nothing changed since the last revision
+        if (latest && JSON.stringify(latest.snapshot) === JSON.stringify(snapshot)) {
+            performanceMonitor.endTiming('recordRevision');
+            return latest;
+        }
+
+        // Rapid edits (typing in the form) are folded into the newest revision,
+        // counted from its first write so continuous editing still splits
+        const startedAt = latest?.startedAt ?? latest?.timestamp;
+        const coalesce = latest
+            && reason === 'save'
+            && latest.reason === 'save'
+            && now - startedAt < CONFIG.HISTORY_COALESCE_MS;
+
+        const revision = {
+            id: coalesce ? latest.id : `rev_${now}_${Math.random().toString(36).slice(2, 8)}`,
+            projectId,
+            timestamp: now,
+            startedAt: coalesce ? startedAt : now,
+            reason,
+            isRevisi: Boolean(snapshot.analysisResult?.is_revisi),
+            revisiNomor: snapshot.analysisResult?.revisi_nomor || '',
+            snapshot
+        };
+
+        await this.db.putRecord(CONFIG.HISTORY_STORE_NAME, revision);
+        this.latestRevisions.set(projectId, revision);
+
+        if (!coalesce) {
+            await this.pruneRevisions(projectId);
+        }
+
+        performanceMonitor.endTiming('recordRevision');
+        return revision;
+    }
+
+    async getLatestRevision(projectId) {
+        if (this.latestRevisions.has(projectId)) {
+            return this.latestRevisions.get(projectId);
+        }
+
+        const revisions = await this.getRevisions(projectId);
+        const latest = revisions[0] || null;
+        if (latest) {
+            this.latestRevisions.set(projectId, latest);
+        }
+        return latest;
+    }
+
+    // Newest first
+    async getRevisions(projectId) {
+        const revisions = await this.db.getRecordsByIndex(CONFIG.HISTORY_STORE_NAME, 'projectId', projectId);
+        return revisions.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    async getRevision(revisionId) {
+        return this.db.getRecord(CONFIG.HISTORY_STORE_NAME, revisionId);
+    }
+
+    async pruneRevisions(projectId) {
+        const revisions = await this.getRevisions(projectId);
+        const excess = revisions.slice(this.getRetention());
+
+        if (excess.length > 0) {
+            await this.db.deleteRecord(CONFIG.HISTORY_STORE_NAME, excess.map(r => r.id));
+        }
+
+        return excess.length;
+    }
+
+    async deleteHistory(projectId) {
+        const revisions = await this.getRevisions(projectId);
+        this.latestRevisions.delete(projectId);
+
+        if (revisions.length > 0) {
+            await this.db.deleteRecord(CONFIG.HISTORY_STORE_NAME, revisions.map(r => r.id));
+        }
+    }
+
+    // Original KRK = newest revision made before the letter was flagged as a revision
+    findOriginalRevision(revisions) {
+        return revisions.find(r => !r.isRevisi) || null;
+    }
+
+    async compareRevisions(fromId, toId) {
+        const [from, to] = await Promise.all([this.getRevision(fromId), this.getRevision(toId)]);
+        if (!from || !to) {
+            throw new Error('Revisi tidak ditemukan');
+        }
+
+        return [
+            ...diffObjects(from.snapshot.projectName, to.snapshot.projectName, 'projectName'),
+            ...diffObjects(from.snapshot.analysisResult, to.snapshot.analysisResult, 'analysisResult'),
+            ...(JSON.stringify(from.snapshot.geojsonData) === JSON.stringify(to.snapshot.geojsonData)
+                ? []
+                : [{ path: 'geojsonData', type: 'changed', before: from.snapshot.geojsonData, after: to.snapshot.geojsonData }])
+        ];
+    }
+
+    async restoreRevision(revisionId) {
+        const revision = await this.getRevision(revisionId);
+        if (!revision) {
+            throw new Error('Revisi tidak ditemukan');
+        }
+
+        const current = this.storage.getProject(revision.projectId);
+        if (!current) {
+            throw new Error('Proyek tidak ditemukan');
+        }
+
+        const { projectName, analysisResult, geojsonData } = JSON.parse(JSON.stringify(revision.snapshot));
+
+        // Keep the current map screenshot, it is not part of the snapshot
+        if (analysisResult && current.analysisResult) {
+            SNAPSHOT_EXCLUDED_ANALYSIS_FIELDS.forEach(field => {
+                analysisResult[field] = current.analysisResult[field] ?? null;
+            });
+        }
+
+        const success = await this.storage.updateProject(
+            revision.projectId,
+            { projectName, analysisResult, geojsonData },
+            { reason: 'restore' }
+        );
+
+        return success ? this.storage.getProject(revision.projectId) : null;
+    }
+}
+
+// Singleton instance
+export const projectHistory = new ProjectHistoryManager(dbManager, projectStorage);
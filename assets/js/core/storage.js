@@ -3,8 +3,295 @@
  * Handles localStorage, IndexedDB, and caching operations
  */
 
-import { CONFIG, ERROR_MESSAGES, SUCCESS_MESSAGES } from '../config.js';
+import { CONFIG, APP_STATES, ERROR_MESSAGES, SUCCESS_MESSAGES, RESERVED_FILE_IDS } from '../config.js';
 import { globalCache, performanceMonitor } from '../utils/performance.js';
+import { vault } from './vault.js';
+
+// Derive the workflow state of a project (also stored as the `status` index)
+export function getProjectState(project) {
+    if (project.analysisResult?.analisis_zona?.length > 0) {
+        return APP_STATES.EDITOR;
+    }
+    if (project.mapFileContent) {
+        return APP_STATES.ANALYSIS;
+    }
+    if (project.analysisResult?.pemohon?.nama) {
+        return APP_STATES.POST_EXTRACTION;
+    }
+    return APP_STATES.UPLOADER;
+}
+
+export function createProjectId() {
+    return `proj_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Ids of files-store blobs a project depends on
+export function getProjectFileIds(project) {
+    return (project.attachments || []).map(attachment => attachment.fileId);
+}
+
+// Attachment entry linking a project to an original upload in the files store.
+// kind: 'letter' (surat permohonan), 'map' (file peta) or 'other'
+export function createAttachment(fileId, file, kind = 'other') {
+    return {
+        fileId,
+        name: file.name,
+        size: file.size,
+        type: file.type,
+        kind,
+        uploadedAt: new Date().toISOString()
+    };
+}
+
+const quotaListeners = [];
+
+// Browsers disagree on how a full store is reported
+export function isQuotaExceededError(error) {
+    return Boolean(error) && (
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22 ||
+        error.code === 1014
+    );
+}
+
+// Callbacks receive (error, source) whenever a write fails for lack of space
+export function onQuotaExceeded(callback) {
+    if (typeof callback === 'function') {
+        quotaListeners.push(callback);
+    }
+}
+
+function reportQuotaError(error, source) {
+    if (!isQuotaExceededError(error)) return;
+    
+    console.error(`${ERROR_MESSAGES.QUOTA_EXCEEDED} (${source})`);
+    for (const callback of quotaListeners) {
+        try {
+            callback(error, source);
+        } catch (listenerError) {
+            console.error('Error in quota listener:', listenerError);
+        }
+    }
+}
+
+// Match incoming projects against current ones by id; same id with a
+// different lastModified is a conflict the user has to resolve
+export function planProjectMerge(currentProjects, incomingProjects) {
+    const currentById = new Map(currentProjects.map(p => [p.id, p]));
+    const plan = { added: [], unchanged: [], conflicts: [] };
+    
+    incomingProjects.forEach(theirs => {
+        const mine = currentById.get(theirs.id);
+        if (!mine) {
+            plan.added.push(theirs);
+        } else if (mine.lastModified === theirs.lastModified) {
+            plan.unchanged.push(theirs);
+        } else {
+            plan.conflicts.push({ id: theirs.id, mine, theirs });
+        }
+    });
+    
+    return plan;
+}
+
+// resolutions: { [projectId]: 'mine' | 'theirs' | 'both' }, unresolved conflicts keep 'mine'
+export function resolveProjectMerge(plan, resolutions = {}) {
+    const records = [...plan.added];
+    const counts = { added: plan.added.length, updated: 0, skipped: plan.unchanged.length };
+    
+    plan.conflicts.forEach(({ id, theirs }) => {
+        switch (resolutions[id] || 'mine') {
+            case 'theirs':
+                records.push(theirs);
+                counts.updated++;
+                break;
+            case 'both':
+                records.push({ ...theirs, id: createProjectId(), projectName: `${theirs.projectName} (salinan)` });
+                counts.added++;
+                break;
+            default:
+                counts.skipped++;
+        }
+    });
+    
+    return { records, counts };
+}
+
+// IndexedDB schema upgrades, keyed by the version they upgrade to.
+// Each step runs inside the versionchange transaction of onupgradeneeded.
+const DB_UPGRADES = {
+    1: (db) => {
+        const fileStore = db.createObjectStore(CONFIG.FILE_STORE_NAME, { keyPath: 'id' });
+        fileStore.createIndex('timestamp', 'timestamp', { unique: false });
+        fileStore.createIndex('type', 'type', { unique: false });
+    },
+    2: (db, transaction) => {
+        const projectStore = db.createObjectStore(CONFIG.PROJECT_STORE_NAME, { keyPath: 'id' });
+        projectStore.createIndex('lastModified', 'lastModified', { unique: false });
+        projectStore.createIndex('status', 'status', { unique: false });
+
+        migrateLegacyProjects(transaction);
+    },
+    3: (db) => {
+        const historyStore = db.createObjectStore(CONFIG.HISTORY_STORE_NAME, { keyPath: 'id' });
+        historyStore.createIndex('projectId', 'projectId', { unique: false });
+        historyStore.createIndex('timestamp', 'timestamp', { unique: false });
+    }
+};
+
+// Move projects from the legacy localStorage key into the projects store
+function migrateLegacyProjects(transaction) {
+    let legacyProjects;
+    try {
+        legacyProjects = JSON.parse(localStorage.getItem(CONFIG.PROJECTS_KEY) || '[]');
+    } catch (error) {
+        console.error('Legacy project data is corrupted, skipping migration:', error);
+        return;
+    }
+
+    if (!Array.isArray(legacyProjects) || legacyProjects.length === 0) return;
+
+    const store = transaction.objectStore(CONFIG.PROJECT_STORE_NAME);
+    legacyProjects.forEach(project => {
+        project.id = project.id || createProjectId();
+        project.lastModified = project.lastModified || new Date().toISOString();
+        project.status = getProjectState(project);
+        store.put(project);
+    });
+
+    // Only drop the legacy key once every record is committed
+    transaction.addEventListener('complete', () => {
+        localStorage.removeItem(CONFIG.PROJECTS_KEY);
+        globalCache.delete(`ls_${CONFIG.PROJECTS_KEY}`);
+        console.log(`Migrated ${legacyProjects.length} projects from localStorage to IndexedDB`);
+    });
+}
+
+// Default application settings
+const DEFAULT_SETTINGS = {
+    perdaRTRW: '',
+    geminiApiKey: '',
+    geminiModel: CONFIG.DEFAULT_MODEL,
+    referenceDocuments: [],
+    historyRetention: CONFIG.HISTORY_MAX_REVISIONS,
+    coordinateSystem: 'decimal', // Default for the letter's coordinate table, see COORDINATE_SYSTEMS
+    theme: 'light',
+    language: 'id',
+    autoSave: true,
+    notifications: true
+};
+
+// Schema migrations for stored data, applied in version order on load and
+// on import. Each entry upgrades one target ('project' or 'settings') to
+// `version` and must be a pure transform of the given record.
+export const SCHEMA_MIGRATIONS = [
+    {
+        id: 'project_v2_lokasi_alamat',
+        target: 'project',
+        version: 2,
+        description: 'Selaraskan lokasi_proyek.lokasi dengan alamat_lengkap hasil ekstraksi AI',
+        migrate: (project) => {
+            const lokasi = project.analysisResult?.lokasi_proyek;
+            if (!lokasi) return project;
+            
+            return {
+                ...project,
+                analysisResult: {
+                    ...project.analysisResult,
+                    lokasi_proyek: {
+                        ...lokasi,
+                        lokasi: lokasi.lokasi || lokasi.alamat_lengkap || '',
+                        alamat_lengkap: lokasi.alamat_lengkap || lokasi.lokasi || ''
+                    }
+                }
+            };
+        }
+    },
+    {
+        id: 'project_v3_attachments',
+        target: 'project',
+        version: 3,
+        description: 'Tambahkan daftar lampiran dan tautkan file peta yang sudah tersimpan',
+        migrate: (project) => {
+            if (Array.isArray(project.attachments)) return project;
+            
+            const fileId = project.mapFileContent?.fileId;
+            return {
+                ...project,
+                attachments: fileId
+                    ? [{ fileId, name: 'File peta', size: 0, type: '', kind: 'map', uploadedAt: project.lastModified || null }]
+                    : []
+            };
+        }
+    },
+    {
+        id: 'settings_v2_defaults',
+        target: 'settings',
+        version: 2,
+        description: 'Lengkapi pengaturan lama dengan nilai default',
+        migrate: (settings) => ({ ...DEFAULT_SETTINGS, ...settings })
+    }
+];
+
+// Schema Migrator Class
+export class SchemaMigrator {
+    constructor(migrations = SCHEMA_MIGRATIONS, currentVersion = CONFIG.SCHEMA_VERSION) {
+        this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+        this.currentVersion = currentVersion;
+    }
+
+    // Data without a schemaVersion predates versioning
+    getVersion(data) {
+        return Number(data?.schemaVersion) || 1;
+    }
+
+    isTooNew(data) {
+        return this.getVersion(data) > this.currentVersion;
+    }
+
+    // Returns { data, applied } where applied lists the migration ids that ran
+    migrate(target, data, fromVersion = this.getVersion(data)) {
+        if (fromVersion > this.currentVersion) {
+            throw new Error(`${ERROR_MESSAGES.SCHEMA_TOO_NEW} (v${fromVersion} > v${this.currentVersion})`);
+        }
+        
+        const applied = [];
+        let migrated = data;
+        
+        for (const migration of this.migrations) {
+            if (migration.target !== target) continue;
+            if (migration.version <= fromVersion || migration.version > this.currentVersion) continue;
+            
+            migrated = migration.migrate(migrated);
+            applied.push(migration.id);
+        }
+        
+        return {
+            data: { ...migrated, schemaVersion: this.currentVersion },
+            applied
+        };
+    }
+
+    // Persist which migrations ran, keeping the most recent entries
+    recordRun(target, applied, count = 1) {
+        if (applied.length === 0) return;
+        
+        const log = this.getLog();
+        log.push({
+            target,
+            migrations: applied,
+            count,
+            schemaVersion: this.currentVersion,
+            ranAt: new Date().toISOString()
+        });
+        LocalStorageManager.set(CONFIG.MIGRATION_LOG_KEY, log.slice(-100));
+    }
+
+    getLog() {
+        return [...LocalStorageManager.get(CONFIG.MIGRATION_LOG_KEY, [])];
+    }
+}
 
 // IndexedDB Manager Class
 export class IndexedDBManager {
@@ -32,15 +319,16 @@ export class IndexedDBManager {
             
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
+                const transaction = event.target.transaction;
                 
-                // Create object stores
-                if (!db.objectStoreNames.contains(CONFIG.FILE_STORE_NAME)) {
-                    const fileStore = db.createObjectStore(CONFIG.FILE_STORE_NAME, { keyPath: 'id' });
-                    fileStore.createIndex('timestamp', 'timestamp', { unique: false });
-                    fileStore.createIndex('type', 'type', { unique: false });
+                // Apply every upgrade step between the stored and current version
+                for (let version = event.oldVersion + 1; version <= event.newVersion; version++) {
+                    if (DB_UPGRADES[version]) {
+                        DB_UPGRADES[version](db, transaction);
+                    }
                 }
                 
-                console.log('IndexedDB object stores created');
+                console.log(`IndexedDB upgraded from v${event.oldVersion} to v${event.newVersion}`);
             };
         });
     }
@@ -82,6 +370,10 @@ export class IndexedDBManager {
                     performanceMonitor.endTiming('saveFile');
                     reject(request.error);
                 };
+                transaction.onabort = () => {
+                    reportQuotaError(transaction.error, CONFIG.FILE_STORE_NAME);
+                    reject(transaction.error || new Error(ERROR_MESSAGES.STORAGE_ERROR));
+                };
             });
         } catch (error) {
             performanceMonitor.endTiming('saveFile');
@@ -158,6 +450,11 @@ export class IndexedDBManager {
         }
     }
 
+    async deleteFiles(ids) {
+        await this.deleteRecord(CONFIG.FILE_STORE_NAME, ids);
+        ids.forEach(id => globalCache.delete(`file_${id}`));
+    }
+
     async getAllFiles() {
         performanceMonitor.startTiming('getAllFiles');
         
@@ -211,7 +508,8 @@ export class IndexedDBManager {
         }
     }
 
-    async clearOldFiles(maxAge = 30 * 24 * 60 * 60 * 1000) { // 30 days
+    // Files in keepIds (referenced by projects), the custom template, the shared reference layers and the offline basemap are never removed
+    async clearOldFiles(maxAge = 30 * 24 * 60 * 60 * 1000, keepIds = new Set()) { // 30 days
         performanceMonitor.startTiming('clearOldFiles');
         
         try {
@@ -231,8 +529,12 @@ export class IndexedDBManager {
                 request.onsuccess = (event) => {
                     const cursor = event.target.result;
                     if (cursor) {
-                        cursor.delete();
-                        deletedCount++;
+                        const id = cursor.value.id;
+                        if (!RESERVED_FILE_IDS.has(id) && !keepIds.has(id)) {
+                            cursor.delete();
+                            globalCache.delete(`file_${id}`);
+                            deletedCount++;
+                        }
                         cursor.continue();
                     } else {
                         performanceMonitor.endTiming('clearOldFiles');
@@ -251,6 +553,143 @@ export class IndexedDBManager {
         }
     }
 
+    // Generic record operations for non-file object stores.
+    // Records sealed by the vault are opened on read; while it is locked
+    // they are left out, and writes to protected stores are refused.
+    async getAllRecords(storeName) {
+        await this.ensureReady();
+        
+        const transaction = this.db.transaction([storeName], 'readonly');
+        const store = transaction.objectStore(storeName);
+        
+        const records = await new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.openRecords(records);
+    }
+
+    async openRecords(records) {
+        const opened = await Promise.all(records.map(record => vault.openRecord(record)));
+        return opened.filter(Boolean);
+    }
+
+    async sealRecords(storeName, records) {
+        return Promise.all(records.map(record => vault.sealRecord(storeName, record)));
+    }
+
+    async getRecord(storeName, id) {
+        await this.ensureReady();
+        
+        const transaction = this.db.transaction([storeName], 'readonly');
+        const store = transaction.objectStore(storeName);
+        
+        const record = await new Promise((resolve, reject) => {
+            const request = store.get(id);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+        return vault.openRecord(record);
+    }
+
+    async getRecordsByIndex(storeName, indexName, value) {
+        await this.ensureReady();
+        
+        const transaction = this.db.transaction([storeName], 'readonly');
+        const index = transaction.objectStore(storeName).index(indexName);
+        
+        const records = await new Promise((resolve, reject) => {
+            const request = index.getAll(value);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.openRecords(records);
+    }
+
+    async putRecord(storeName, record) {
+        await this.ensureReady();
+        
+        // Seal before opening the transaction, it would auto-commit while awaiting
+        const stored = await vault.sealRecord(storeName, record);
+        const transaction = this.db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        
+        return new Promise((resolve, reject) => {
+            store.put(stored);
+            transaction.oncomplete = () => resolve(record);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => {
+                reportQuotaError(transaction.error, storeName);
+                reject(transaction.error || new Error(ERROR_MESSAGES.SAVE_ERROR));
+            };
+        });
+    }
+
+    async deleteRecord(storeName, id) {
+        await this.ensureReady();
+        
+        const transaction = this.db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        
+        return new Promise((resolve, reject) => {
+            // Accepts a single key or an array of keys
+            (Array.isArray(id) ? id : [id]).forEach(key => store.delete(key));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Replace the whole content of a store atomically (all or nothing)
+    async replaceAllRecords(storeName, records) {
+        await this.writeRecords({ [storeName]: { clear: true, records } });
+        return records.length;
+    }
+
+    // Writes to several stores in one transaction: { storeName: { clear, records } }
+    async writeRecords(changes) {
+        await this.ensureReady();
+        
+        const storeNames = Object.keys(changes);
+        const sealed = {};
+        for (const storeName of storeNames) {
+            sealed[storeName] = await this.sealRecords(storeName, changes[storeName].records || []);
+        }
+        
+        const transaction = this.db.transaction(storeNames, 'readwrite');
+        
+        return new Promise((resolve, reject) => {
+            storeNames.forEach(storeName => {
+                const store = transaction.objectStore(storeName);
+                if (changes[storeName].clear) store.clear();
+                sealed[storeName].forEach(record => store.put(record));
+            });
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => {
+                reportQuotaError(transaction.error, storeNames.join(', '));
+                reject(transaction.error || new Error(ERROR_MESSAGES.SAVE_ERROR));
+            };
+        });
+    }
+
+    // Re-writes project and revision records after the vault configuration
+    // changed, so they end up sealed or in plaintext to match it
+    async rewriteProtectedStores(changeConfig) {
+        if (vault.isEnabled() && !vault.isUnlocked()) {
+            throw new Error(ERROR_MESSAGES.VAULT_LOCKED);
+        }
+        
+        const storeNames = [CONFIG.PROJECT_STORE_NAME, CONFIG.HISTORY_STORE_NAME];
+        const changes = {};
+        for (const storeName of storeNames) {
+            changes[storeName] = { clear: true, records: await this.getAllRecords(storeName) };
+        }
+        
+        await changeConfig();
+        await this.writeRecords(changes);
+    }
+
     async getStorageUsage() {
         try {
             if ('storage' in navigator && 'estimate' in navigator.storage) {
@@ -269,23 +708,57 @@ export class IndexedDBManager {
     }
 }
 
+// Pending vault encryptions per localStorage key, chained to keep write order
+const pendingSeals = new Map();
+
 // LocalStorage Manager Class
 export class LocalStorageManager {
     static set(key, value) {
         try {
-            const serialized = JSON.stringify(value);
+            // Fields protected by the vault are never written in plaintext;
+            // the encrypted value replaces the stored one asynchronously
+            const protectedKey = vault.hasProtectedFields(key);
+            const serialized = JSON.stringify(protectedKey ? vault.keepSealedFields(key, value) : value);
             localStorage.setItem(key, serialized);
             
+            if (protectedKey) {
+                this.sealInBackground(key, value);
+            }
+            
             // Update cache
             globalCache.set(`ls_${key}`, value);
             
             return true;
         } catch (error) {
             console.error('LocalStorage set error:', error);
+            reportQuotaError(error, key);
             return false;
         }
     }
 
+    static sealInBackground(key, value) {
+        const previous = pendingSeals.get(key) || Promise.resolve();
+        const next = previous
+            .then(() => vault.sealFields(key, value))
+            .then(sealed => localStorage.setItem(key, JSON.stringify(sealed)))
+            .catch(error => {
+                console.error('LocalStorage encryption error:', error);
+                reportQuotaError(error, key);
+            });
+        
+        pendingSeals.set(key, next);
+        next.then(() => {
+            if (pendingSeals.get(key) === next) {
+                pendingSeals.delete(key);
+            }
+        });
+    }
+
+    // Resolves once every pending encrypted write has reached localStorage
+    static async flush() {
+        await Promise.all(pendingSeals.values());
+    }
+
     static get(key, defaultValue = null) {
         try {
             // Check cache first
@@ -299,7 +772,10 @@ export class LocalStorageManager {
                 return defaultValue;
             }
             
-            const parsed = JSON.parse(item);
+            let parsed = JSON.parse(item);
+            if (vault.hasProtectedFields(key)) {
+                parsed = vault.revealFields(key, parsed);
+            }
             
             // Cache the result
             globalCache.set(`ls_${key}`, parsed);
@@ -361,18 +837,61 @@ export class LocalStorageManager {
 }
 
 // Project Storage Manager
+// Keeps an in-memory copy of all projects for synchronous reads and
+// persists each project as its own record in the IndexedDB projects store.
 export class ProjectStorageManager {
-    constructor() {
+    constructor(db, migrator = schemaMigrator) {
+        this.db = db;
+        this.migrator = migrator;
         this.projects = [];
+        this.skippedProjects = [];
         this.activeProjectId = null;
-        this.loadProjects();
+        this.changeListeners = [];
+        this.isReady = false;
+        this.initPromise = this.loadProjects();
+    }
+
+    // Listeners receive (type, payload, meta) for 'save', 'delete', 'import' and 'restore'
+    addChangeListener(callback) {
+        if (typeof callback === 'function') {
+            this.changeListeners.push(callback);
+        }
+    }
+
+    removeChangeListener(callback) {
+        this.changeListeners = this.changeListeners.filter(cb => cb !== callback);
+    }
+
+    notifyChange(type, payload, meta = {}) {
+        for (const callback of this.changeListeners) {
+            try {
+                callback(type, payload, meta);
+            } catch (error) {
+                console.error('Error in project change listener:', error);
+            }
+        }
+    }
+
+    async ensureReady() {
+        if (!this.isReady) {
+            await this.initPromise;
+        }
+        return this.projects;
     }
 
-    loadProjects() {
+    // Re-read the store after it was written outside this manager (e.g. backup restore)
+    async reload() {
+        this.isReady = false;
+        this.initPromise = this.loadProjects();
+        return this.initPromise;
+    }
+
+    async loadProjects() {
         performanceMonitor.startTiming('loadProjects');
         
         try {
-            this.projects = LocalStorageManager.get(CONFIG.PROJECTS_KEY, []);
+            const records = await this.db.getAllRecords(CONFIG.PROJECT_STORE_NAME);
+            this.projects = await this.migrateStoredProjects(records);
             
             // Set active project to most recently modified
             if (this.projects.length > 0) {
@@ -388,54 +907,98 @@ export class ProjectStorageManager {
             this.projects = [];
             performanceMonitor.endTiming('loadProjects');
         }
+        
+        this.isReady = true;
+        return this.projects;
     }
 
-    saveProjects() {
-        performanceMonitor.startTiming('saveProjects');
+    // Upgrade stored records in place; records written by a newer app
+    // version are left untouched in the store and not loaded
+    async migrateStoredProjects(records) {
+        const projects = [];
+        const applied = new Set();
+        let migratedCount = 0;
         
-        try {
-            // Update last modified for active project
-            const activeProject = this.getActiveProject();
-            if (activeProject) {
-                activeProject.lastModified = new Date().toISOString();
+        this.skippedProjects = [];
+        
+        for (const record of records) {
+            if (this.migrator.isTooNew(record)) {
+                console.error(`Project ${record.id} has unknown schema v${record.schemaVersion}, skipping`);
+                this.skippedProjects.push(record.id);
+                continue;
             }
             
-            const success = LocalStorageManager.set(CONFIG.PROJECTS_KEY, this.projects);
-            performanceMonitor.endTiming('saveProjects');
+            const result = this.migrator.migrate('project', record);
+            if (result.applied.length > 0 || record.schemaVersion !== result.data.schemaVersion) {
+                await this.db.putRecord(CONFIG.PROJECT_STORE_NAME, result.data);
+                result.applied.forEach(id => applied.add(id));
+                migratedCount++;
+            }
+            projects.push(result.data);
+        }
+        
+        this.migrator.recordRun('project', [...applied], migratedCount);
+        return projects;
+    }
+
+    async saveProject(project, meta = {}) {
+        performanceMonitor.startTiming('saveProject');
+        
+        try {
+            project.lastModified = new Date().toISOString();
+            project.status = getProjectState(project);
+            project.schemaVersion = CONFIG.SCHEMA_VERSION;
             
-            return success;
+            await this.db.putRecord(CONFIG.PROJECT_STORE_NAME, project);
+            performanceMonitor.endTiming('saveProject');
+            
+            this.notifyChange('save', project, { reason: 'save', ...meta });
+            return true;
         } catch (error) {
-            console.error('Error saving projects:', error);
-            performanceMonitor.endTiming('saveProjects');
+            console.error('Error saving project:', error);
+            performanceMonitor.endTiming('saveProject');
             return false;
         }
     }
 
-    addProject(project) {
-        project.id = project.id || `proj_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        project.lastModified = new Date().toISOString();
+    async addProject(project) {
+        project.id = project.id || createProjectId();
+        project.created = project.created || new Date().toISOString();
         
+        const previousActiveId = this.activeProjectId;
         this.projects.unshift(project);
         this.activeProjectId = project.id;
         
-        return this.saveProjects();
+        const saved = await this.saveProject(project, { reason: 'create' });
+        if (!saved) {
+            // Never show a project that was not stored
+            this.projects = this.projects.filter(p => p !== project);
+            this.activeProjectId = previousActiveId;
+        }
+        return saved;
     }
 
-    updateProject(projectId, updates) {
+    // meta.reason labels the change for listeners such as revision history
+    async updateProject(projectId, updates, meta = {}) {
         const projectIndex = this.projects.findIndex(p => p.id === projectId);
         if (projectIndex === -1) return false;
         
-        this.projects[projectIndex] = {
-            ...this.projects[projectIndex],
-            ...updates,
-            lastModified: new Date().toISOString()
-        };
+        const previous = this.projects[projectIndex];
+        const updated = { ...previous, ...updates };
+        this.projects[projectIndex] = updated;
         
-        return this.saveProjects();
+        const saved = await this.saveProject(updated, meta);
+        if (!saved) {
+            // Keep the list in step with what is stored
+            const index = this.projects.indexOf(updated);
+            if (index !== -1) this.projects[index] = previous;
+        }
+        return saved;
     }
 
-    deleteProject(projectId) {
+    async deleteProject(projectId) {
         const initialLength = this.projects.length;
+        const deleted = this.getProject(projectId);
         this.projects = this.projects.filter(p => p.id !== projectId);
         
         // Update active project if deleted
@@ -445,14 +1008,64 @@ export class ProjectStorageManager {
                 null;
         }
         
-        const success = this.saveProjects();
-        return success && this.projects.length < initialLength;
+        try {
+            await this.db.deleteRecord(CONFIG.PROJECT_STORE_NAME, projectId);
+            this.notifyChange('delete', { id: projectId });
+            if (deleted) {
+                await this.releaseFiles(getProjectFileIds(deleted));
+            }
+            return this.projects.length < initialLength;
+        } catch (error) {
+            console.error('Error deleting project:', error);
+            return false;
+        }
     }
 
     getProject(projectId) {
         return this.projects.find(p => p.id === projectId) || null;
     }
 
+    async addAttachment(projectId, attachment) {
+        const project = this.getProject(projectId);
+        if (!project) return false;
+        
+        return this.updateProject(projectId, {
+            attachments: [...(project.attachments || []), attachment]
+        }, { reason: 'attachment' });
+    }
+
+    async removeAttachment(projectId, fileId) {
+        const project = this.getProject(projectId);
+        if (!project) return false;
+        
+        const success = await this.updateProject(projectId, {
+            attachments: (project.attachments || []).filter(a => a.fileId !== fileId)
+        }, { reason: 'attachment' });
+        
+        if (success) {
+            await this.releaseFiles([fileId]);
+        }
+        return success;
+    }
+
+    // Deletes blobs that no remaining project references. Skipped while the
+    // project list is incomplete; the periodic sweep catches them later.
+    async releaseFiles(fileIds) {
+        const referenced = this.getReferencedFileIds();
+        if (!referenced) return 0;
+        
+        const unused = fileIds.filter(id => !referenced.has(id));
+        if (unused.length > 0) {
+            try {
+                await this.db.deleteFiles(unused);
+            } catch (error) {
+                console.error('Error releasing files:', error);
+                return 0;
+            }
+        }
+        return unused.length;
+    }
+
     getActiveProject() {
         return this.activeProjectId ? this.getProject(this.activeProjectId) : null;
     }
@@ -496,32 +1109,55 @@ export class ProjectStorageManager {
             projects: this.projects,
             activeProjectId: this.activeProjectId,
             exportDate: new Date().toISOString(),
-            version: CONFIG.DB_VERSION
+            version: CONFIG.DB_VERSION,
+            schemaVersion: CONFIG.SCHEMA_VERSION
         };
     }
 
+    // Validates exported data and migrates its projects to the current schema
+    prepareImport(data) {
+        if (!data.projects || !Array.isArray(data.projects)) {
+            throw new Error('Invalid import data format');
+        }
+        
+        // Refuse the whole import if it comes from a newer schema
+        if (this.migrator.isTooNew(data)) {
+            throw new Error(ERROR_MESSAGES.SCHEMA_TOO_NEW);
+        }
+        
+        const exportVersion = this.migrator.getVersion(data);
+        const applied = new Set();
+        const projects = data.projects.map(project => {
+            const result = this.migrator.migrate('project', project,
+                project.schemaVersion ? this.migrator.getVersion(project) : exportVersion);
+            result.applied.forEach(id => applied.add(id));
+            return {
+                ...result.data,
+                status: getProjectState(result.data)
+            };
+        });
+        
+        return { projects, applied: [...applied] };
+    }
+
     async importData(data) {
         try {
-            if (!data.projects || !Array.isArray(data.projects)) {
-                throw new Error('Invalid import data format');
-            }
+            const { projects, applied } = this.prepareImport(data);
             
-            // Backup current data
-            const backup = this.exportData();
-            
-            // Import new data
-            this.projects = data.projects;
-            this.activeProjectId = data.activeProjectId;
-            
-            const success = this.saveProjects();
-            
-            if (!success) {
-                // Restore backup on failure
-                this.projects = backup.projects;
-                this.activeProjectId = backup.activeProjectId;
+            // The store is replaced in a single transaction, so a failed
+            // import leaves both the store and the in-memory copy untouched
+            try {
+                await this.db.replaceAllRecords(CONFIG.PROJECT_STORE_NAME, projects);
+            } catch (error) {
+                console.error('Failed to save imported data:', error);
                 throw new Error('Failed to save imported data');
             }
             
+            this.projects = projects;
+            this.activeProjectId = data.activeProjectId;
+            this.migrator.recordRun('project', applied, projects.length);
+            this.notifyChange('import', projects, { reason: 'import' });
+            
             return true;
         } catch (error) {
             console.error('Import error:', error);
@@ -529,6 +1165,88 @@ export class ProjectStorageManager {
         }
     }
 
+    // What an import would change, for the preview shown before confirming
+    previewImport(projects, mode = 'replace') {
+        const incomingIds = new Set(projects.map(p => p.id));
+        const plan = planProjectMerge(this.projects, projects);
+        
+        return {
+            incoming: projects.length,
+            added: plan.added.map(p => p.projectName),
+            unchanged: plan.unchanged.length,
+            conflicts: mode === 'merge' ? plan.conflicts : [],
+            overwritten: mode === 'replace' ? plan.conflicts.map(c => c.theirs.projectName) : [],
+            removed: mode === 'replace'
+                ? this.projects.filter(p => !incomingIds.has(p.id)).map(p => p.projectName)
+                : []
+        };
+    }
+
+    // Merge import: keeps local projects and resolves id conflicts per project
+    async mergeData(data, resolutions = {}) {
+        try {
+            const { projects, applied } = this.prepareImport(data);
+            const { records, counts } = resolveProjectMerge(planProjectMerge(this.projects, projects), resolutions);
+            
+            await this.db.writeRecords({ [CONFIG.PROJECT_STORE_NAME]: { records } });
+            this.applyMergedRecords(records);
+            
+            this.migrator.recordRun('project', applied, records.length);
+            this.notifyChange('import', records, { reason: 'import' });
+            
+            return counts;
+        } catch (error) {
+            console.error('Merge import error:', error);
+            throw error;
+        }
+    }
+
+    applyMergedRecords(records) {
+        records.forEach(record => {
+            const index = this.projects.findIndex(p => p.id === record.id);
+            if (index === -1) {
+                this.projects.unshift(record);
+            } else {
+                this.projects[index] = record;
+            }
+        });
+    }
+
+    // Re-read one project written by another tab. Listeners are not notified,
+    // the writing tab already did that (e.g. recorded the revision).
+    async refreshProject(projectId) {
+        if (vault.encryptsProjects() && !vault.isUnlocked()) return null;
+
+        const record = await this.db.getRecord(CONFIG.PROJECT_STORE_NAME, projectId);
+        if (record && this.migrator.isTooNew(record)) return null;
+
+        if (record) {
+            this.applyMergedRecords([record]);
+        } else {
+            this.projects = this.projects.filter(p => p.id !== projectId);
+            if (this.activeProjectId === projectId) {
+                this.activeProjectId = this.projects[0]?.id || null;
+            }
+        }
+        return record;
+    }
+
+    // False while some stored projects are not in memory (loading, vault
+    // locked, or written by a newer version), so cleanup must hold off
+    isComplete() {
+        if (!this.isReady || this.skippedProjects.length > 0) return false;
+        return !(vault.encryptsProjects() && !vault.isUnlocked());
+    }
+
+    // Null when the project list is incomplete and references are unknown
+    getReferencedFileIds() {
+        if (!this.isComplete()) return null;
+        
+        const ids = new Set(RESERVED_FILE_IDS);
+        this.projects.forEach(project => getProjectFileIds(project).forEach(id => ids.add(id)));
+        return ids;
+    }
+
     getStorageStats() {
         const totalProjects = this.projects.length;
         const totalSize = JSON.stringify(this.projects).length;
@@ -545,24 +1263,35 @@ export class ProjectStorageManager {
 
 // Settings Storage Manager
 export class SettingsStorageManager {
-    constructor() {
+    constructor(migrator = schemaMigrator) {
+        this.migrator = migrator;
+        this.isReadOnly = false;
         this.settings = this.loadSettings();
     }
 
     loadSettings() {
-        return LocalStorageManager.get(CONFIG.SETTINGS_KEY, {
-            perdaRTRW: '',
-            geminiApiKey: '',
-            geminiModel: CONFIG.DEFAULT_MODEL,
-            referenceDocuments: [],
-            theme: 'light',
-            language: 'id',
-            autoSave: true,
-            notifications: true
-        });
+        const stored = LocalStorageManager.get(CONFIG.SETTINGS_KEY, null);
+        if (!stored) {
+            return { ...DEFAULT_SETTINGS, schemaVersion: CONFIG.SCHEMA_VERSION };
+        }
+        
+        // Never overwrite settings written by a newer app version
+        if (this.migrator.isTooNew(stored)) {
+            console.error(ERROR_MESSAGES.SCHEMA_TOO_NEW);
+            this.isReadOnly = true;
+            return { ...DEFAULT_SETTINGS };
+        }
+        
+        const { data, applied } = this.migrator.migrate('settings', stored);
+        if (applied.length > 0) {
+            LocalStorageManager.set(CONFIG.SETTINGS_KEY, data);
+            this.migrator.recordRun('settings', applied);
+        }
+        return data;
     }
 
     saveSettings() {
+        if (this.isReadOnly) return false;
         return LocalStorageManager.set(CONFIG.SETTINGS_KEY, this.settings);
     }
 
@@ -589,7 +1318,8 @@ export class SettingsStorageManager {
     export() {
         return {
             settings: this.settings,
-            exportDate: new Date().toISOString()
+            exportDate: new Date().toISOString(),
+            schemaVersion: CONFIG.SCHEMA_VERSION
         };
     }
 
@@ -598,18 +1328,84 @@ export class SettingsStorageManager {
             throw new Error('Invalid settings data');
         }
         
-        this.settings = { ...this.settings, ...data.settings };
+        const { data: settings, applied } = this.migrator.migrate('settings', data.settings,
+            this.migrator.getVersion(data.settings.schemaVersion ? data.settings : data));
+        this.migrator.recordRun('settings', applied);
+        
+        this.settings = { ...this.settings, ...settings };
         return this.saveSettings();
     }
 }
 
+// Vault Storage Manager
+// Keeps stored data in line with the vault: re-seals records when it is
+// switched on or off and reloads in-memory copies when it locks or unlocks
+export class VaultStorageManager {
+    constructor(db, projects, settings) {
+        this.db = db;
+        this.projects = projects;
+        this.settings = settings;
+        
+        vault.addLockListener(state => this.handleLockChange(state));
+    }
+
+    handleLockChange(state) {
+        // Cached settings hold either the revealed secret or a null placeholder
+        vault.getProtectedLocalKeys().forEach(key => globalCache.delete(`ls_${key}`));
+        this.settings.settings = this.settings.loadSettings();
+        
+        if (state === 'lock' && vault.encryptsProjects()) {
+            this.projects.projects = [];
+            this.projects.activeProjectId = null;
+        } else if (state === 'unlock') {
+            this.projects.reload();
+        }
+    }
+
+    async enable(passphrase, options = {}) {
+        performanceMonitor.startTiming('enableVault');
+        
+        try {
+            await this.db.rewriteProtectedStores(() => vault.enable(passphrase, options));
+            this.settings.saveSettings();
+            await LocalStorageManager.flush();
+        } finally {
+            performanceMonitor.endTiming('enableVault');
+        }
+    }
+
+    async disable() {
+        performanceMonitor.startTiming('disableVault');
+        
+        try {
+            await this.projects.ensureReady();
+            await LocalStorageManager.flush();
+            await this.db.rewriteProtectedStores(() => vault.disable());
+            this.settings.saveSettings();
+        } finally {
+            performanceMonitor.endTiming('disableVault');
+        }
+    }
+
+    async setProjectEncryption(enabled) {
+        await this.db.rewriteProtectedStores(() => vault.setProjectEncryption(enabled));
+    }
+}
+
 // Create singleton instances
+export const schemaMigrator = new SchemaMigrator();
 export const dbManager = new IndexedDBManager();
-export const projectStorage = new ProjectStorageManager();
+export const projectStorage = new ProjectStorageManager(dbManager);
 export const settingsStorage = new SettingsStorageManager();
+export const vaultStorage = new VaultStorageManager(dbManager, projectStorage, settingsStorage);
 
-// Initialize cleanup routine
+// Initialize cleanup routine: files no project references are collected
+// once past the grace period (uploads not yet attached to their project).
+// Runs only when every project is loaded, so files in use are never removed.
 setInterval(() => {
-    dbManager.clearOldFiles().catch(console.error);
+    const keepIds = projectStorage.getReferencedFileIds();
+    if (keepIds) {
+        dbManager.clearOldFiles(CONFIG.FILE_GC_GRACE_MS, keepIds).catch(console.error);
+    }
     globalCache.cleanup();
 }, 60 * 60 * 1000); // Run every hour
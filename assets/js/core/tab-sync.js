@@ -0,0 +1,260 @@
+/**
+ * Cross-Tab Synchronization
+ * Keeps projects, settings and caches in step between open tabs and hands out
+ * per-project edit locks so two tabs cannot edit the same project at once
+ */
+
+import { CONFIG } from '../config.js';
+import { globalCache } from '../utils/performance.js';
+import { projectStorage, settingsStorage } from './storage.js';
+import { vault } from './vault.js';
+
+export function createTabId() {
+    return `tab_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Lock table rules, kept pure so leases can be tested without real tabs.
+// The table maps projectId -> { tabId, expires }.
+export function isLockHeldByOther(locks, projectId, tabId, now = Date.now()) {
+    const lock = locks[projectId];
+    return Boolean(lock && lock.tabId !== tabId && lock.expires > now);
+}
+
+export function pruneExpiredLocks(locks, now = Date.now()) {
+    return Object.fromEntries(Object.entries(locks).filter(([, lock]) => lock.expires > now));
+}
+
+export class TabSyncManager {
+    constructor(storage, settings) {
+        this.storage = storage;
+        this.settings = settings;
+        this.tabId = createTabId();
+        this.listeners = [];
+        this.heldLocks = new Set();
+        this.pendingSaves = new Map();
+        this.channel = null;
+        this.heartbeat = null;
+
+        this.storage.addChangeListener((type, payload) => this.handleLocalChange(type, payload));
+        this.connect();
+    }
+
+    connect() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(CONFIG.SYNC_CHANNEL_NAME);
+            this.channel.onmessage = (event) => this.handleMessage(event.data);
+        }
+
+        // Storage events reach every other tab; they also carry messages
+        // when BroadcastChannel is not available
+        window.addEventListener('storage', (event) => this.handleStorageEvent(event));
+        window.addEventListener('pagehide', () => {
+            this.flushSaves();
+            this.releaseAllLocks();
+        });
+
+        this.heartbeat = setInterval(() => this.renewLocks(), CONFIG.PROJECT_LOCK_HEARTBEAT_MS);
+    }
+
+    // Listeners receive { type, projectId? } with type one of 'project-updated',
+    // 'project-deleted', 'projects-reloaded', 'settings-changed', 'lock-lost'
+    // and 'locks-changed'
+    addListener(callback) {
+        if (typeof callback === 'function') {
+            this.listeners.push(callback);
+        }
+    }
+
+    notify(event) {
+        for (const callback of this.listeners) {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error('Error in tab sync listener:', error);
+            }
+        }
+    }
+
+    broadcast(message) {
+        const payload = { ...message, from: this.tabId, sentAt: Date.now() };
+
+        if (this.channel) {
+            this.channel.postMessage(payload);
+            return;
+        }
+
+        try {
+            localStorage.setItem(CONFIG.SYNC_EVENT_KEY, JSON.stringify(payload));
+        } catch (error) {
+            console.warn('Tab sync message not sent:', error);
+        }
+    }
+
+    handleLocalChange(type, payload) {
+        if (type === 'save') {
+            this.scheduleSaved(payload.id);
+        } else if (type === 'delete') {
+            clearTimeout(this.pendingSaves.get(payload.id));
+            this.pendingSaves.delete(payload.id);
+            this.broadcast({ type: 'project-deleted', projectId: payload.id });
+        } else if (type === 'import' || type === 'restore') {
+            this.broadcast({ type: 'projects-reloaded' });
+        }
+    }
+
+    // Field edits save on every keystroke; announce them once typing pauses
+    scheduleSaved(projectId) {
+        clearTimeout(this.pendingSaves.get(projectId));
+        this.pendingSaves.set(projectId, setTimeout(() => {
+            this.pendingSaves.delete(projectId);
+            this.broadcast({ type: 'project-saved', projectId });
+        }, CONFIG.SYNC_SAVE_DELAY_MS));
+    }
+
+    flushSaves() {
+        this.pendingSaves.forEach((timer, projectId) => {
+            clearTimeout(timer);
+            this.broadcast({ type: 'project-saved', projectId });
+        });
+        this.pendingSaves.clear();
+    }
+
+    async handleMessage(message) {
+        if (!message || message.from === this.tabId) return;
+
+        try {
+            switch (message.type) {
+                case 'project-saved':
+                    await this.storage.refreshProject(message.projectId);
+                    this.notify({ type: 'project-updated', projectId: message.projectId });
+                    break;
+                case 'project-deleted':
+                    await this.storage.refreshProject(message.projectId);
+                    this.notify({ type: 'project-deleted', projectId: message.projectId });
+                    break;
+                case 'projects-reloaded':
+                    // Files and settings may have been replaced as well
+                    globalCache.clear();
+                    await this.reloadSettings();
+                    await this.storage.reload();
+                    this.notify({ type: 'projects-reloaded' });
+                    break;
+            }
+        } catch (error) {
+            console.error('Tab sync error:', error);
+        }
+    }
+
+    async handleStorageEvent(event) {
+        // localStorage.clear() in another tab
+        if (event.key === null) {
+            globalCache.clear();
+            await this.reloadSettings();
+            this.notify({ type: 'settings-changed' });
+            return;
+        }
+
+        // LocalStorageManager caches parsed values, drop the stale copy
+        globalCache.delete(`ls_${event.key}`);
+
+        if (event.key === CONFIG.SYNC_EVENT_KEY && event.newValue) {
+            this.handleMessage(JSON.parse(event.newValue));
+        } else if (event.key === CONFIG.SETTINGS_KEY) {
+            await this.reloadSettings();
+            this.notify({ type: 'settings-changed' });
+        } else if (event.key === CONFIG.VAULT_KEY) {
+            vault.reloadConfig();
+        } else if (event.key === CONFIG.PROJECT_LOCKS_KEY) {
+            this.checkHeldLocks();
+            this.notify({ type: 'locks-changed' });
+        }
+    }
+
+    async reloadSettings() {
+        // Secrets sealed by the vault have to be opened again from storage
+        if (vault.isUnlocked()) {
+            await vault.openLocalFields();
+        }
+        this.settings.settings = this.settings.loadSettings();
+    }
+
+    // Project edit locks: a lease in localStorage renewed by the holder, so
+    // the lock of a closed or crashed tab simply expires
+
+    readLocks() {
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG.PROJECT_LOCKS_KEY) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    writeLocks(locks) {
+        try {
+            localStorage.setItem(CONFIG.PROJECT_LOCKS_KEY, JSON.stringify(locks));
+        } catch (error) {
+            console.warn('Project lock not stored:', error);
+        }
+    }
+
+    acquireLock(projectId, { force = false } = {}) {
+        const locks = pruneExpiredLocks(this.readLocks());
+        if (!force && isLockHeldByOther(locks, projectId, this.tabId)) {
+            return false;
+        }
+
+        locks[projectId] = { tabId: this.tabId, expires: Date.now() + CONFIG.PROJECT_LOCK_TTL_MS };
+        this.writeLocks(locks);
+
+        // Another tab may have written in between; whoever is stored wins
+        const acquired = this.readLocks()[projectId]?.tabId === this.tabId;
+        if (acquired) {
+            this.heldLocks.add(projectId);
+        }
+        return acquired;
+    }
+
+    releaseLock(projectId) {
+        this.heldLocks.delete(projectId);
+
+        const locks = this.readLocks();
+        if (locks[projectId]?.tabId === this.tabId) {
+            delete locks[projectId];
+            this.writeLocks(locks);
+        }
+    }
+
+    releaseAllLocks() {
+        [...this.heldLocks].forEach(projectId => this.releaseLock(projectId));
+    }
+
+    isLockedElsewhere(projectId) {
+        return isLockHeldByOther(this.readLocks(), projectId, this.tabId);
+    }
+
+    renewLocks() {
+        if (this.heldLocks.size === 0) return;
+
+        this.checkHeldLocks();
+
+        const locks = pruneExpiredLocks(this.readLocks());
+        this.heldLocks.forEach(projectId => {
+            locks[projectId] = { tabId: this.tabId, expires: Date.now() + CONFIG.PROJECT_LOCK_TTL_MS };
+        });
+        this.writeLocks(locks);
+    }
+
+    // A lock taken over by another tab is lost for good
+    checkHeldLocks() {
+        const locks = this.readLocks();
+        [...this.heldLocks].forEach(projectId => {
+            if (isLockHeldByOther(locks, projectId, this.tabId)) {
+                this.heldLocks.delete(projectId);
+                this.notify({ type: 'lock-lost', projectId });
+            }
+        });
+    }
+}
+
+// Singleton instance
+export const tabSync = new TabSyncManager(projectStorage, settingsStorage);
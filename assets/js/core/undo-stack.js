@@ -0,0 +1,158 @@
+/**
+ * Undo/Redo Stack
+ * In-memory command history per open project for form and table edits
+ *
+ * Commands are plain data with paths relative to the project object:
+ *   { type: 'set', path, before, after }
+ *   { type: 'insert', path, index, value }   // path points to an array
+ *   { type: 'remove', path, index, value }
+ *   { type: 'batch', commands: [...] }
+ */
+
+import { CONFIG } from '../config.js';
+
+export function getValueByPath(obj, path) {
+    return path.split('.').reduce((current, key) => current?.[key], obj);
+}
+
+function setValueByPath(obj, path, value) {
+    const keys = path.split('.');
+    let current = obj;
+
+    for (let i = 0; i < keys.length - 1; i++) {
+        if (current[keys[i]] === null || current[keys[i]] === undefined) {
+            current[keys[i]] = /^\d+$/.test(keys[i + 1]) ? [] : {};
+        }
+        current = current[keys[i]];
+    }
+
+    current[keys[keys.length - 1]] = value;
+}
+
+function getArrayByPath(obj, path) {
+    let array = getValueByPath(obj, path);
+    if (!Array.isArray(array)) {
+        array = [];
+        setValueByPath(obj, path, array);
+    }
+    return array;
+}
+
+// Apply a command forwards ('redo') or backwards ('undo') to the target project
+export function applyCommand(target, command, direction = 'redo') {
+    const forward = direction === 'redo';
+
+    switch (command.type) {
+        case 'set':
+            setValueByPath(target, command.path, forward ? command.after : command.before);
+            break;
+        case 'insert':
+        case 'remove': {
+            const array = getArrayByPath(target, command.path);
+            const inserting = (command.type === 'insert') === forward;
+            if (inserting) {
+                array.splice(command.index, 0, command.value);
+            } else {
+                array.splice(command.index, 1);
+            }
+            break;
+        }
+        case 'batch': {
+            const commands = forward ? command.commands : [...command.commands].reverse();
+            commands.forEach(child => applyCommand(target, child, direction));
+            break;
+        }
+        default:
+            throw new Error(`Unknown command type: ${command.type}`);
+    }
+
+    return target;
+}
+
+export class UndoStack {
+    constructor(limit = CONFIG.UNDO_STACK_LIMIT) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.sealed = true;
+    }
+
+    push(command) {
+        const top = this.undoStack[this.undoStack.length - 1];
+
+        // Consecutive edits of the same field collapse into one step
+        if (!this.sealed && top && top.type === 'set' && command.type === 'set' && top.path === command.path) {
+            top.after = command.after;
+        } else {
+            this.undoStack.push({ ...command });
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.sealed = command.type !== 'set';
+        this.redoStack = [];
+    }
+
+    // End the current coalescing group, e.g. when a field loses focus
+    seal() {
+        this.sealed = true;
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        this.redoStack.push(command);
+        this.sealed = true;
+        return command;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        this.undoStack.push(command);
+        this.sealed = true;
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.sealed = true;
+    }
+}
+
+// Keeps one stack per project so history survives workspace re-renders
+export class UndoManager {
+    constructor() {
+        this.stacks = new Map();
+    }
+
+    getStack(projectId) {
+        if (!this.stacks.has(projectId)) {
+            this.stacks.set(projectId, new UndoStack());
+        }
+        return this.stacks.get(projectId);
+    }
+
+    clear(projectId) {
+        this.stacks.delete(projectId);
+    }
+
+    clearAll() {
+        this.stacks.clear();
+    }
+}
+
+// Singleton instance
+export const undoManager = new UndoManager();
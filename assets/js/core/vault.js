@@ -0,0 +1,410 @@
+/**
+ * Passphrase Vault
+ * Optional at-rest encryption (PBKDF2 + AES-GCM) for the Gemini API key and project records.
+ * Storage managers call into the vault; this module only touches raw localStorage for its own config.
+ */
+
+import { CONFIG, ERROR_MESSAGES } from '../config.js';
+
+const VAULT_VERSION = 1;
+const VERIFIER_TEXT = 'krk-vault-check';
+
+// Fields of localStorage values that are sealed, keyed by storage key
+const PROTECTED_LOCAL_FIELDS = {
+    [CONFIG.SETTINGS_KEY]: ['geminiApiKey']
+};
+
+// IndexedDB stores sealed when project encryption is on; listed fields stay
+// readable because they are the keyPath or indexed
+const PROTECTED_STORES = {
+    [CONFIG.PROJECT_STORE_NAME]: ['id', 'lastModified', 'status'],
+    [CONFIG.HISTORY_STORE_NAME]: ['id', 'projectId', 'timestamp']
+};
+
+export function bytesToBase64(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+export function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+export function isEnvelope(value) {
+    return Boolean(value && typeof value === 'object' && value.__vault === VAULT_VERSION && value.iv && value.data);
+}
+
+export class Vault {
+    constructor() {
+        this.key = null;
+        this.config = this.loadConfig();
+        this.plaintextFields = new Map(); // storageKey -> { field: plaintext }
+        this.lockListeners = [];
+        this.lastActivity = Date.now();
+        this.autoLockTimer = null;
+    }
+
+    loadConfig() {
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG.VAULT_KEY) || 'null');
+        } catch (error) {
+            console.error('Vault config is corrupted:', error);
+            return null;
+        }
+    }
+
+    saveConfig(config) {
+        this.config = config;
+        if (config) {
+            localStorage.setItem(CONFIG.VAULT_KEY, JSON.stringify(config));
+        } else {
+            localStorage.removeItem(CONFIG.VAULT_KEY);
+        }
+    }
+
+    isEnabled() {
+        return Boolean(this.config);
+    }
+
+    isUnlocked() {
+        return this.key !== null;
+    }
+
+    encryptsProjects() {
+        return Boolean(this.config?.encryptProjects);
+    }
+
+    // Listeners receive 'unlock' or 'lock'
+    addLockListener(callback) {
+        if (typeof callback === 'function') {
+            this.lockListeners.push(callback);
+        }
+    }
+
+    notifyLockChange(state) {
+        for (const callback of this.lockListeners) {
+            try {
+                callback(state);
+            } catch (error) {
+                console.error('Error in vault listener:', error);
+            }
+        }
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async encryptWith(key, value) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const cipher = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value))
+        );
+        return { __vault: VAULT_VERSION, iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(cipher)) };
+    }
+
+    async decryptWith(key, envelope) {
+        const plain = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(envelope.iv) }, key, base64ToBytes(envelope.data)
+        );
+        return JSON.parse(new TextDecoder().decode(plain));
+    }
+
+    async encrypt(value) {
+        if (!this.key) throw new Error(ERROR_MESSAGES.VAULT_LOCKED);
+        return this.encryptWith(this.key, value);
+    }
+
+    async decrypt(envelope) {
+        if (!this.key) throw new Error(ERROR_MESSAGES.VAULT_LOCKED);
+        return this.decryptWith(this.key, envelope);
+    }
+
+    // Creates the vault; callers re-save data afterwards so it gets sealed
+    async enable(passphrase, { encryptProjects = false } = {}) {
+        if (this.isEnabled()) throw new Error('Brankas sudah aktif');
+        if (!passphrase || passphrase.length < CONFIG.VAULT_MIN_PASSPHRASE) {
+            throw new Error(`Kata sandi minimal ${CONFIG.VAULT_MIN_PASSPHRASE} karakter`);
+        }
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iterations = CONFIG.VAULT_PBKDF2_ITERATIONS;
+        const key = await this.deriveKey(passphrase, salt, iterations);
+
+        this.saveConfig({
+            version: VAULT_VERSION,
+            salt: bytesToBase64(salt),
+            iterations,
+            encryptProjects,
+            verifier: await this.encryptWith(key, VERIFIER_TEXT)
+        });
+        this.key = key;
+        this.startAutoLock();
+        this.notifyLockChange('unlock');
+    }
+
+    async unlock(passphrase) {
+        if (!this.isEnabled()) return true;
+
+        const key = await this.deriveKey(passphrase, base64ToBytes(this.config.salt), this.config.iterations);
+        if (!await this.checkKey(key, this.config.verifier)) {
+            return false;
+        }
+
+        this.key = key;
+        await this.openLocalFields();
+        this.startAutoLock();
+        this.notifyLockChange('unlock');
+        return true;
+    }
+
+    async checkKey(key, verifier) {
+        try {
+            return await this.decryptWith(key, verifier) === VERIFIER_TEXT;
+        } catch (error) {
+            // AES-GCM authentication fails on a wrong passphrase
+            return false;
+        }
+    }
+
+    // What data sealed now (e.g. a backup) needs to be opened later
+    getKeyParams() {
+        if (!this.config) return null;
+        const { salt, iterations, verifier } = this.config;
+        return { salt, iterations, verifier };
+    }
+
+    // Key for data sealed under the given params: the current key when they
+    // match the vault, else derived from the passphrase. Null if neither fits
+    async keyFor(params, passphrase = null) {
+        if (passphrase === null) {
+            return this.isUnlocked() && this.config.salt === params.salt ? this.key : null;
+        }
+
+        const key = await this.deriveKey(passphrase, base64ToBytes(params.salt), params.iterations);
+        return await this.checkKey(key, params.verifier) ? key : null;
+    }
+
+    lock() {
+        if (!this.key) return;
+
+        this.key = null;
+        this.plaintextFields.clear();
+        this.stopAutoLock();
+        this.notifyLockChange('lock');
+    }
+
+    // Drops the vault config; callers must re-save data first so nothing stays sealed
+    disable() {
+        if (!this.isUnlocked()) throw new Error(ERROR_MESSAGES.VAULT_LOCKED);
+
+        this.stopAutoLock();
+        this.saveConfig(null);
+        this.key = null;
+        this.plaintextFields.clear();
+    }
+
+    setProjectEncryption(enabled) {
+        this.saveConfig({ ...this.config, encryptProjects: enabled });
+    }
+
+    // The config was changed by another tab
+    reloadConfig() {
+        const previous = this.config;
+        this.config = this.loadConfig();
+
+        if (!this.config) {
+            // Disabled elsewhere, the data there has been re-saved in plaintext
+            this.stopAutoLock();
+            this.key = null;
+            this.plaintextFields.clear();
+        } else if (previous?.salt !== this.config.salt) {
+            // Enabled or re-keyed elsewhere, the key held here no longer fits
+            if (this.isUnlocked()) {
+                this.lock();
+            } else {
+                this.notifyLockChange('lock');
+            }
+        }
+    }
+
+    // Auto-lock after inactivity
+    touch() {
+        this.lastActivity = Date.now();
+    }
+
+    startAutoLock() {
+        this.stopAutoLock();
+        this.lastActivity = Date.now();
+        this.autoLockTimer = setInterval(() => {
+            if (Date.now() - this.lastActivity >= CONFIG.VAULT_AUTO_LOCK_MS) {
+                this.lock();
+            }
+        }, 30 * 1000);
+    }
+
+    stopAutoLock() {
+        if (this.autoLockTimer) {
+            clearInterval(this.autoLockTimer);
+            this.autoLockTimer = null;
+        }
+    }
+
+    // localStorage: field-level sealing, kept synchronous through a plaintext cache
+
+    hasProtectedFields(storageKey) {
+        return this.isEnabled() && Boolean(PROTECTED_LOCAL_FIELDS[storageKey]);
+    }
+
+    async openLocalFields() {
+        for (const [storageKey, fields] of Object.entries(PROTECTED_LOCAL_FIELDS)) {
+            let stored;
+            try {
+                stored = JSON.parse(localStorage.getItem(storageKey) || 'null');
+            } catch (error) {
+                continue;
+            }
+            if (!stored) continue;
+
+            const opened = {};
+            for (const field of fields) {
+                if (isEnvelope(stored[field])) {
+                    try {
+                        opened[field] = await this.decrypt(stored[field]);
+                    } catch (error) {
+                        console.error(`Failed to decrypt ${storageKey}.${field}:`, error);
+                    }
+                } else if (stored[field] !== undefined) {
+                    opened[field] = stored[field];
+                }
+            }
+            this.plaintextFields.set(storageKey, opened);
+        }
+    }
+
+    // Replace sealed fields with their plaintext, or null while locked
+    revealFields(storageKey, value) {
+        if (!value || typeof value !== 'object') return value;
+
+        const opened = this.plaintextFields.get(storageKey) || {};
+        const revealed = { ...value };
+        PROTECTED_LOCAL_FIELDS[storageKey].forEach(field => {
+            if (isEnvelope(revealed[field])) {
+                revealed[field] = this.isUnlocked() && field in opened ? opened[field] : null;
+            }
+        });
+        return revealed;
+    }
+
+    getProtectedLocalKeys() {
+        return Object.keys(PROTECTED_LOCAL_FIELDS);
+    }
+
+    // Synchronous write-safe copy: protected fields keep the envelope already
+    // in storage, so neither a plaintext secret nor an empty value gets written
+    keepSealedFields(storageKey, value) {
+        if (!value || typeof value !== 'object') return value;
+
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(storageKey) || 'null');
+        } catch (error) {
+            stored = null;
+        }
+
+        const sealed = { ...value };
+        PROTECTED_LOCAL_FIELDS[storageKey].forEach(field => {
+            if (isEnvelope(stored?.[field])) {
+                sealed[field] = stored[field];
+            } else {
+                delete sealed[field];
+            }
+        });
+        return sealed;
+    }
+
+    // Encrypts protected fields with the current key; while locked the
+    // stored envelopes are kept so a save cannot wipe the secret
+    async sealFields(storageKey, value) {
+        if (!value || typeof value !== 'object' || !this.isUnlocked()) {
+            return this.keepSealedFields(storageKey, value);
+        }
+
+        const sealed = { ...value };
+        const opened = { ...this.plaintextFields.get(storageKey) };
+        for (const field of PROTECTED_LOCAL_FIELDS[storageKey]) {
+            opened[field] = value[field];
+            sealed[field] = value[field] ? await this.encrypt(value[field]) : value[field];
+        }
+        this.plaintextFields.set(storageKey, opened);
+        return sealed;
+    }
+
+    // IndexedDB: whole-record sealing for project and revision stores
+
+    protectsStore(storeName) {
+        return this.encryptsProjects() && Boolean(PROTECTED_STORES[storeName]);
+    }
+
+    async sealRecord(storeName, record) {
+        if (!this.protectsStore(storeName) || isEnvelope(record.sealed)) return record;
+        if (!this.isUnlocked()) throw new Error(ERROR_MESSAGES.VAULT_LOCKED);
+
+        const sealed = {};
+        PROTECTED_STORES[storeName].forEach(field => {
+            if (record[field] !== undefined) sealed[field] = record[field];
+        });
+        sealed.sealed = await this.encrypt(record);
+        return sealed;
+    }
+
+    // Returns null for sealed records that cannot be opened (vault locked)
+    async openRecord(record) {
+        if (!record || !isEnvelope(record.sealed)) return record;
+        if (!this.isUnlocked()) return null;
+        return this.decrypt(record.sealed);
+    }
+
+    // Opening with an explicit key, for data sealed outside the stores
+    async openRecordWith(key, record) {
+        if (!record || !isEnvelope(record.sealed)) return record;
+        return this.decryptWith(key, record.sealed);
+    }
+
+    async openFieldsWith(key, storageKey, value) {
+        if (!value || typeof value !== 'object') return value;
+
+        const opened = { ...value };
+        for (const field of PROTECTED_LOCAL_FIELDS[storageKey]) {
+            if (isEnvelope(opened[field])) {
+                opened[field] = await this.decryptWith(key, opened[field]);
+            }
+        }
+        return opened;
+    }
+
+    isSealedRecord(record) {
+        return Boolean(record && isEnvelope(record.sealed));
+    }
+}
+
+// Singleton instance
+export const vault = new Vault();
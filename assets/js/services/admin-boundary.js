@@ -0,0 +1,348 @@
+/**
+ * Administrative Boundaries
+ * Finds the kecamatan and desa/kelurahan a parcel lies in from the imported
+ * boundary polygons of the kabupaten, and compares them with the address
+ * read from the applicant letter
+ */
+
+import { CONFIG } from '../config.js';
+import { performanceMonitor } from '../utils/performance.js';
+import { dbManager } from '../core/storage.js';
+import { parcelCentroid, polygonsOf, boundsOf, boundsOverlap, pointInPolygons } from './geometry.js';
+import { intersectionArea, readReferenceLayerFile } from './zoning.js';
+
+export const ADMIN_LEVELS = {
+    kecamatan: 'Kecamatan',
+    desa: 'Desa/Kelurahan'
+};
+
+export const KABUPATEN = {
+    nama: 'Kabupaten Garut',
+    provinsi: 'Jawa Barat',
+    pattern: /garut/i,
+    bounds: CONFIG.TILE_SEED_BOUNDS // west, south, east, north
+};
+
+// Name columns as found in BIG (RBI), BPS and Dukcapil boundary datasets
+const NAME_PATTERNS = {
+    kecamatan: /^(wadmkc|kecamatan|nm_?kec(amatan)?|nama_?kec(amatan)?|kec)$/i,
+    desa: /^(wadmkd|desa|kelurahan|desa_?kel(urahan)?|nm_?(desa|kel)|nama_?(desa|kel(urahan)?))$/i
+};
+const GENERIC_NAME_PATTERN = /^(namobj|nama|name)$/i;
+const KABUPATEN_PATTERN = /^(wadmkk|kabupaten|kab_?kota|nm_?kab|nama_?kab|kab)$/i;
+
+// Below this share inside the kabupaten the parcel is refused; below
+// PARTIAL_SHARE it is reported as crossing the boundary
+const INSIDE_SHARE = 0.5;
+const PARTIAL_SHARE = 0.99;
+
+// Units covering less than this share of the parcel are digitising slivers
+const MIN_UNIT_SHARE = 0.01;
+
+// Slack in degrees (± 2 km) around KABUPATEN.bounds for layers without a
+// kabupaten column, whose edges are digitised differently
+const BOUNDS_MARGIN = 0.02;
+
+function propertyKeys(geojson) {
+    return [...new Set((geojson?.features || []).flatMap(feature => Object.keys(feature.properties || {})))];
+}
+
+// Attribute holding the unit name of a layer; a desa layer may also carry
+// the name of its kecamatan (parent)
+export function guessAdminNameProperty(geojson, level) {
+    const keys = propertyKeys(geojson);
+    return keys.find(key => NAME_PATTERNS[level].test(key)) || keys.find(key => GENERIC_NAME_PATTERN.test(key)) || null;
+}
+
+export function guessParentProperty(geojson) {
+    return propertyKeys(geojson).find(key => NAME_PATTERNS.kecamatan.test(key)) || null;
+}
+
+// Features of the kabupaten, found by the kabupaten column, so province- or
+// nation-wide layers are cut down to it. A layer without that column is
+// taken whole when it lies within the kabupaten's bounds. A layer that
+// cannot be shown to hold the kabupaten is refused rather than taken whole.
+export function kabupatenFeatures(geojson) {
+    const key = propertyKeys(geojson).find(key => KABUPATEN_PATTERN.test(key));
+    if (!key) {
+        const [west, south, east, north] = KABUPATEN.bounds;
+        const within = geojson.features.every(feature => {
+            const [minX, minY, maxX, maxY] = boundsOf(polygonsOf(feature.geometry));
+            return minX >= west - BOUNDS_MARGIN && minY >= south - BOUNDS_MARGIN
+                && maxX <= east + BOUNDS_MARGIN && maxY <= north + BOUNDS_MARGIN;
+        });
+        if (!within) {
+            throw new Error(`Lapisan tanpa kolom kabupaten (mis. WADMKK) harus berada di dalam wilayah ${KABUPATEN.nama}`);
+        }
+        return geojson.features;
+    }
+
+    const own = geojson.features.filter(feature => KABUPATEN.pattern.test(String(feature.properties?.[key] ?? '')));
+    if (own.length === 0) {
+        throw new Error(`Lapisan tidak berisi wilayah ${KABUPATEN.nama} (kolom ${key})`);
+    }
+    return own;
+}
+
+// Outline of the kabupaten as one MultiPolygon of its units, kept with the
+// layer so coverage is tested against the kabupaten itself
+export function kabupatenOutline(features) {
+    return { type: 'MultiPolygon', coordinates: features.flatMap(feature => polygonsOf(feature.geometry)) };
+}
+
+// "KEC. TAROGONG KIDUL" and "Desa  sukamaju" as "Tarogong Kidul" and "Sukamaju"
+export function normalizeAdminName(name) {
+    return String(name ?? '')
+        .replace(/^\s*(kecamatan|kec\.?|desa|ds\.?|kelurahan|kel\.?)\s+/i, '')
+        .trim()
+        .replace(/\s+/g, ' ')
+        .toLowerCase()
+        .replace(/(^|[\s-])\S/g, letter => letter.toUpperCase());
+}
+
+// Kecamatan and desa/kelurahan written in an address
+// ("Desa Sukamaju, Kec. Tarogong Kidul"); empty when not found
+export function parseAddressAdmin(text) {
+    const address = String(text ?? '');
+    const kecamatan = address.match(/\bkec(?:amatan|\.)?\s+([a-z][a-z .'-]*?)\s*(?:,|\n|$|\bkab)/i);
+    const desa = address.match(/\b(?:desa|ds\.|kel(?:urahan|\.)?)\s+([a-z][a-z .'-]*?)\s*(?:,|\n|$|\bkec|\brt\b|\brw\b)/i);
+    return {
+        kecamatan: kecamatan ? normalizeAdminName(kecamatan[1]) : '',
+        desa: desa ? normalizeAdminName(desa[1]) : ''
+    };
+}
+
+// Names from the extracted letter: its fields, else read from the address
+export function extractedAdministrative(analysis) {
+    const lokasi = analysis?.lokasi_proyek || {};
+    const parsed = parseAddressAdmin([lokasi.alamat_lengkap, lokasi.lokasi].filter(Boolean).join(', '));
+    return {
+        kecamatan: normalizeAdminName(lokasi.kecamatan) || parsed.kecamatan,
+        desa: normalizeAdminName(lokasi.kelurahan || lokasi.desa) || parsed.desa
+    };
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+const nameKey = name => normalizeAdminName(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// 'sama', 'ejaan' (a misspelling of the same name) or 'beda'; null when
+// either name is missing
+export function compareAdminName(written, found) {
+    const a = nameKey(written);
+    const b = nameKey(found);
+    if (!a || !b) return null;
+    if (a === b) return 'sama';
+    return levenshtein(a, b) <= Math.max(1, Math.floor(Math.max(a.length, b.length) * 0.2)) ? 'ejaan' : 'beda';
+}
+
+// Names in the letter that differ from the boundary lookup:
+// [{ level, label, written, found, kind }]
+export function compareAdministrative(extracted, lookup) {
+    return Object.entries(ADMIN_LEVELS).flatMap(([level, label]) => {
+        const found = lookup?.[level]?.name;
+        const kind = compareAdminName(extracted?.[level], found);
+        return kind && kind !== 'sama' ? [{ level, label, written: extracted[level], found, kind }] : [];
+    });
+}
+
+// lokasi_proyek filled from the boundary lookup, with batas_administrasi
+// keeping the names as first read from the letter for the comparison; null
+// when lokasi_proyek already agrees with the lookup
+export function applyAdministrative(analysisResult, lookup) {
+    const lokasi = analysisResult?.lokasi_proyek || {};
+    const kecamatan = lookup.kecamatan?.name || '';
+    const kelurahan = lookup.desa?.name || '';
+    const filled = {
+        ...lokasi,
+        kecamatan: kecamatan || lokasi.kecamatan || '',
+        kelurahan: kelurahan || lokasi.kelurahan || '',
+        kabupaten: lokasi.kabupaten || KABUPATEN.nama,
+        provinsi: lokasi.provinsi || KABUPATEN.provinsi
+    };
+    if (['kecamatan', 'kelurahan', 'kabupaten', 'provinsi'].every(key => filled[key] === lokasi[key])) return null;
+
+    const tertulis = analysisResult?.batas_administrasi?.tertulis || extractedAdministrative(analysisResult);
+    return { lokasi_proyek: filled, batas_administrasi: { kecamatan, kelurahan, tertulis } };
+}
+
+// Undo step filling lokasi_proyek for a parcel inside the kabupaten; null
+// when it already agrees, or without an analysis yet (an analysisResult
+// would move the project out of "Baru")
+export function administrativeCommand(analysisResult, lookup) {
+    if (!analysisResult || !lookup?.inside) return null;
+    const filled = applyAdministrative(analysisResult, lookup);
+    if (!filled) return null;
+
+    return {
+        type: 'batch',
+        commands: Object.entries(filled).map(([key, after]) => ({
+            type: 'set',
+            path: `analysisResult.${key}`,
+            before: analysisResult[key],
+            after
+        }))
+    };
+}
+
+// Planar area in square degrees, holes taken out
+function planarArea(polygons) {
+    const ringArea = ring => Math.abs(ring.reduce((sum, [x1, y1], i) => {
+        const [x2, y2] = ring[(i + 1) % ring.length];
+        return sum + x1 * y2 - x2 * y1;
+    }, 0) / 2);
+    return polygons.reduce((sum, [outer, ...holes]) =>
+        sum + ringArea(outer) - holes.reduce((total, hole) => total + ringArea(hole), 0), 0);
+}
+
+// Share of the parcel in each unit of a layer, largest first. A parcel
+// without polygons counts wholly in the unit holding its point.
+function unitShares(parcel, centroid, features, nameOf) {
+    const parcelBounds = boundsOf(parcel);
+    const parcelArea = planarArea(parcel);
+    const shares = new Map();
+
+    features.forEach(feature => {
+        const polygons = polygonsOf(feature.geometry);
+        if (polygons.length === 0) return;
+
+        let share;
+        if (parcelArea > 0) {
+            if (!boundsOverlap(parcelBounds, boundsOf(polygons))) return;
+            share = Math.min(1, intersectionArea(parcel, polygons) / parcelArea);
+        } else {
+            share = pointInPolygons(centroid, polygons) ? 1 : 0;
+        }
+
+        const name = nameOf(feature);
+        if (share > 0) shares.set(name, (shares.get(name) || 0) + share);
+    });
+
+    return [...shares].map(([name, share]) => ({ name, share })).sort((a, b) => b.share - a.share);
+}
+
+function unitResult(shares) {
+    const units = shares.filter(unit => unit.share >= MIN_UNIT_SHARE);
+    if (units.length === 0) return null;
+    return { name: units[0].name, share: units[0].share, others: units.slice(1) };
+}
+
+// Kecamatan and desa of a parcel from the boundary layers
+// ({ kecamatan, desa } entries as stored by AdminBoundaryService).
+// Returns { kecamatan, desa, coverage, inside, partial } with each unit as
+// { name, share, others } or null, and coverage the share of the parcel
+// inside the kabupaten outline; null when the parcel has no location.
+export function lookupAdministrative(parcelGeoJSON, layers) {
+    const centroid = parcelCentroid(parcelGeoJSON);
+    if (!centroid) return null;
+    const parcel = (parcelGeoJSON?.features || []).flatMap(feature => polygonsOf(feature.geometry));
+    const nameOf = property => feature => normalizeAdminName(feature.properties?.[property]) || 'Tanpa nama';
+
+    const result = { kecamatan: null, desa: null };
+    Object.keys(ADMIN_LEVELS).forEach(level => {
+        const layer = layers?.[level];
+        if (!layer?.nameProperty) return;
+        result[level] = unitResult(unitShares(parcel, centroid, layer.geojson.features, nameOf(layer.nameProperty)));
+    });
+
+    // Without a kecamatan layer, the desa layer's kecamatan column stands in
+    if (!layers?.kecamatan?.nameProperty && layers?.desa?.parentProperty) {
+        result.kecamatan = unitResult(unitShares(parcel, centroid, layers.desa.geojson.features, nameOf(layers.desa.parentProperty)));
+    }
+
+    const outline = layers?.kecamatan?.outline || layers?.desa?.outline;
+    const kabupaten = outline ? unitShares(parcel, centroid, [{ geometry: outline }], () => KABUPATEN.nama) : [];
+    const coverage = Math.min(1, kabupaten[0]?.share || 0);
+    return { ...result, coverage, inside: coverage >= INSIDE_SHARE, partial: coverage < PARTIAL_SHARE };
+}
+
+// The kecamatan and desa layers are shared by every project and kept in the files store
+export class AdminBoundaryService {
+    constructor() {
+        this.layers = null;
+    }
+
+    async load() {
+        if (this.layers) return this.layers;
+
+        const blob = await dbManager.getFile(CONFIG.ADMIN_BOUNDARY_KEY);
+        this.layers = blob ? JSON.parse(await blob.text()) : {};
+        return this.layers;
+    }
+
+    async save(layers) {
+        if (Object.keys(layers).length === 0) {
+            await dbManager.deleteFile(CONFIG.ADMIN_BOUNDARY_KEY);
+        } else {
+            const blob = new Blob([JSON.stringify(layers)], { type: 'application/json' });
+            await dbManager.saveFile(CONFIG.ADMIN_BOUNDARY_KEY, blob, {
+                originalName: 'admin_boundary_layers.json',
+                uploadDate: new Date().toISOString()
+            });
+        }
+        this.layers = layers;
+        return layers;
+    }
+
+    // GeoJSON or zipped Shapefile, converted to WGS84; only polygons of the
+    // kabupaten are kept, and a layer without them is refused
+    async importFile(level, file) {
+        performanceMonitor.startTiming('adminBoundaryImport');
+
+        try {
+            const geojson = await readReferenceLayerFile(file);
+            const polygons = geojson.features.filter(feature => polygonsOf(feature.geometry).length > 0);
+            if (polygons.length === 0) {
+                throw new Error(`Lapisan ${ADMIN_LEVELS[level]} tidak berisi poligon`);
+            }
+
+            const layer = { type: 'FeatureCollection', features: kabupatenFeatures({ features: polygons }) };
+            const entry = {
+                name: file.name,
+                importedAt: new Date().toISOString(),
+                nameProperty: guessAdminNameProperty(layer, level),
+                outline: kabupatenOutline(layer.features),
+                geojson: layer
+            };
+            if (level === 'desa') entry.parentProperty = guessParentProperty(layer);
+
+            return await this.save({ ...(await this.load()), [level]: entry });
+        } finally {
+            performanceMonitor.endTiming('adminBoundaryImport');
+        }
+    }
+
+    async setNameProperty(level, nameProperty) {
+        const layers = await this.load();
+        if (layers[level]) await this.save({ ...layers, [level]: { ...layers[level], nameProperty } });
+    }
+
+    async remove(level) {
+        const { [level]: removed, ...rest } = await this.load();
+        if (removed) await this.save(rest);
+    }
+
+    // Attribute names of a layer, to choose the unit name column
+    getProperties(level) {
+        return propertyKeys(this.layers?.[level]?.geojson);
+    }
+
+    async lookup(parcelGeoJSON) {
+        const layers = await this.load();
+        // Coverage is tested against the kabupaten outline kept at import
+        if (!Object.values(layers).some(layer => layer.nameProperty && layer.outline)) return null;
+        return lookupAdministrative(parcelGeoJSON, layers);
+    }
+}
+
+export const adminBoundary = new AdminBoundaryService();
@@ -0,0 +1,378 @@
+/**
+ * Backup Service
+ * Creates and restores full ZIP backups: projects, settings, revision history,
+ * AI feedback history and every blob in the IndexedDB files store.
+ * With the vault on, the archive is sealed the same way as the stores.
+ */
+
+import { CONFIG, ERROR_MESSAGES } from '../config.js';
+import { performanceMonitor, globalCache, loadScript, FileProcessor } from '../utils/performance.js';
+import { dbManager, projectStorage, settingsStorage, schemaMigrator, planProjectMerge, resolveProjectMerge } from '../core/storage.js';
+import { vault } from '../core/vault.js';
+
+const BACKUP_FORMAT = 'sigar-krk-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const FEEDBACK_KEY = 'ai_feedback_history';
+
+const ENTRY_PATHS = {
+    manifest: 'manifest.json',
+    projects: 'data/projects.json',
+    settings: 'data/settings.json',
+    history: 'data/history.json',
+    feedback: 'data/feedback.json',
+    files: 'data/files.json'
+};
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+export async function sha256Hex(bytes) {
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+export class BackupService {
+    async loadLibraries() {
+        if (!window.JSZip) {
+            await loadScript(CONFIG.JSZIP_URL);
+        }
+        return window.JSZip;
+    }
+
+    // Raw localStorage value, bypassing the JSON cache layer
+    readFeedbackHistory() {
+        try {
+            return JSON.parse(localStorage.getItem(FEEDBACK_KEY) || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Records and settings as they are kept at rest: sealed when the vault is on
+    async sealedData() {
+        const seal = (storeName, records) => Promise.all(records.map(record => vault.sealRecord(storeName, record)));
+
+        const projectData = projectStorage.exportData();
+        projectData.projects = await seal(CONFIG.PROJECT_STORE_NAME, projectData.projects);
+
+        const settingsData = settingsStorage.export();
+        if (vault.isEnabled()) {
+            settingsData.settings = await vault.sealFields(CONFIG.SETTINGS_KEY, settingsData.settings);
+        }
+
+        return {
+            projectData,
+            settingsData,
+            history: await seal(CONFIG.HISTORY_STORE_NAME, await dbManager.getAllRecords(CONFIG.HISTORY_STORE_NAME))
+        };
+    }
+
+    async createBackup() {
+        performanceMonitor.startTiming('createBackup');
+
+        try {
+            const JSZip = await this.loadLibraries();
+            await projectStorage.ensureReady();
+
+            // A backup missing projects would delete them on a replace restore
+            if (vault.isEnabled() && !vault.isUnlocked()) {
+                throw new Error(ERROR_MESSAGES.VAULT_LOCKED);
+            }
+            if (!projectStorage.isComplete()) {
+                throw new Error(ERROR_MESSAGES.BACKUP_INCOMPLETE);
+            }
+
+            const zip = new JSZip();
+            const entries = [];
+
+            const addEntry = async (path, bytes) => {
+                zip.file(path, bytes);
+                entries.push({ path, size: bytes.byteLength, sha256: await sha256Hex(bytes) });
+            };
+            const addJSON = (path, value) => addEntry(path, textEncoder.encode(JSON.stringify(value, null, 2)));
+
+            // Blobs go into files/ and their metadata into data/files.json
+            const fileRecords = await dbManager.getAllFiles();
+            const filesIndex = [];
+            for (let i = 0; i < fileRecords.length; i++) {
+                const { file, ...metadata } = fileRecords[i];
+                const path = `files/${i}.bin`;
+                const bytes = new Uint8Array(await FileProcessor.readFileAsArrayBuffer(file));
+                await addEntry(path, bytes);
+                filesIndex.push({ ...metadata, type: file.type || metadata.type, path });
+            }
+
+            const { projectData, settingsData, history } = await this.sealedData();
+            await addJSON(ENTRY_PATHS.projects, projectData);
+            await addJSON(ENTRY_PATHS.settings, settingsData);
+            await addJSON(ENTRY_PATHS.history, history);
+            await addJSON(ENTRY_PATHS.feedback, this.readFeedbackHistory());
+            await addJSON(ENTRY_PATHS.files, filesIndex);
+
+            const manifest = {
+                format: BACKUP_FORMAT,
+                formatVersion: BACKUP_FORMAT_VERSION,
+                createdAt: new Date().toISOString(),
+                schemaVersion: CONFIG.SCHEMA_VERSION,
+                dbVersion: CONFIG.DB_VERSION,
+                vault: vault.getKeyParams(),
+                counts: {
+                    projects: projectStorage.projects.length,
+                    files: filesIndex.length,
+                    hasCustomTemplate: filesIndex.some(f => f.id === CONFIG.TEMPLATE_KEY)
+                },
+                entries
+            };
+            zip.file(ENTRY_PATHS.manifest, JSON.stringify(manifest, null, 2));
+
+            const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+            performanceMonitor.endTiming('createBackup');
+
+            return {
+                blob,
+                fileName: `backup_krk_garut_${new Date().toISOString().split('T')[0]}.zip`,
+                manifest
+            };
+        } catch (error) {
+            performanceMonitor.endTiming('createBackup');
+            console.error('Backup error:', error);
+            throw error;
+        }
+    }
+
+    // Opens the archive and verifies every entry against the manifest checksums.
+    // A sealed archive opens with the current vault key if it still fits,
+    // otherwise with the passphrase the vault had when it was created
+    async readBackup(file, passphrase = null) {
+        performanceMonitor.startTiming('readBackup');
+
+        try {
+            const JSZip = await this.loadLibraries();
+
+            let zip;
+            try {
+                zip = await JSZip.loadAsync(file);
+            } catch (error) {
+                throw new Error('File bukan arsip ZIP yang valid');
+            }
+
+            const manifestFile = zip.file(ENTRY_PATHS.manifest);
+            if (!manifestFile) {
+                throw new Error('Arsip tidak memiliki manifest');
+            }
+
+            const manifest = JSON.parse(await manifestFile.async('string'));
+            if (manifest.format !== BACKUP_FORMAT || !Array.isArray(manifest.entries)) {
+                throw new Error('Format arsip cadangan tidak dikenali');
+            }
+            if (manifest.formatVersion > BACKUP_FORMAT_VERSION || schemaMigrator.isTooNew(manifest)) {
+                throw new Error(ERROR_MESSAGES.SCHEMA_TOO_NEW);
+            }
+
+            const key = manifest.vault ? await vault.keyFor(manifest.vault, passphrase) : null;
+            if (manifest.vault && !key) {
+                throw new Error(passphrase === null
+                    ? ERROR_MESSAGES.BACKUP_PASSPHRASE_REQUIRED
+                    : ERROR_MESSAGES.BACKUP_PASSPHRASE_WRONG);
+            }
+            const openRecords = (records) => Promise.all(records.map(record => vault.openRecordWith(key, record)));
+
+            const contents = new Map();
+            for (const entry of manifest.entries) {
+                const entryFile = zip.file(entry.path);
+                if (!entryFile) {
+                    throw new Error(`Berkas hilang dari arsip: ${entry.path}`);
+                }
+
+                const bytes = await entryFile.async('uint8array');
+                if (await sha256Hex(bytes) !== entry.sha256) {
+                    throw new Error(`Checksum tidak cocok: ${entry.path}`);
+                }
+                contents.set(entry.path, bytes);
+            }
+
+            const readJSON = (path) => {
+                if (!contents.has(path)) {
+                    throw new Error(`Berkas hilang dari arsip: ${path}`);
+                }
+                return JSON.parse(textDecoder.decode(contents.get(path)));
+            };
+
+            const filesIndex = readJSON(ENTRY_PATHS.files);
+            const files = filesIndex.map(({ path, ...record }) => {
+                if (!contents.has(path)) {
+                    throw new Error(`Berkas hilang dari arsip: ${path}`);
+                }
+                const blob = new Blob([contents.get(path)], { type: record.type || '' });
+                return { ...record, file: blob, size: blob.size };
+            });
+
+            const projectData = readJSON(ENTRY_PATHS.projects);
+            const settingsData = readJSON(ENTRY_PATHS.settings);
+            if (key) {
+                projectData.projects = await openRecords(projectData.projects);
+                settingsData.settings = await vault.openFieldsWith(key, CONFIG.SETTINGS_KEY, settingsData.settings);
+            }
+            const { projects, applied } = projectStorage.prepareImport(projectData);
+
+            performanceMonitor.endTiming('readBackup');
+
+            return {
+                manifest,
+                projects,
+                appliedMigrations: applied,
+                activeProjectId: projectData.activeProjectId,
+                settings: settingsData,
+                history: key ? await openRecords(readJSON(ENTRY_PATHS.history)) : readJSON(ENTRY_PATHS.history),
+                feedback: readJSON(ENTRY_PATHS.feedback),
+                files
+            };
+        } catch (error) {
+            performanceMonitor.endTiming('readBackup');
+            console.error('Backup read error:', error);
+            throw error;
+        }
+    }
+
+    // Summary of what a restore would do in the given mode ('replace' or 'merge')
+    previewRestore(backup, mode = 'replace') {
+        return {
+            mode,
+            createdAt: backup.manifest.createdAt,
+            projects: projectStorage.previewImport(backup.projects, mode),
+            files: backup.files.length,
+            revisions: backup.history.length,
+            feedback: backup.feedback.length,
+            hasCustomTemplate: backup.files.some(f => f.id === CONFIG.TEMPLATE_KEY),
+            replacesSettings: mode === 'replace'
+        };
+    }
+
+    async captureCurrentState() {
+        return {
+            projects: await dbManager.getAllRecords(CONFIG.PROJECT_STORE_NAME),
+            files: await dbManager.getAllFiles(),
+            history: await dbManager.getAllRecords(CONFIG.HISTORY_STORE_NAME),
+            settings: localStorage.getItem(CONFIG.SETTINGS_KEY),
+            feedback: localStorage.getItem(FEEDBACK_KEY)
+        };
+    }
+
+    async restoreState(state) {
+        await dbManager.writeRecords({
+            [CONFIG.PROJECT_STORE_NAME]: { clear: true, records: state.projects },
+            [CONFIG.FILE_STORE_NAME]: { clear: true, records: state.files },
+            [CONFIG.HISTORY_STORE_NAME]: { clear: true, records: state.history }
+        });
+
+        const restoreItem = (key, value) => value === null
+            ? localStorage.removeItem(key)
+            : localStorage.setItem(key, value);
+        restoreItem(CONFIG.SETTINGS_KEY, state.settings);
+        restoreItem(FEEDBACK_KEY, state.feedback);
+    }
+
+    mergeFeedback(current, incoming) {
+        const seen = new Set(current.map(f => `${f.timestamp}|${f.requestId}`));
+        return [...current, ...incoming.filter(f => !seen.has(`${f.timestamp}|${f.requestId}`))];
+    }
+
+    // Merge mode keeps local files (including the template) and only takes
+    // revisions of projects whose incoming version was accepted
+    planMergeRecords(backup, currentFiles, resolutions) {
+        const { records, counts } = resolveProjectMerge(
+            planProjectMerge(projectStorage.projects, backup.projects),
+            resolutions
+        );
+        const acceptedIds = new Set(records.map(p => p.id));
+        const currentFileIds = new Set(currentFiles.map(f => f.id));
+
+        return {
+            counts,
+            projects: records,
+            files: backup.files.filter(f => !currentFileIds.has(f.id)),
+            history: backup.history.filter(r => acceptedIds.has(r.projectId))
+        };
+    }
+
+    async applyRestore(backup, mode = 'replace', resolutions = {}) {
+        // Sealed records cannot be captured for rollback nor re-sealed while locked
+        if (vault.isEnabled() && !vault.isUnlocked()) {
+            throw new Error(ERROR_MESSAGES.VAULT_LOCKED);
+        }
+
+        performanceMonitor.startTiming('applyRestore');
+
+        const snapshot = await this.captureCurrentState();
+        const replace = mode === 'replace';
+        const records = replace
+            ? {
+                projects: backup.projects,
+                files: backup.files,
+                history: backup.history,
+                counts: { added: backup.projects.length, updated: 0, skipped: 0 }
+            }
+            : this.planMergeRecords(backup, snapshot.files, resolutions);
+
+        try {
+            // All IndexedDB stores change in one transaction
+            await dbManager.writeRecords({
+                [CONFIG.PROJECT_STORE_NAME]: { clear: replace, records: records.projects },
+                [CONFIG.FILE_STORE_NAME]: { clear: replace, records: records.files },
+                [CONFIG.HISTORY_STORE_NAME]: { clear: replace, records: records.history }
+            });
+
+            const feedback = replace
+                ? backup.feedback
+                : this.mergeFeedback(this.readFeedbackHistory(), backup.feedback);
+            localStorage.setItem(FEEDBACK_KEY, JSON.stringify(feedback));
+
+            if (replace && !settingsStorage.import(backup.settings)) {
+                throw new Error(ERROR_MESSAGES.SAVE_ERROR);
+            }
+        } catch (error) {
+            console.error('Restore failed, rolling back:', error);
+            try {
+                await this.restoreState(snapshot);
+            } catch (rollbackError) {
+                console.error('Rollback failed:', rollbackError);
+            }
+            await this.reloadManagers();
+            performanceMonitor.endTiming('applyRestore');
+            throw new Error(`Pemulihan gagal dan data dikembalikan: ${error.message}`);
+        }
+
+        await this.reloadManagers();
+        if (replace && backup.activeProjectId) {
+            projectStorage.setActiveProject(backup.activeProjectId);
+        }
+        schemaMigrator.recordRun('project', backup.appliedMigrations, records.projects.length);
+        projectStorage.notifyChange('restore', records.projects, { reason: 'import' });
+
+        performanceMonitor.endTiming('applyRestore');
+        return records.counts;
+    }
+
+    async reloadManagers() {
+        // Cached file blobs and settings may be stale after the stores changed
+        globalCache.clear();
+        settingsStorage.settings = settingsStorage.loadSettings();
+        await projectStorage.reload();
+    }
+
+    downloadBackup({ blob, fileName }) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Singleton instance
+export const backupService = new BackupService();
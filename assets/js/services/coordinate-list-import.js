@@ -0,0 +1,214 @@
+/**
+ * Coordinate List Import
+ * Reads a surveyor's table of boundary points (CSV or spreadsheet) and
+ * builds the parcel polygon in point order
+ */
+
+import { CONFIG } from '../config.js';
+import { performanceMonitor, loadScript, FileProcessor } from '../utils/performance.js';
+import { CRS_LIST, WGS84, getCrs, toWgs84, isWithinIndonesia } from './crs.js';
+
+const COLUMN_PATTERNS = {
+    id: /^(titik|no\.?|nomor|patok|point|id|nama|name|kode)\b/i,
+    x: /^(x|e|easting|timur|bujur|lon|long|longitude|lng)\b/i,
+    y: /^(y|n|northing|utara|lintang|lat|latitude)\b/i,
+    crs: /(crs|epsg|sistem|proyeksi|datum|zona)/i
+};
+
+// Delimiter is whichever of ; , or tab splits the first line into most columns
+export function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Accepts 107.9083, 107,9083 (decimal comma), 9.201.270,83 and DMS such as 7°13'0.12" LS
+export function parseCoordinateValue(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+    const text = String(value ?? '').trim();
+    if (text === '') return null;
+
+    if (/[°'"′″]/.test(text)) {
+        const parts = text.match(/\d+(?:[.,]\d+)?/g);
+        if (!parts) return null;
+        const [degrees, minutes = 0, seconds = 0] = parts.map(part => parseFloat(part.replace(',', '.')));
+        const negative = /^-/.test(text) || /\b(LS|S|BB|W)\s*$/i.test(text);
+        const result = degrees + minutes / 60 + seconds / 3600;
+        return negative ? -result : result;
+    }
+
+    let normalized = text.replace(/\s/g, '');
+    const lastComma = normalized.lastIndexOf(',');
+    const lastDot = normalized.lastIndexOf('.');
+    if (lastComma !== -1 && lastDot !== -1) {
+        // Both present: the later one is the decimal separator
+        normalized = lastComma > lastDot
+            ? normalized.replace(/\./g, '').replace(',', '.')
+            : normalized.replace(/,/g, '');
+    } else if (lastComma !== -1) {
+        normalized = (normalized.match(/,/g).length > 1) ? normalized.replace(/,/g, '') : normalized.replace(',', '.');
+    } else if ((normalized.match(/\./g) || []).length > 1) {
+        normalized = normalized.replace(/\./g, '');
+    }
+
+    const number = Number(normalized);
+    return Number.isFinite(number) ? number : null;
+}
+
+// Matches an EPSG code or a name such as "UTM 48S" or "TM-3 48.2"
+export function findCrs(text) {
+    const value = String(text ?? '').trim();
+    if (value === '') return null;
+
+    const code = value.match(/^(?:EPSG:?\s*)?(\d{4,5})$/i)?.[1];
+    if (code) return getCrs(`EPSG:${code}`);
+
+    const normalize = (s) => s.toLowerCase().replace(/zona|zone|[\s_-]/g, '');
+    const needle = normalize(value);
+    if (['wgs84', 'geografis', 'latlon', 'lonlat'].includes(needle)) return WGS84;
+
+    return CRS_LIST.find(crs => crs.type === 'projected' && normalize(crs.name).includes(needle)) || null;
+}
+
+// Column indexes guessed from the header row; null where nothing matches
+export function guessColumnMapping(headerRow) {
+    const mapping = { id: null, x: null, y: null, crs: null };
+    headerRow.forEach((cell, index) => {
+        const label = String(cell ?? '').trim();
+        Object.entries(COLUMN_PATTERNS).forEach(([key, pattern]) => {
+            if (mapping[key] === null && pattern.test(label)) mapping[key] = index;
+        });
+    });
+    return mapping;
+}
+
+// A first row without numbers in the X/Y columns is a header
+export function looksLikeHeader(row, mapping) {
+    const columns = [mapping.x ?? 1, mapping.y ?? 2];
+    return columns.some(index => parseCoordinateValue(row[index]) === null);
+}
+
+// mapping: { id, x, y, crs } column indexes (crs optional); crs: CRS for all
+// rows, or null to read it from the CRS column or assume WGS84
+export function buildPoints(rows, { mapping, hasHeader = true, crs = null }) {
+    const points = [];
+    const errors = [];
+
+    rows.slice(hasHeader ? 1 : 0).forEach((row, index) => {
+        const rowNumber = index + (hasHeader ? 2 : 1);
+        const x = parseCoordinateValue(row[mapping.x]);
+        const y = parseCoordinateValue(row[mapping.y]);
+        if (x === null || y === null) {
+            errors.push({ row: rowNumber, message: 'Nilai X/Y kosong atau bukan angka' });
+            return;
+        }
+
+        const rowCrs = crs || (mapping.crs !== null && mapping.crs !== undefined ? findCrs(row[mapping.crs]) : WGS84);
+        if (!rowCrs) {
+            errors.push({ row: rowNumber, message: `Sistem koordinat "${row[mapping.crs]}" tidak dikenal` });
+            return;
+        }
+
+        const [lon, lat] = toWgs84(rowCrs, [x, y]);
+        if (!isWithinIndonesia([lon, lat])) {
+            errors.push({ row: rowNumber, message: 'Titik di luar wilayah Indonesia; periksa kolom X/Y atau sistem koordinat' });
+            return;
+        }
+
+        const id = mapping.id !== null && mapping.id !== undefined ? String(row[mapping.id] ?? '').trim() : '';
+        points.push({ id: id || String(points.length + 1), x, y, lon, lat, crs: rowCrs.code });
+    });
+
+    return { points, errors };
+}
+
+// One closed Polygon whose ring keeps the surveyor's point order, so the
+// letter's coordinate table numbers the points K1..Kn in the same order
+export function buildParcelGeoJSON(points) {
+    const ring = points.map(point => [point.lon, point.lat]);
+    const [first] = ring;
+    const last = ring[ring.length - 1];
+    if (ring.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+        ring.pop();
+    }
+    if (ring.length < 3) {
+        throw new Error('Minimal 3 titik berbeda diperlukan untuk membentuk bidang');
+    }
+
+    return {
+        type: 'FeatureCollection',
+        features: [{
+            type: 'Feature',
+            properties: {
+                name: 'Batas bidang',
+                sumber: 'Daftar koordinat',
+                titik: points.slice(0, ring.length).map(point => point.id).join(', ')
+            },
+            geometry: { type: 'Polygon', coordinates: [[...ring, ring[0]]] }
+        }]
+    };
+}
+
+// Sheets as arrays of rows; CSV/TXT yields a single sheet
+export async function readSheets(file) {
+    performanceMonitor.startTiming('readCoordinateSheets');
+
+    try {
+        const name = file.name.toLowerCase();
+        if (name.endsWith('.csv') || name.endsWith('.txt')) {
+            return [{ name: file.name, rows: parseCsv(await FileProcessor.readFileAsText(file)) }];
+        }
+
+        if (!window.XLSX) {
+            await loadScript(CONFIG.XLSX_URL);
+        }
+
+        const workbook = window.XLSX.read(await FileProcessor.readFileAsArrayBuffer(file), { type: 'array' });
+        return workbook.SheetNames.map(sheetName => ({
+            name: sheetName,
+            rows: window.XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: true, defval: '' })
+                .filter(cells => cells.some(cell => String(cell).trim() !== ''))
+        }));
+    } finally {
+        performanceMonitor.endTiming('readCoordinateSheets');
+    }
+}
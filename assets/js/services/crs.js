@@ -0,0 +1,278 @@
+/**
+ * Coordinate Reference Systems
+ * Indonesian Transverse Mercator systems (UTM and TM-3), conversion to and
+ * from WGS84 longitude/latitude and formatting for the KRK coordinate table
+ */
+
+const WGS84_ELLIPSOID = { a: 6378137, f: 1 / 298.257223563 };
+
+// DGN95 is realised on ITRF and treated as identical to WGS84 (sub-metre difference)
+function transverseMercator(code, name, group, centralMeridian, scaleFactor, falseEasting, falseNorthing) {
+    return {
+        code,
+        name,
+        group,
+        type: 'projected',
+        ellipsoid: WGS84_ELLIPSOID,
+        centralMeridian,
+        scaleFactor,
+        falseEasting,
+        falseNorthing
+    };
+}
+
+export const WGS84 = { code: 'EPSG:4326', name: 'WGS 84 (lintang/bujur)', group: 'Geografis', type: 'geographic', ellipsoid: WGS84_ELLIPSOID };
+
+// UTM zones 46-54 cover Indonesia on both sides of the equator
+const UTM_ZONES = [46, 47, 48, 49, 50, 51, 52, 53, 54];
+
+// TM-3 splits each UTM zone into two 3-degree zones (.1 west, .2 east),
+// from 46.2 (EPSG:23830) to 54.1 (EPSG:23845)
+const TM3_ZONES = UTM_ZONES.flatMap(zone => [`${zone}.1`, `${zone}.2`]).slice(1, -1);
+
+const utmCentralMeridian = (zone) => zone * 6 - 183;
+
+export const CRS_LIST = [
+    WGS84,
+    ...UTM_ZONES.map(zone => transverseMercator(
+        `EPSG:${32700 + zone}`, `WGS 84 / UTM zona ${zone}S`, 'UTM', utmCentralMeridian(zone), 0.9996, 500000, 10000000
+    )),
+    ...UTM_ZONES.map(zone => transverseMercator(
+        `EPSG:${32600 + zone}`, `WGS 84 / UTM zona ${zone}N`, 'UTM', utmCentralMeridian(zone), 0.9996, 500000, 0
+    )),
+    ...TM3_ZONES.map((zone, index) => {
+        const [utmZone, half] = zone.split('.').map(Number);
+        return transverseMercator(
+            `EPSG:${23830 + index}`, `DGN95 / TM-3 zona ${zone}`, 'TM-3',
+            utmCentralMeridian(utmZone) + (half === 1 ? -1.5 : 1.5), 0.9999, 200000, 1500000
+        );
+    })
+];
+
+export function getCrs(code) {
+    return CRS_LIST.find(crs => crs.code === code) || null;
+}
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+function ellipsoidTerms({ a, f }) {
+    const e2 = f * (2 - f);
+    return { a, e2, ep2: e2 / (1 - e2), e4: e2 * e2, e6: e2 * e2 * e2 };
+}
+
+function meridianArc(phi, { a, e2, e4, e6 }) {
+    return a * (
+        (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi
+        - (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi)
+        + (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi)
+        - (35 * e6 / 3072) * Math.sin(6 * phi)
+    );
+}
+
+// Transverse Mercator series (Snyder, USGS Professional Paper 1395), mm-level within a zone
+function projectTransverseMercator(crs, [lon, lat]) {
+    const terms = ellipsoidTerms(crs.ellipsoid);
+    const { a, e2, ep2 } = terms;
+    const phi = toRadians(lat);
+    const k0 = crs.scaleFactor;
+
+    const N = a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+    const T = Math.tan(phi) ** 2;
+    const C = ep2 * Math.cos(phi) ** 2;
+    const A = toRadians(lon - crs.centralMeridian) * Math.cos(phi);
+    const M = meridianArc(phi, terms);
+
+    const x = k0 * N * (A + (1 - T + C) * A ** 3 / 6 + (5 - 18 * T + T * T + 72 * C - 58 * ep2) * A ** 5 / 120);
+    const y = k0 * (M + N * Math.tan(phi) * (
+        A * A / 2
+        + (5 - T + 9 * C + 4 * C * C) * A ** 4 / 24
+        + (61 - 58 * T + T * T + 600 * C - 330 * ep2) * A ** 6 / 720
+    ));
+
+    return [x + crs.falseEasting, y + crs.falseNorthing];
+}
+
+function unprojectTransverseMercator(crs, [easting, northing]) {
+    const { a, e2, ep2, e4, e6 } = ellipsoidTerms(crs.ellipsoid);
+    const k0 = crs.scaleFactor;
+    const x = easting - crs.falseEasting;
+    const M = (northing - crs.falseNorthing) / k0;
+
+    const mu = M / (a * (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256));
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+    const phi1 = mu
+        + (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu)
+        + (21 * e1 ** 2 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu)
+        + (151 * e1 ** 3 / 96) * Math.sin(6 * mu)
+        + (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+    const sinPhi1 = Math.sin(phi1);
+    const C1 = ep2 * Math.cos(phi1) ** 2;
+    const T1 = Math.tan(phi1) ** 2;
+    const N1 = a / Math.sqrt(1 - e2 * sinPhi1 ** 2);
+    const R1 = a * (1 - e2) / (1 - e2 * sinPhi1 ** 2) ** 1.5;
+    const D = x / (N1 * k0);
+
+    const phi = phi1 - (N1 * Math.tan(phi1) / R1) * (
+        D * D / 2
+        - (5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * ep2) * D ** 4 / 24
+        + (61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * ep2 - 3 * C1 * C1) * D ** 6 / 720
+    );
+    const lambda = (
+        D
+        - (1 + 2 * T1 + C1) * D ** 3 / 6
+        + (5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * ep2 + 24 * T1 * T1) * D ** 5 / 120
+    ) / Math.cos(phi1);
+
+    return [crs.centralMeridian + toDegrees(lambda), toDegrees(phi)];
+}
+
+// [x, y] in the given CRS -> [lon, lat]
+export function toWgs84(crs, point) {
+    return crs.type === 'geographic' ? [point[0], point[1]] : unprojectTransverseMercator(crs, point);
+}
+
+// [lon, lat] -> [x, y] in the given CRS
+export function fromWgs84(crs, point) {
+    return crs.type === 'geographic' ? [point[0], point[1]] : projectTransverseMercator(crs, point);
+}
+
+function mapCoordinates(coordinates, transform) {
+    return typeof coordinates[0] === 'number'
+        ? transform(coordinates)
+        : coordinates.map(item => mapCoordinates(item, transform));
+}
+
+function mapGeometry(geometry, transform) {
+    if (!geometry) return geometry;
+    if (geometry.type === 'GeometryCollection') {
+        return { ...geometry, geometries: geometry.geometries.map(g => mapGeometry(g, transform)) };
+    }
+    return { ...geometry, coordinates: mapCoordinates(geometry.coordinates, transform) };
+}
+
+export function reprojectGeoJSON(geojson, crs) {
+    if (crs.type === 'geographic') return geojson;
+
+    return {
+        ...geojson,
+        features: geojson.features.map(feature => ({
+            ...feature,
+            geometry: mapGeometry(feature.geometry, point => toWgs84(crs, point))
+        }))
+    };
+}
+
+// Every coordinate within lon/lat range, i.e. probably not projected
+export function looksGeographic(geojson) {
+    let geographic = true;
+    const check = (point) => {
+        if (Math.abs(point[0]) > 180 || Math.abs(point[1]) > 90) geographic = false;
+        return point;
+    };
+    geojson.features.forEach(feature => mapGeometry(feature.geometry, check));
+    return geographic;
+}
+
+// Rough extent of Indonesia, to catch swapped axes or a wrong CRS
+const INDONESIA_EXTENT = { minLon: 94, maxLon: 142, minLat: -11.5, maxLat: 6.5 };
+
+export function isWithinIndonesia([lon, lat]) {
+    return lon >= INDONESIA_EXTENT.minLon && lon <= INDONESIA_EXTENT.maxLon
+        && lat >= INDONESIA_EXTENT.minLat && lat <= INDONESIA_EXTENT.maxLat;
+}
+
+function wktParameter(wkt, name) {
+    const match = wkt.match(new RegExp(`PARAMETER\\[\\s*"${name}"\\s*,\\s*(-?[\\d.eE+-]+)`, 'i'));
+    return match ? parseFloat(match[1]) : null;
+}
+
+// Reads the ESRI WKT of a .prj file. Known systems are returned from
+// CRS_LIST; other Transverse Mercator definitions are built from their parameters.
+export function detectCrsFromPrj(wkt) {
+    const text = (wkt || '').trim();
+    if (/^GEOGCS\[/i.test(text)) return WGS84;
+    if (!/^PROJCS\[/i.test(text) || !/PROJECTION\[\s*"Transverse_Mercator"/i.test(text)) return null;
+
+    const name = text.match(/^PROJCS\[\s*"([^"]*)"/i)?.[1] || 'Transverse Mercator';
+    const params = {
+        centralMeridian: wktParameter(text, 'Central_Meridian'),
+        scaleFactor: wktParameter(text, 'Scale_Factor'),
+        falseEasting: wktParameter(text, 'False_Easting'),
+        falseNorthing: wktParameter(text, 'False_Northing')
+    };
+    if (Object.values(params).some(value => value === null)) return null;
+
+    // Only a zero latitude of origin is supported, as in every UTM and TM-3 zone
+    if ((wktParameter(text, 'Latitude_Of_Origin') || 0) !== 0) return null;
+
+    const known = CRS_LIST.find(crs => crs.type === 'projected'
+        && Math.abs(crs.centralMeridian - params.centralMeridian) < 1e-6
+        && Math.abs(crs.scaleFactor - params.scaleFactor) < 1e-9
+        && Math.abs(crs.falseEasting - params.falseEasting) < 1e-3
+        && Math.abs(crs.falseNorthing - params.falseNorthing) < 1e-3);
+    if (known) return known;
+
+    const spheroid = text.match(/SPHEROID\[\s*"[^"]*"\s*,\s*([\d.]+)\s*,\s*([\d.]+)/i);
+    const ellipsoid = spheroid
+        ? { a: parseFloat(spheroid[1]), f: parseFloat(spheroid[2]) ? 1 / parseFloat(spheroid[2]) : 0 }
+        : WGS84_ELLIPSOID;
+
+    return { code: null, name, type: 'projected', ellipsoid, ...params };
+}
+
+// Legacy GeoJSON (2008 spec) names its CRS, e.g. "urn:ogc:def:crs:EPSG::32748"
+export function detectCrsFromGeoJSON(geojson) {
+    const name = geojson?.crs?.properties?.name;
+    if (!name) return null;
+    if (/CRS84$/i.test(name)) return WGS84;
+
+    const code = name.match(/EPSG:+(\d+)$/i)?.[1];
+    return code ? getCrs(`EPSG:${code}`) : null;
+}
+
+export function formatDms(value, axis) {
+    const hemisphere = axis === 'lon' ? (value < 0 ? 'BB' : 'BT') : (value < 0 ? 'LS' : 'LU');
+    let totalSeconds = Math.round(Math.abs(value) * 360000) / 100;
+    const degrees = Math.floor(totalSeconds / 3600);
+    totalSeconds -= degrees * 3600;
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds - minutes * 60;
+
+    return `${degrees}° ${minutes}' ${seconds.toFixed(2)}" ${hemisphere}`;
+}
+
+// Coordinate systems for the letter's coordinate table: 'decimal', 'dms'
+// or the code of a projected CRS from CRS_LIST
+export const COORDINATE_SYSTEMS = [
+    { value: 'decimal', label: 'Derajat desimal (WGS 84)', group: 'Geografis' },
+    { value: 'dms', label: 'Derajat, menit, detik (WGS 84)', group: 'Geografis' },
+    ...CRS_LIST.filter(crs => crs.type === 'projected').map(crs => ({ value: crs.code, label: crs.name, group: crs.group }))
+];
+
+export function describeCoordinateSystem(system) {
+    if (system === 'dms') {
+        return { name: 'WGS 84 (derajat, menit, detik)', labelX: 'Bujur', labelY: 'Lintang' };
+    }
+
+    const crs = getCrs(system);
+    if (crs?.type === 'projected') {
+        return { name: crs.name, labelX: 'Timur (X) m', labelY: 'Utara (Y) m' };
+    }
+    return { name: 'WGS 84 (derajat desimal)', labelX: 'Bujur', labelY: 'Lintang' };
+}
+
+// [lon, lat] -> { x, y } as text in the chosen system
+export function formatPoint([lon, lat], system) {
+    if (system === 'dms') {
+        return { x: formatDms(lon, 'lon'), y: formatDms(lat, 'lat') };
+    }
+
+    const crs = getCrs(system);
+    if (crs?.type === 'projected') {
+        const [x, y] = fromWgs84(crs, [lon, lat]);
+        return { x: x.toFixed(2), y: y.toFixed(2) };
+    }
+    return { x: lon.toFixed(6), y: lat.toFixed(6) };
+}
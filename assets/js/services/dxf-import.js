@@ -0,0 +1,269 @@
+/**
+ * DXF Import
+ * Reads AutoCAD DXF site plans: the parcel boundary layer becomes polygons,
+ * the other layers are kept as overlays
+ */
+
+import { performanceMonitor, FileProcessor } from '../utils/performance.js';
+import { reprojectGeoJSON, isWithinIndonesia } from './crs.js';
+
+const SUPPORTED_ENTITIES = ['LWPOLYLINE', 'POLYLINE', 'LINE', 'CIRCLE', 'TEXT'];
+const CIRCLE_SEGMENTS = 64;
+const BOUNDARY_LAYER_PATTERN = /batas|boundary|kavling|kapling|persil|bidang|tapak|site|lahan/i;
+
+// DXF is a list of group code / value line pairs
+function readPairs(text) {
+    const lines = text.split(/\r?\n/);
+    const pairs = [];
+    for (let i = 0; i + 1 < lines.length; i += 2) {
+        pairs.push({ code: parseInt(lines[i], 10), value: lines[i + 1].trim() });
+    }
+    return pairs;
+}
+
+// Records of the ENTITIES section, each starting at a group code 0
+function readEntityRecords(pairs) {
+    const records = [];
+    let inEntities = false;
+
+    for (let i = 0; i < pairs.length; i++) {
+        const { code, value } = pairs[i];
+        if (code !== 0) {
+            if (inEntities && records.length > 0) records[records.length - 1].pairs.push(pairs[i]);
+            continue;
+        }
+
+        if (value === 'SECTION') {
+            inEntities = pairs[i + 1]?.code === 2 && pairs[i + 1].value === 'ENTITIES';
+        } else if (value === 'ENDSEC') {
+            inEntities = false;
+        } else if (inEntities) {
+            records.push({ type: value, pairs: [] });
+        }
+    }
+
+    return records;
+}
+
+function numberOf(pairs, code, fallback = 0) {
+    const pair = pairs.find(p => p.code === code);
+    const number = pair ? parseFloat(pair.value) : NaN;
+    return Number.isFinite(number) ? number : fallback;
+}
+
+function layerOf(pairs) {
+    return pairs.find(p => p.code === 8)?.value || '0';
+}
+
+// LWPOLYLINE lists its vertices inline as repeated 10/20/42 codes
+function readLwPolyline(pairs) {
+    const vertices = [];
+    pairs.forEach(({ code, value }) => {
+        if (code === 10) vertices.push({ x: parseFloat(value), y: 0, bulge: 0 });
+        else if (code === 20 && vertices.length > 0) vertices[vertices.length - 1].y = parseFloat(value);
+        else if (code === 42 && vertices.length > 0) vertices[vertices.length - 1].bulge = parseFloat(value);
+    });
+    return vertices;
+}
+
+// Arc points between two vertices; the bulge is the tangent of a quarter of the arc angle
+function bulgePoints([x1, y1], [x2, y2], bulge) {
+    const angle = 4 * Math.atan(bulge);
+    const chord = Math.hypot(x2 - x1, y2 - y1);
+    if (chord === 0) return [];
+
+    const radius = chord / (2 * Math.sin(angle / 2));
+    const offset = radius * Math.cos(angle / 2);
+    const cx = (x1 + x2) / 2 - offset * (y2 - y1) / chord;
+    const cy = (y1 + y2) / 2 + offset * (x2 - x1) / chord;
+    const start = Math.atan2(y1 - cy, x1 - cx);
+    const steps = Math.max(2, Math.ceil(Math.abs(angle) / (Math.PI / 16)));
+
+    const points = [];
+    for (let i = 1; i < steps; i++) {
+        const a = start + angle * i / steps;
+        points.push([cx + Math.abs(radius) * Math.cos(a), cy + Math.abs(radius) * Math.sin(a)]);
+    }
+    return points;
+}
+
+function polylinePoints(vertices, closed) {
+    const points = [];
+    vertices.forEach((vertex, i) => {
+        const point = [vertex.x, vertex.y];
+        points.push(point);
+
+        const next = vertices[i + 1] || (closed ? vertices[0] : null);
+        if (next && vertex.bulge) points.push(...bulgePoints(point, [next.x, next.y], vertex.bulge));
+    });
+    return points.filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y));
+}
+
+function samePoint(a, b) {
+    return Math.abs(a[0] - b[0]) < 1e-9 && Math.abs(a[1] - b[1]) < 1e-9;
+}
+
+function polylineEntity(layer, vertices, flags) {
+    const points = polylinePoints(vertices, (flags & 1) === 1);
+    // A polyline drawn back to its start counts as closed too
+    const closed = points.length >= 3 && ((flags & 1) === 1 || (points.length >= 4 && samePoint(points[0], points[points.length - 1])));
+    if (closed && samePoint(points[0], points[points.length - 1])) points.pop();
+    return { type: 'polyline', layer, points, closed };
+}
+
+// Entities in drawing units; blocks (INSERT) and other entity types are skipped
+export function parseDxf(text) {
+    const records = readEntityRecords(readPairs(text));
+    if (records.length === 0) {
+        throw new Error('File DXF tidak valid atau tidak berisi bagian ENTITIES');
+    }
+
+    const entities = [];
+    for (let i = 0; i < records.length; i++) {
+        const { type, pairs } = records[i];
+        const layer = layerOf(pairs);
+
+        switch (type) {
+            case 'LWPOLYLINE':
+                entities.push(polylineEntity(layer, readLwPolyline(pairs), numberOf(pairs, 70)));
+                break;
+            case 'POLYLINE': {
+                // Old-style polylines are followed by VERTEX records up to SEQEND
+                const vertices = [];
+                while (records[i + 1]?.type === 'VERTEX') {
+                    const vertexPairs = records[++i].pairs;
+                    // Face records of polyface meshes carry no position
+                    if ((numberOf(vertexPairs, 70) & 128) === 0) {
+                        vertices.push({ x: numberOf(vertexPairs, 10, NaN), y: numberOf(vertexPairs, 20, NaN), bulge: numberOf(vertexPairs, 42) });
+                    }
+                }
+                if (records[i + 1]?.type === 'SEQEND') i++;
+                entities.push(polylineEntity(layer, vertices, numberOf(pairs, 70)));
+                break;
+            }
+            case 'LINE':
+                entities.push({
+                    type: 'polyline',
+                    layer,
+                    points: [[numberOf(pairs, 10), numberOf(pairs, 20)], [numberOf(pairs, 11), numberOf(pairs, 21)]],
+                    closed: false
+                });
+                break;
+            case 'CIRCLE': {
+                const [cx, cy, radius] = [numberOf(pairs, 10), numberOf(pairs, 20), numberOf(pairs, 40)];
+                const points = [];
+                for (let s = 0; s < CIRCLE_SEGMENTS; s++) {
+                    const a = (2 * Math.PI * s) / CIRCLE_SEGMENTS;
+                    points.push([cx + radius * Math.cos(a), cy + radius * Math.sin(a)]);
+                }
+                entities.push({ type: 'polyline', layer, points, closed: true });
+                break;
+            }
+            case 'TEXT':
+                entities.push({
+                    type: 'text',
+                    layer,
+                    points: [[numberOf(pairs, 10), numberOf(pairs, 20)]],
+                    text: pairs.find(p => p.code === 1)?.value || ''
+                });
+                break;
+            default:
+                break;
+        }
+    }
+
+    return entities.filter(entity => entity.points.length > 0);
+}
+
+// Shoelace area in drawing units
+function ringArea(points) {
+    let sum = 0;
+    points.forEach(([x1, y1], i) => {
+        const [x2, y2] = points[(i + 1) % points.length];
+        sum += x1 * y2 - x2 * y1;
+    });
+    return Math.abs(sum) / 2;
+}
+
+// Per layer: entity count, closed shapes and the largest closed area
+export function summarizeLayers(entities) {
+    const layers = new Map();
+    entities.forEach(entity => {
+        if (!layers.has(entity.layer)) {
+            layers.set(entity.layer, { name: entity.layer, entityCount: 0, closedCount: 0, largestArea: 0 });
+        }
+        const layer = layers.get(entity.layer);
+        layer.entityCount++;
+        if (entity.closed) {
+            layer.closedCount++;
+            layer.largestArea = Math.max(layer.largestArea, ringArea(entity.points));
+        }
+    });
+    return [...layers.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// A layer named like a boundary, else the one holding the largest closed shape
+export function guessBoundaryLayer(layers) {
+    const candidates = layers.filter(layer => layer.closedCount > 0);
+    const named = candidates.find(layer => BOUNDARY_LAYER_PATTERN.test(layer.name));
+    if (named) return named.name;
+
+    return candidates.reduce((best, layer) => (!best || layer.largestArea > best.largestArea ? layer : best), null)?.name || null;
+}
+
+// True when every coordinate is within lon/lat range
+export function entitiesLookGeographic(entities) {
+    return entities.every(entity => entity.points.every(([x, y]) => Math.abs(x) <= 180 && Math.abs(y) <= 90));
+}
+
+function toFeature(entity) {
+    const properties = { layer: entity.layer };
+    if (entity.type === 'text') {
+        return { type: 'Feature', properties: { ...properties, name: entity.text }, geometry: { type: 'Point', coordinates: entity.points[0] } };
+    }
+    if (entity.closed) {
+        return { type: 'Feature', properties, geometry: { type: 'Polygon', coordinates: [[...entity.points, entity.points[0]]] } };
+    }
+    if (entity.points.length < 2) return null;
+    return { type: 'Feature', properties, geometry: { type: 'LineString', coordinates: entity.points } };
+}
+
+// Closed shapes on the boundary layer become the parcel; entities on the
+// overlay layers are converted as they are. Coordinates are reprojected from crs.
+export function dxfToGeoJSON(entities, { boundaryLayer, overlayLayers = [], crs }) {
+    const boundaryFeatures = entities
+        .filter(entity => entity.layer === boundaryLayer && entity.closed)
+        .map(toFeature);
+    if (boundaryFeatures.length === 0) {
+        throw new Error(`Layer "${boundaryLayer}" tidak berisi polyline tertutup`);
+    }
+
+    const overlayFeatures = entities
+        .filter(entity => entity.layer !== boundaryLayer && overlayLayers.includes(entity.layer))
+        .map(toFeature)
+        .filter(Boolean);
+
+    const boundary = reprojectGeoJSON({ type: 'FeatureCollection', features: boundaryFeatures }, crs);
+    if (!isWithinIndonesia(boundary.features[0].geometry.coordinates[0][0])) {
+        throw new Error('Batas bidang berada di luar wilayah Indonesia. Periksa sistem koordinat; gambar DXF dengan koordinat lokal perlu digeoreferensi.');
+    }
+
+    return {
+        boundary,
+        overlays: reprojectGeoJSON({ type: 'FeatureCollection', features: overlayFeatures }, crs)
+    };
+}
+
+export async function readDxfFile(file) {
+    performanceMonitor.startTiming('dxfImport');
+
+    try {
+        const entities = parseDxf(await FileProcessor.readFileAsText(file));
+        if (entities.length === 0) {
+            throw new Error(`File DXF tidak berisi entitas yang didukung (${SUPPORTED_ENTITIES.join(', ')})`);
+        }
+        return { entities, layers: summarizeLayers(entities) };
+    } finally {
+        performanceMonitor.endTiming('dxfImport');
+    }
+}
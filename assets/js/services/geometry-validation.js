@@ -0,0 +1,265 @@
+/**
+ * Geometry Validation
+ * Checks uploaded features for the errors that break coordinate tables and
+ * areas, and repairs the ones that can be fixed automatically
+ */
+
+import { isWithinIndonesia } from './crs.js';
+import { ringArea, polygonsOf, ringContains } from './geometry.js';
+
+// Issues with a fix can be repaired in one click; the others block analysis
+// until the feature is removed
+export const GEOMETRY_ISSUES = {
+    'null-geometry': { message: 'Fitur tidak memiliki geometri', severity: 'error', fix: 'remove' },
+    'invalid-coordinates': { message: 'Koordinat tidak valid (bukan angka)', severity: 'error', fix: 'remove' },
+    'too-few-points': { message: 'Poligon memiliki kurang dari 3 titik berbeda', severity: 'error', fix: 'remove' },
+    'swapped-axes': { message: 'Lintang dan bujur tertukar', severity: 'error', fix: 'swap' },
+    'unclosed-ring': { message: 'Ring poligon tidak tertutup', severity: 'error', fix: 'close' },
+    'duplicate-vertices': { message: 'Titik ganda berurutan', severity: 'error', fix: 'dedupe' },
+    'self-intersection': { message: 'Batas poligon berpotongan dengan dirinya sendiri', severity: 'error', fix: 'split' },
+    'winding': { message: 'Arah putaran ring terbalik (ring luar harus berlawanan arah jarum jam)', severity: 'warning', fix: 'rewind' }
+};
+
+export const GEOMETRY_FIXES = {
+    remove: 'Hapus fitur',
+    swap: 'Tukar lintang/bujur',
+    close: 'Tutup ring',
+    dedupe: 'Hapus titik ganda',
+    split: 'Pisahkan perpotongan',
+    rewind: 'Perbaiki arah putaran'
+};
+
+const samePoint = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+function allPositions(geometry) {
+    const positions = [];
+    const walk = (coordinates) => {
+        if (typeof coordinates[0] === 'number') positions.push(coordinates);
+        else coordinates.forEach(walk);
+    };
+    if (geometry.type === 'GeometryCollection') {
+        geometry.geometries.forEach(g => positions.push(...allPositions(g)));
+    } else {
+        walk(geometry.coordinates || []);
+    }
+    return positions;
+}
+
+function dedupeRing(ring) {
+    return ring.filter((point, i) => i === 0 || !samePoint(point, ring[i - 1]));
+}
+
+function closeRing(ring) {
+    return ring.length > 0 && !samePoint(ring[0], ring[ring.length - 1]) ? [...ring, ring[0]] : ring;
+}
+
+// Ring as a list of distinct consecutive positions, without the closing one
+function openRing(ring) {
+    const points = dedupeRing(ring);
+    return points.length > 1 && samePoint(points[0], points[points.length - 1]) ? points.slice(0, -1) : points;
+}
+
+// Intersection of segments p1-p2 and p3-p4 with its position along each, or null
+export function segmentIntersection(p1, p2, p3, p4) {
+    const d = (p2[0] - p1[0]) * (p4[1] - p3[1]) - (p2[1] - p1[1]) * (p4[0] - p3[0]);
+    if (d === 0) return null;
+
+    const t = ((p3[0] - p1[0]) * (p4[1] - p3[1]) - (p3[1] - p1[1]) * (p4[0] - p3[0])) / d;
+    const u = ((p3[0] - p1[0]) * (p2[1] - p1[1]) - (p3[1] - p1[1]) * (p2[0] - p1[0])) / d;
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+
+    return { t, u, point: [p1[0] + t * (p2[0] - p1[0]), p1[1] + t * (p2[1] - p1[1])] };
+}
+
+// Crossings between non-adjacent sides of a ring
+function findSelfIntersections(ring) {
+    const points = openRing(ring);
+    const n = points.length;
+    const crossings = [];
+
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 2; j < n; j++) {
+            if (i === 0 && j === n - 1) continue;
+            const hit = segmentIntersection(points[i], points[(i + 1) % n], points[j], points[(j + 1) % n]);
+            if (hit) crossings.push({ i, j, ...hit });
+        }
+    }
+    return crossings;
+}
+
+// Issues of one feature; location is a position worth marking on the map
+export function validateFeature(feature) {
+    const issues = [];
+    const add = (code, location = null, detail = '') => issues.push({ code, location, detail, ...GEOMETRY_ISSUES[code] });
+
+    const geometry = feature?.geometry;
+    if (!geometry || (!geometry.coordinates && !geometry.geometries)) {
+        add('null-geometry');
+        return issues;
+    }
+
+    const positions = allPositions(geometry);
+    if (positions.length === 0 || positions.some(p => p.length < 2 || !Number.isFinite(p[0]) || !Number.isFinite(p[1]))) {
+        add('invalid-coordinates');
+        return issues;
+    }
+
+    if (!positions.every(p => isWithinIndonesia(p)) && positions.every(p => isWithinIndonesia([p[1], p[0]]))) {
+        add('swapped-axes', [positions[0][1], positions[0][0]]);
+        return issues;
+    }
+
+    polygonsOf(geometry).forEach(polygon => {
+        polygon.forEach((ring, ringIndex) => {
+            if (ring.length > 0 && !samePoint(ring[0], ring[ring.length - 1])) {
+                add('unclosed-ring', ring[ring.length - 1]);
+            }
+
+            const duplicates = ring.filter((point, i) => i > 0 && samePoint(point, ring[i - 1]));
+            if (duplicates.length > 0) {
+                add('duplicate-vertices', duplicates[0], `${duplicates.length} titik`);
+            }
+
+            if (openRing(ring).length < 3) {
+                add('too-few-points', ring[0] || null);
+                return;
+            }
+
+            const crossings = findSelfIntersections(ring);
+            if (crossings.length > 0) {
+                add('self-intersection', crossings[0].point, `${crossings.length} perpotongan`);
+            } else if ((ringArea(closeRing(openRing(ring))) > 0) !== (ringIndex === 0)) {
+                add('winding', ring[0]);
+            }
+        });
+    });
+
+    // One entry per issue type and feature is enough for the report
+    return issues.filter((issue, i) => issues.findIndex(other => other.code === issue.code) === i);
+}
+
+export function validateGeoJSON(geojson) {
+    const issues = [];
+    (geojson?.features || []).forEach((feature, featureIndex) => {
+        validateFeature(feature).forEach(issue => issues.push({ featureIndex, ...issue }));
+    });
+
+    return {
+        issues,
+        blocking: issues.some(issue => issue.severity === 'error')
+    };
+}
+
+// Lat/lon written as [lat, lon]; such files fail the lon/lat range check
+// but are still WGS84
+export function hasSwappedAxes(geojson) {
+    return validateGeoJSON(geojson).issues.some(issue => issue.code === 'swapped-axes');
+}
+
+// Cuts a ring at its self-intersections into simple rings: the crossing
+// points are inserted, then every loop that returns to a visited point is cut off
+export function splitRing(ring) {
+    const points = openRing(ring);
+    const inserts = points.map(() => []);
+    findSelfIntersections(ring).forEach(({ i, j, t, u, point }) => {
+        inserts[i].push({ t, point });
+        inserts[j].push({ t: u, point });
+    });
+
+    const noded = [];
+    points.forEach((point, i) => {
+        noded.push(point);
+        inserts[i].sort((a, b) => a.t - b.t).forEach(({ point: crossing }) => noded.push(crossing));
+    });
+
+    const key = (p) => `${p[0]},${p[1]}`;
+    const loops = [];
+    let stack = [];
+    const seen = new Map();
+    dedupeRing([...noded, noded[0]]).forEach(point => {
+        if (seen.has(key(point))) {
+            const start = seen.get(key(point));
+            loops.push(stack.slice(start));
+            stack.slice(start + 1).forEach(p => seen.delete(key(p)));
+            stack = stack.slice(0, start + 1);
+        } else {
+            seen.set(key(point), stack.length);
+            stack.push(point);
+        }
+    });
+    if (stack.length >= 3) loops.push(stack);
+
+    return loops
+        .filter(loop => loop.length >= 3 && ringArea(closeRing(loop)) !== 0)
+        .map(loop => closeRing(loop));
+}
+
+// Outer rings counter-clockwise, holes clockwise (RFC 7946)
+function rewindRing(ring, outer) {
+    return (ringArea(ring) > 0) === outer ? ring : ring.slice().reverse();
+}
+
+function splitPolygon([outer, ...holes]) {
+    const shells = splitRing(outer).map(ring => [rewindRing(ring, true)]);
+    holes.flatMap(hole => splitRing(hole)).forEach(hole => {
+        const shell = shells.find(([ring]) => ringContains(ring, hole[0]));
+        if (shell) shell.push(rewindRing(hole, false));
+    });
+    return shells;
+}
+
+function mapPolygons(geometry, transform) {
+    if (geometry.type === 'Polygon') {
+        const polygons = transform(geometry.coordinates);
+        return polygons.length === 1
+            ? { ...geometry, coordinates: polygons[0] }
+            : { ...geometry, type: 'MultiPolygon', coordinates: polygons };
+    }
+    if (geometry.type === 'MultiPolygon') {
+        return { ...geometry, coordinates: geometry.coordinates.flatMap(transform) };
+    }
+    return geometry;
+}
+
+function mapPositions(geometry, transform) {
+    const walk = (coordinates) => (typeof coordinates[0] === 'number' ? transform(coordinates) : coordinates.map(walk));
+    if (geometry.type === 'GeometryCollection') {
+        return { ...geometry, geometries: geometry.geometries.map(g => mapPositions(g, transform)) };
+    }
+    return { ...geometry, coordinates: walk(geometry.coordinates) };
+}
+
+const FIX_FUNCTIONS = {
+    swap: (geometry) => mapPositions(geometry, ([x, y, ...rest]) => [y, x, ...rest]),
+    close: (geometry) => mapPolygons(geometry, polygon => [polygon.map(closeRing)]),
+    dedupe: (geometry) => mapPolygons(geometry, polygon => [polygon.map(dedupeRing)]),
+    split: (geometry) => mapPolygons(geometry, splitPolygon),
+    rewind: (geometry) => mapPolygons(geometry, polygon => [polygon.map((ring, i) => rewindRing(ring, i === 0))])
+};
+
+// Applies one fix to a feature (featureIndex) or to every feature with an
+// issue that the fix repairs. Returns a new collection.
+export function applyGeometryFix(geojson, fix, featureIndex = null) {
+    const targets = new Set(
+        validateGeoJSON(geojson).issues
+            .filter(issue => issue.fix === fix && (featureIndex === null || issue.featureIndex === featureIndex))
+            .map(issue => issue.featureIndex)
+    );
+
+    if (fix === 'remove') {
+        return { ...geojson, features: geojson.features.filter((_, index) => !targets.has(index)) };
+    }
+
+    return {
+        ...geojson,
+        features: geojson.features.map((feature, index) => (
+            targets.has(index) ? { ...feature, geometry: FIX_FUNCTIONS[fix](feature.geometry) } : feature
+        ))
+    };
+}
+
+// Every automatic fix in dependency order; features that cannot be repaired
+// are left for the user to remove
+export function repairGeoJSON(geojson) {
+    return ['swap', 'close', 'dedupe', 'split', 'rewind'].reduce((data, fix) => applyGeometryFix(data, fix), geojson);
+}
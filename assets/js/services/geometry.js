@@ -0,0 +1,290 @@
+/**
+ * Parcel Geometry
+ * Geodesic area, perimeter, side lengths and bearings of parcel polygons
+ * on the WGS84 ellipsoid, and the planar helpers the layer services share
+ */
+
+import { WGS84 } from './crs.js';
+
+const { a: SEMI_MAJOR, f: FLATTENING } = WGS84.ellipsoid;
+const SEMI_MINOR = SEMI_MAJOR * (1 - FLATTENING);
+const E2 = FLATTENING * (2 - FLATTENING);
+const E = Math.sqrt(E2);
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+// Areas on the ellipsoid are computed on the sphere of equal area, using
+// authalic latitudes
+function authalicQ(phi) {
+    const sin = Math.sin(phi);
+    return (1 - E2) * (sin / (1 - E2 * sin * sin) - (1 / (2 * E)) * Math.log((1 - E * sin) / (1 + E * sin)));
+}
+
+const QP = authalicQ(Math.PI / 2);
+const AUTHALIC_RADIUS = SEMI_MAJOR * Math.sqrt(QP / 2);
+
+// Signed ring area in m²; positive for counter-clockwise rings
+export function ringArea(ring) {
+    const points = ring.length > 1 && ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1]
+        ? ring.slice(0, -1)
+        : ring;
+    if (points.length < 3) return 0;
+
+    let sum = 0;
+    points.forEach((point, i) => {
+        const previous = points[(i - 1 + points.length) % points.length];
+        const next = points[(i + 1) % points.length];
+        const beta = Math.asin(authalicQ(toRadians(point[1])) / QP);
+        sum += toRadians(previous[0] - next[0]) * Math.sin(beta);
+    });
+
+    return sum * AUTHALIC_RADIUS * AUTHALIC_RADIUS / 2;
+}
+
+// Vincenty's inverse formula: distance in metres and initial bearing in degrees from north
+export function geodesicInverse([lon1, lat1], [lon2, lat2]) {
+    const L = toRadians(lon2 - lon1);
+    const U1 = Math.atan((1 - FLATTENING) * Math.tan(toRadians(lat1)));
+    const U2 = Math.atan((1 - FLATTENING) * Math.tan(toRadians(lat2)));
+    const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+    const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+    let lambda = L;
+    let sinLambda, cosLambda, sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+    for (let iteration = 0; iteration < 200; iteration++) {
+        sinLambda = Math.sin(lambda);
+        cosLambda = Math.cos(lambda);
+        sinSigma = Math.hypot(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+        if (sinSigma === 0) return { distance: 0, bearing: 0 };
+
+        cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+        sigma = Math.atan2(sinSigma, cosSigma);
+        const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+        cosSqAlpha = 1 - sinAlpha * sinAlpha;
+        cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0;
+
+        const C = FLATTENING / 16 * cosSqAlpha * (4 + FLATTENING * (4 - 3 * cosSqAlpha));
+        const previous = lambda;
+        lambda = L + (1 - C) * FLATTENING * sinAlpha
+            * (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+        if (Math.abs(lambda - previous) < 1e-12) break;
+    }
+
+    const uSq = cosSqAlpha * (SEMI_MAJOR * SEMI_MAJOR - SEMI_MINOR * SEMI_MINOR) / (SEMI_MINOR * SEMI_MINOR);
+    const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+    const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+    const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)
+        - B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+
+    const bearing = toDegrees(Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda));
+    return {
+        distance: SEMI_MINOR * A * (sigma - deltaSigma),
+        bearing: (bearing + 360) % 360
+    };
+}
+
+function measureRing(ring, names) {
+    const points = ring.slice(0, -1);
+    const segments = points.map((point, i) => {
+        const next = points[(i + 1) % points.length];
+        const { distance, bearing } = geodesicInverse(point, next);
+        return { from: names[i], to: names[(i + 1) % points.length], length: distance, bearing };
+    });
+
+    return {
+        area: Math.abs(ringArea(ring)),
+        perimeter: segments.reduce((sum, segment) => sum + segment.length, 0),
+        segments
+    };
+}
+
+// Area (m² and ha), perimeter and per-side length and bearing of every polygon
+// in the collection; holes are subtracted from the area and added to the
+// perimeter. Outer rings of Polygon features are named K1..Kn in the same order
+// as the KRK coordinate table; other rings number their own points.
+export function measureParcel(geojson) {
+    const rings = [];
+    let pointIndex = 1;
+    let parcelIndex = 0;
+
+    (geojson?.features || []).forEach(feature => {
+        const geometry = feature.geometry;
+        if (geometry?.type === 'Point') {
+            pointIndex++;
+            return;
+        }
+        if (geometry?.type !== 'Polygon' && geometry?.type !== 'MultiPolygon') return;
+
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        polygons.forEach((polygon, partIndex) => {
+            parcelIndex++;
+            polygon.forEach((ring, ringIndex) => {
+                if (ring.length < 4) return;
+
+                const inTable = geometry.type === 'Polygon' && ringIndex === 0;
+                const names = ring.slice(0, -1).map((_, i) => (inTable ? `K${pointIndex + i}` : String(i + 1)));
+                if (inTable) pointIndex += names.length;
+
+                rings.push({
+                    label: ringIndex === 0 ? `Bidang ${parcelIndex}` : `Bidang ${parcelIndex}, lubang ${ringIndex}`,
+                    isHole: ringIndex > 0,
+                    part: partIndex,
+                    ...measureRing(ring, names)
+                });
+            });
+        });
+    });
+
+    if (rings.length === 0) return null;
+
+    const area = rings.reduce((sum, ring) => sum + (ring.isHole ? -ring.area : ring.area), 0);
+    return {
+        area,
+        areaHa: area / 10000,
+        perimeter: rings.reduce((sum, ring) => sum + ring.perimeter, 0),
+        rings
+    };
+}
+
+// Relative difference between the computed and the declared area, or null
+// when no area was declared
+export function compareArea(computedArea, declaredArea, tolerance) {
+    const declared = typeof declaredArea === 'number' ? declaredArea : parseFloat(String(declaredArea ?? '').replace(',', '.'));
+    if (!Number.isFinite(declared) || declared <= 0) return null;
+
+    const difference = computedArea - declared;
+    const ratio = Math.abs(difference) / declared;
+    return { declared, difference, ratio, exceedsTolerance: ratio > tolerance };
+}
+
+// Azimuth as degrees, minutes and seconds, e.g. 45° 30' 12"
+export function formatBearing(bearing) {
+    const totalSeconds = Math.round(bearing * 3600) % (360 * 3600);
+    const degrees = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return `${degrees}° ${minutes}' ${seconds}"`;
+}
+
+// Area-weighted centre of the outer rings of the collection's polygons, or the
+// mean of its points when it has none; null for an empty collection. Planar in
+// degrees, which is close enough at parcel size.
+export function parcelCentroid(geojson) {
+    const rings = [];
+    const points = [];
+
+    (geojson?.features || []).forEach(feature => {
+        const geometry = feature.geometry;
+        if (geometry?.type === 'Point') {
+            points.push(geometry.coordinates);
+        } else if (geometry?.type === 'Polygon') {
+            rings.push(geometry.coordinates[0]);
+        } else if (geometry?.type === 'MultiPolygon') {
+            geometry.coordinates.forEach(([ring]) => rings.push(ring));
+        }
+    });
+
+    // Relative to the first vertex, so the products stay small
+    const [ox, oy] = rings[0]?.[0] || [0, 0];
+    let area = 0, sumX = 0, sumY = 0;
+    rings.filter(ring => ring?.length >= 4).forEach(ring => {
+        ring.slice(0, -1).forEach((point, i) => {
+            const [x1, y1] = [point[0] - ox, point[1] - oy];
+            const [x2, y2] = [ring[i + 1][0] - ox, ring[i + 1][1] - oy];
+            const cross = x1 * y2 - x2 * y1;
+            area += cross;
+            sumX += (x1 + x2) * cross;
+            sumY += (y1 + y2) * cross;
+        });
+    });
+
+    if (area !== 0) return [ox + sumX / (3 * area), oy + sumY / (3 * area)];
+
+    const vertices = [...points, ...rings.flat()];
+    if (vertices.length === 0) return null;
+    return [
+        vertices.reduce((sum, [x]) => sum + x, 0) / vertices.length,
+        vertices.reduce((sum, [, y]) => sum + y, 0) / vertices.length
+    ];
+}
+
+// Planar helpers on GeoJSON coordinates
+
+// Polygons of a geometry as arrays of rings; other geometry types have none
+export function polygonsOf(geometry) {
+    if (geometry?.type === 'Polygon') return [geometry.coordinates];
+    if (geometry?.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+}
+
+// [minX, minY, maxX, maxY] of the outer rings
+export function boundsOf(polygons) {
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    polygons.forEach(rings => rings[0]?.forEach(([x, y]) => {
+        bounds[0] = Math.min(bounds[0], x);
+        bounds[1] = Math.min(bounds[1], y);
+        bounds[2] = Math.max(bounds[2], x);
+        bounds[3] = Math.max(bounds[3], y);
+    }));
+    return bounds;
+}
+
+// Bounds of every coordinate in a FeatureCollection, or null when it has none
+export function collectionBounds(geojson) {
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    const walk = (coordinates) => {
+        if (typeof coordinates[0] === 'number') {
+            bounds[0] = Math.min(bounds[0], coordinates[0]);
+            bounds[1] = Math.min(bounds[1], coordinates[1]);
+            bounds[2] = Math.max(bounds[2], coordinates[0]);
+            bounds[3] = Math.max(bounds[3], coordinates[1]);
+        } else {
+            coordinates.forEach(walk);
+        }
+    };
+    (geojson?.features || []).forEach(feature => feature.geometry?.coordinates && walk(feature.geometry.coordinates));
+    return Number.isFinite(bounds[0]) ? bounds : null;
+}
+
+export function boundsOverlap(a, b, margin = 0) {
+    return a[0] - margin <= b[2] && b[0] <= a[2] + margin && a[1] - margin <= b[3] && b[1] <= a[3] + margin;
+}
+
+export function distanceToSegment([x, y], [x1, y1], [x2, y2]) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const length2 = dx * dx + dy * dy;
+    const t = length2 === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / length2));
+    return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+}
+
+// Even-odd ray casting against a list of [start, end] edges
+export function isInside([x, y], edges) {
+    let inside = false;
+    edges.forEach(([[x1, y1], [x2, y2]]) => {
+        if ((y1 > y) !== (y2 > y) && x < (x2 - x1) * (y - y1) / (y2 - y1) + x1) inside = !inside;
+    });
+    return inside;
+}
+
+export function ringContains(ring, [x, y]) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Even-odd over every ring, so holes count as outside
+export function pointInPolygons(point, polygons) {
+    let inside = false;
+    polygons.forEach(rings => rings.forEach(ring => {
+        if (ringContains(ring, point)) inside = !inside;
+    }));
+    return inside;
+}
@@ -0,0 +1,274 @@
+/**
+ * Georeferencing
+ * Fits scanned map images (or rasterized PDF pages) to the map from control
+ * points and warps them into Web Mercator for display as a map overlay
+ */
+
+import { CONFIG } from '../config.js';
+import { performanceMonitor, loadScript } from '../utils/performance.js';
+import { mercatorPixel, mercatorLonLat, groundResolution } from './map-layout.js';
+
+export const GEOREFERENCE_ORDERS = {
+    1: { label: 'Afin (orde 1)', minPoints: 3 },
+    2: { label: 'Polinomial orde 2', minPoints: 6 }
+};
+
+// Map positions are fitted as Web Mercator pixels at this zoom (about 0.15 m)
+const FIT_ZOOM = 20;
+
+// Longest side of a warped overlay, in pixels
+const MAX_WARP_SIZE = 2048;
+
+// PDF pages are rasterized at this resolution, capped to a longest side
+const PDF_RENDER_DPI = 150;
+const MAX_PDF_RENDER_SIZE = 4096;
+
+function polynomialTerms([x, y], order) {
+    return order === 2 ? [1, x, y, x * x, x * y, y * y] : [1, x, y];
+}
+
+// Centre and scale of a point set, so the fit works on values around ±1
+function normalization(points) {
+    const cx = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+    const cy = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+    const s = Math.max(...points.map(([x, y]) => Math.hypot(x - cx, y - cy))) || 1;
+    return { cx, cy, s };
+}
+
+const normalize = ({ cx, cy, s }, [x, y]) => [(x - cx) / s, (y - cy) / s];
+
+// Least squares solution of A·c = b by the normal equations, or null when
+// the points do not determine it (too few, or all on one line)
+function leastSquares(rows, values) {
+    const n = rows[0].length;
+    const matrix = Array.from({ length: n }, (_, i) => {
+        const row = Array.from({ length: n }, (_, j) => rows.reduce((sum, r) => sum + r[i] * r[j], 0));
+        row.push(rows.reduce((sum, r, k) => sum + r[i] * values[k], 0));
+        return row;
+    });
+
+    // Gaussian elimination with partial pivoting
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+        }
+        if (Math.abs(matrix[pivot][col]) < 1e-10) return null;
+        [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+
+        for (let row = 0; row < n; row++) {
+            if (row === col) continue;
+            const factor = matrix[row][col] / matrix[col][col];
+            for (let k = col; k <= n; k++) matrix[row][k] -= factor * matrix[col][k];
+        }
+    }
+    return matrix.map((row, i) => row[n] / row[i]);
+}
+
+// Polynomial transform from one plane to another: { order, from, to, x, y },
+// where from/to are the normalizations and x/y the term coefficients
+export function fitPolynomial(sourcePoints, targetPoints, order) {
+    const from = normalization(sourcePoints);
+    const to = normalization(targetPoints);
+    const rows = sourcePoints.map(point => polynomialTerms(normalize(from, point), order));
+    const targets = targetPoints.map(point => normalize(to, point));
+
+    const x = leastSquares(rows, targets.map(([tx]) => tx));
+    const y = leastSquares(rows, targets.map(([, ty]) => ty));
+    return x && y ? { order, from, to, x, y } : null;
+}
+
+export function applyPolynomial({ order, from, to, x, y }, point) {
+    const terms = polynomialTerms(normalize(from, point), order);
+    const dot = coefficients => coefficients.reduce((sum, c, i) => sum + c * terms[i], 0);
+    return [dot(x) * to.s + to.cx, dot(y) * to.s + to.cy];
+}
+
+// Exact inverse of an affine transform
+function invertAffine({ from, to, x: [a0, a1, a2], y: [b0, b1, b2] }) {
+    const det = a1 * b2 - a2 * b1;
+    return {
+        order: 1,
+        from: to,
+        to: from,
+        x: [(a2 * b0 - b2 * a0) / det, b2 / det, -a2 / det],
+        y: [(b1 * a0 - a1 * b0) / det, -b1 / det, a1 / det]
+    };
+}
+
+// Transform of image pixels ([x, y] from the top left) to the map from
+// control points ({ pixel: [x, y], lonLat: [lon, lat] }). Returns
+// { order, forward, inverse, residuals, rmse } with residuals in metres on
+// the ground per point; throws when the points cannot give a transform.
+export function solveGeoreference(points, order = 1) {
+    const { minPoints, label } = GEOREFERENCE_ORDERS[order] || GEOREFERENCE_ORDERS[1];
+    if (points.length < minPoints) {
+        throw new Error(`${label} memerlukan minimal ${minPoints} titik kontrol`);
+    }
+
+    const pixels = points.map(point => point.pixel);
+    const mercator = points.map(point => mercatorPixel(point.lonLat, FIT_ZOOM));
+    const forward = fitPolynomial(pixels, mercator, order);
+    if (!forward) {
+        throw new Error('Titik kontrol tidak boleh segaris; sebar titik ke seluruh gambar');
+    }
+
+    // A polynomial has no closed-form inverse, so it is fitted the other way
+    const inverse = order === 1 ? invertAffine(forward) : fitPolynomial(mercator, pixels, order);
+
+    const residuals = points.map((point, index) => {
+        const [fx, fy] = applyPolynomial(forward, point.pixel);
+        const metres = groundResolution(point.lonLat[1], FIT_ZOOM);
+        const dx = (fx - mercator[index][0]) * metres;
+        const dy = (mercator[index][1] - fy) * metres;
+        return { dx, dy, error: Math.hypot(dx, dy) };
+    });
+    const rmse = Math.sqrt(residuals.reduce((sum, { error }) => sum + error * error, 0) / residuals.length);
+
+    return { order, forward, inverse, residuals, rmse };
+}
+
+export function imageToLonLat(solution, pixel) {
+    return mercatorLonLat(applyPolynomial(solution.forward, pixel), FIT_ZOOM);
+}
+
+export function lonLatToImage(solution, lonLat) {
+    return applyPolynomial(solution.inverse, mercatorPixel(lonLat, FIT_ZOOM));
+}
+
+// Image outline on the map, sampled along each side since a polynomial bends it
+function warpedExtent(solution, width, height) {
+    const steps = solution.order === 1 ? 1 : 16;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+    for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        [[t * width, 0], [t * width, height], [0, t * height], [width, t * height]].forEach(pixel => {
+            const [x, y] = applyPolynomial(solution.forward, pixel);
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        });
+    }
+    return { minX, minY, maxX, maxY };
+}
+
+// Resamples an image ({ width, height, data } RGBA, optionally downscaled by
+// `scale` from the image the control points were picked on) into a north-up
+// Web Mercator raster. Returns { width, height, data, bounds } with bounds as
+// [west, south, east, north]; pixels outside the image are transparent.
+export function warpImage(source, solution, maxSize = MAX_WARP_SIZE) {
+    const scale = source.scale || 1;
+    const width = source.width / scale;
+    const height = source.height / scale;
+    const { minX, minY, maxX, maxY } = warpedExtent(solution, width, height);
+
+    // Output about as detailed as the source, within maxSize
+    const factor = Math.min(maxSize, Math.max(source.width, source.height)) / Math.max(maxX - minX, maxY - minY);
+    const outWidth = Math.max(1, Math.ceil((maxX - minX) * factor));
+    const outHeight = Math.max(1, Math.ceil((maxY - minY) * factor));
+    const data = new Uint8ClampedArray(outWidth * outHeight * 4);
+
+    for (let row = 0; row < outHeight; row++) {
+        for (let col = 0; col < outWidth; col++) {
+            const [px, py] = applyPolynomial(solution.inverse, [minX + (col + 0.5) / factor, minY + (row + 0.5) / factor]);
+            const sx = Math.floor(px * scale);
+            const sy = Math.floor(py * scale);
+            if (sx < 0 || sy < 0 || sx >= source.width || sy >= source.height) continue;
+
+            const from = (sy * source.width + sx) * 4;
+            const to = (row * outWidth + col) * 4;
+            data[to] = source.data[from];
+            data[to + 1] = source.data[from + 1];
+            data[to + 2] = source.data[from + 2];
+            data[to + 3] = source.data[from + 3];
+        }
+    }
+
+    const [west, north] = mercatorLonLat([minX, minY], FIT_ZOOM);
+    const [east, south] = mercatorLonLat([maxX, maxY], FIT_ZOOM);
+    return { width: outWidth, height: outHeight, data, bounds: [west, south, east, north] };
+}
+
+// Pixels of an image data URL, downscaled to maxSize on the longest side
+export async function readImagePixels(dataUrl, maxSize = MAX_WARP_SIZE) {
+    const image = new Image();
+    image.src = dataUrl;
+    await image.decode();
+
+    const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    return { width: canvas.width, height: canvas.height, data, scale: canvas.width / image.naturalWidth };
+}
+
+// Warped overlay as a PNG data URL with its bounds, for L.imageOverlay
+export async function renderWarpedOverlay(dataUrl, solution) {
+    performanceMonitor.startTiming('georeferenceWarp');
+
+    try {
+        const warped = warpImage(await readImagePixels(dataUrl), solution);
+        const canvas = document.createElement('canvas');
+        canvas.width = warped.width;
+        canvas.height = warped.height;
+        canvas.getContext('2d').putImageData(new ImageData(warped.data, warped.width, warped.height), 0, 0);
+        return { url: canvas.toDataURL('image/png'), bounds: warped.bounds };
+    } finally {
+        performanceMonitor.endTiming('georeferenceWarp');
+    }
+}
+
+async function loadPdfJs() {
+    await loadScript(CONFIG.PDFJS_URL);
+    window.pdfjsLib.GlobalWorkerOptions.workerSrc = CONFIG.PDFJS_WORKER_URL;
+    return window.pdfjsLib;
+}
+
+// One page of a PDF as a JPEG data URL, shaped like an image upload
+export async function rasterizePdfPage(file, pageNumber = 1) {
+    performanceMonitor.startTiming('pdfRasterize');
+
+    let pdf;
+    try {
+        const pdfjsLib = await loadPdfJs();
+        pdf = await pdfjsLib.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+        if (pageNumber < 1 || pageNumber > pdf.numPages) {
+            throw new Error(`Halaman ${pageNumber} tidak ada; PDF berisi ${pdf.numPages} halaman`);
+        }
+
+        const page = await pdf.getPage(pageNumber);
+        const size = page.getViewport({ scale: 1 });
+        const scale = Math.min(PDF_RENDER_DPI / 72, MAX_PDF_RENDER_SIZE / Math.max(size.width, size.height));
+        const viewport = page.getViewport({ scale });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(viewport.width);
+        canvas.height = Math.round(viewport.height);
+        const ctx = canvas.getContext('2d');
+
+        // Scans often have no page background of their own
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        await page.render({ canvasContext: ctx, viewport }).promise;
+
+        return {
+            data: canvas.toDataURL('image/jpeg', 0.85),
+            dimensions: { width: canvas.width, height: canvas.height },
+            page: pageNumber,
+            pageCount: pdf.numPages
+        };
+    } catch (error) {
+        if (error.name === 'PasswordException') throw new Error('PDF dilindungi kata sandi');
+        if (error.name === 'InvalidPDFException') throw new Error('File PDF rusak atau tidak valid');
+        throw error;
+    } finally {
+        pdf?.destroy();
+        performanceMonitor.endTiming('pdfRasterize');
+    }
+}
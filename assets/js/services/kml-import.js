@@ -0,0 +1,260 @@
+/**
+ * KML / KMZ Import
+ * Converts Google Earth files to GeoJSON, keeping placemark names,
+ * ExtendedData attributes, folders and styles
+ */
+
+import { CONFIG } from '../config.js';
+import { performanceMonitor, loadScript, FileProcessor } from '../utils/performance.js';
+
+// Direct children only, so nested folders and placemarks are not picked up twice
+function children(node, tagName) {
+    return Array.from(node.children).filter(child => child.localName === tagName);
+}
+
+function child(node, tagName) {
+    return children(node, tagName)[0] || null;
+}
+
+function childText(node, tagName) {
+    return child(node, tagName)?.textContent.trim() || '';
+}
+
+// KML colors are aabbggrr hex
+export function parseKmlColor(value) {
+    const hex = (value || '').trim().replace(/^#/, '');
+    if (!/^[0-9a-f]{8}$/i.test(hex)) return null;
+
+    return {
+        color: `#${hex.slice(6, 8)}${hex.slice(4, 6)}${hex.slice(2, 4)}`.toLowerCase(),
+        opacity: Math.round((parseInt(hex.slice(0, 2), 16) / 255) * 100) / 100
+    };
+}
+
+function parseCoordinates(text) {
+    return text.trim().split(/\s+/).filter(Boolean).map(tuple => {
+        const [lng, lat] = tuple.split(',').map(Number);
+        return [lng, lat];
+    }).filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat));
+}
+
+function coordinatesOf(node) {
+    return parseCoordinates(childText(node, 'coordinates'));
+}
+
+// Empty without an outer boundary, which holes alone cannot stand in for
+function parsePolygon(node) {
+    const outer = child(node, 'outerBoundaryIs');
+    if (!outer || !child(outer, 'LinearRing')) return [];
+
+    const rings = [coordinatesOf(child(outer, 'LinearRing'))];
+    children(node, 'innerBoundaryIs').forEach(inner => {
+        const ring = child(inner, 'LinearRing');
+        if (ring) rings.push(coordinatesOf(ring));
+    });
+    return rings;
+}
+
+// Homogeneous MultiGeometry becomes a Multi* geometry, mixed ones a
+// GeometryCollection; nested Multi* children are flattened into their parts
+function parseGeometry(node) {
+    switch (node.localName) {
+        case 'Point': {
+            const [coordinates] = coordinatesOf(node);
+            return coordinates ? { type: 'Point', coordinates } : null;
+        }
+        case 'LineString':
+            return { type: 'LineString', coordinates: coordinatesOf(node) };
+        case 'LinearRing':
+            return { type: 'Polygon', coordinates: [coordinatesOf(node)] };
+        case 'Polygon': {
+            const rings = parsePolygon(node);
+            return rings.length > 0 ? { type: 'Polygon', coordinates: rings } : null;
+        }
+        case 'MultiGeometry': {
+            const geometries = Array.from(node.children).map(parseGeometry).filter(Boolean)
+                .flatMap(g => g.type.startsWith('Multi')
+                    ? g.coordinates.map(coordinates => ({ type: g.type.slice('Multi'.length), coordinates }))
+                    : [g]);
+            if (geometries.length === 0) return null;
+
+            const types = new Set(geometries.map(g => g.type));
+            if (types.size === 1 && !types.has('GeometryCollection')) {
+                return { type: `Multi${geometries[0].type}`, coordinates: geometries.map(g => g.coordinates) };
+            }
+            return { type: 'GeometryCollection', geometries };
+        }
+        default:
+            return null;
+    }
+}
+
+function findGeometry(placemark) {
+    for (const node of placemark.children) {
+        const geometry = parseGeometry(node);
+        if (geometry) return geometry;
+    }
+    return null;
+}
+
+// Style properties follow the simplestyle convention used by GeoJSON tools
+function parseStyle(styleNode) {
+    const style = {};
+
+    const line = child(styleNode, 'LineStyle');
+    if (line) {
+        const color = parseKmlColor(childText(line, 'color'));
+        if (color) {
+            style.stroke = color.color;
+            style['stroke-opacity'] = color.opacity;
+        }
+        const width = parseFloat(childText(line, 'width'));
+        if (Number.isFinite(width)) style['stroke-width'] = width;
+    }
+
+    const poly = child(styleNode, 'PolyStyle');
+    if (poly) {
+        const color = parseKmlColor(childText(poly, 'color'));
+        if (color) {
+            style.fill = color.color;
+            style['fill-opacity'] = color.opacity;
+        }
+        // <fill>0</fill> draws the outline only
+        if (childText(poly, 'fill') === '0') style['fill-opacity'] = 0;
+        if (childText(poly, 'outline') === '0') style['stroke-opacity'] = 0;
+    }
+
+    const icon = child(styleNode, 'IconStyle');
+    if (icon) {
+        const color = parseKmlColor(childText(icon, 'color'));
+        if (color) style['marker-color'] = color.color;
+    }
+
+    return style;
+}
+
+// Shared styles by id; a StyleMap resolves to its "normal" style
+function collectStyles(doc) {
+    const styles = new Map();
+    Array.from(doc.getElementsByTagNameNS('*', 'Style')).forEach(node => {
+        const id = node.getAttribute('id');
+        if (id) styles.set(`#${id}`, parseStyle(node));
+    });
+
+    Array.from(doc.getElementsByTagNameNS('*', 'StyleMap')).forEach(node => {
+        const id = node.getAttribute('id');
+        const normal = children(node, 'Pair').find(pair => childText(pair, 'key') === 'normal');
+        if (!id || !normal) return;
+
+        const inline = child(normal, 'Style');
+        styles.set(`#${id}`, inline ? parseStyle(inline) : styles.get(childText(normal, 'styleUrl')) || {});
+    });
+
+    return styles;
+}
+
+function resolveStyle(placemark, styles) {
+    // Only local references can be resolved; external style files are ignored
+    const url = childText(placemark, 'styleUrl');
+    const shared = url.startsWith('#') ? styles.get(url) || {} : {};
+    const inline = child(placemark, 'Style');
+    return { ...shared, ...(inline ? parseStyle(inline) : {}) };
+}
+
+function parseExtendedData(placemark) {
+    const extended = child(placemark, 'ExtendedData');
+    if (!extended) return {};
+
+    const data = {};
+    children(extended, 'Data').forEach(node => {
+        const name = node.getAttribute('name');
+        if (name) data[name] = childText(node, 'value');
+    });
+    children(extended, 'SchemaData').forEach(schema => {
+        children(schema, 'SimpleData').forEach(node => {
+            const name = node.getAttribute('name');
+            if (name) data[name] = node.textContent.trim();
+        });
+    });
+    return data;
+}
+
+function toFeature(placemark, folderPath, styles) {
+    const geometry = findGeometry(placemark);
+    if (!geometry) return null;
+
+    const properties = { ...parseExtendedData(placemark) };
+    const name = childText(placemark, 'name');
+    const description = childText(placemark, 'description');
+    if (name) properties.name = name;
+    if (description) properties.description = description;
+    if (folderPath.length > 0) properties.folder = folderPath.join(' / ');
+
+    return {
+        type: 'Feature',
+        properties: { ...properties, ...resolveStyle(placemark, styles) },
+        geometry
+    };
+}
+
+export function kmlToGeoJSON(kmlText) {
+    const doc = new DOMParser().parseFromString(kmlText, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0 || doc.documentElement.localName !== 'kml') {
+        throw new Error('File KML tidak valid');
+    }
+
+    const styles = collectStyles(doc);
+    const features = [];
+    const folders = [];
+
+    const walk = (node, folderPath) => {
+        for (const element of node.children) {
+            if (element.localName === 'Placemark') {
+                const feature = toFeature(element, folderPath, styles);
+                if (feature) features.push(feature);
+            } else if (element.localName === 'Folder') {
+                const path = [...folderPath, childText(element, 'name') || 'Tanpa Nama'];
+                folders.push(path.join(' / '));
+                walk(element, path);
+            } else if (element.localName === 'Document') {
+                walk(element, folderPath);
+            }
+        }
+    };
+    walk(doc.documentElement, []);
+
+    return { type: 'FeatureCollection', features, folders };
+}
+
+// Google Earth stores the main document as doc.kml; otherwise take the
+// shallowest .kml in the archive
+export async function extractKmlFromKmz(arrayBuffer) {
+    if (!window.JSZip) {
+        await loadScript(CONFIG.JSZIP_URL);
+    }
+
+    const zip = await window.JSZip.loadAsync(arrayBuffer);
+    const entries = Object.values(zip.files)
+        .filter(entry => !entry.dir && entry.name.toLowerCase().endsWith('.kml'))
+        .sort((a, b) => a.name.split('/').length - b.name.split('/').length);
+    const entry = entries.find(e => e.name.toLowerCase() === 'doc.kml') || entries[0];
+
+    if (!entry) {
+        throw new Error('File KMZ tidak berisi dokumen KML');
+    }
+    return entry.async('string');
+}
+
+export async function convertKmlFile(file) {
+    performanceMonitor.startTiming('kmlImport');
+
+    try {
+        const isKmz = file.name.toLowerCase().endsWith('.kmz');
+        const text = isKmz
+            ? await extractKmlFromKmz(await FileProcessor.readFileAsArrayBuffer(file))
+            : await FileProcessor.readFileAsText(file);
+        return { geojson: kmlToGeoJSON(text), sourceFormat: isKmz ? 'kmz' : 'kml' };
+    } finally {
+        performanceMonitor.endTiming('kmlImport');
+    }
+}
@@ -0,0 +1,552 @@
+/**
+ * Map Layout Composer
+ * Draws the KRK map attachment straight onto a canvas: basemap tiles, zoning,
+ * parcel with vertex labels, graticule, north arrow, scale bar, legend and
+ * title block, at a chosen paper size and resolution
+ */
+
+import { performanceMonitor } from '../utils/performance.js';
+import { perdaReferenceManager } from '../data/perda-references.js';
+import { zoneCode, zoneColor } from './zoning.js';
+import { polygonsOf, collectionBounds } from './geometry.js';
+
+export const PAPER_SIZES = {
+    A4: { label: 'A4', width: 210, height: 297 },
+    A3: { label: 'A3', width: 297, height: 420 },
+    F4: { label: 'F4 (Folio)', width: 215, height: 330 }
+};
+
+export const LAYOUT_DPI = [150, 200, 300];
+
+const TILE_SIZE = 256;
+const EARTH_RADIUS = 6378137;
+
+// Tiles drawn at most; the tile zoom drops a level until the frame fits
+const MAX_TILES = 400;
+
+const PARCEL_COLOR = '#d32f2f';
+const GRID_COLOR = 'rgba(60, 60, 60, 0.55)';
+const FONT = 'Arial, Helvetica, sans-serif';
+
+export function mmToPx(mm, dpi) {
+    return mm * dpi / 25.4;
+}
+
+export function pageSize(paper, orientation, dpi) {
+    const { width, height } = PAPER_SIZES[paper] || PAPER_SIZES.A4;
+    const [w, h] = orientation === 'landscape' ? [height, width] : [width, height];
+    return { width: Math.round(mmToPx(w, dpi)), height: Math.round(mmToPx(h, dpi)) };
+}
+
+// Web Mercator pixel position of a lon/lat at a (fractional) zoom level
+export function mercatorPixel([lon, lat], zoom) {
+    const size = TILE_SIZE * 2 ** zoom;
+    const sin = Math.sin(Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180);
+    return [
+        (lon + 180) / 360 * size,
+        (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size
+    ];
+}
+
+export function mercatorLonLat([x, y], zoom) {
+    const size = TILE_SIZE * 2 ** zoom;
+    const lon = x / size * 360 - 180;
+    const lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * y / size))) * 180 / Math.PI;
+    return [lon, lat];
+}
+
+// Metres on the ground per map pixel
+export function groundResolution(lat, zoom) {
+    return 2 * Math.PI * EARTH_RADIUS * Math.cos(lat * Math.PI / 180) / (TILE_SIZE * 2 ** zoom);
+}
+
+// Zoom and centre showing bounds ([west, south, east, north]) in a frame,
+// with padding as a fraction of the extent on each side
+export function fitView([west, south, east, north], width, height, padding = 0) {
+    const [x1, y1] = mercatorPixel([west, north], 0);
+    const [x2, y2] = mercatorPixel([east, south], 0);
+    const spanX = Math.max(x2 - x1, 1e-9) * (1 + 2 * padding);
+    const spanY = Math.max(y2 - y1, 1e-9) * (1 + 2 * padding);
+
+    return {
+        zoom: Math.min(22, Math.log2(Math.min(width / spanX, height / spanY))),
+        center: mercatorLonLat([(x1 + x2) / 2, (y1 + y2) / 2], 0)
+    };
+}
+
+// Largest 1, 2 or 5 × 10ⁿ not above value
+export function niceNumber(value) {
+    const power = 10 ** Math.floor(Math.log10(value));
+    return [5, 2, 1].map(step => step * power).find(step => step <= value) || power;
+}
+
+// Printed scale of the map: ground metres per metre of paper
+export function scaleDenominator(lat, zoom, dpi) {
+    const denominator = groundResolution(lat, zoom) / (0.0254 / dpi);
+    const rounding = denominator > 10000 ? 100 : 10;
+    return Math.round(denominator / rounding) * rounding;
+}
+
+// Vertices labelled K1..Kn in the order of the coordinate table
+// (DocumentGenerator.formatCoordinateTable): points, then polygon outer rings
+// without the closing position
+export function vertexLabels(geojson) {
+    const vertices = [];
+    (geojson?.features || []).forEach(feature => {
+        const geometry = feature.geometry;
+        if (geometry?.type === 'Point') {
+            vertices.push(geometry.coordinates);
+        } else if (geometry?.type === 'Polygon') {
+            geometry.coordinates[0].slice(0, -1).forEach(coord => vertices.push(coord));
+        }
+    });
+    return vertices.map((coord, index) => ({ label: `K${index + 1}`, coord }));
+}
+
+// Pixel size of PNG or JPEG bytes, or null for other formats
+export function imageDimensions(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {
+        return { width: view.getUint32(16), height: view.getUint32(20) };
+    }
+
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < bytes.length && bytes[offset] === 0xff) {
+            const marker = bytes[offset + 1];
+            // Start-of-frame markers, except DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+            }
+            offset += 2 + view.getUint16(offset + 2);
+        }
+    }
+    return null;
+}
+
+export class MapLayoutComposer {
+    // options: geojson (parcel), zoning ({ geojson, zoneProperty } or null),
+    // bounds (view to show instead of the parcel), paper, orientation, dpi,
+    // getTile ((z, x, y) => Blob or null; no basemap without it), tileMaxZoom,
+    // attribution, title and details ([label, value] pairs for the title block)
+    async render(options) {
+        performanceMonitor.startTiming('composeMapLayout');
+
+        try {
+            const {
+                geojson,
+                zoning = null,
+                bounds = null,
+                paper = 'A4',
+                orientation = 'portrait',
+                dpi = 200,
+                getTile = null,
+                tileMaxZoom = 19,
+                attribution = '',
+                title = '',
+                details = []
+            } = options;
+
+            const viewBounds = bounds || collectionBounds(geojson);
+            if (!viewBounds) throw new Error('Tidak ada geometri untuk digambar');
+
+            const { width, height } = pageSize(paper, orientation, dpi);
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+
+            const ctx = canvas.getContext('2d');
+            const mm = (value) => mmToPx(value, dpi);
+            const pt = (value) => value * dpi / 72;
+
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, width, height);
+
+            // Map frame above an information panel
+            const margin = mm(10);
+            const panelHeight = mm(orientation === 'landscape' ? 48 : 58);
+            const frame = { x: margin, y: margin, width: width - 2 * margin, height: height - 2 * margin - panelHeight - mm(3) };
+
+            const view = fitView(viewBounds, frame.width, frame.height, bounds ? 0 : 0.2);
+            const [cx, cy] = mercatorPixel(view.center, view.zoom);
+            const origin = [cx - frame.width / 2, cy - frame.height / 2];
+            const toCanvas = (coord) => {
+                const [x, y] = mercatorPixel(coord, view.zoom);
+                return [x - origin[0] + frame.x, y - origin[1] + frame.y];
+            };
+            const draw = { ctx, mm, pt, frame, view, origin, toCanvas };
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(frame.x, frame.y, frame.width, frame.height);
+            ctx.clip();
+
+            if (getTile) await this.drawBasemap(draw, getTile, tileMaxZoom);
+            const zones = zoning ? this.drawZoning(draw, zoning) : [];
+            this.drawGraticule(draw);
+            this.drawParcel(draw, geojson);
+            if (attribution) this.drawAttribution(draw, attribution);
+            ctx.restore();
+
+            ctx.strokeStyle = '#000000';
+            ctx.lineWidth = mm(0.5);
+            ctx.strokeRect(frame.x, frame.y, frame.width, frame.height);
+            this.drawNorthArrow(draw);
+
+            const panel = { x: margin, y: height - margin - panelHeight, width: frame.width, height: panelHeight };
+            this.drawPanel(draw, panel, { zones, title, details, dpi, vertexCount: vertexLabels(geojson).length });
+
+            return canvas;
+        } finally {
+            performanceMonitor.endTiming('composeMapLayout');
+        }
+    }
+
+    async drawBasemap({ ctx, frame, view, origin }, getTile, tileMaxZoom) {
+        // Tiles one level finer than the view are drawn scaled down, which keeps them sharp
+        let tileZoom = Math.max(0, Math.min(tileMaxZoom, Math.ceil(view.zoom)));
+        let range;
+        for (;;) {
+            const scale = 2 ** (view.zoom - tileZoom);
+            const size = TILE_SIZE * scale;
+            range = {
+                scale,
+                minX: Math.floor(origin[0] / size),
+                maxX: Math.floor((origin[0] + frame.width) / size),
+                minY: Math.floor(origin[1] / size),
+                maxY: Math.floor((origin[1] + frame.height) / size)
+            };
+            if ((range.maxX - range.minX + 1) * (range.maxY - range.minY + 1) <= MAX_TILES || tileZoom === 0) break;
+            tileZoom--;
+        }
+
+        const tiles = [];
+        for (let x = range.minX; x <= range.maxX; x++) {
+            for (let y = range.minY; y <= range.maxY; y++) tiles.push({ x, y });
+        }
+
+        const size = TILE_SIZE * range.scale;
+        await Promise.all(tiles.map(async ({ x, y }) => {
+            try {
+                const blob = await getTile(tileZoom, x, y);
+                if (!blob) return;
+
+                const image = await createImageBitmap(blob);
+                // Slight overlap hides seams between scaled tiles
+                ctx.drawImage(image, x * size - origin[0] + frame.x, y * size - origin[1] + frame.y, size + 0.5, size + 0.5);
+                image.close?.();
+            } catch (error) {
+                // Missing tiles stay blank
+            }
+        }));
+    }
+
+    // Zone polygons; returns the codes drawn, for the legend
+    drawZoning({ ctx, mm, toCanvas }, { geojson, zoneProperty }) {
+        const codes = new Set();
+        (geojson?.features || []).forEach(feature => {
+            const code = zoneCode(feature, zoneProperty);
+            codes.add(code);
+
+            ctx.beginPath();
+            polygonsOf(feature.geometry).forEach(rings => rings.forEach(ring => this.tracePath(ctx, ring.map(toCanvas))));
+            ctx.globalAlpha = 0.35;
+            ctx.fillStyle = zoneColor(code);
+            ctx.fill('evenodd');
+            ctx.globalAlpha = 0.9;
+            ctx.strokeStyle = zoneColor(code);
+            ctx.lineWidth = mm(0.25);
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+        });
+        return [...codes].sort();
+    }
+
+    // Lon/lat lines at a round interval, labelled inside the frame edges
+    drawGraticule({ ctx, mm, pt, frame, view, origin }) {
+        const [west, north] = mercatorLonLat(origin, view.zoom);
+        const [east, south] = mercatorLonLat([origin[0] + frame.width, origin[1] + frame.height], view.zoom);
+        const step = niceNumber(Math.max(east - west, north - south) / 4);
+        const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+        const label = (value, positive, negative) => `${Math.abs(value).toFixed(decimals)}° ${value < 0 ? negative : positive}`;
+
+        ctx.strokeStyle = GRID_COLOR;
+        ctx.lineWidth = mm(0.15);
+        ctx.setLineDash([mm(1.5), mm(1)]);
+        ctx.font = `${pt(6.5)}px ${FONT}`;
+
+        for (let lon = Math.ceil(west / step) * step; lon <= east; lon += step) {
+            const x = (lon + 180) / 360 * TILE_SIZE * 2 ** view.zoom - origin[0] + frame.x;
+            ctx.beginPath();
+            ctx.moveTo(x, frame.y);
+            ctx.lineTo(x, frame.y + frame.height);
+            ctx.stroke();
+            this.haloText(ctx, label(lon, 'BT', 'BB'), x + mm(0.8), frame.y + mm(3), mm);
+        }
+        for (let lat = Math.ceil(south / step) * step; lat <= north; lat += step) {
+            const y = mercatorPixel([0, lat], view.zoom)[1] - origin[1] + frame.y;
+            ctx.beginPath();
+            ctx.moveTo(frame.x, y);
+            ctx.lineTo(frame.x + frame.width, y);
+            ctx.stroke();
+            this.haloText(ctx, label(lat, 'LU', 'LS'), frame.x + mm(1), y - mm(0.8), mm);
+        }
+        ctx.setLineDash([]);
+    }
+
+    drawParcel({ ctx, mm, pt, toCanvas }, geojson) {
+        ctx.beginPath();
+        (geojson?.features || []).forEach(feature => {
+            polygonsOf(feature.geometry).forEach(rings => rings.forEach(ring => this.tracePath(ctx, ring.map(toCanvas))));
+        });
+        ctx.fillStyle = 'rgba(211, 47, 47, 0.12)';
+        ctx.fill('evenodd');
+        ctx.strokeStyle = PARCEL_COLOR;
+        ctx.lineWidth = mm(0.6);
+        ctx.lineJoin = 'round';
+        ctx.stroke();
+
+        ctx.font = `bold ${pt(7)}px ${FONT}`;
+        vertexLabels(geojson).forEach(({ label, coord }) => {
+            const [x, y] = toCanvas(coord);
+            ctx.beginPath();
+            ctx.arc(x, y, mm(0.9), 0, 2 * Math.PI);
+            ctx.fillStyle = '#ffffff';
+            ctx.fill();
+            ctx.lineWidth = mm(0.35);
+            ctx.strokeStyle = PARCEL_COLOR;
+            ctx.stroke();
+            this.haloText(ctx, label, x + mm(1.3), y - mm(1.3), mm);
+        });
+    }
+
+    drawAttribution({ ctx, mm, pt, frame }, attribution) {
+        ctx.font = `${pt(5.5)}px ${FONT}`;
+        const textWidth = ctx.measureText(attribution).width;
+        this.haloText(ctx, attribution, frame.x + frame.width - textWidth - mm(1), frame.y + frame.height - mm(1), mm);
+    }
+
+    drawNorthArrow({ ctx, mm, pt, frame }) {
+        const x = frame.x + frame.width - mm(10);
+        const y = frame.y + mm(8);
+        const size = mm(7);
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.beginPath();
+        ctx.arc(x, y + size * 0.35, size * 0.85, 0, 2 * Math.PI);
+        ctx.fill();
+
+        ctx.beginPath();
+        ctx.moveTo(x, y - size * 0.3);
+        ctx.lineTo(x - size * 0.35, y + size * 0.8);
+        ctx.lineTo(x, y + size * 0.55);
+        ctx.closePath();
+        ctx.fillStyle = '#000000';
+        ctx.fill();
+
+        ctx.beginPath();
+        ctx.moveTo(x, y - size * 0.3);
+        ctx.lineTo(x + size * 0.35, y + size * 0.8);
+        ctx.lineTo(x, y + size * 0.55);
+        ctx.closePath();
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = mm(0.25);
+        ctx.stroke();
+
+        ctx.font = `bold ${pt(9)}px ${FONT}`;
+        ctx.textAlign = 'center';
+        ctx.fillText('U', x, y - size * 0.4);
+        ctx.textAlign = 'left';
+    }
+
+    // Legend, scale and title block side by side under the map
+    drawPanel(draw, panel, { zones, title, details, dpi, vertexCount }) {
+        const { ctx, mm } = draw;
+        const columns = [0.34, 0.26, 0.4];
+        let x = panel.x;
+        const boxes = columns.map(share => {
+            const box = { x, y: panel.y, width: panel.width * share, height: panel.height };
+            x += box.width;
+            return box;
+        });
+
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = mm(0.4);
+        boxes.forEach(box => ctx.strokeRect(box.x, box.y, box.width, box.height));
+
+        this.drawLegend(draw, boxes[0], zones, vertexCount);
+        this.drawScale(draw, boxes[1], dpi);
+        this.drawTitleBlock(draw, boxes[2], title, details);
+    }
+
+    drawLegend({ ctx, mm, pt }, box, zones, vertexCount) {
+        const padding = mm(2.5);
+        const lineHeight = pt(9);
+        let y = box.y + padding + pt(8);
+
+        ctx.fillStyle = '#000000';
+        ctx.font = `bold ${pt(8)}px ${FONT}`;
+        ctx.fillText('LEGENDA', box.x + padding, y);
+        ctx.font = `${pt(7)}px ${FONT}`;
+
+        const swatch = mm(4);
+        const item = (text, drawSymbol) => {
+            y += lineHeight;
+            if (y > box.y + box.height - padding) return;
+            drawSymbol(box.x + padding, y - swatch * 0.8);
+            ctx.fillStyle = '#000000';
+            this.fitText(ctx, text, box.x + padding + swatch + mm(2), y, box.width - 2 * padding - swatch - mm(2));
+        };
+
+        item('Batas bidang', (sx, sy) => {
+            ctx.fillStyle = 'rgba(211, 47, 47, 0.12)';
+            ctx.fillRect(sx, sy, swatch, swatch * 0.8);
+            ctx.strokeStyle = PARCEL_COLOR;
+            ctx.lineWidth = mm(0.5);
+            ctx.strokeRect(sx, sy, swatch, swatch * 0.8);
+        });
+        item(vertexCount > 0 ? `Titik koordinat (K1–K${vertexCount})` : 'Titik koordinat', (sx, sy) => {
+            ctx.beginPath();
+            ctx.arc(sx + swatch / 2, sy + swatch * 0.4, mm(0.9), 0, 2 * Math.PI);
+            ctx.fillStyle = '#ffffff';
+            ctx.fill();
+            ctx.strokeStyle = PARCEL_COLOR;
+            ctx.lineWidth = mm(0.35);
+            ctx.stroke();
+        });
+        item('Grid geografis (WGS 84)', (sx, sy) => {
+            ctx.strokeStyle = GRID_COLOR;
+            ctx.lineWidth = mm(0.2);
+            ctx.setLineDash([mm(1.5), mm(1)]);
+            ctx.beginPath();
+            ctx.moveTo(sx, sy + swatch * 0.4);
+            ctx.lineTo(sx + swatch, sy + swatch * 0.4);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        });
+        zones.forEach(code => {
+            const description = perdaReferenceManager.getZonasiInfo(code)?.deskripsi;
+            item(description ? `${code} – ${description}` : `Zona ${code}`, (sx, sy) => {
+                ctx.globalAlpha = 0.5;
+                ctx.fillStyle = zoneColor(code);
+                ctx.fillRect(sx, sy, swatch, swatch * 0.8);
+                ctx.globalAlpha = 1;
+                ctx.strokeStyle = zoneColor(code);
+                ctx.lineWidth = mm(0.25);
+                ctx.strokeRect(sx, sy, swatch, swatch * 0.8);
+            });
+        });
+    }
+
+    drawScale({ ctx, mm, pt, frame, view, origin }, box, dpi) {
+        const padding = mm(3);
+        const centerLat = mercatorLonLat([origin[0] + frame.width / 2, origin[1] + frame.height / 2], view.zoom)[1];
+        const resolution = groundResolution(centerLat, view.zoom);
+
+        const metres = niceNumber(resolution * (box.width - 2 * padding) * 0.8);
+        const barWidth = metres / resolution;
+        const barHeight = mm(1.8);
+        const x = box.x + (box.width - barWidth) / 2;
+        const y = box.y + box.height * 0.42;
+
+        ctx.fillStyle = '#000000';
+        ctx.textAlign = 'center';
+        ctx.font = `bold ${pt(8)}px ${FONT}`;
+        ctx.fillText(`SKALA 1 : ${scaleDenominator(centerLat, view.zoom, dpi).toLocaleString('id-ID')}`, box.x + box.width / 2, box.y + padding + pt(8));
+
+        // Four alternating segments
+        for (let i = 0; i < 4; i++) {
+            ctx.fillStyle = i % 2 === 0 ? '#000000' : '#ffffff';
+            ctx.fillRect(x + barWidth * i / 4, y, barWidth / 4, barHeight);
+        }
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = mm(0.2);
+        ctx.strokeRect(x, y, barWidth, barHeight);
+
+        const unit = metres >= 1000 ? 'km' : 'm';
+        const value = (m) => (unit === 'km' ? m / 1000 : m).toLocaleString('id-ID');
+        ctx.fillStyle = '#000000';
+        ctx.font = `${pt(6.5)}px ${FONT}`;
+        [0, 0.5, 1].forEach(share => {
+            ctx.fillText(value(metres * share), x + barWidth * share, y + barHeight + pt(8));
+        });
+        ctx.fillText(unit, x + barWidth + mm(3), y + barHeight);
+
+        ctx.font = `${pt(6.5)}px ${FONT}`;
+        ctx.fillText('Proyeksi Web Mercator, Datum WGS 84', box.x + box.width / 2, box.y + box.height - padding - pt(8));
+        ctx.fillText(`Skala berlaku pada cetakan ${dpi} dpi tanpa pengecilan`, box.x + box.width / 2, box.y + box.height - padding);
+        ctx.textAlign = 'left';
+    }
+
+    drawTitleBlock({ ctx, mm, pt }, box, title, details) {
+        const padding = mm(2.5);
+        const innerWidth = box.width - 2 * padding;
+        let y = box.y + padding + pt(10);
+
+        ctx.fillStyle = '#000000';
+        ctx.textAlign = 'center';
+        ctx.font = `bold ${pt(10)}px ${FONT}`;
+        ctx.fillText('PETA LOKASI', box.x + box.width / 2, y);
+        if (title) {
+            y += pt(11);
+            ctx.font = `bold ${pt(8)}px ${FONT}`;
+            this.fitText(ctx, title.toUpperCase(), box.x + box.width / 2, y, innerWidth);
+        }
+        ctx.textAlign = 'left';
+
+        y += mm(2);
+        ctx.lineWidth = mm(0.25);
+        ctx.beginPath();
+        ctx.moveTo(box.x, y);
+        ctx.lineTo(box.x + box.width, y);
+        ctx.stroke();
+
+        const labelWidth = innerWidth * 0.3;
+        const footerTop = box.y + box.height - padding - pt(16);
+        ctx.font = `${pt(7)}px ${FONT}`;
+        details.filter(([, value]) => value).forEach(([label, value]) => {
+            if (y + pt(9) > footerTop) return;
+            y += pt(9);
+            ctx.fillText(label, box.x + padding, y);
+            this.fitText(ctx, `: ${value}`, box.x + padding + labelWidth, y, innerWidth - labelWidth);
+        });
+
+        ctx.beginPath();
+        ctx.moveTo(box.x, footerTop - pt(4));
+        ctx.lineTo(box.x + box.width, footerTop - pt(4));
+        ctx.stroke();
+        ctx.textAlign = 'center';
+        ctx.font = `bold ${pt(7)}px ${FONT}`;
+        ctx.fillText('PEMERINTAH KABUPATEN GARUT', box.x + box.width / 2, footerTop + pt(4));
+        ctx.font = `${pt(7)}px ${FONT}`;
+        this.fitText(ctx, 'DINAS PEKERJAAN UMUM DAN PENATAAN RUANG', box.x + box.width / 2, footerTop + pt(12), innerWidth);
+        ctx.textAlign = 'left';
+    }
+
+    tracePath(ctx, points) {
+        points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.closePath();
+    }
+
+    // Text with a white outline so it reads over the basemap
+    haloText(ctx, text, x, y, mm) {
+        ctx.lineWidth = mm(0.8);
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineJoin = 'round';
+        ctx.strokeText(text, x, y);
+        ctx.fillStyle = '#000000';
+        ctx.fillText(text, x, y);
+    }
+
+    // Text shortened with an ellipsis to fit maxWidth
+    fitText(ctx, text, x, y, maxWidth) {
+        let fitted = String(text);
+        while (fitted.length > 1 && ctx.measureText(fitted).width > maxWidth) {
+            fitted = fitted.slice(0, -2) + '…';
+        }
+        ctx.fillText(fitted, x, y);
+    }
+}
+
+export const mapLayoutComposer = new MapLayoutComposer();
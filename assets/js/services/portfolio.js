@@ -0,0 +1,96 @@
+/**
+ * Project Portfolio
+ * Location, status and zoning compliance of every KRK project, for the
+ * overview map and its filters
+ */
+
+import { parcelCentroid } from './geometry.js';
+import { normalizeAdminName, parseAddressAdmin } from './admin-boundary.js';
+
+export const PROJECT_STATUSES = {
+    'Baru': { color: '#adb5bd', badge: 'bg-light text-dark' },
+    'Upload': { color: '#6c757d', badge: 'bg-secondary' },
+    'Data Ekstrak': { color: '#0dcaf0', badge: 'bg-info' },
+    'Analisis': { color: '#ffc107', badge: 'bg-warning' },
+    'Selesai': { color: '#198754', badge: 'bg-success' }
+};
+
+export const KESESUAIAN_LEVELS = {
+    SESUAI: { label: 'Sesuai', color: '#198754' },
+    BERSYARAT: { label: 'Bersyarat', color: '#fd7e14' },
+    TIDAK_SESUAI: { label: 'Tidak Sesuai', color: '#dc3545' },
+    BELUM: { label: 'Belum Dianalisis', color: '#6c757d' }
+};
+
+// Worst first, so one non-compliant zone marks the whole project
+const KESESUAIAN_RANK = ['TIDAK_SESUAI', 'BERSYARAT', 'SESUAI'];
+
+export function getProjectStatus(project) {
+    if (!project.analysisResult) return 'Baru';
+    if (project.analysisResult.analisis_zona?.length > 0) return 'Selesai';
+    if (project.mapFileContent) return 'Analisis';
+    if (project.analysisResult.pemohon?.nama) return 'Data Ekstrak';
+    return 'Upload';
+}
+
+export function getProjectKesesuaian(project) {
+    const values = (project.analysisResult?.analisis_zona || [])
+        .map(zone => String(zone.kesesuaian || '').toUpperCase().replace(/\s+/g, '_'));
+    return KESESUAIAN_RANK.find(level => values.includes(level)) || 'BELUM';
+}
+
+// Kecamatan from the extracted letter, else read from the address
+// ("Kec. Tarogong Kidul" or "Kecamatan Tarogong Kidul")
+export function getProjectKecamatan(project) {
+    const lokasi = project.analysisResult?.lokasi_proyek || {};
+    if (lokasi.kecamatan?.trim()) return normalizeAdminName(lokasi.kecamatan);
+    return parseAddressAdmin([lokasi.lokasi, lokasi.alamat_lengkap].filter(Boolean).join(', ')).kecamatan;
+}
+
+// One map entry per project with a parcel; projects without one are left out
+export function buildPortfolio(projects) {
+    return projects.flatMap(project => {
+        const centroid = parcelCentroid(project.geojsonData);
+        if (!centroid) return [];
+
+        const analysis = project.analysisResult || {};
+        return [{
+            id: project.id,
+            name: project.projectName,
+            pemohon: analysis.pemohon?.nama || '',
+            peruntukan: (analysis.lokasi_proyek?.peruntukan || '').trim(),
+            kecamatan: getProjectKecamatan(project),
+            status: getProjectStatus(project),
+            kesesuaian: getProjectKesesuaian(project),
+            date: (project.created || project.lastModified || '').slice(0, 10),
+            centroid,
+            geojson: project.geojsonData
+        }];
+    });
+}
+
+// filters: { from, to } as YYYY-MM-DD (inclusive), kecamatan, peruntukan;
+// empty values match everything
+export function filterPortfolio(entries, { from = '', to = '', kecamatan = '', peruntukan = '' } = {}) {
+    return entries.filter(entry =>
+        (!from || entry.date >= from) &&
+        (!to || entry.date <= to) &&
+        (!kecamatan || entry.kecamatan === kecamatan) &&
+        (!peruntukan || entry.peruntukan.toLowerCase() === peruntukan.toLowerCase())
+    );
+}
+
+// Choices for the filter dropdowns
+export function portfolioOptions(entries) {
+    const distinct = values => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b, 'id'));
+    return {
+        kecamatan: distinct(entries.map(entry => entry.kecamatan)),
+        peruntukan: distinct(entries.map(entry => entry.peruntukan))
+    };
+}
+
+export function portfolioColor(entry, colorBy) {
+    return colorBy === 'kesesuaian'
+        ? KESESUAIAN_LEVELS[entry.kesesuaian].color
+        : PROJECT_STATUSES[entry.status].color;
+}
@@ -0,0 +1,451 @@
+/**
+ * Setback (Sempadan) Analysis
+ * Buffers river, road and railway lines by the Perda setback distances and
+ * measures the part of the parcel that falls inside each setback
+ */
+
+import { CONFIG } from '../config.js';
+import { performanceMonitor } from '../utils/performance.js';
+import { dbManager } from '../core/storage.js';
+import { perdaReferenceManager } from '../data/perda-references.js';
+import { measureParcel, polygonsOf, distanceToSegment, isInside } from './geometry.js';
+import { segmentIntersection } from './geometry-validation.js';
+import { readReferenceLayerFile } from './zoning.js';
+
+// Setback types from ketentuan_umum.sempadan and the line layer each is checked against
+export const SETBACK_TYPES = {
+    sungai: { label: 'Sempadan Sungai', layer: 'sungai', color: '#1e88e5' },
+    jalan_arteri: { label: 'Sempadan Jalan Arteri', layer: 'jalan', color: '#e53935' },
+    jalan_kolektor: { label: 'Sempadan Jalan Kolektor', layer: 'jalan', color: '#fb8c00' },
+    jalan_lokal: { label: 'Sempadan Jalan Lokal', layer: 'jalan', color: '#fdd835' },
+    rel_kereta: { label: 'Sempadan Rel Kereta', layer: 'rel', color: '#6d4c41' }
+};
+
+export const SETBACK_LAYERS = {
+    sungai: 'Sungai',
+    jalan: 'Jalan',
+    rel: 'Rel Kereta'
+};
+
+const ROAD_CLASS_PATTERN = /(fungsi|kelas|status|klas|class|remark|jns|jenis)/i;
+const NAME_PROPERTIES = ['nama', 'NAMOBJ', 'namobj', 'NAMA', 'name', 'Name', 'REMARK'];
+
+// Lines this far from the parcel are reported as the nearest one, in metres
+const SEARCH_RADIUS = 500;
+
+// Scanlines across the parcel when measuring the area inside a buffer
+const SCANLINES = 400;
+
+// Points on each half circle of a drawn buffer
+const ARC_STEPS = 8;
+
+const WGS84_A = 6378137;
+const WGS84_E2 = 0.00669437999014;
+
+// Polylines of a feature; river polygons count by their banks
+function linesOf(geometry) {
+    if (geometry?.type === 'LineString') return [geometry.coordinates];
+    if (geometry?.type === 'MultiLineString') return geometry.coordinates;
+    return polygonsOf(geometry).flat();
+}
+
+function featureName(feature) {
+    const key = NAME_PROPERTIES.find(name => String(feature.properties?.[name] ?? '').trim());
+    return key ? String(feature.properties[key]).trim() : '';
+}
+
+// Local metric projection around a point, from the WGS84 radii of curvature
+function localProjection([lon0, lat0]) {
+    const phi = lat0 * Math.PI / 180;
+    const w = 1 - WGS84_E2 * Math.sin(phi) ** 2;
+    const kx = Math.PI / 180 * WGS84_A / Math.sqrt(w) * Math.cos(phi);
+    const ky = Math.PI / 180 * WGS84_A * (1 - WGS84_E2) / w ** 1.5;
+
+    return {
+        forward: ([lon, lat]) => [(lon - lon0) * kx, (lat - lat0) * ky],
+        inverse: ([x, y]) => [lon0 + x / kx, lat0 + y / ky]
+    };
+}
+
+// Shortest distance between a segment and the parcel; zero when they touch
+// or the segment lies inside it
+function distanceToParcel([p, q], edges) {
+    if (isInside(p, edges)) return 0;
+
+    let distance = Infinity;
+    edges.forEach(([a, b]) => {
+        if (segmentIntersection(p, q, a, b)) distance = 0;
+        distance = Math.min(distance, distanceToSegment(a, p, q), distanceToSegment(p, a, b), distanceToSegment(q, a, b));
+    });
+    return distance;
+}
+
+// Even-odd x intervals of the parcel along the horizontal line at y
+function parcelIntervals(edges, y) {
+    const xs = [];
+    edges.forEach(([[x1, y1], [x2, y2]]) => {
+        if ((y1 > y) !== (y2 > y)) xs.push(x1 + (y - y1) * (x2 - x1) / (y2 - y1));
+    });
+    xs.sort((a, b) => a - b);
+
+    const intervals = [];
+    for (let i = 0; i + 1 < xs.length; i += 2) intervals.push([xs[i], xs[i + 1]]);
+    return intervals;
+}
+
+// The buffer of a segment is convex, so it cuts the line at y in one
+// interval: the hull of the cuts through both end discs and the band between
+function bufferInterval([p, q], distance, y) {
+    let low = Infinity;
+    let high = -Infinity;
+    const extend = (x) => {
+        low = Math.min(low, x);
+        high = Math.max(high, x);
+    };
+
+    [p, q].forEach(([cx, cy]) => {
+        const dy = y - cy;
+        if (Math.abs(dy) <= distance) {
+            const half = Math.sqrt(distance * distance - dy * dy);
+            extend(cx - half);
+            extend(cx + half);
+        }
+    });
+
+    const length = Math.hypot(q[0] - p[0], q[1] - p[1]);
+    if (length > 0) {
+        const nx = -(q[1] - p[1]) / length * distance;
+        const ny = (q[0] - p[0]) / length * distance;
+        const band = [[p[0] + nx, p[1] + ny], [q[0] + nx, q[1] + ny], [q[0] - nx, q[1] - ny], [p[0] - nx, p[1] - ny]];
+        band.forEach(([x1, y1], i) => {
+            const [x2, y2] = band[(i + 1) % band.length];
+            if ((y1 > y) !== (y2 > y)) extend(x1 + (y - y1) * (x2 - x1) / (y2 - y1));
+        });
+    }
+
+    return low <= high ? [low, high] : null;
+}
+
+function mergeIntervals(intervals) {
+    const merged = [];
+    intervals.sort((a, b) => a[0] - b[0]).forEach(([low, high]) => {
+        const last = merged[merged.length - 1];
+        if (last && low <= last[1]) last[1] = Math.max(last[1], high);
+        else merged.push([low, high]);
+    });
+    return merged;
+}
+
+function overlapLength(a, b) {
+    let length = 0;
+    a.forEach(([low1, high1]) => b.forEach(([low2, high2]) => {
+        length += Math.max(0, Math.min(high1, high2) - Math.max(low1, low2));
+    }));
+    return length;
+}
+
+// Share of the parcel (edges in metres) within distance of any segment,
+// by summing scanline intervals
+export function bufferedShare(edges, segments, distance, scanlines = SCANLINES) {
+    if (edges.length === 0 || segments.length === 0) return 0;
+
+    const ys = edges.flat().map(([, y]) => y);
+    const minY = Math.min(...ys);
+    const step = (Math.max(...ys) - minY) / scanlines;
+    if (step === 0) return 0;
+
+    let parcelLength = 0;
+    let insideLength = 0;
+    for (let i = 0; i < scanlines; i++) {
+        const y = minY + (i + 0.5) * step;
+        const parcel = parcelIntervals(edges, y);
+        if (parcel.length === 0) continue;
+
+        const buffer = mergeIntervals(segments.map(segment => bufferInterval(segment, distance, y)).filter(Boolean));
+        parcelLength += parcel.reduce((sum, [low, high]) => sum + high - low, 0);
+        insideLength += overlapLength(parcel, buffer);
+    }
+    return parcelLength > 0 ? insideLength / parcelLength : 0;
+}
+
+// Setback distances in metres, read from ketentuan_umum.sempadan
+export function getSetbackDistances() {
+    const sempadan = perdaReferenceManager.getReferenceForAI()?.ketentuan_umum?.sempadan || {};
+    return Object.fromEntries(Object.keys(SETBACK_TYPES)
+        .map(type => [type, parseFloat(sempadan[type])])
+        .filter(([, distance]) => distance > 0));
+}
+
+// Attribute holding the road function (arteri, kolektor, lokal)
+export function guessRoadClassProperty(geojson) {
+    const keys = [...new Set((geojson?.features || []).flatMap(feature => Object.keys(feature.properties || {})))];
+    const classCount = (key) => geojson.features
+        .filter(feature => /arteri|kolektor|lokal/i.test(String(feature.properties?.[key] ?? '')))
+        .length;
+
+    const best = keys.map(key => ({ key, count: classCount(key) })).sort((x, y) => y.count - x.count)[0];
+    if (best?.count > 0) return best.key;
+    return keys.find(key => ROAD_CLASS_PATTERN.test(key)) || null;
+}
+
+// Setback type of a road; unclassed roads get the smallest (lokal) setback
+export function classifyRoad(feature, classProperty) {
+    const value = String(feature.properties?.[classProperty] ?? '');
+    if (/arteri/i.test(value)) return 'jalan_arteri';
+    if (/kolektor/i.test(value)) return 'jalan_kolektor';
+    return 'jalan_lokal';
+}
+
+// Segments per setback type, each with the name of its line
+function linesByType(layers) {
+    const byType = Object.fromEntries(Object.keys(SETBACK_TYPES).map(type => [type, []]));
+    const add = (type, feature) => linesOf(feature.geometry).forEach(line => byType[type].push({ line, name: featureName(feature) }));
+
+    (layers?.sungai?.geojson.features || []).forEach(feature => add('sungai', feature));
+    (layers?.rel?.geojson.features || []).forEach(feature => add('rel_kereta', feature));
+    (layers?.jalan?.geojson.features || []).forEach(feature => add(classifyRoad(feature, layers.jalan.classProperty), feature));
+    return byType;
+}
+
+function parcelEdges(polygons, project) {
+    const edges = [];
+    polygons.forEach(rings => rings.forEach(ring => {
+        const points = ring.map(project);
+        points.forEach((point, i) => {
+            const next = points[(i + 1) % points.length];
+            if (point[0] !== next[0] || point[1] !== next[1]) edges.push([point, next]);
+        });
+    }));
+    return edges;
+}
+
+// Segments within reach of the parcel, in metres
+function nearbySegments(lines, project, edges, reach) {
+    const xs = edges.flat().map(([x]) => x);
+    const ys = edges.flat().map(([, y]) => y);
+    const [minX, maxX, minY, maxY] = [Math.min(...xs) - reach, Math.max(...xs) + reach, Math.min(...ys) - reach, Math.max(...ys) + reach];
+
+    const segments = [];
+    lines.forEach(({ line, name }) => {
+        const points = line.map(project);
+        for (let i = 0; i + 1 < points.length; i++) {
+            const [p, q] = [points[i], points[i + 1]];
+            if (Math.max(p[0], q[0]) < minX || Math.min(p[0], q[0]) > maxX || Math.max(p[1], q[1]) < minY || Math.min(p[1], q[1]) > maxY) continue;
+            segments.push({ segment: [p, q], name });
+        }
+    });
+    return segments;
+}
+
+// One finding per setback type with a line near the parcel: its distance, the
+// nearest line and the part of the parcel inside the setback. Null when the
+// parcel has no polygon.
+export function analyzeSetbacks(parcelGeoJSON, layers) {
+    const polygons = (parcelGeoJSON?.features || []).flatMap(feature => polygonsOf(feature.geometry));
+    if (polygons.length === 0) return null;
+
+    const { forward } = localProjection(polygons[0][0][0]);
+    const edges = parcelEdges(polygons, forward);
+    const measuredArea = measureParcel(parcelGeoJSON)?.area || 0;
+    const distances = getSetbackDistances();
+    const byType = linesByType(layers);
+
+    return Object.entries(SETBACK_TYPES)
+        .filter(([type]) => distances[type])
+        .map(([type, { label }]) => {
+            const candidates = nearbySegments(byType[type], forward, edges, Math.max(SEARCH_RADIUS, distances[type]));
+            if (candidates.length === 0) return null;
+
+            const nearest = candidates
+                .map(({ segment, name }) => ({ name, distance: distanceToParcel(segment, edges) }))
+                .sort((x, y) => x.distance - y.distance)[0];
+            const share = bufferedShare(edges, candidates.map(({ segment }) => segment), distances[type]);
+
+            return {
+                type,
+                label,
+                distance: distances[type],
+                name: nearest.name,
+                nearestDistance: nearest.distance,
+                share,
+                area: share * measuredArea,
+                encroaches: share > 0
+            };
+        })
+        .filter(Boolean);
+}
+
+// Buffer outlines of the lines near the parcel, per setback type, as lon/lat
+// rings all wound the same way so that drawing them with the nonzero rule
+// shows their union
+export function setbackBuffers(parcelGeoJSON, layers) {
+    const polygons = (parcelGeoJSON?.features || []).flatMap(feature => polygonsOf(feature.geometry));
+    if (polygons.length === 0) return {};
+
+    const { forward, inverse } = localProjection(polygons[0][0][0]);
+    const edges = parcelEdges(polygons, forward);
+    const distances = getSetbackDistances();
+    const byType = linesByType(layers);
+
+    const buffers = {};
+    Object.keys(SETBACK_TYPES).filter(type => distances[type]).forEach(type => {
+        const distance = distances[type];
+        const rings = nearbySegments(byType[type], forward, edges, SEARCH_RADIUS)
+            .map(({ segment: [p, q] }) => {
+                const angle = Math.atan2(q[1] - p[1], q[0] - p[0]);
+                const arc = ([cx, cy], start) => Array.from({ length: ARC_STEPS + 1 }, (_, i) => {
+                    const a = start + Math.PI * i / ARC_STEPS;
+                    return [cx + distance * Math.cos(a), cy + distance * Math.sin(a)];
+                });
+                // Counter-clockwise: round the end point, then back round the start point
+                const ring = [...arc(q, angle - Math.PI / 2), ...arc(p, angle + Math.PI / 2)];
+                return [...ring, ring[0]].map(inverse);
+            });
+        if (rings.length > 0) buffers[type] = rings;
+    });
+    return buffers;
+}
+
+const formatNumber = (value) => value.toLocaleString('id-ID', { maximumFractionDigits: 2 });
+
+// Marks the ketentuan_teknis entries this analysis wrote, so that a new run
+// replaces them and leaves the AI's and staff's entries alone
+export const SETBACK_SOURCE = 'analisis_sempadan';
+
+// Finding as a ketentuan_teknis entry, in the shape of the AI schema
+export function findingToKetentuan(finding) {
+    const keterangan = finding.encroaches
+        ? `${formatNumber(finding.area)} m² (${formatNumber(finding.share * 100)}% luas bidang) berada di dalam sempadan dan tidak boleh didirikan bangunan.`
+        : `Bidang berjarak ${formatNumber(finding.nearestDistance)} m, di luar sempadan.`;
+    return {
+        kategori: finding.name ? `${finding.label} (${finding.name})` : finding.label,
+        nilai: finding.distance,
+        satuan: 'm',
+        keterangan,
+        wajib: true,
+        sumber: SETBACK_SOURCE
+    };
+}
+
+export function mergeKetentuanTeknis(ketentuanTeknis, findings) {
+    const kept = (ketentuanTeknis || []).filter(entry => entry?.sumber !== SETBACK_SOURCE);
+    return [...kept, ...(findings || []).map(findingToKetentuan)];
+}
+
+// Summary for perda_validation.sempadan
+export function setbackValidation(findings) {
+    return {
+        compliant: findings.every(finding => !finding.encroaches),
+        findings: findings.map(({ type, label, distance, name, nearestDistance, area, share, encroaches }) => ({
+            type,
+            label,
+            distance,
+            name,
+            nearestDistance: Math.round(nearestDistance * 100) / 100,
+            area: Math.round(area * 100) / 100,
+            share: Math.round(share * 10000) / 10000,
+            encroaches
+        })),
+        checked_at: new Date().toISOString()
+    };
+}
+
+// ketentuan_teknis and perda_validation with the findings; overall
+// compliance needs both the zones and the setbacks to comply
+export function applySetbackFindings(analysisResult, findings) {
+    const validation = analysisResult?.perda_validation || {};
+    const sempadan = setbackValidation(findings);
+    return {
+        ketentuan_teknis: mergeKetentuanTeknis(analysisResult?.ketentuan_teknis, findings),
+        perda_validation: {
+            ...validation,
+            sempadan,
+            overall_compliance: (validation.zonasi_compliance || []).every(zona => zona.perda_compliance) && sempadan.compliant
+        }
+    };
+}
+
+// The line layers are shared by every project and kept in the files store as
+// one record { sungai, jalan, rel }, each { name, importedAt, geojson }; the
+// road layer also has the classProperty holding its road function
+export class SetbackLayerService {
+    constructor() {
+        this.layers = null;
+    }
+
+    async load() {
+        if (this.layers) return this.layers;
+
+        const blob = await dbManager.getFile(CONFIG.SETBACK_LAYERS_KEY);
+        this.layers = blob ? JSON.parse(await blob.text()) : {};
+        return this.layers;
+    }
+
+    async save(layers) {
+        if (Object.keys(layers).length === 0) {
+            await dbManager.deleteFile(CONFIG.SETBACK_LAYERS_KEY);
+        } else {
+            const blob = new Blob([JSON.stringify(layers)], { type: 'application/json' });
+            await dbManager.saveFile(CONFIG.SETBACK_LAYERS_KEY, blob, {
+                originalName: 'setback_line_layers.json',
+                uploadDate: new Date().toISOString()
+            });
+        }
+        this.layers = layers;
+        return layers;
+    }
+
+    hasLayers() {
+        return Object.keys(this.layers || {}).length > 0;
+    }
+
+    // GeoJSON or zipped Shapefile, converted to WGS84; only lines (and river
+    // polygons, by their banks) are kept
+    async importFile(layer, file) {
+        performanceMonitor.startTiming('setbackImport');
+
+        try {
+            const geojson = await readReferenceLayerFile(file);
+            const features = geojson.features.filter(feature => linesOf(feature.geometry).length > 0);
+            if (features.length === 0) {
+                throw new Error(`Lapisan ${SETBACK_LAYERS[layer]} tidak berisi garis`);
+            }
+
+            const lines = { type: 'FeatureCollection', features };
+            const entry = { name: file.name, importedAt: new Date().toISOString(), geojson: lines };
+            if (layer === 'jalan') entry.classProperty = guessRoadClassProperty(lines);
+
+            return await this.save({ ...(await this.load()), [layer]: entry });
+        } finally {
+            performanceMonitor.endTiming('setbackImport');
+        }
+    }
+
+    async setRoadClassProperty(classProperty) {
+        const layers = await this.load();
+        if (layers.jalan) await this.save({ ...layers, jalan: { ...layers.jalan, classProperty } });
+    }
+
+    async remove(layer) {
+        const { [layer]: removed, ...rest } = await this.load();
+        if (removed) await this.save(rest);
+    }
+
+    // Attribute names of the road layer, to choose the road function column
+    getRoadProperties() {
+        return [...new Set((this.layers?.jalan?.geojson.features || []).flatMap(feature => Object.keys(feature.properties || {})))];
+    }
+
+    async analyze(parcelGeoJSON) {
+        const layers = await this.load();
+        if (Object.keys(layers).length === 0) return null;
+        return analyzeSetbacks(parcelGeoJSON, layers);
+    }
+
+    async buffers(parcelGeoJSON) {
+        const layers = await this.load();
+        return setbackBuffers(parcelGeoJSON, layers);
+    }
+}
+
+export const setbackLayers = new SetbackLayerService();
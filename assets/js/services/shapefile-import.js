@@ -0,0 +1,295 @@
+/**
+ * Shapefile Import
+ * Reads zipped ESRI Shapefiles (.shp/.dbf/.prj/.cpg) into WGS84 GeoJSON
+ */
+
+import { CONFIG } from '../config.js';
+import { performanceMonitor, loadScript, FileProcessor } from '../utils/performance.js';
+import { WGS84, detectCrsFromPrj, reprojectGeoJSON, looksGeographic } from './crs.js';
+import { ringContains } from './geometry.js';
+
+const SHP_FILE_CODE = 9994;
+
+// Shape types, including their Z and M variants (only X/Y are read)
+const SHAPE_KINDS = {
+    0: 'null',
+    1: 'point', 11: 'point', 21: 'point',
+    3: 'polyline', 13: 'polyline', 23: 'polyline',
+    5: 'polygon', 15: 'polygon', 25: 'polygon',
+    8: 'multipoint', 18: 'multipoint', 28: 'multipoint'
+};
+
+function readPoints(view, offset, count) {
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        points.push([view.getFloat64(offset + i * 16, true), view.getFloat64(offset + i * 16 + 8, true)]);
+    }
+    return points;
+}
+
+function readParts(view, offset) {
+    const numParts = view.getInt32(offset + 36, true);
+    const numPoints = view.getInt32(offset + 40, true);
+    const starts = [];
+    for (let i = 0; i < numParts; i++) {
+        starts.push(view.getInt32(offset + 44 + i * 4, true));
+    }
+
+    const points = readPoints(view, offset + 44 + numParts * 4, numPoints);
+    return starts.map((start, i) => points.slice(start, starts[i + 1] ?? numPoints));
+}
+
+// Shoelace sum; positive for the clockwise rings shapefiles use as outer rings
+function ringOrientation(ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        sum += (ring[i + 1][0] - ring[i][0]) * (ring[i + 1][1] + ring[i][1]);
+    }
+    return sum;
+}
+
+// Clockwise rings are shells, counter-clockwise rings are holes of the shell
+// that contains them. GeoJSON wants the opposite winding, so rings are reversed.
+function buildPolygon(rings) {
+    const shells = [];
+    const holes = [];
+    rings.filter(ring => ring.length >= 4).forEach(ring => {
+        (ringOrientation(ring) > 0 ? shells : holes).push(ring);
+    });
+
+    const polygons = shells.map(shell => [shell.slice().reverse()]);
+    holes.forEach(hole => {
+        const owner = shells.findIndex(shell => ringContains(shell, hole[0]));
+        if (owner === -1) {
+            // Hole without a shell: badly wound data, keep it as its own polygon
+            polygons.push([hole.slice()]);
+        } else {
+            polygons[owner].push(hole.slice().reverse());
+        }
+    });
+
+    if (polygons.length === 0) return null;
+    return polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+function readShape(view, offset) {
+    const kind = SHAPE_KINDS[view.getInt32(offset, true)];
+
+    switch (kind) {
+        case 'point':
+            return { type: 'Point', coordinates: readPoints(view, offset + 4, 1)[0] };
+        case 'multipoint':
+            return { type: 'MultiPoint', coordinates: readPoints(view, offset + 40, view.getInt32(offset + 36, true)) };
+        case 'polyline': {
+            const parts = readParts(view, offset);
+            return parts.length === 1
+                ? { type: 'LineString', coordinates: parts[0] }
+                : { type: 'MultiLineString', coordinates: parts };
+        }
+        case 'polygon':
+            return buildPolygon(readParts(view, offset));
+        case 'null':
+            return null;
+        default:
+            throw new Error('Tipe geometri shapefile tidak didukung');
+    }
+}
+
+// Geometries in file order, null for empty records
+export function parseShp(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    if (view.byteLength < 100 || view.getInt32(0, false) !== SHP_FILE_CODE) {
+        throw new Error('File .shp tidak valid');
+    }
+
+    const fileLength = Math.min(view.getInt32(24, false) * 2, view.byteLength);
+    const geometries = [];
+    let offset = 100;
+
+    while (offset + 8 <= fileLength) {
+        const contentLength = view.getInt32(offset + 4, false) * 2;
+        // A corrupt length would loop forever or read past the file
+        if (contentLength <= 0 || offset + 8 + contentLength > fileLength) {
+            throw new Error('File .shp tidak valid');
+        }
+        try {
+            geometries.push(readShape(view, offset + 8));
+        } catch (error) {
+            if (error instanceof RangeError) throw new Error('File .shp tidak valid');
+            throw error;
+        }
+        offset += 8 + contentLength;
+    }
+
+    return geometries;
+}
+
+function parseDbfValue(type, raw) {
+    const text = raw.trim();
+    switch (type) {
+        case 'N':
+        case 'F': {
+            if (text === '' || /^\*+$/.test(text)) return null;
+            const number = parseFloat(text);
+            return Number.isFinite(number) ? number : null;
+        }
+        case 'L':
+            if (/^[YyTt]$/.test(text)) return true;
+            if (/^[NnFf]$/.test(text)) return false;
+            return null;
+        case 'D':
+            return /^\d{8}$/.test(text) ? `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}` : null;
+        default:
+            return text;
+    }
+}
+
+// Attribute rows in file order; deleted records become null
+export function parseDbf(arrayBuffer, encoding = 'utf-8') {
+    const view = new DataView(arrayBuffer);
+    const bytes = new Uint8Array(arrayBuffer);
+    let decoder;
+    try {
+        decoder = new TextDecoder(encoding);
+    } catch (error) {
+        decoder = new TextDecoder('utf-8');
+    }
+
+    const recordCount = view.getUint32(4, true);
+    const headerLength = view.getUint16(8, true);
+    const recordLength = view.getUint16(10, true);
+
+    const fields = [];
+    for (let offset = 32; offset < headerLength - 1 && bytes[offset] !== 0x0D; offset += 32) {
+        const nameBytes = bytes.subarray(offset, offset + 11);
+        const end = nameBytes.indexOf(0);
+        fields.push({
+            name: decoder.decode(end === -1 ? nameBytes : nameBytes.subarray(0, end)).trim(),
+            type: String.fromCharCode(bytes[offset + 11]),
+            length: bytes[offset + 16]
+        });
+    }
+
+    const rows = [];
+    for (let i = 0; i < recordCount; i++) {
+        const start = headerLength + i * recordLength;
+        if (start + recordLength > bytes.length) break;
+        if (bytes[start] === 0x2A) {
+            rows.push(null);
+            continue;
+        }
+
+        const row = {};
+        let position = start + 1;
+        fields.forEach(field => {
+            row[field.name] = parseDbfValue(field.type, decoder.decode(bytes.subarray(position, position + field.length)));
+            position += field.length;
+        });
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+// A CRS chosen by the user wins over the .prj. Without either only lon/lat
+// data can be trusted; projected data needs its CRS.
+function resolveCrs(geojson, prj, sourceCrs) {
+    if (sourceCrs) return sourceCrs;
+
+    if (prj) {
+        const crs = detectCrsFromPrj(prj);
+        if (!crs) {
+            throw new Error(`Sistem koordinat pada file .prj tidak didukung: ${prj.slice(0, 60)}…`);
+        }
+        return crs;
+    }
+
+    if (looksGeographic(geojson)) return WGS84;
+    throw new Error('File .prj tidak ditemukan dan koordinat bukan derajat. Unggah .zip berisi .prj atau pilih sistem koordinat sumber.');
+}
+
+export function shapefileToGeoJSON({ shp, dbf = null, prj = null, cpg = null }, sourceCrs = null) {
+    const geometries = parseShp(shp);
+    const rows = dbf ? parseDbf(dbf, cpg?.trim() || 'utf-8') : [];
+
+    const features = [];
+    geometries.forEach((geometry, index) => {
+        if (rows[index] === null) return;
+        features.push({ type: 'Feature', properties: { ...(rows[index] || {}) }, geometry });
+    });
+
+    const geojson = { type: 'FeatureCollection', features };
+    const crs = resolveCrs(geojson, prj, sourceCrs);
+
+    return { geojson: reprojectGeoJSON(geojson, crs), crs };
+}
+
+// Every shapefile in the archive, matched to its companions by base name
+export async function readShapefileZip(arrayBuffer) {
+    if (!window.JSZip) {
+        await loadScript(CONFIG.JSZIP_URL);
+    }
+
+    const zip = await window.JSZip.loadAsync(arrayBuffer);
+    const entries = new Map();
+    Object.values(zip.files)
+        .filter(entry => !entry.dir && !entry.name.startsWith('__MACOSX/'))
+        .forEach(entry => entries.set(entry.name.toLowerCase(), entry));
+
+    const layers = [];
+    for (const [name, entry] of entries) {
+        if (!name.endsWith('.shp')) continue;
+
+        const base = name.slice(0, -4);
+        const companion = (ext, type) => entries.get(`${base}.${ext}`)?.async(type) ?? null;
+
+        layers.push({
+            name: entry.name.split('/').pop().slice(0, -4),
+            shp: await entry.async('arraybuffer'),
+            dbf: await companion('dbf', 'arraybuffer'),
+            prj: await companion('prj', 'string'),
+            cpg: await companion('cpg', 'string')
+        });
+    }
+
+    if (layers.length === 0) {
+        throw new Error('File ZIP tidak berisi shapefile (.shp)');
+    }
+    return layers;
+}
+
+// Several shapefiles in one archive become folders, like KML folders
+export async function convertShapefile(file, sourceCrs = null) {
+    performanceMonitor.startTiming('shapefileImport');
+
+    try {
+        const buffer = await FileProcessor.readFileAsArrayBuffer(file);
+        const layers = file.name.toLowerCase().endsWith('.zip')
+            ? await readShapefileZip(buffer)
+            : [{ name: file.name.slice(0, -4), shp: buffer }];
+
+        const features = [];
+        const crsNames = new Set();
+        layers.forEach(layer => {
+            const { geojson, crs } = shapefileToGeoJSON(layer, sourceCrs);
+            crsNames.add(crs.name);
+            geojson.features.forEach(feature => {
+                if (layers.length > 1) feature.properties.folder = layer.name;
+                features.push(feature);
+            });
+        });
+
+        return {
+            geojson: {
+                type: 'FeatureCollection',
+                features,
+                ...(layers.length > 1 ? { folders: layers.map(layer => layer.name) } : {})
+            },
+            sourceCrs: [...crsNames].join(', ')
+        };
+    } finally {
+        performanceMonitor.endTiming('shapefileImport');
+    }
+}
@@ -0,0 +1,270 @@
+/**
+ * Storage Monitor
+ * Per-project storage breakdown, quota warnings and guided cleanup
+ */
+
+import { CONFIG, ERROR_MESSAGES, RESERVED_FILE_IDS } from '../config.js';
+import { performanceMonitor, debounce } from '../utils/performance.js';
+import {
+    dbManager,
+    projectStorage,
+    LocalStorageManager,
+    getProjectFileIds,
+    onQuotaExceeded
+} from '../core/storage.js';
+
+const QUOTA_CHECK_DELAY = 5000;
+
+// Serialized size estimate; binary data counts its byte length
+export function estimateSize(value) {
+    if (value === null || value === undefined) return 0;
+    if (value instanceof ArrayBuffer) return value.byteLength;
+    if (typeof value === 'string') return value.length;
+    return JSON.stringify(value).length;
+}
+
+export function getUsageLevel(percentage) {
+    if (percentage >= CONFIG.STORAGE_CRITICAL_PERCENT) return 'critical';
+    if (percentage >= CONFIG.STORAGE_WARNING_PERCENT) return 'warning';
+    return 'ok';
+}
+
+function isImageDataURL(value) {
+    return typeof value === 'string' && value.startsWith('data:image/');
+}
+
+// Splits each project into analysis JSON, GeoJSON, images and uploaded blobs,
+// and lists files in the store that no project references
+export function buildUsageBreakdown(projects, files, revisions = []) {
+    const fileById = new Map(files.map(file => [file.id, file]));
+    const referenced = new Set(RESERVED_FILE_IDS);
+    const historyByProject = new Map();
+
+    revisions.forEach(revision => {
+        historyByProject.set(revision.projectId,
+            (historyByProject.get(revision.projectId) || 0) + estimateSize(revision));
+    });
+
+    const rows = projects.map(project => {
+        const { mapScreenshot = null, ...analysis } = project.analysisResult || {};
+        const mapFile = project.mapFileContent || null;
+        const row = {
+            id: project.id,
+            name: project.projectName,
+            analysis: project.analysisResult ? estimateSize(analysis) : 0,
+            geojson: estimateSize(project.geojsonData),
+            screenshots: estimateSize(mapScreenshot),
+            uploads: 0,
+            history: historyByProject.get(project.id) || 0
+        };
+
+        // The processed upload is kept inline; count it with what it contains
+        if (mapFile?.type === 'geojson') {
+            row.geojson += estimateSize(mapFile.data);
+        } else if (mapFile?.type === 'image') {
+            row.screenshots += estimateSize(mapFile.data);
+        } else if (mapFile) {
+            row.uploads += estimateSize(mapFile.data);
+        }
+
+        getProjectFileIds(project).forEach(id => {
+            referenced.add(id);
+            row.uploads += fileById.get(id)?.size || 0;
+        });
+
+        row.total = row.analysis + row.geojson + row.screenshots + row.uploads + row.history;
+        return row;
+    });
+
+    const projectIds = new Set(projects.map(p => p.id));
+    const orphanedFiles = files
+        .filter(file => !referenced.has(file.id))
+        .map(file => ({ id: file.id, name: file.originalName || file.id, size: file.size || 0 }));
+    const orphanedRevisions = revisions.filter(revision => !projectIds.has(revision.projectId));
+
+    const sum = (key) => rows.reduce((total, row) => total + row[key], 0);
+
+    return {
+        projects: rows.sort((a, b) => b.total - a.total),
+        orphanedFiles,
+        orphanedRevisionCount: orphanedRevisions.length,
+        templateSize: fileById.get(CONFIG.TEMPLATE_KEY)?.size || 0,
+        totals: {
+            analysis: sum('analysis'),
+            geojson: sum('geojson'),
+            screenshots: sum('screenshots'),
+            uploads: sum('uploads'),
+            history: sum('history') + orphanedRevisions.reduce((total, r) => total + estimateSize(r), 0),
+            orphaned: orphanedFiles.reduce((total, file) => total + file.size, 0)
+        }
+    };
+}
+
+export class StorageMonitor {
+    constructor() {
+        this.warningListeners = [];
+        this.lastLevel = 'ok';
+        this.scheduleCheck = debounce(() => this.checkQuota(), QUOTA_CHECK_DELAY);
+
+        onQuotaExceeded((error, source) => {
+            this.notifyWarning({ level: 'exceeded', message: ERROR_MESSAGES.QUOTA_EXCEEDED, source });
+        });
+        projectStorage.addChangeListener(() => this.scheduleCheck());
+    }
+
+    // Listeners receive { level: 'warning' | 'critical' | 'exceeded', message, usage? }
+    addWarningListener(callback) {
+        if (typeof callback === 'function') {
+            this.warningListeners.push(callback);
+        }
+    }
+
+    notifyWarning(warning) {
+        for (const callback of this.warningListeners) {
+            try {
+                callback(warning);
+            } catch (error) {
+                console.error('Error in storage warning listener:', error);
+            }
+        }
+    }
+
+    // Warns once per threshold crossing, not on every check
+    async checkQuota() {
+        const usage = await dbManager.getStorageUsage();
+        if (!usage) return null;
+
+        const level = getUsageLevel(usage.percentage);
+        if (level !== 'ok' && level !== this.lastLevel) {
+            this.notifyWarning({
+                level,
+                usage,
+                message: `Penyimpanan terpakai ${usage.percentage.toFixed(1)}%. Bersihkan data melalui menu Penyimpanan.`
+            });
+        }
+        this.lastLevel = level;
+
+        return { ...usage, level };
+    }
+
+    async getReport() {
+        performanceMonitor.startTiming('storageReport');
+
+        try {
+            await projectStorage.ensureReady();
+            const [usage, files, revisions] = await Promise.all([
+                this.checkQuota(),
+                dbManager.getAllFiles(),
+                dbManager.getAllRecords(CONFIG.HISTORY_STORE_NAME)
+            ]);
+
+            return {
+                usage,
+                breakdown: buildUsageBreakdown(projectStorage.getAllProjects(), files, revisions),
+                localStorageSize: LocalStorageManager.getSize(),
+                complete: projectStorage.isComplete()
+            };
+        } finally {
+            performanceMonitor.endTiming('storageReport');
+        }
+    }
+
+    assertComplete() {
+        if (!projectStorage.isComplete()) {
+            throw new Error('Tidak semua proyek termuat (brankas terkunci atau versi data lebih baru). Pembersihan dibatalkan.');
+        }
+    }
+
+    async purgeOrphanedFiles() {
+        this.assertComplete();
+
+        const referenced = projectStorage.getReferencedFileIds();
+        const orphans = (await dbManager.getAllFiles()).filter(file => !referenced.has(file.id));
+        if (orphans.length > 0) {
+            await dbManager.deleteFiles(orphans.map(file => file.id));
+        }
+
+        return { count: orphans.length, bytes: orphans.reduce((total, file) => total + (file.size || 0), 0) };
+    }
+
+    // Revisions left behind by projects that no longer exist (e.g. after imports)
+    async purgeOrphanedRevisions() {
+        this.assertComplete();
+
+        const projectIds = new Set(projectStorage.getAllProjects().map(p => p.id));
+        const orphans = (await dbManager.getAllRecords(CONFIG.HISTORY_STORE_NAME))
+            .filter(revision => !projectIds.has(revision.projectId));
+        if (orphans.length > 0) {
+            await dbManager.deleteRecord(CONFIG.HISTORY_STORE_NAME, orphans.map(r => r.id));
+        }
+
+        return { count: orphans.length };
+    }
+
+    // Re-encodes stored map images as JPEG, keeping the result only when smaller
+    async compressScreenshots({ maxDimension = 1600, quality = 0.7 } = {}) {
+        performanceMonitor.startTiming('compressScreenshots');
+
+        let count = 0;
+        let savedBytes = 0;
+
+        try {
+            for (const project of projectStorage.getAllProjects()) {
+                const updates = {};
+
+                const screenshot = project.analysisResult?.mapScreenshot;
+                if (isImageDataURL(screenshot)) {
+                    const compressed = await this.compressDataURL(screenshot, maxDimension, quality);
+                    if (compressed.length < screenshot.length) {
+                        updates.analysisResult = { ...project.analysisResult, mapScreenshot: compressed };
+                        savedBytes += screenshot.length - compressed.length;
+                        count++;
+                    }
+                }
+
+                const mapFile = project.mapFileContent;
+                if (mapFile?.type === 'image' && isImageDataURL(mapFile.data)) {
+                    const compressed = await this.compressDataURL(mapFile.data, maxDimension, quality);
+                    if (compressed.length < mapFile.data.length) {
+                        updates.mapFileContent = { ...mapFile, data: compressed };
+                        savedBytes += mapFile.data.length - compressed.length;
+                        count++;
+                    }
+                }
+
+                if (Object.keys(updates).length > 0) {
+                    await projectStorage.updateProject(project.id, updates, { reason: 'cleanup' });
+                }
+            }
+        } finally {
+            performanceMonitor.endTiming('compressScreenshots');
+        }
+
+        return { count, savedBytes };
+    }
+
+    compressDataURL(dataUrl, maxDimension, quality) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                const scale = Math.min(1, maxDimension / Math.max(img.width, img.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(img.width * scale);
+                canvas.height = Math.round(img.height * scale);
+
+                // JPEG has no alpha channel, flatten onto white
+                const ctx = canvas.getContext('2d');
+                ctx.fillStyle = '#ffffff';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+                ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+                resolve(canvas.toDataURL('image/jpeg', quality));
+            };
+            img.onerror = () => reject(new Error(ERROR_MESSAGES.IMAGE_LOAD_ERROR));
+            img.src = dataUrl;
+        });
+    }
+}
+
+// Singleton instance
+export const storageMonitor = new StorageMonitor();
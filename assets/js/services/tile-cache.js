@@ -0,0 +1,338 @@
+/**
+ * Offline Basemap
+ * Seeds basemap tiles for an area into Cache Storage (served cache-first by
+ * sw.js) from a tile source that permits it, and reads local MBTiles files
+ * as a basemap
+ */
+
+import { CONFIG } from '../config.js';
+import { performanceMonitor, loadScript } from '../utils/performance.js';
+import { dbManager, settingsStorage } from '../core/storage.js';
+
+// Rough size of a raster tile, for the download estimate
+const AVERAGE_TILE_BYTES = 15 * 1024;
+
+// Parallel tile downloads while seeding; kept low for the tile server
+const SEED_CONCURRENCY = 2;
+
+// Tile servers whose usage policy forbids bulk downloads
+const NO_BULK_DOWNLOAD_HOSTS = [/(^|\.)tile\.openstreetmap\.org$/i];
+
+const SUBDOMAINS = ['a', 'b', 'c'];
+
+const MBTILES_FORMATS = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp'
+};
+
+// Web Mercator tile holding a position at a zoom level
+export function lonLatToTile(lon, lat, zoom) {
+    const n = 2 ** zoom;
+    const phi = Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180;
+    const x = Math.floor((lon + 180) / 360 * n);
+    const y = Math.floor((1 - Math.log(Math.tan(phi) + 1 / Math.cos(phi)) / Math.PI) / 2 * n);
+    return { x: Math.max(0, Math.min(n - 1, x)), y: Math.max(0, Math.min(n - 1, y)) };
+}
+
+function tileRange([west, south, east, north], zoom) {
+    const topLeft = lonLatToTile(west, north, zoom);
+    const bottomRight = lonLatToTile(east, south, zoom);
+    return { minX: topLeft.x, maxX: bottomRight.x, minY: topLeft.y, maxY: bottomRight.y };
+}
+
+export function countTiles(bounds, minZoom, maxZoom) {
+    let count = 0;
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const { minX, maxX, minY, maxY } = tileRange(bounds, z);
+        count += (maxX - minX + 1) * (maxY - minY + 1);
+    }
+    return count;
+}
+
+export function* tilesInBounds(bounds, minZoom, maxZoom) {
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const { minX, maxX, minY, maxY } = tileRange(bounds, z);
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) yield { z, x, y };
+        }
+    }
+}
+
+export function estimateSeedSize(tileCount) {
+    return tileCount * AVERAGE_TILE_BYTES;
+}
+
+// Leaflet-style URL template ({s}, {z}, {x}, {y}) filled for one tile
+export function tileUrl(template, { z, x, y }) {
+    return template
+        .replace('{s}', SUBDOMAINS[(x + y) % SUBDOMAINS.length])
+        .replace('{z}', z)
+        .replace('{x}', x)
+        .replace('{y}', y);
+}
+
+// Cache key without the load-balancing subdomain, so a tile cached from one
+// subdomain is found when requested from another. sw.js uses the same rule.
+export function tileCacheKey(url) {
+    return url.replace(/^(https?:\/\/)[abc]\./, '$1');
+}
+
+// False for tile servers whose usage policy forbids bulk downloading (seeding)
+export function allowsBulkDownload(template) {
+    let host;
+    try {
+        host = new URL(tileUrl(template, { z: 0, x: 0, y: 0 })).hostname;
+    } catch (error) {
+        return false;
+    }
+    return !NO_BULK_DOWNLOAD_HOSTS.some(pattern => pattern.test(host));
+}
+
+// MBTiles rows count from the bottom (TMS), Leaflet tiles from the top
+export function tmsRow(zoom, y) {
+    return 2 ** zoom - 1 - y;
+}
+
+// Metadata table rows ({ name, value }) of an MBTiles file
+export function parseMBTilesMetadata(rows) {
+    const values = Object.fromEntries(rows.map(({ name, value }) => [name, value]));
+    const bounds = String(values.bounds || '').split(',').map(Number);
+
+    return {
+        name: values.name || 'MBTiles',
+        format: String(values.format || 'png').toLowerCase(),
+        bounds: bounds.length === 4 && bounds.every(Number.isFinite) ? bounds : null,
+        minZoom: values.minzoom !== undefined ? parseInt(values.minzoom, 10) : null,
+        maxZoom: values.maxzoom !== undefined ? parseInt(values.maxzoom, 10) : null,
+        attribution: values.attribution || ''
+    };
+}
+
+// Raster tiles of an MBTiles (SQLite) file, read with sql.js
+export class MBTilesSource {
+    constructor(db, metadata) {
+        this.db = db;
+        this.metadata = metadata;
+        this.mimeType = MBTILES_FORMATS[metadata.format];
+        this.statement = db.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?');
+    }
+
+    static async open(blob) {
+        await loadScript(CONFIG.SQL_JS_URL);
+        const SQL = await window.initSqlJs({ locateFile: () => CONFIG.SQL_JS_WASM_URL });
+
+        let db;
+        try {
+            db = new SQL.Database(new Uint8Array(await blob.arrayBuffer()));
+            const result = db.exec('SELECT name, value FROM metadata');
+            const rows = (result[0]?.values || []).map(([name, value]) => ({ name, value }));
+            const metadata = parseMBTilesMetadata(rows);
+
+            if (metadata.format === 'pbf') {
+                throw new Error('MBTiles vektor (pbf) tidak didukung; gunakan MBTiles raster (png/jpg)');
+            }
+            if (!MBTILES_FORMATS[metadata.format]) {
+                throw new Error(`Format ubin MBTiles tidak dikenal: ${metadata.format}`);
+            }
+
+            if (metadata.minZoom === null || metadata.maxZoom === null) {
+                const [[minZoom, maxZoom]] = db.exec('SELECT MIN(zoom_level), MAX(zoom_level) FROM tiles')[0].values;
+                metadata.minZoom ??= minZoom;
+                metadata.maxZoom ??= maxZoom;
+            }
+            return new MBTilesSource(db, metadata);
+        } catch (error) {
+            db?.close();
+            if (/file is not a database|no such table/i.test(error.message)) {
+                throw new Error('File bukan MBTiles yang valid');
+            }
+            throw error;
+        }
+    }
+
+    // Tile image bytes, or null when the file has no such tile
+    getTile(z, x, y) {
+        this.statement.bind([z, x, tmsRow(z, y)]);
+        const data = this.statement.step() ? this.statement.get()[0] : null;
+        this.statement.reset();
+        return data;
+    }
+
+    close() {
+        this.statement.free();
+        this.db.close();
+    }
+}
+
+export class TileCacheService {
+    constructor() {
+        this.seeding = null;
+        this.basemap = null;
+    }
+
+    isSupported() {
+        return typeof caches !== 'undefined';
+    }
+
+    // Tile source from the settings, or null: the online basemap is then
+    // OpenStreetMap, which is only cached as it is viewed
+    getTileSource() {
+        const url = settingsStorage.get('tileSourceUrl', '');
+        return url ? { url, attribution: settingsStorage.get('tileSourceAttribution', '') } : null;
+    }
+
+    getBasemapUrl() {
+        return this.getTileSource()?.url || CONFIG.MAP_TILE_URL;
+    }
+
+    getBasemapAttribution() {
+        const source = this.getTileSource();
+        return source ? source.attribution : CONFIG.MAP_ATTRIBUTION;
+    }
+
+    // Downloads every tile of the area not cached yet from the tile source.
+    // onProgress receives { total, done, failed, bytes } while it runs;
+    // cancel() stops it.
+    async seed(bounds, minZoom, maxZoom, onProgress = () => {}) {
+        if (!this.isSupported()) throw new Error('Browser tidak mendukung Cache Storage');
+        if (this.seeding) throw new Error('Pengunduhan ubin sedang berjalan');
+
+        const source = this.getTileSource();
+        if (!source) {
+            throw new Error('Atur sumber ubin yang mengizinkan unduhan massal, atau gunakan peta dasar MBTiles');
+        }
+        if (!allowsBulkDownload(source.url)) {
+            throw new Error('Server ubin ini tidak mengizinkan unduhan massal; gunakan sumber lain atau MBTiles');
+        }
+        const total = countTiles(bounds, minZoom, maxZoom);
+        if (total > CONFIG.TILE_SEED_MAX_TILES) {
+            throw new Error(`Area terlalu besar: ${total.toLocaleString('id-ID')} ubin, maksimal ${CONFIG.TILE_SEED_MAX_TILES.toLocaleString('id-ID')}. Perkecil area atau zoom maksimal.`);
+        }
+
+        performanceMonitor.startTiming('tileSeed');
+        const controller = new AbortController();
+        this.seeding = controller;
+
+        const progress = { total, done: 0, failed: 0, bytes: 0 };
+        const tiles = tilesInBounds(bounds, minZoom, maxZoom);
+
+        try {
+            const cache = await caches.open(CONFIG.TILE_CACHE_NAME);
+            const worker = async () => {
+                // Workers share one iterator, so next() rather than for...of,
+                // whose early exit would close it for the others
+                for (let item = tiles.next(); !item.done && !controller.signal.aborted; item = tiles.next()) {
+                    const url = tileUrl(source.url, item.value);
+                    try {
+                        if (!(await cache.match(tileCacheKey(url)))) {
+                            const response = await fetch(url, { mode: 'cors', signal: controller.signal });
+                            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+                            const blob = await response.blob();
+                            await cache.put(tileCacheKey(url), new Response(blob, { headers: { 'Content-Type': blob.type } }));
+                            progress.bytes += blob.size;
+                        }
+                    } catch (error) {
+                        if (controller.signal.aborted) return;
+                        progress.failed++;
+                    }
+                    progress.done++;
+                    onProgress({ ...progress });
+                }
+            };
+            await Promise.all(Array.from({ length: SEED_CONCURRENCY }, worker));
+
+            return { ...progress, cancelled: controller.signal.aborted };
+        } finally {
+            this.seeding = null;
+            performanceMonitor.endTiming('tileSeed');
+        }
+    }
+
+    cancel() {
+        this.seeding?.abort();
+    }
+
+    // Basemap tile image for drawing on a canvas: from the MBTiles basemap when
+    // one is loaded, else the tile cache, else the tile server. Null when missing.
+    async getTileBlob(z, x, y) {
+        const basemap = await this.loadBasemap().catch(() => null);
+        if (basemap) {
+            const data = basemap.getTile(z, x, y);
+            return data ? new Blob([data], { type: basemap.mimeType }) : null;
+        }
+
+        const url = tileUrl(this.getBasemapUrl(), { z, x, y });
+        if (this.isSupported()) {
+            for (const name of [CONFIG.TILE_CACHE_NAME, CONFIG.TILE_VIEW_CACHE_NAME]) {
+                const cached = await (await caches.open(name)).match(tileCacheKey(url));
+                if (cached) return cached.blob();
+            }
+        }
+
+        const response = await fetch(url, { mode: 'cors' });
+        return response.ok ? response.blob() : null;
+    }
+
+    async countCachedTiles() {
+        if (!this.isSupported()) return 0;
+
+        let count = 0;
+        for (const name of [CONFIG.TILE_CACHE_NAME, CONFIG.TILE_VIEW_CACHE_NAME]) {
+            if (await caches.has(name)) count += (await (await caches.open(name)).keys()).length;
+        }
+        return count;
+    }
+
+    async clear() {
+        if (!this.isSupported()) return;
+        await caches.delete(CONFIG.TILE_CACHE_NAME);
+        await caches.delete(CONFIG.TILE_VIEW_CACHE_NAME);
+    }
+
+    // The MBTiles basemap from the files store, or null when none was loaded
+    async loadBasemap() {
+        if (this.basemap) return this.basemap;
+
+        const file = await dbManager.getFile(CONFIG.MBTILES_KEY);
+        if (!file) return null;
+
+        this.basemap = await MBTilesSource.open(file);
+        this.basemap.fileName = file.name;
+        return this.basemap;
+    }
+
+    async importMBTiles(file) {
+        performanceMonitor.startTiming('mbtilesImport');
+
+        try {
+            if (!file.name.toLowerCase().endsWith('.mbtiles')) {
+                throw new Error('Peta dasar offline harus berupa file .mbtiles');
+            }
+
+            // Opened first so that an unusable file is never stored
+            const source = await MBTilesSource.open(file);
+            await dbManager.saveFile(CONFIG.MBTILES_KEY, file, {
+                originalName: file.name,
+                uploadDate: new Date().toISOString()
+            });
+
+            this.basemap?.close();
+            this.basemap = source;
+            this.basemap.fileName = file.name;
+            return source;
+        } finally {
+            performanceMonitor.endTiming('mbtilesImport');
+        }
+    }
+
+    async removeMBTiles() {
+        await dbManager.deleteFile(CONFIG.MBTILES_KEY);
+        this.basemap?.close();
+        this.basemap = null;
+    }
+}
+
+export const tileCache = new TileCacheService();
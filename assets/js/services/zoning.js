@@ -0,0 +1,309 @@
+/**
+ * RTRW Zoning
+ * Overlays the parcel on the official pola ruang (zoning) map: the zones it
+ * falls in, with the area and share of each
+ */
+
+import { CONFIG } from '../config.js';
+import { performanceMonitor, FileProcessor } from '../utils/performance.js';
+import { dbManager } from '../core/storage.js';
+import { perdaReferenceManager } from '../data/perda-references.js';
+import { measureParcel, polygonsOf, boundsOf, boundsOverlap, distanceToSegment, isInside } from './geometry.js';
+import { segmentIntersection } from './geometry-validation.js';
+import { convertShapefile } from './shapefile-import.js';
+import { WGS84, detectCrsFromGeoJSON, looksGeographic, reprojectGeoJSON } from './crs.js';
+
+const ZONE_PROPERTY_PATTERN = /^(kode_?zona|kd_?zona|zona|kode|kode_?pola|pola_?ruang|namobj|zone|zoning)$/i;
+
+// Zones covering less than this share of the parcel are digitising slivers
+const MIN_ZONE_SHARE = 0.0001;
+
+// Nearby zones drawn around the parcel, in degrees
+const DISPLAY_MARGIN = 0.02;
+
+// Usual pola ruang colours per Perda zone type
+const ZONE_TYPE_COLORS = {
+    perumahan: '#f9e04b',
+    perdagangan: '#e53935',
+    industri: '#8e24aa',
+    perkantoran: '#1e88e5',
+    fasilitas_umum: '#8d6e63',
+    rth: '#43a047'
+};
+const FALLBACK_COLORS = ['#26a69a', '#ff7043', '#5c6bc0', '#9ccc65', '#ec407a', '#78909c'];
+
+function planarRingArea(points) {
+    let sum = 0;
+    points.forEach(([x1, y1], i) => {
+        const [x2, y2] = points[(i + 1) % points.length];
+        sum += x1 * y2 - x2 * y1;
+    });
+    return sum / 2;
+}
+
+// Boundary edges with outer rings counter-clockwise and holes clockwise,
+// relative to origin to keep the cross products small
+function orientedEdges(polygons, origin) {
+    const edges = [];
+    polygons.forEach(rings => rings.forEach((ring, ringIndex) => {
+        const points = ring.map(([x, y]) => [x - origin[0], y - origin[1]]);
+        if (points.length > 1 && points[0][0] === points[points.length - 1][0] && points[0][1] === points[points.length - 1][1]) {
+            points.pop();
+        }
+        if ((planarRingArea(points) > 0) !== (ringIndex === 0)) points.reverse();
+
+        points.forEach((point, i) => {
+            const next = points[(i + 1) % points.length];
+            if (point[0] !== next[0] || point[1] !== next[1]) edges.push([point, next]);
+        });
+    }));
+    return edges;
+}
+
+// Part of ½∮(x dy − y dx) along edges that lies on the boundary of the
+// intersection: pieces inside the other polygon, and shared pieces that
+// keepShared accepts
+function boundaryIntegral(edges, otherEdges, tolerance, keepShared) {
+    let sum = 0;
+    edges.forEach(edge => {
+        const [p, q] = edge;
+        const dx = q[0] - p[0];
+        const dy = q[1] - p[1];
+        const at = (t) => [p[0] + t * dx, p[1] + t * dy];
+
+        // Cut where the other boundary crosses or runs along this edge
+        const cuts = [0, 1];
+        otherEdges.forEach(([a, b]) => {
+            const hit = segmentIntersection(p, q, a, b);
+            if (hit) cuts.push(hit.t);
+            [a, b].forEach(v => {
+                if (distanceToSegment(v, p, q) <= tolerance) {
+                    cuts.push(((v[0] - p[0]) * dx + (v[1] - p[1]) * dy) / (dx * dx + dy * dy));
+                }
+            });
+        });
+        const ts = [...new Set(cuts.filter(t => t >= 0 && t <= 1))].sort((a, b) => a - b);
+
+        for (let i = 0; i + 1 < ts.length; i++) {
+            if (ts[i + 1] - ts[i] < 1e-12) continue;
+
+            const middle = at((ts[i] + ts[i + 1]) / 2);
+            const shared = otherEdges.find(([a, b]) => distanceToSegment(middle, a, b) <= tolerance);
+            if (shared ? keepShared(edge, shared) : isInside(middle, otherEdges)) {
+                const [x1, y1] = at(ts[i]);
+                const [x2, y2] = at(ts[i + 1]);
+                sum += x1 * y2 - x2 * y1;
+            }
+        }
+    });
+    return sum / 2;
+}
+
+// Planar area of the intersection of two sets of polygons (coordinate arrays
+// as in a MultiPolygon), from the boundary of the intersection (Green's theorem).
+// Boundaries shared by both count once when they face the same way.
+export function intersectionArea(polygonsA, polygonsB) {
+    const origin = polygonsA[0]?.[0]?.[0];
+    if (!origin || polygonsB.length === 0) return 0;
+
+    const a = orientedEdges(polygonsA, origin);
+    const b = orientedEdges(polygonsB, origin);
+    const [minX, minY, maxX, maxY] = boundsOf(polygonsA);
+    const tolerance = Math.max(maxX - minX, maxY - minY) * 1e-9;
+    const sameDirection = ([p, q], [r, s]) => (q[0] - p[0]) * (s[0] - r[0]) + (q[1] - p[1]) * (s[1] - r[1]) > 0;
+
+    const area = boundaryIntegral(a, b, tolerance, sameDirection) + boundaryIntegral(b, a, tolerance, () => false);
+    return Math.max(0, area);
+}
+
+// Attribute holding the zone code: the one whose values are codes known from
+// the Perda, else one named like a zone code column
+export function guessZoneProperty(geojson) {
+    const keys = [...new Set((geojson?.features || []).flatMap(feature => Object.keys(feature.properties || {})))];
+    if (keys.length === 0) return null;
+
+    const knownCount = (key) => geojson.features
+        .filter(feature => perdaReferenceManager.getZonasiInfo(String(feature.properties?.[key] ?? '').trim().toUpperCase()))
+        .length;
+    const best = keys.map(key => ({ key, count: knownCount(key) })).sort((x, y) => y.count - x.count)[0];
+    if (best.count > 0) return best.key;
+
+    return keys.find(key => ZONE_PROPERTY_PATTERN.test(key)) || null;
+}
+
+export function zoneCode(feature, zoneProperty) {
+    return String(feature.properties?.[zoneProperty] ?? '').trim().toUpperCase() || 'TANPA KODE';
+}
+
+export function zoneColor(code) {
+    const type = perdaReferenceManager.getZonasiInfo(code)?.type;
+    if (ZONE_TYPE_COLORS[type]) return ZONE_TYPE_COLORS[type];
+
+    const hash = [...code].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+    return FALLBACK_COLORS[hash % FALLBACK_COLORS.length];
+}
+
+// Zones under the parcel with their share of it; areas are the shares of the
+// geodesic parcel area. Null when the parcel has no polygon.
+export function detectZones(parcelGeoJSON, zoningGeoJSON, zoneProperty) {
+    const parcel = (parcelGeoJSON?.features || []).flatMap(feature => polygonsOf(feature.geometry));
+    if (parcel.length === 0) return null;
+
+    const parcelBounds = boundsOf(parcel);
+    const parcelArea = intersectionArea(parcel, parcel);
+    const measuredArea = measureParcel(parcelGeoJSON)?.area || 0;
+
+    const overlapByCode = new Map();
+    (zoningGeoJSON?.features || []).forEach(feature => {
+        const polygons = polygonsOf(feature.geometry);
+        if (polygons.length === 0 || !boundsOverlap(parcelBounds, boundsOf(polygons))) return;
+
+        const overlap = intersectionArea(parcel, polygons);
+        if (overlap > 0) {
+            const code = zoneCode(feature, zoneProperty);
+            overlapByCode.set(code, (overlapByCode.get(code) || 0) + overlap);
+        }
+    });
+
+    const zones = [...overlapByCode]
+        .map(([code, overlap]) => {
+            const share = Math.min(1, overlap / parcelArea);
+            return { code, share, area: share * measuredArea, info: perdaReferenceManager.getZonasiInfo(code) };
+        })
+        .filter(zone => zone.share >= MIN_ZONE_SHARE)
+        .sort((x, y) => y.share - x.share);
+
+    return {
+        zones,
+        area: measuredArea,
+        coveredShare: Math.min(1, zones.reduce((sum, zone) => sum + zone.share, 0))
+    };
+}
+
+// Rows for analisis_zona. A zone is SESUAI when the planned use maps to it in
+// the Perda; anything else is left BERSYARAT for the officer to decide.
+export function zonesToAnalisisZona(detection, peruntukan = '') {
+    const allowedCodes = (peruntukan && perdaReferenceManager.getKetentuanTeknis(peruntukan)?.zonasi.kode) || [];
+    const number = (value) => value.toLocaleString('id-ID', { maximumFractionDigits: 2 });
+
+    return (detection?.zones || []).map(zone => {
+        const sesuai = allowedCodes.includes(zone.code);
+        return {
+            zona: zone.code,
+            zona_id: zone.code,
+            peruntukan: zone.info?.deskripsi || zone.code,
+            kesesuaian: sesuai ? 'SESUAI' : 'BERSYARAT',
+            keterangan: `${number(zone.area)} m² (${number(zone.share * 100)}% luas bidang) menurut peta pola ruang.`
+                + (sesuai ? '' : ' Kesesuaian peruntukan perlu diverifikasi.'),
+            luas: Math.round(zone.area * 100) / 100,
+            persentase: Math.round(zone.share * 10000) / 100,
+            sumber: 'peta_pola_ruang'
+        };
+    });
+}
+
+// Zone features near the parcel, enough to draw around it
+export function zonesAround(zoningGeoJSON, parcelGeoJSON, margin = DISPLAY_MARGIN) {
+    const parcel = (parcelGeoJSON?.features || []).flatMap(feature => polygonsOf(feature.geometry));
+    if (parcel.length === 0) return { type: 'FeatureCollection', features: [] };
+
+    const parcelBounds = boundsOf(parcel);
+    return {
+        type: 'FeatureCollection',
+        features: (zoningGeoJSON?.features || []).filter(feature => {
+            const polygons = polygonsOf(feature.geometry);
+            return polygons.length > 0 && boundsOverlap(parcelBounds, boundsOf(polygons), margin);
+        })
+    };
+}
+
+// Reference map layers (zoning, rivers, roads) from GeoJSON or a zipped
+// Shapefile, converted to WGS84
+export async function readReferenceLayerFile(file) {
+    const name = file.name.toLowerCase();
+    if (name.endsWith('.zip') || name.endsWith('.shp')) {
+        return (await convertShapefile(file)).geojson;
+    }
+    if (!name.endsWith('.json') && !name.endsWith('.geojson')) {
+        throw new Error('Lapisan peta harus berupa GeoJSON atau Shapefile (.zip)');
+    }
+
+    const data = JSON.parse(await FileProcessor.readFileAsText(file));
+    const crs = detectCrsFromGeoJSON(data) || (looksGeographic(data) ? WGS84 : null);
+    if (!crs) {
+        throw new Error('Sistem koordinat lapisan peta tidak diketahui. Gunakan GeoJSON WGS 84 atau Shapefile dengan .prj.');
+    }
+    return reprojectGeoJSON(data, crs);
+}
+
+// The zoning map is shared by every project and kept in the files store
+export class ZoningLayerService {
+    constructor() {
+        this.layer = null;
+    }
+
+    // { name, importedAt, zoneProperty, geojson } or null when none was loaded
+    async load() {
+        if (this.layer) return this.layer;
+
+        const blob = await dbManager.getFile(CONFIG.ZONING_LAYER_KEY);
+        this.layer = blob ? JSON.parse(await blob.text()) : null;
+        return this.layer;
+    }
+
+    async save(layer) {
+        const blob = new Blob([JSON.stringify(layer)], { type: 'application/json' });
+        await dbManager.saveFile(CONFIG.ZONING_LAYER_KEY, blob, {
+            originalName: layer.name,
+            uploadDate: layer.importedAt
+        });
+        this.layer = layer;
+        return layer;
+    }
+
+    // GeoJSON or zipped Shapefile, converted to WGS84; only polygons are kept
+    async importFile(file) {
+        performanceMonitor.startTiming('zoningImport');
+
+        try {
+            const geojson = await readReferenceLayerFile(file);
+            const features = geojson.features.filter(feature => polygonsOf(feature.geometry).length > 0);
+            if (features.length === 0) {
+                throw new Error('Peta pola ruang tidak berisi poligon');
+            }
+
+            const polygons = { type: 'FeatureCollection', features };
+            return await this.save({
+                name: file.name,
+                importedAt: new Date().toISOString(),
+                zoneProperty: guessZoneProperty(polygons),
+                geojson: polygons
+            });
+        } finally {
+            performanceMonitor.endTiming('zoningImport');
+        }
+    }
+
+    async setZoneProperty(zoneProperty) {
+        const layer = await this.load();
+        if (layer) await this.save({ ...layer, zoneProperty });
+    }
+
+    async remove() {
+        await dbManager.deleteFile(CONFIG.ZONING_LAYER_KEY);
+        this.layer = null;
+    }
+
+    // Attribute names of the loaded map, to choose the zone code column
+    getProperties() {
+        return [...new Set((this.layer?.geojson.features || []).flatMap(feature => Object.keys(feature.properties || {})))];
+    }
+
+    async detect(parcelGeoJSON) {
+        const layer = await this.load();
+        if (!layer?.zoneProperty) return null;
+        return detectZones(parcelGeoJSON, layer.geojson, layer.zoneProperty);
+    }
+}
+
+export const zoningLayer = new ZoningLayerService();
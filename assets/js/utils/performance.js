@@ -412,6 +412,16 @@ export class FileProcessor {
         });
     }
 
+    static formatFileSize(bytes) {
+        if (!bytes) return '0 Bytes';
+        
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+        
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+
     static validateFileSize(file, maxSize) {
         return file.size <= maxSize;
     }
@@ -442,6 +452,26 @@ export class FileProcessor {
     }
 }
 
+// Load a CDN script once; repeated calls share the same promise
+const scriptPromises = new Map();
+
+export function loadScript(src) {
+    if (!scriptPromises.has(src)) {
+        scriptPromises.set(src, new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => {
+                scriptPromises.delete(src);
+                script.remove();
+                reject(new Error(`Failed to load script: ${src}`));
+            };
+            document.head.appendChild(script);
+        }));
+    }
+    return scriptPromises.get(src);
+}
+
 // Create global performance monitor instance
 export const performanceMonitor = new PerformanceMonitor();
 
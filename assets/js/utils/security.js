@@ -13,6 +13,18 @@ export class SecurityUtils {
         return div.innerHTML;
     }
 
+    // Escape text for use inside a quoted HTML attribute
+    static escapeAttribute(input) {
+        if (input === null || input === undefined) return '';
+        
+        return String(input)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
     // Validate email format
     static validateEmail(email) {
         if (!email) return false;
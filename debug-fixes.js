@@ -136,7 +136,7 @@ window.debugKRK = {
             }
         };
         
-        const success = projectStorage.addProject(testProject);
+        const success = await projectStorage.addProject(testProject);
         console.log('Test project created:', success);
         
         return testProject;
@@ -1,3 +1,14 @@
+// Basemap tiles are served cache-first so the map still shows offline.
+// The cache names and key rule match CONFIG.TILE_CACHE_NAME,
+// CONFIG.TILE_VIEW_CACHE_NAME and tileCacheKey() in
+// assets/js/services/tile-cache.js, which seeds the first cache.
+const TILE_CACHE = 'krk-tiles-v1';
+const VIEWED_TILE_CACHE = 'krk-tiles-viewed-v1';
+const VIEWED_TILE_LIMIT = 2000; // ± 30 MB of viewed tiles, oldest evicted first
+const TILE_URL_PATTERN = /^https?:\/\/[^/]+\/(.+\/)?\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp)(\?.*)?$/i;
+
+const tileCacheKey = url => url.replace(/^(https?:\/\/)[abc]\./, '$1');
+
 self.addEventListener('install', event => {
   console.log('Service worker installing...');
   // Cache assets if needed
@@ -7,7 +18,46 @@ self.addEventListener('activate', event => {
   console.log('Service worker activating...');
 });
 
+// Cache keys are listed oldest first, so the cache drops its oldest tiles.
+// Trimmed on the first put after the worker starts, then every TRIM_INTERVAL.
+const TRIM_INTERVAL = 50;
+let putsUntilTrim = 0;
+async function trimViewedTiles(cache) {
+  putsUntilTrim = TRIM_INTERVAL;
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - VIEWED_TILE_LIMIT)).map(key => cache.delete(key)));
+}
+
+// Tiles seen while online are kept too, up to a limit, so areas already
+// viewed work offline
+async function handleTileRequest(request) {
+  const key = tileCacheKey(request.url);
+
+  for (const name of [TILE_CACHE, VIEWED_TILE_CACHE]) {
+    const cached = await (await caches.open(name)).match(key);
+    if (cached) return cached;
+  }
+
+  try {
+    const response = await fetch(request.url, { mode: 'cors' });
+    if (response.ok) {
+      const cache = await caches.open(VIEWED_TILE_CACHE);
+      await cache.put(key, response.clone());
+      if (putsUntilTrim-- <= 0) await trimViewedTiles(cache);
+    }
+    return response;
+  } catch (error) {
+    // An empty tile rather than an error image
+    return new Response('', { status: 504, statusText: 'Tile not cached' });
+  }
+}
+
 self.addEventListener('fetch', event => {
+  if (event.request.method === 'GET' && TILE_URL_PATTERN.test(event.request.url)) {
+    event.respondWith(handleTileRequest(event.request));
+    return;
+  }
+
   // Handle fetch events
   event.respondWith(
     fetch(event.request)
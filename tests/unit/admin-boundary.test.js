@@ -0,0 +1,212 @@
+/**
+ * Administrative Boundary Tests
+ */
+
+import {
+    guessAdminNameProperty,
+    guessParentProperty,
+    kabupatenFeatures,
+    kabupatenOutline,
+    normalizeAdminName,
+    parseAddressAdmin,
+    extractedAdministrative,
+    compareAdminName,
+    compareAdministrative,
+    applyAdministrative,
+    administrativeCommand,
+    lookupAdministrative
+} from '../../assets/js/services/admin-boundary.js';
+import { applyCommand } from '../../assets/js/core/undo-stack.js';
+import { rectangle, feature, collection } from './helpers/geojson.js';
+
+// Two kecamatan side by side, the western one split into two desa
+const kecamatanLayer = collection(
+    feature({ WADMKC: 'TAROGONG KIDUL', WADMKK: 'Garut' }, rectangle(107.88, -7.22, 107.90, -7.20)),
+    feature({ WADMKC: 'GARUT KOTA', WADMKK: 'Garut' }, rectangle(107.90, -7.22, 107.92, -7.20))
+);
+const desaLayer = collection(
+    feature({ NAMOBJ: 'Sukagalih', WADMKC: 'Tarogong Kidul' }, rectangle(107.88, -7.22, 107.89, -7.20)),
+    feature({ NAMOBJ: 'Jayaraga', WADMKC: 'Tarogong Kidul' }, rectangle(107.89, -7.22, 107.90, -7.20))
+);
+const outline = kabupatenOutline(kecamatanLayer.features);
+const layers = {
+    kecamatan: { nameProperty: 'WADMKC', outline, geojson: kecamatanLayer },
+    desa: { nameProperty: 'NAMOBJ', parentProperty: 'WADMKC', outline: kabupatenOutline(desaLayer.features), geojson: desaLayer }
+};
+const parcel = (...coordinates) => collection(feature({}, coordinates));
+
+describe('Boundary layers', () => {
+    test('should find the name columns of BIG boundary layers', () => {
+        expect(guessAdminNameProperty(kecamatanLayer, 'kecamatan')).toBe('WADMKC');
+        expect(guessAdminNameProperty(desaLayer, 'desa')).toBe('NAMOBJ');
+        expect(guessAdminNameProperty(collection(feature({ WADMKD: 'Sukagalih', WADMKC: 'Tarogong Kidul' }, rectangle(0, 0, 1, 1))), 'desa')).toBe('WADMKD');
+        expect(guessParentProperty(desaLayer)).toBe('WADMKC');
+        expect(guessParentProperty(collection(feature({ NAMOBJ: 'Sukagalih' }, rectangle(0, 0, 1, 1))))).toBeNull();
+    });
+
+    test('should keep only the kabupaten from a province-wide layer', () => {
+        const province = collection(
+            feature({ WADMKC: 'Garut Kota', WADMKK: 'Kabupaten Garut' }, rectangle(0, 0, 1, 1)),
+            feature({ WADMKC: 'Cibeunying', WADMKK: 'Kota Bandung' }, rectangle(1, 0, 2, 1))
+        );
+        expect(kabupatenFeatures(province).map(f => f.properties.WADMKC)).toEqual(['Garut Kota']);
+    });
+
+    test('should refuse a layer that does not hold the kabupaten', () => {
+        const bandung = collection(feature({ WADMKC: 'Cibeunying', WADMKK: 'Kota Bandung' }, rectangle(1, 0, 2, 1)));
+        expect(() => kabupatenFeatures(bandung)).toThrow(/tidak berisi wilayah Kabupaten Garut/);
+    });
+
+    test('should take a layer without a kabupaten column when it lies within the kabupaten', () => {
+        expect(kabupatenFeatures(desaLayer)).toHaveLength(2);
+
+        const elsewhere = collection(feature({ NAMOBJ: 'Cibeunying' }, rectangle(107.60, -6.92, 107.65, -6.88)));
+        expect(() => kabupatenFeatures(elsewhere)).toThrow(/tanpa kolom kabupaten/);
+    });
+
+    test('should keep the kabupaten outline from its units', () => {
+        expect(outline.type).toBe('MultiPolygon');
+        expect(outline.coordinates).toEqual(kecamatanLayer.features.map(f => f.geometry.coordinates));
+    });
+});
+
+describe('Address names', () => {
+    test('should read kecamatan and desa from an address', () => {
+        expect(parseAddressAdmin('Jl. Merdeka No. 5, RT 01/RW 02, Desa Sukagalih, Kec. Tarogong Kidul, Kab. Garut'))
+            .toEqual({ kecamatan: 'Tarogong Kidul', desa: 'Sukagalih' });
+        expect(parseAddressAdmin('Kel. Jayaraga Kecamatan TAROGONG KIDUL')).toEqual({ kecamatan: 'Tarogong Kidul', desa: 'Jayaraga' });
+        expect(parseAddressAdmin('Jl. Cimanuk')).toEqual({ kecamatan: '', desa: '' });
+        expect(normalizeAdminName('KEC.  GARUT   KOTA')).toBe('Garut Kota');
+    });
+
+    test('should prefer the extracted fields over the address', () => {
+        expect(extractedAdministrative({
+            lokasi_proyek: { kecamatan: 'garut kota', alamat_lengkap: 'Desa Sukagalih, Kec. Tarogong Kidul' }
+        })).toEqual({ kecamatan: 'Garut Kota', desa: 'Sukagalih' });
+        expect(extractedAdministrative(null)).toEqual({ kecamatan: '', desa: '' });
+    });
+
+    test('should tell misspellings from different names', () => {
+        expect(compareAdminName('Tarogong Kidul', 'TAROGONG KIDUL')).toBe('sama');
+        expect(compareAdminName('Tarogog Kidul', 'Tarogong Kidul')).toBe('ejaan');
+        expect(compareAdminName('Garut Kota', 'Tarogong Kidul')).toBe('beda');
+        expect(compareAdminName('', 'Tarogong Kidul')).toBeNull();
+
+        const mismatches = compareAdministrative(
+            { kecamatan: 'Garut Kota', desa: 'Sukagalh' },
+            { kecamatan: { name: 'Tarogong Kidul' }, desa: { name: 'Sukagalih' } }
+        );
+        expect(mismatches.map(({ level, kind }) => [level, kind])).toEqual([['kecamatan', 'beda'], ['desa', 'ejaan']]);
+    });
+});
+
+describe('Lookup', () => {
+    test('should find the kecamatan and desa holding the parcel', () => {
+        const result = lookupAdministrative(parcel(rectangle(107.882, -7.212, 107.884, -7.210)[0]), layers);
+
+        expect(result.kecamatan.name).toBe('Tarogong Kidul');
+        expect(result.desa.name).toBe('Sukagalih');
+        expect(result.desa.others).toEqual([]);
+        expect(result.inside).toBe(true);
+        expect(result.partial).toBe(false);
+    });
+
+    test('should report a parcel across a desa boundary by its larger part', () => {
+        // Three quarters in Jayaraga, a quarter in Sukagalih
+        const result = lookupAdministrative(parcel(rectangle(107.8895, -7.212, 107.8915, -7.210)[0]), layers);
+
+        expect(result.desa.name).toBe('Jayaraga');
+        expect(result.desa.share).toBeCloseTo(0.75, 3);
+        expect(result.desa.others[0].name).toBe('Sukagalih');
+        expect(result.desa.others[0].share).toBeCloseTo(0.25, 3);
+    });
+
+    test('should take the kecamatan from the desa layer when there is no kecamatan layer', () => {
+        const result = lookupAdministrative(parcel(rectangle(107.882, -7.212, 107.884, -7.210)[0]), { desa: layers.desa });
+        expect(result.kecamatan.name).toBe('Tarogong Kidul');
+    });
+
+    test('should test coverage against the kabupaten outline rather than the units found', () => {
+        // Desa known only in the west, but the outline is the whole kabupaten
+        const result = lookupAdministrative(
+            parcel(rectangle(107.91, -7.212, 107.912, -7.210)[0]),
+            { desa: { ...layers.desa, outline } }
+        );
+
+        expect(result.desa).toBeNull();
+        expect(result.coverage).toBeCloseTo(1, 6);
+        expect(result.inside).toBe(true);
+    });
+
+    test('should flag parcels outside the kabupaten', () => {
+        const outside = lookupAdministrative(parcel(rectangle(108.5, -7.0, 108.502, -6.998)[0]), layers);
+        expect(outside.inside).toBe(false);
+        expect(outside.kecamatan).toBeNull();
+
+        // Straddling the southern edge, 40% inside
+        const edge = lookupAdministrative(parcel(rectangle(107.882, -7.223, 107.884, -7.218)[0]), layers);
+        expect(edge.coverage).toBeCloseTo(0.4, 3);
+        expect(edge.inside).toBe(false);
+
+        // A marker point instead of a polygon
+        const point = lookupAdministrative(collection({ type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [107.91, -7.21] } }), layers);
+        expect(point.kecamatan.name).toBe('Garut Kota');
+        expect(point.inside).toBe(true);
+    });
+});
+
+describe('Filling lokasi_proyek', () => {
+    const lookup = { kecamatan: { name: 'Tarogong Kidul' }, desa: { name: 'Sukagalih' } };
+
+    test('should fill the location and keep the names read from the letter', () => {
+        const analysis = { lokasi_proyek: { kecamatan: 'Tarogog Kidul', alamat_lengkap: 'Desa Sukagalh' } };
+        const filled = applyAdministrative(analysis, lookup);
+
+        expect(filled.lokasi_proyek).toEqual({
+            kecamatan: 'Tarogong Kidul',
+            kelurahan: 'Sukagalih',
+            kabupaten: 'Kabupaten Garut',
+            provinsi: 'Jawa Barat',
+            alamat_lengkap: 'Desa Sukagalh'
+        });
+        expect(filled.batas_administrasi.tertulis).toEqual({ kecamatan: 'Tarogog Kidul', desa: 'Sukagalh' });
+    });
+
+    test('should compare against lokasi_proyek', () => {
+        const analysis = { lokasi_proyek: { kecamatan: 'Tarogong Kidul', kelurahan: 'Sukagalih', kabupaten: 'Kabupaten Garut', provinsi: 'Jawa Barat' } };
+        expect(applyAdministrative(analysis, lookup)).toBeNull();
+
+        // An AI merge that wrote the letter's names back is filled again,
+        // keeping the names first recorded
+        const merged = {
+            lokasi_proyek: { ...analysis.lokasi_proyek, kelurahan: 'Sukagalh' },
+            batas_administrasi: { kecamatan: 'Tarogong Kidul', kelurahan: 'Sukagalih', tertulis: { kecamatan: 'Tarogog Kidul', desa: 'Sukagalh' } }
+        };
+        const filled = applyAdministrative(merged, lookup);
+        expect(filled.lokasi_proyek.kelurahan).toBe('Sukagalih');
+        expect(filled.batas_administrasi.tertulis.kecamatan).toBe('Tarogog Kidul');
+    });
+});
+
+describe('Filling lokasi_proyek as an undo step', () => {
+    const lookup = { kecamatan: { name: 'Tarogong Kidul' }, desa: { name: 'Sukagalih' }, inside: true };
+
+    test('should fill and restore the location', () => {
+        const project = { analysisResult: { lokasi_proyek: { kecamatan: 'Garut Kota', alamat_lengkap: 'Jl. Cimanuk' } } };
+        const command = administrativeCommand(project.analysisResult, lookup);
+
+        applyCommand(project, command, 'redo');
+        expect(project.analysisResult.lokasi_proyek.kecamatan).toBe('Tarogong Kidul');
+        expect(project.analysisResult.batas_administrasi.tertulis.kecamatan).toBe('Garut Kota');
+
+        applyCommand(project, command, 'undo');
+        expect(project.analysisResult.lokasi_proyek).toEqual({ kecamatan: 'Garut Kota', alamat_lengkap: 'Jl. Cimanuk' });
+        expect(project.analysisResult.batas_administrasi).toBeUndefined();
+    });
+
+    test('should leave projects without an analysis or outside the kabupaten alone', () => {
+        expect(administrativeCommand(undefined, lookup)).toBeNull();
+        expect(administrativeCommand({ lokasi_proyek: {} }, { ...lookup, inside: false })).toBeNull();
+        expect(administrativeCommand({ lokasi_proyek: {} }, null)).toBeNull();
+    });
+});
@@ -0,0 +1,204 @@
+/**
+ * Backup Service Tests
+ */
+
+import './helpers/web-platform.js';
+import JSZip from 'jszip';
+import { CONFIG, ERROR_MESSAGES } from '../../assets/js/config.js';
+import { dbManager, projectStorage, settingsStorage, vaultStorage } from '../../assets/js/core/storage.js';
+import { vault } from '../../assets/js/core/vault.js';
+import { backupService, sha256Hex } from '../../assets/js/services/backup-service.js';
+
+const storedProjectIds = async () => (await dbManager.getAllRecords(CONFIG.PROJECT_STORE_NAME)).map(p => p.id).sort();
+
+// Rewrites one entry of a backup archive without touching its manifest
+async function tamper(blob, path, content) {
+    const zip = await JSZip.loadAsync(blob);
+    zip.file(path, content);
+    return zip.generateAsync({ type: 'blob' });
+}
+
+describe('BackupService', () => {
+    beforeAll(() => {
+        window.JSZip = JSZip;
+    });
+
+    beforeEach(async () => {
+        localStorage.clear();
+        await dbManager.writeRecords({
+            [CONFIG.PROJECT_STORE_NAME]: { clear: true, records: [] },
+            [CONFIG.FILE_STORE_NAME]: { clear: true, records: [] },
+            [CONFIG.HISTORY_STORE_NAME]: { clear: true, records: [] }
+        });
+        await projectStorage.reload();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should restore what was backed up, checked against the manifest', async () => {
+        await projectStorage.addProject({ id: 'p1', projectName: 'Gudang' });
+        // The test IndexedDB does not keep Blobs through structured cloning
+        const file = new Blob(['isi berkas'], { type: 'text/plain' });
+        jest.spyOn(dbManager, 'getAllFiles').mockResolvedValue([{ id: 'file_1', file, size: file.size, originalName: 'a.txt' }]);
+
+        const { blob, manifest } = await backupService.createBackup();
+        const zip = await JSZip.loadAsync(blob);
+        for (const entry of manifest.entries) {
+            const bytes = await zip.file(entry.path).async('uint8array');
+            expect(await sha256Hex(bytes)).toBe(entry.sha256);
+            expect(bytes.byteLength).toBe(entry.size);
+        }
+
+        const backup = await backupService.readBackup(blob);
+        expect(backup.projects.map(p => p.id)).toEqual(['p1']);
+        expect(backup.files).toHaveLength(1);
+        expect(backup.files[0].id).toBe('file_1');
+        expect(backup.files[0].size).toBe('isi berkas'.length);
+    });
+
+    test('should reject a tampered archive', async () => {
+        await projectStorage.addProject({ id: 'p1', projectName: 'Gudang' });
+        const { blob } = await backupService.createBackup();
+
+        const edited = await tamper(blob, 'data/projects.json', JSON.stringify({ projects: [] }));
+        await expect(backupService.readBackup(edited)).rejects.toThrow(/Checksum tidak cocok: data\/projects.json/);
+
+        const zip = await JSZip.loadAsync(blob);
+        zip.remove('data/history.json');
+        const missing = await zip.generateAsync({ type: 'blob' });
+        await expect(backupService.readBackup(missing)).rejects.toThrow(/Berkas hilang dari arsip/);
+    });
+
+    test('should reject a truncated archive', async () => {
+        await projectStorage.addProject({ id: 'p1', projectName: 'Gudang' });
+        const { blob } = await backupService.createBackup();
+
+        await expect(backupService.readBackup(blob.slice(0, Math.floor(blob.size / 2)))).rejects.toThrow(/bukan arsip ZIP/);
+    });
+
+    test('should roll back a restore whose write fails', async () => {
+        await projectStorage.addProject({ id: 'p1', projectName: 'Gudang' });
+        const backup = await backupService.readBackup((await backupService.createBackup()).blob);
+        await projectStorage.addProject({ id: 'p2', projectName: 'Toko' });
+
+        jest.spyOn(settingsStorage, 'import').mockReturnValue(false);
+        await expect(backupService.applyRestore(backup, 'replace')).rejects.toThrow(/Pemulihan gagal dan data dikembalikan/);
+
+        expect(await storedProjectIds()).toEqual(['p1', 'p2']);
+        expect(projectStorage.projects.map(p => p.id).sort()).toEqual(['p1', 'p2']);
+    });
+
+    test('should replace the stores on a successful restore', async () => {
+        await projectStorage.addProject({ id: 'p1', projectName: 'Gudang' });
+        const backup = await backupService.readBackup((await backupService.createBackup()).blob);
+        await projectStorage.addProject({ id: 'p2', projectName: 'Toko' });
+
+        await backupService.applyRestore(backup, 'replace');
+
+        expect(await storedProjectIds()).toEqual(['p1']);
+    });
+
+    describe('with the vault on', () => {
+        const passphrase = 'kata-sandi-uji';
+        const iterations = CONFIG.VAULT_PBKDF2_ITERATIONS;
+        const entryText = async (blob, path) => (await JSZip.loadAsync(blob)).file(path).async('string');
+
+        beforeAll(() => {
+            CONFIG.VAULT_PBKDF2_ITERATIONS = 1000;
+        });
+
+        afterAll(() => {
+            CONFIG.VAULT_PBKDF2_ITERATIONS = iterations;
+        });
+
+        beforeEach(async () => {
+            await projectStorage.addProject({ id: 'p1', projectName: 'Gudang Rahasia' });
+            await dbManager.writeRecords({
+                [CONFIG.HISTORY_STORE_NAME]: {
+                    records: [{ id: 'r1', projectId: 'p1', timestamp: 1, snapshot: { projectName: 'Gudang Rahasia' } }]
+                }
+            });
+            settingsStorage.set('geminiApiKey', 'AIza-kunci-rahasia');
+            await vaultStorage.enable(passphrase, { encryptProjects: true });
+        });
+
+        afterEach(async () => {
+            if (!vault.isUnlocked()) await vault.unlock(passphrase);
+            await vaultStorage.disable();
+        });
+
+        test('should refuse to back up while locked', async () => {
+            vault.lock();
+            await expect(backupService.createBackup()).rejects.toThrow(ERROR_MESSAGES.VAULT_LOCKED);
+        });
+
+        test('should refuse to back up an incomplete project list', async () => {
+            projectStorage.skippedProjects = [{ id: 'p9' }];
+            try {
+                await expect(backupService.createBackup()).rejects.toThrow(ERROR_MESSAGES.BACKUP_INCOMPLETE);
+            } finally {
+                projectStorage.skippedProjects = [];
+            }
+        });
+
+        test('should not write the API key in plaintext', async () => {
+            const { blob } = await backupService.createBackup();
+            const settings = JSON.parse(await entryText(blob, 'data/settings.json')).settings;
+
+            expect(JSON.stringify(settings)).not.toContain('AIza-kunci-rahasia');
+            expect(settings.geminiApiKey.__vault).toBe(1);
+        });
+
+        test('should seal projects and history like the stores', async () => {
+            const { blob, manifest } = await backupService.createBackup();
+            const projects = JSON.parse(await entryText(blob, 'data/projects.json')).projects;
+            const history = JSON.parse(await entryText(blob, 'data/history.json'));
+
+            expect(manifest.vault.salt).toBe(vault.getKeyParams().salt);
+            expect(Object.keys(projects[0]).sort()).toEqual(['id', 'lastModified', 'sealed', 'status']);
+            expect(Object.keys(history[0]).sort()).toEqual(['id', 'projectId', 'sealed', 'timestamp']);
+            expect(await entryText(blob, 'data/projects.json')).not.toContain('Gudang Rahasia');
+            expect(await entryText(blob, 'data/history.json')).not.toContain('Gudang Rahasia');
+
+            const backup = await backupService.readBackup(blob);
+            expect(backup.projects[0].projectName).toBe('Gudang Rahasia');
+            expect(backup.history[0].snapshot.projectName).toBe('Gudang Rahasia');
+            expect(backup.settings.settings.geminiApiKey).toBe('AIza-kunci-rahasia');
+        });
+
+        test('should ask for the passphrase of an archive sealed under another key', async () => {
+            const { blob } = await backupService.createBackup();
+            await vaultStorage.disable();
+            await vaultStorage.enable('kata-sandi-baru', { encryptProjects: true });
+
+            try {
+                await expect(backupService.readBackup(blob)).rejects.toThrow(ERROR_MESSAGES.BACKUP_PASSPHRASE_REQUIRED);
+                await expect(backupService.readBackup(blob, 'kata-sandi-baru')).rejects.toThrow(ERROR_MESSAGES.BACKUP_PASSPHRASE_WRONG);
+
+                const backup = await backupService.readBackup(blob, passphrase);
+                await backupService.applyRestore(backup, 'replace');
+
+                expect(projectStorage.projects[0].projectName).toBe('Gudang Rahasia');
+                expect(settingsStorage.get('geminiApiKey')).toBe('AIza-kunci-rahasia');
+                const stored = await new Promise(resolve => {
+                    const request = dbManager.db.transaction([CONFIG.PROJECT_STORE_NAME]).objectStore(CONFIG.PROJECT_STORE_NAME).get('p1');
+                    request.onsuccess = () => resolve(request.result);
+                });
+                expect(vault.isSealedRecord(stored)).toBe(true);
+            } finally {
+                await vaultStorage.disable();
+                await vaultStorage.enable(passphrase, { encryptProjects: true });
+            }
+        });
+
+        test('should refuse to restore while locked', async () => {
+            const backup = await backupService.readBackup((await backupService.createBackup()).blob);
+            vault.lock();
+
+            await expect(backupService.applyRestore(backup, 'replace')).rejects.toThrow(ERROR_MESSAGES.VAULT_LOCKED);
+        });
+    });
+});
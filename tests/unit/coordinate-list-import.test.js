@@ -0,0 +1,69 @@
+/**
+ * Coordinate List Import Tests
+ */
+
+import {
+    parseCsv,
+    parseCoordinateValue,
+    findCrs,
+    guessColumnMapping,
+    buildPoints,
+    buildParcelGeoJSON
+} from '../../assets/js/services/coordinate-list-import.js';
+
+describe('Coordinate list parsing', () => {
+    test('should read semicolon CSV with decimal commas and quoted fields', () => {
+        const rows = parseCsv('Titik;Bujur;Lintang\r\n"K 1";107,9083;-7,2011\r\nK2;107,9090;-7,2011\r\n\r\n');
+
+        expect(rows).toEqual([
+            ['Titik', 'Bujur', 'Lintang'],
+            ['K 1', '107,9083', '-7,2011'],
+            ['K2', '107,9090', '-7,2011']
+        ]);
+        expect(guessColumnMapping(rows[0])).toEqual({ id: 0, x: 1, y: 2, crs: null });
+    });
+
+    test('should parse separators and DMS values', () => {
+        expect(parseCoordinateValue('107,9083')).toBeCloseTo(107.9083);
+        expect(parseCoordinateValue('9.201.270,83')).toBeCloseTo(9201270.83);
+        expect(parseCoordinateValue('812,345.5')).toBeCloseTo(812345.5);
+        expect(parseCoordinateValue(`7°30'0" LS`)).toBeCloseTo(-7.5);
+        expect(parseCoordinateValue('abc')).toBeNull();
+
+        expect(findCrs('EPSG:32748').code).toBe('EPSG:32748');
+        expect(findCrs('UTM 48S').code).toBe('EPSG:32748');
+        expect(findCrs('tidak ada')).toBeNull();
+    });
+});
+
+describe('Parcel from coordinate list', () => {
+    const mapping = { id: 0, x: 1, y: 2, crs: null };
+
+    test('should report bad rows with their sheet row number', () => {
+        const { points, errors } = buildPoints([
+            ['Titik', 'X', 'Y'],
+            ['K1', '107.90', '-7.20'],
+            ['K2', '', '-7.20'],
+            ['K3', '-7.20', '107.90']
+        ], { mapping });
+
+        expect(points).toHaveLength(1);
+        expect(errors.map(error => error.row)).toEqual([3, 4]);
+    });
+
+    test('should keep point order and close the ring once', () => {
+        const { points } = buildPoints([
+            ['A', '107.90', '-7.20'],
+            ['B', '107.91', '-7.20'],
+            ['C', '107.91', '-7.21'],
+            ['A', '107.90', '-7.20']
+        ], { mapping, hasHeader: false });
+
+        const geojson = buildParcelGeoJSON(points);
+        const ring = geojson.features[0].geometry.coordinates[0];
+
+        expect(ring).toEqual([[107.9, -7.2], [107.91, -7.2], [107.91, -7.21], [107.9, -7.2]]);
+        expect(geojson.features[0].properties.titik).toBe('A, B, C');
+        expect(() => buildParcelGeoJSON(points.slice(0, 2))).toThrow();
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * CRS Tests
+ */
+
+import {
+    getCrs,
+    toWgs84,
+    fromWgs84,
+    detectCrsFromPrj,
+    detectCrsFromGeoJSON,
+    formatDms,
+    formatPoint,
+    WGS84
+} from '../../assets/js/services/crs.js';
+
+describe('Coordinate reference systems', () => {
+    const utm48s = getCrs('EPSG:32748');
+    const tm3 = getCrs('EPSG:23834');
+
+    test('should map the central meridian on the equator to the false origin', () => {
+        const [easting, northing] = fromWgs84(utm48s, [105, 0]);
+        expect(easting).toBeCloseTo(500000, 3);
+        expect(northing).toBeCloseTo(10000000, 3);
+
+        const [tmEasting, tmNorthing] = fromWgs84(tm3, [106.5, 0]);
+        expect(tmEasting).toBeCloseTo(200000, 3);
+        expect(tmNorthing).toBeCloseTo(1500000, 3);
+    });
+
+    test('should round-trip Garut coordinates through UTM and TM-3', () => {
+        const garut = [107.9083, -7.2167];
+
+        [utm48s, tm3].forEach(crs => {
+            const [lon, lat] = toWgs84(crs, fromWgs84(crs, garut));
+            expect(lon).toBeCloseTo(garut[0], 8);
+            expect(lat).toBeCloseTo(garut[1], 8);
+        });
+        expect(fromWgs84(utm48s, garut)[1]).toBeGreaterThan(9200000);
+    });
+
+    test('should detect known systems from .prj text', () => {
+        const prj = 'PROJCS["WGS_1984_UTM_Zone_48S",GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],'
+            + 'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],'
+            + 'PARAMETER["False_Easting",500000.0],PARAMETER["False_Northing",10000000.0],PARAMETER["Central_Meridian",105.0],'
+            + 'PARAMETER["Scale_Factor",0.9996],PARAMETER["Latitude_Of_Origin",0.0],UNIT["Meter",1.0]]';
+
+        expect(detectCrsFromPrj(prj)).toBe(utm48s);
+        expect(detectCrsFromPrj('GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984"]]')).toBe(WGS84);
+        expect(detectCrsFromPrj('PROJCS["Lambert",PROJECTION["Lambert_Conformal_Conic"]]')).toBeNull();
+    });
+
+    test('should read the named CRS of legacy GeoJSON', () => {
+        const named = (name) => ({ type: 'FeatureCollection', crs: { type: 'name', properties: { name } }, features: [] });
+
+        expect(detectCrsFromGeoJSON(named('urn:ogc:def:crs:EPSG::32749')).code).toBe('EPSG:32749');
+        expect(detectCrsFromGeoJSON(named('urn:ogc:def:crs:OGC:1.3:CRS84'))).toBe(WGS84);
+        expect(detectCrsFromGeoJSON({ type: 'FeatureCollection', features: [] })).toBeNull();
+    });
+
+    test('should format table coordinates in the chosen system', () => {
+        expect(formatDms(-7.5, 'lat')).toBe('7° 30\' 0.00" LS');
+        expect(formatDms(107.25, 'lon')).toBe('107° 15\' 0.00" BT');
+        expect(formatPoint([107.9, -7.2], 'decimal')).toEqual({ x: '107.900000', y: '-7.200000' });
+        expect(formatPoint([106.5, 0], 'EPSG:23834')).toEqual({ x: '200000.00', y: '1500000.00' });
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * DXF Import Tests
+ */
+
+import { parseDxf, summarizeLayers, guessBoundaryLayer, dxfToGeoJSON } from '../../assets/js/services/dxf-import.js';
+import { getCrs } from '../../assets/js/services/crs.js';
+
+// Builds a DXF text from [code, value] pairs
+function buildDxf(entities) {
+    const pairs = [[0, 'SECTION'], [2, 'HEADER'], [0, 'ENDSEC'], [0, 'SECTION'], [2, 'ENTITIES'], ...entities, [0, 'ENDSEC'], [0, 'EOF']];
+    return pairs.map(([code, value]) => `  ${code}\n${value}`).join('\r\n');
+}
+
+const square = (x, y, size) => [[10, x], [20, y], [10, x + size], [20, y], [10, x + size], [20, y + size], [10, x], [20, y + size]];
+
+const siteplan = buildDxf([
+    [0, 'LWPOLYLINE'], [8, 'KAVLING'], [90, 4], [70, 1], ...square(812000, 9201000, 40),
+    [0, 'LWPOLYLINE'], [8, 'BANGUNAN'], [90, 4], [70, 1], ...square(812010, 9201010, 10),
+    [0, 'POLYLINE'], [8, 'JALAN'], [66, 1], [70, 0],
+    [0, 'VERTEX'], [8, 'JALAN'], [10, 812000], [20, 9200990],
+    [0, 'VERTEX'], [8, 'JALAN'], [10, 812040], [20, 9200990],
+    [0, 'SEQEND'],
+    [0, 'LINE'], [8, 'AS'], [10, 812020], [20, 9201000], [11, 812020], [21, 9201040],
+    [0, 'CIRCLE'], [8, 'POHON'], [10, 812005], [20, 9201035], [40, 2],
+    [0, 'TEXT'], [8, 'TEKS'], [10, 812012], [20, 9201015], [40, 1], [1, 'Rumah Tinggal'],
+    [0, 'ARC'], [8, 'AS'], [10, 812020], [20, 9201020], [40, 5]
+]);
+
+describe('DXF parsing', () => {
+    test('should read supported entities with their layers', () => {
+        const entities = parseDxf(siteplan);
+
+        expect(entities.map(e => `${e.layer}:${e.type}:${e.closed ?? ''}`)).toEqual([
+            'KAVLING:polyline:true',
+            'BANGUNAN:polyline:true',
+            'JALAN:polyline:false',
+            'AS:polyline:false',
+            'POHON:polyline:true',
+            'TEKS:text:'
+        ]);
+        expect(entities[0].points).toHaveLength(4);
+        expect(entities[5].text).toBe('Rumah Tinggal');
+    });
+
+    test('should turn bulges into arc points', () => {
+        // Half circle of radius 5 from (0,0) to (10,0)
+        const [entity] = parseDxf(buildDxf([[0, 'LWPOLYLINE'], [8, '0'], [70, 0], [10, 0], [20, 0], [42, 1], [10, 10], [20, 0]]));
+
+        expect(entity.points.length).toBeGreaterThan(3);
+        entity.points.forEach(([x, y]) => expect(Math.hypot(x - 5, y)).toBeCloseTo(5));
+    });
+
+    test('should prefer a boundary-named layer', () => {
+        const layers = summarizeLayers(parseDxf(siteplan));
+
+        expect(layers.find(l => l.name === 'KAVLING')).toMatchObject({ entityCount: 1, closedCount: 1, largestArea: 1600 });
+        expect(guessBoundaryLayer(layers)).toBe('KAVLING');
+        expect(guessBoundaryLayer(layers.filter(l => l.name !== 'KAVLING'))).toBe('BANGUNAN');
+    });
+});
+
+describe('DXF to GeoJSON', () => {
+    const entities = parseDxf(siteplan);
+
+    test('should build the boundary polygon and reprojected overlays', () => {
+        const { boundary, overlays } = dxfToGeoJSON(entities, {
+            boundaryLayer: 'KAVLING',
+            overlayLayers: ['BANGUNAN', 'TEKS', 'KAVLING'],
+            crs: getCrs('EPSG:32748')
+        });
+
+        const ring = boundary.features[0].geometry.coordinates[0];
+        expect(boundary.features[0].geometry.type).toBe('Polygon');
+        expect(ring).toHaveLength(5);
+        expect(ring[0]).toEqual(ring[4]);
+        expect(ring[0][0]).toBeCloseTo(107.87, 1);
+        expect(ring[0][1]).toBeCloseTo(-7.22, 1);
+
+        expect(overlays.features.map(f => f.properties.layer)).toEqual(['BANGUNAN', 'TEKS']);
+        expect(overlays.features[1].geometry.type).toBe('Point');
+    });
+
+    test('should reject a layer without closed shapes or a wrong CRS', () => {
+        expect(() => dxfToGeoJSON(entities, { boundaryLayer: 'JALAN', crs: getCrs('EPSG:32748') })).toThrow('JALAN');
+        expect(() => dxfToGeoJSON(entities, { boundaryLayer: 'KAVLING', crs: getCrs('EPSG:32648') })).toThrow('luar wilayah');
+    });
+});
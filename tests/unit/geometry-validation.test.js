@@ -0,0 +1,91 @@
+/**
+ * Geometry Validation Tests
+ */
+
+import { validateGeoJSON, applyGeometryFix, repairGeoJSON, splitRing, hasSwappedAxes } from '../../assets/js/services/geometry-validation.js';
+import { ringArea } from '../../assets/js/services/geometry.js';
+
+const square = (lon, lat, size) => [[lon, lat], [lon + size, lat], [lon + size, lat + size], [lon, lat + size], [lon, lat]];
+const polygon = (...rings) => ({ type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: rings } });
+const collection = (...features) => ({ type: 'FeatureCollection', features });
+const codes = (geojson) => validateGeoJSON(geojson).issues.map(issue => `${issue.featureIndex}:${issue.code}`);
+
+// Bow-tie: the first and third sides cross in the middle
+const bowTie = [[107.9, -7.2], [107.91, -7.19], [107.91, -7.2], [107.9, -7.19], [107.9, -7.2]];
+
+describe('Geometry validation', () => {
+    test('should accept a valid parcel', () => {
+        expect(validateGeoJSON(collection(polygon(square(107.9, -7.2, 0.01))))).toEqual({ issues: [], blocking: false });
+    });
+
+    test('should report ring errors per feature', () => {
+        const unclosed = square(107.9, -7.2, 0.01).slice(0, -1);
+        const duplicated = square(107.9, -7.2, 0.01);
+        duplicated.splice(2, 0, duplicated[1]);
+
+        expect(codes(collection(
+            polygon(unclosed),
+            polygon(duplicated),
+            polygon(square(107.9, -7.2, 0.01).reverse()),
+            polygon(bowTie),
+            polygon([[107.9, -7.2], [107.91, -7.2], [107.9, -7.2]]),
+            { type: 'Feature', properties: {}, geometry: null }
+        ))).toEqual([
+            '0:unclosed-ring',
+            '1:duplicate-vertices',
+            '2:winding',
+            '3:self-intersection',
+            '4:too-few-points',
+            '5:null-geometry'
+        ]);
+    });
+
+    test('should only warn about winding', () => {
+        const { issues, blocking } = validateGeoJSON(collection(polygon(square(107.9, -7.2, 0.01).reverse())));
+        expect(issues[0].severity).toBe('warning');
+        expect(blocking).toBe(false);
+    });
+
+    test('should detect lat/lon written the wrong way round', () => {
+        const swapped = collection(polygon(square(107.9, -7.2, 0.01).map(([lon, lat]) => [lat, lon])));
+
+        expect(hasSwappedAxes(swapped)).toBe(true);
+        expect(codes(swapped)).toEqual(['0:swapped-axes']);
+        expect(applyGeometryFix(swapped, 'swap').features[0].geometry.coordinates[0][0]).toEqual([107.9, -7.2]);
+    });
+});
+
+describe('Geometry repair', () => {
+    test('should split a bow-tie into two simple rings', () => {
+        const rings = splitRing(bowTie);
+
+        expect(rings).toHaveLength(2);
+        rings.forEach(ring => {
+            expect(ring[0]).toEqual(ring[ring.length - 1]);
+            expect(ring).toHaveLength(4);
+        });
+
+        const fixed = applyGeometryFix(collection(polygon(bowTie)), 'split');
+        expect(fixed.features[0].geometry.type).toBe('MultiPolygon');
+        fixed.features[0].geometry.coordinates.forEach(([outer]) => expect(ringArea(outer)).toBeGreaterThan(0));
+        expect(validateGeoJSON(fixed).issues).toEqual([]);
+    });
+
+    test('should fix only the requested feature', () => {
+        const geojson = collection(polygon(square(107.9, -7.2, 0.01).slice(0, -1)), polygon(square(107.8, -7.2, 0.01).slice(0, -1)));
+        const fixed = applyGeometryFix(geojson, 'close', 1);
+
+        expect(codes(fixed)).toEqual(['0:unclosed-ring']);
+        expect(geojson.features[1].geometry.coordinates[0]).toHaveLength(4);
+    });
+
+    test('should repair everything fixable and leave the rest to remove', () => {
+        const duplicated = square(107.9, -7.2, 0.01).reverse().slice(0, -1);
+        duplicated.splice(1, 0, duplicated[0]);
+        const geojson = collection(polygon(duplicated), { type: 'Feature', properties: {}, geometry: null });
+
+        const repaired = repairGeoJSON(geojson);
+        expect(codes(repaired)).toEqual(['1:null-geometry']);
+        expect(validateGeoJSON(applyGeometryFix(repaired, 'remove'))).toEqual({ issues: [], blocking: false });
+    });
+});
@@ -0,0 +1,141 @@
+/**
+ * Parcel Geometry Tests
+ */
+
+import {
+    ringArea,
+    geodesicInverse,
+    measureParcel,
+    compareArea,
+    formatBearing,
+    parcelCentroid,
+    polygonsOf,
+    boundsOf,
+    collectionBounds,
+    boundsOverlap,
+    distanceToSegment,
+    isInside,
+    ringContains,
+    pointInPolygons
+} from '../../assets/js/services/geometry.js';
+
+const square = (lon, lat, size) => [[lon, lat], [lon + size, lat], [lon + size, lat + size], [lon, lat + size], [lon, lat]];
+
+describe('Geodesic measurements', () => {
+    test('should compute ellipsoidal area', () => {
+        // An eighth of the WGS84 ellipsoid surface (510 065 621.7 km²)
+        expect(ringArea(square(0, 0, 90)) / 1e6).toBeCloseTo(510065621.7 / 8, 0);
+        expect(ringArea(square(0, 0, 1).reverse())).toBeLessThan(0);
+    });
+
+    test('should compute distances and bearings on the ellipsoid', () => {
+        const east = geodesicInverse([0, 0], [1, 0]);
+        expect(east.distance).toBeCloseTo(111319.49, 1);
+        expect(east.bearing).toBeCloseTo(90);
+
+        const north = geodesicInverse([107.9, -7.2], [107.9, -7.19]);
+        expect(north.distance).toBeCloseTo(1105.8, 0);
+        expect(north.bearing).toBeCloseTo(0);
+
+        expect(geodesicInverse([107.9, -7.2], [107.9, -7.2]).distance).toBe(0);
+    });
+});
+
+describe('Parcel measurement', () => {
+    const geojson = {
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [107.9, -7.2] } },
+            {
+                type: 'Feature',
+                properties: {},
+                geometry: { type: 'Polygon', coordinates: [square(107.9, -7.2, 0.001), square(107.9002, -7.1998, 0.0002).reverse()] }
+            }
+        ]
+    };
+
+    test('should subtract holes and name points like the coordinate table', () => {
+        const measurement = measureParcel(geojson);
+        const [outer, hole] = measurement.rings;
+
+        expect(measurement.area).toBeCloseTo(outer.area - hole.area, 6);
+        expect(measurement.areaHa).toBeCloseTo(measurement.area / 10000, 10);
+        expect(measurement.perimeter).toBeCloseTo(outer.perimeter + hole.perimeter, 6);
+        expect(outer.segments.map(s => `${s.from}-${s.to}`)).toEqual(['K2-K3', 'K3-K4', 'K4-K5', 'K5-K2']);
+        expect(hole.isHole).toBe(true);
+        expect(hole.segments[0].from).toBe('1');
+        expect(measureParcel({ type: 'FeatureCollection', features: [] })).toBeNull();
+    });
+
+    test('should compare with the declared area and format bearings', () => {
+        expect(compareArea(1050, 1000, 0.05)).toMatchObject({ difference: 50, exceedsTolerance: false });
+        expect(compareArea(1200, '1000', 0.05).exceedsTolerance).toBe(true);
+        expect(compareArea(1200, '', 0.05)).toBeNull();
+
+        expect(formatBearing(45.50333)).toBe(`45° 30' 12"`);
+        expect(formatBearing(359.99999)).toBe(`0° 0' 0"`);
+    });
+
+    test('should find the centre of a parcel', () => {
+        const feature = geometry => ({ type: 'Feature', properties: {}, geometry });
+        const collection = (...geometries) => ({ type: 'FeatureCollection', features: geometries.map(feature) });
+
+        const [lon, lat] = parcelCentroid(collection({ type: 'Polygon', coordinates: [square(107.9, -7.2, 0.001)] }));
+        expect(lon).toBeCloseTo(107.9005, 9);
+        expect(lat).toBeCloseTo(-7.1995, 9);
+
+        // A larger part weighs more
+        const [weighted] = parcelCentroid(collection(
+            { type: 'Polygon', coordinates: [square(0, 0, 1)] },
+            { type: 'Polygon', coordinates: [square(2, 0, 2)] }
+        ));
+        expect(weighted).toBeCloseTo((0.5 * 1 + 3 * 4) / 5, 9);
+
+        expect(parcelCentroid(collection({ type: 'Point', coordinates: [1, 2] }, { type: 'Point', coordinates: [3, 4] }))).toEqual([2, 3]);
+        expect(parcelCentroid(collection())).toBeNull();
+        expect(parcelCentroid(null)).toBeNull();
+    });
+});
+
+describe('Planar helpers', () => {
+    const rectangle = (x1, y1, x2, y2) => [[x1, y1], [x2, y1], [x2, y2], [x1, y2], [x1, y1]];
+    const withHole = [[rectangle(0, 0, 10, 10), rectangle(4, 4, 6, 6)]];
+
+    test('should list polygons and their bounds', () => {
+        expect(polygonsOf({ type: 'Polygon', coordinates: withHole[0] })).toEqual(withHole);
+        expect(polygonsOf({ type: 'MultiPolygon', coordinates: withHole })).toEqual(withHole);
+        expect(polygonsOf({ type: 'Point', coordinates: [1, 2] })).toEqual([]);
+        expect(polygonsOf(null)).toEqual([]);
+
+        expect(boundsOf([[rectangle(0, 0, 2, 1)], [rectangle(3, -1, 4, 0)]])).toEqual([0, -1, 4, 1]);
+        expect(collectionBounds({
+            type: 'FeatureCollection',
+            features: [
+                { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [5, 6] } },
+                { type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [rectangle(0, 0, 2, 1)] } }
+            ]
+        })).toEqual([0, 0, 5, 6]);
+        expect(collectionBounds({ type: 'FeatureCollection', features: [] })).toBeNull();
+
+        expect(boundsOverlap([0, 0, 1, 1], [1, 1, 2, 2])).toBe(true);
+        expect(boundsOverlap([0, 0, 1, 1], [1.5, 0, 2, 1])).toBe(false);
+        expect(boundsOverlap([0, 0, 1, 1], [1.5, 0, 2, 1], 0.5)).toBe(true);
+    });
+
+    test('should measure the distance to a segment', () => {
+        expect(distanceToSegment([1, 1], [0, 0], [2, 0])).toBe(1);
+        expect(distanceToSegment([3, 0], [0, 0], [2, 0])).toBe(1);
+        expect(distanceToSegment([3, 4], [0, 0], [0, 0])).toBe(5);
+    });
+
+    test('should treat holes as outside', () => {
+        expect(pointInPolygons([2, 2], withHole)).toBe(true);
+        expect(pointInPolygons([5, 5], withHole)).toBe(false);
+        expect(pointInPolygons([12, 5], withHole)).toBe(false);
+
+        expect(ringContains(rectangle(0, 0, 10, 10), [5, 5])).toBe(true);
+        const edges = rectangle(0, 0, 10, 10).slice(0, -1).map((point, i, ring) => [point, ring[(i + 1) % ring.length]]);
+        expect(isInside([5, 5], edges)).toBe(true);
+        expect(isInside([-1, 5], edges)).toBe(false);
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Georeferencing Tests
+ */
+
+import {
+    fitPolynomial,
+    applyPolynomial,
+    solveGeoreference,
+    imageToLonLat,
+    lonLatToImage,
+    warpImage
+} from '../../assets/js/services/georeference.js';
+
+// A 1000 x 800 px scan covering about 110 x 88 m at Garut, north up
+const west = 107.9;
+const north = -7.199;
+const degreesPerPixel = 0.000001;
+const toLonLat = ([x, y]) => [west + x * degreesPerPixel, north - y * degreesPerPixel];
+const controlPoints = pixels => pixels.map(pixel => ({ pixel, lonLat: toLonLat(pixel) }));
+
+describe('Polynomial fit', () => {
+    test('should recover an affine transform exactly', () => {
+        const source = [[0, 0], [10, 0], [0, 10], [10, 10]];
+        const transform = ([x, y]) => [3 + 2 * x - y, -5 + 0.5 * x + 4 * y];
+        const fit = fitPolynomial(source, source.map(transform), 1);
+
+        expect(applyPolynomial(fit, [7, 3])[0]).toBeCloseTo(transform([7, 3])[0], 8);
+        expect(applyPolynomial(fit, [7, 3])[1]).toBeCloseTo(transform([7, 3])[1], 8);
+    });
+
+    test('should refuse points on one line', () => {
+        expect(fitPolynomial([[0, 0], [1, 1], [2, 2]], [[0, 0], [1, 1], [2, 2]], 1)).toBeNull();
+    });
+});
+
+describe('Georeference', () => {
+    test('should map image pixels to the map and back', () => {
+        const solution = solveGeoreference(controlPoints([[0, 0], [1000, 0], [0, 800], [1000, 800]]), 1);
+        const [lon, lat] = imageToLonLat(solution, [500, 400]);
+
+        expect(lon).toBeCloseTo(toLonLat([500, 400])[0], 7);
+        expect(lat).toBeCloseTo(toLonLat([500, 400])[1], 7);
+        expect(lonLatToImage(solution, [lon, lat])[0]).toBeCloseTo(500, 3);
+        expect(lonLatToImage(solution, [lon, lat])[1]).toBeCloseTo(400, 3);
+        expect(solution.rmse).toBeLessThan(0.05);
+
+        const polynomial = solveGeoreference(controlPoints([[0, 0], [1000, 0], [0, 800], [1000, 800], [500, 0], [300, 500]]), 2);
+        expect(lonLatToImage(polynomial, imageToLonLat(polynomial, [800, 200]))[0]).toBeCloseTo(800, 1);
+        expect(polynomial.rmse).toBeLessThan(0.05);
+    });
+
+    test('should report residuals in metres for a misplaced point', () => {
+        const points = controlPoints([[0, 0], [1000, 0], [0, 800], [1000, 800], [500, 400]]);
+        // About 11 m east of where it belongs
+        points[4].lonLat = [points[4].lonLat[0] + 0.0001, points[4].lonLat[1]];
+        const { residuals, rmse } = solveGeoreference(points, 1);
+
+        const worst = residuals.reduce((a, b) => (b.error > a.error ? b : a));
+        expect(residuals.indexOf(worst)).toBe(4);
+        expect(worst.dx).toBeLessThan(0);
+        expect(worst.error).toBeGreaterThan(5);
+        expect(rmse).toBeGreaterThan(1);
+    });
+
+    test('should ask for enough control points', () => {
+        expect(() => solveGeoreference(controlPoints([[0, 0], [1000, 0]]), 1)).toThrow(/minimal 3/);
+        expect(() => solveGeoreference(controlPoints([[0, 0], [1000, 0], [0, 800], [1000, 800]]), 2)).toThrow(/minimal 6/);
+        expect(() => solveGeoreference(controlPoints([[0, 0], [500, 400], [1000, 800]]), 1)).toThrow(/segaris/);
+    });
+});
+
+describe('Warp', () => {
+    test('should resample the image north up within its bounds', () => {
+        // 4 x 2 image, left half red and right half blue, rotated a quarter turn:
+        // image x runs south and image y runs west
+        const width = 4;
+        const height = 2;
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < width * height; i++) {
+            const red = (i % width) < 2;
+            data.set(red ? [255, 0, 0, 255] : [0, 0, 255, 255], i * 4);
+        }
+        const rotated = ([x, y]) => [west + (height - y) * 0.0001, north - x * 0.0001];
+        const solution = solveGeoreference([[0, 0], [4, 0], [0, 2], [4, 2]].map(pixel => ({ pixel, lonLat: rotated(pixel) })), 1);
+
+        const warped = warpImage({ width, height, data }, solution, 40);
+        expect(warped.bounds[0]).toBeCloseTo(west, 6);
+        expect(warped.bounds[2]).toBeCloseTo(west + 0.0002, 6);
+        expect(warped.height).toBeGreaterThan(warped.width);
+
+        const pixel = (col, row) => Array.from(warped.data.slice((row * warped.width + col) * 4, (row * warped.width + col) * 4 + 4));
+        // North half red, south half blue
+        expect(pixel(1, 1)).toEqual([255, 0, 0, 255]);
+        expect(pixel(1, warped.height - 2)).toEqual([0, 0, 255, 255]);
+    });
+});
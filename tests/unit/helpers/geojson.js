@@ -0,0 +1,9 @@
+/**
+ * GeoJSON builders for the geometry tests
+ */
+
+// Closed counter-clockwise ring of an axis-aligned rectangle, as polygon coordinates
+export const rectangle = (x1, y1, x2, y2) => [[[x1, y1], [x2, y1], [x2, y2], [x1, y2], [x1, y1]]];
+export const feature = (properties, polygon) => ({ type: 'Feature', properties, geometry: { type: 'Polygon', coordinates: polygon } });
+export const line = (properties, coordinates) => ({ type: 'Feature', properties, geometry: { type: 'LineString', coordinates } });
+export const collection = (...features) => ({ type: 'FeatureCollection', features });
@@ -0,0 +1,20 @@
+/**
+ * Web platform APIs the browser provides and the jsdom test environment
+ * lacks; import before the modules under test
+ */
+
+import { TextEncoder, TextDecoder } from 'util';
+import { webcrypto } from 'crypto';
+
+// Bytes in this realm's Uint8Array, so instanceof checks (JSZip) pass
+class RealmTextEncoder extends TextEncoder {
+    encode(text) {
+        return new Uint8Array(super.encode(text));
+    }
+}
+
+if (!globalThis.TextEncoder) globalThis.TextEncoder = RealmTextEncoder;
+if (!globalThis.TextDecoder) globalThis.TextDecoder = TextDecoder;
+if (!globalThis.crypto?.subtle) {
+    Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+}
@@ -0,0 +1,115 @@
+/**
+ * Revision History Tests
+ */
+
+import { diffObjects, ProjectHistoryManager } from '../../assets/js/core/history.js';
+import { IndexedDBManager, ProjectStorageManager } from '../../assets/js/core/storage.js';
+
+describe('diffObjects', () => {
+    test('should return no changes for equal values', () => {
+        expect(diffObjects({ a: 1, b: { c: 'x' } }, { a: 1, b: { c: 'x' } })).toEqual([]);
+    });
+
+    test('should report nested field changes with dotted paths', () => {
+        const changes = diffObjects(
+            { pemohon: { nama: 'Budi' } },
+            { pemohon: { nama: 'Budi Santoso' } },
+            'analysisResult'
+        );
+
+        expect(changes).toEqual([
+            { path: 'analysisResult.pemohon.nama', type: 'changed', before: 'Budi', after: 'Budi Santoso' }
+        ]);
+    });
+
+    test('should report added and removed array items by index', () => {
+        const changes = diffObjects(
+            { zona: [{ kode: 'R-1' }, { kode: 'K-1' }] },
+            { zona: [{ kode: 'R-2' }] }
+        );
+
+        expect(changes).toEqual([
+            { path: 'zona[0].kode', type: 'changed', before: 'R-1', after: 'R-2' },
+            { path: 'zona[1]', type: 'removed', before: { kode: 'K-1' }, after: undefined }
+        ]);
+    });
+
+    test('should report new keys as added', () => {
+        expect(diffObjects({}, { is_revisi: true })).toEqual([
+            { path: 'is_revisi', type: 'added', before: undefined, after: true }
+        ]);
+    });
+});
+
+describe('ProjectHistoryManager', () => {
+    let storage;
+    let history;
+
+    beforeEach(async () => {
+        const db = new IndexedDBManager();
+        await db.ensureReady();
+        await db.replaceAllRecords('projects', []);
+        await db.replaceAllRecords('history', []);
+
+        storage = new ProjectStorageManager(db);
+        await storage.ensureReady();
+        history = new ProjectHistoryManager(db, storage);
+    });
+
+    test('should skip snapshots identical to the latest revision', async () => {
+        const project = { id: 'p1', projectName: 'A', analysisResult: { pemohon: { nama: 'x' } } };
+
+        await history.recordRevision(project, 'create');
+        await history.recordRevision(project, 'save');
+
+        expect(await history.getRevisions('p1')).toHaveLength(1);
+    });
+
+    test('should coalesce rapid saves into one revision', async () => {
+        const project = { id: 'p1', projectName: 'A', analysisResult: { pemohon: { nama: 'x' } } };
+
+        await history.recordRevision(project, 'create');
+        project.analysisResult.pemohon.nama = 'xy';
+        await history.recordRevision(project, 'save');
+        project.analysisResult.pemohon.nama = 'xyz';
+        await history.recordRevision(project, 'save');
+
+        const revisions = await history.getRevisions('p1');
+        expect(revisions).toHaveLength(2);
+        expect(revisions[0].snapshot.analysisResult.pemohon.nama).toBe('xyz');
+    });
+
+    test('should start a new revision once the first coalesced write is too old', async () => {
+        const project = { id: 'p1', projectName: 'A', analysisResult: { pemohon: { nama: 'x' } } };
+        let now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+        await history.recordRevision(project, 'create');
+        project.analysisResult.pemohon.nama = 'x0';
+        await history.recordRevision(project, 'save');
+
+        // Keeps saving every 40 s: each save is within the window of the
+        // previous one, but not of the revision's first write
+        for (let i = 1; i <= 3; i++) {
+            now += 40 * 1000;
+            project.analysisResult.pemohon.nama = `x${i}`;
+            await history.recordRevision(project, 'save');
+        }
+        jest.restoreAllMocks();
+
+        const revisions = await history.getRevisions('p1');
+        expect(revisions.map(revision => revision.snapshot.analysisResult.pemohon.nama)).toEqual(['x3', 'x1', 'x']);
+    });
+
+    test('should prune revisions beyond the retention limit', async () => {
+        history.getRetention = () => 3;
+        const project = { id: 'p1', projectName: 'A', analysisResult: null };
+
+        for (let i = 0; i < 5; i++) {
+            project.projectName = `A${i}`;
+            await history.recordRevision(project, 'upload');
+        }
+
+        expect(await history.getRevisions('p1')).toHaveLength(3);
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * KML Import Tests
+ */
+
+import { kmlToGeoJSON, parseKmlColor } from '../../assets/js/services/kml-import.js';
+
+describe('KML to GeoJSON', () => {
+    const kml = `<?xml version="1.0" encoding="UTF-8"?>
+        <kml xmlns="http://www.opengis.net/kml/2.2">
+            <Document>
+                <Style id="batas">
+                    <LineStyle><color>ff0000ff</color><width>3</width></LineStyle>
+                    <PolyStyle><color>7f00ff00</color></PolyStyle>
+                </Style>
+                <StyleMap id="batas-map">
+                    <Pair><key>normal</key><styleUrl>#batas</styleUrl></Pair>
+                    <Pair><key>highlight</key><styleUrl>#batas</styleUrl></Pair>
+                </StyleMap>
+                <Folder>
+                    <name>Lahan</name>
+                    <Placemark>
+                        <name>Persil 1</name>
+                        <styleUrl>#batas-map</styleUrl>
+                        <ExtendedData>
+                            <Data name="pemilik"><value>Budi</value></Data>
+                            <SchemaData schemaUrl="#s"><SimpleData name="luas">1200</SimpleData></SchemaData>
+                        </ExtendedData>
+                        <Polygon>
+                            <outerBoundaryIs><LinearRing><coordinates>
+                                107.9,-7.2,0 107.91,-7.2,0 107.91,-7.21,0 107.9,-7.2,0
+                            </coordinates></LinearRing></outerBoundaryIs>
+                        </Polygon>
+                    </Placemark>
+                    <Folder>
+                        <name>Titik</name>
+                        <Placemark><name>Patok</name><Point><coordinates>107.9,-7.2</coordinates></Point></Placemark>
+                    </Folder>
+                </Folder>
+            </Document>
+        </kml>`;
+
+    test('should convert KML colors from aabbggrr', () => {
+        expect(parseKmlColor('7f00ff00')).toEqual({ color: '#00ff00', opacity: 0.5 });
+        expect(parseKmlColor('ff0000ff')).toEqual({ color: '#ff0000', opacity: 1 });
+        expect(parseKmlColor('red')).toBeNull();
+    });
+
+    test('should keep names, attributes, folders and styles', () => {
+        const geojson = kmlToGeoJSON(kml);
+        const [parcel, point] = geojson.features;
+
+        expect(geojson.folders).toEqual(['Lahan', 'Lahan / Titik']);
+        expect(parcel.geometry.type).toBe('Polygon');
+        expect(parcel.geometry.coordinates[0]).toHaveLength(4);
+        expect(parcel.properties).toMatchObject({
+            name: 'Persil 1',
+            pemilik: 'Budi',
+            luas: '1200',
+            folder: 'Lahan',
+            stroke: '#ff0000',
+            'stroke-width': 3,
+            fill: '#00ff00'
+        });
+        expect(point.geometry).toEqual({ type: 'Point', coordinates: [107.9, -7.2] });
+        expect(point.properties.folder).toBe('Lahan / Titik');
+    });
+
+    test('should flatten nested MultiGeometry and skip polygons without an outer boundary', () => {
+        const ring = '<LinearRing><coordinates>107.9,-7.2 107.91,-7.2 107.91,-7.21 107.9,-7.2</coordinates></LinearRing>';
+        const polygon = `<Polygon><outerBoundaryIs>${ring}</outerBoundaryIs></Polygon>`;
+        const placemark = (geometry) => `<Placemark>${geometry}</Placemark>`;
+        const geojson = kmlToGeoJSON(`<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+            ${placemark(`<MultiGeometry><MultiGeometry>${polygon}${polygon}</MultiGeometry><MultiGeometry>${polygon}</MultiGeometry></MultiGeometry>`)}
+            ${placemark(`<MultiGeometry><MultiGeometry>${polygon}${polygon}</MultiGeometry><Point><coordinates>107.9,-7.2</coordinates></Point></MultiGeometry>`)}
+            ${placemark(`<Polygon><innerBoundaryIs>${ring}</innerBoundaryIs></Polygon>`)}
+        </Document></kml>`);
+        const [nested, mixed] = geojson.features;
+
+        expect(geojson.features).toHaveLength(2);
+        expect(nested.geometry.type).toBe('MultiPolygon');
+        expect(nested.geometry.coordinates).toHaveLength(3);
+        expect(mixed.geometry.type).toBe('GeometryCollection');
+        expect(mixed.geometry.geometries.map(g => g.type)).toEqual(['Polygon', 'Polygon', 'Point']);
+    });
+
+    test('should reject documents that are not KML', () => {
+        expect(() => kmlToGeoJSON('<gpx></gpx>')).toThrow('File KML tidak valid');
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Map Component Tests
+ */
+
+import L from 'leaflet';
+import { MapComponent, mapEditCommand } from '../../assets/js/components/map-component.js';
+import { UndoStack, applyCommand } from '../../assets/js/core/undo-stack.js';
+import { IndexedDBManager, ProjectStorageManager } from '../../assets/js/core/storage.js';
+
+const square = [[[107.90, -7.21], [107.91, -7.21], [107.91, -7.20], [107.90, -7.20], [107.90, -7.21]]];
+const parcel = {
+    type: 'FeatureCollection',
+    features: [
+        { type: 'Feature', properties: { nama: 'Bidang A', folder: 'Bidang' }, geometry: { type: 'Polygon', coordinates: square } },
+        { type: 'Feature', properties: { nama: 'Patok 1' }, geometry: { type: 'Point', coordinates: [107.905, -7.205] } }
+    ]
+};
+
+describe('MapComponent', () => {
+    let component;
+
+    beforeAll(() => {
+        window.L = L;
+    });
+
+    beforeEach(async () => {
+        document.body.innerHTML = '<div id="map" style="width: 400px; height: 300px"></div>';
+        component = new MapComponent('map');
+        await component.ready;
+        // Kept off the map: jsdom cannot render vector layers
+        component.geoJsonLayer = L.featureGroup();
+        await component.processGeoJSONChunk(parcel, {});
+    });
+
+    test('should return the shown features in the shape they were loaded', () => {
+        const edited = component.getEditedGeoJSON();
+
+        expect(edited.type).toBe('FeatureCollection');
+        expect(edited.features.map(f => f.properties.nama).sort()).toEqual(['Bidang A', 'Patok 1']);
+        const polygon = edited.features.find(f => f.geometry.type === 'Polygon');
+        expect(polygon.geometry.coordinates).toEqual(square);
+        expect(polygon.properties.folder).toBe('Bidang');
+    });
+
+    test('should report edited vertices and moved points', () => {
+        component.folderLayers.get('Bidang').eachLayer(function edit(layer) {
+            if (layer instanceof L.LayerGroup) {
+                layer.eachLayer(edit);
+            } else {
+                const ring = layer.getLatLngs()[0];
+                ring[2] = L.latLng(-7.195, 107.915);
+                layer.setLatLngs([ring]);
+            }
+        });
+        component.folderLayers.get('').eachLayer(function move(layer) {
+            if (layer instanceof L.CircleMarker) {
+                layer.setLatLng([-7.206, 107.906]);
+            } else if (layer instanceof L.LayerGroup) {
+                layer.eachLayer(move);
+            }
+        });
+
+        const edited = component.getEditedGeoJSON();
+        const polygon = edited.features.find(f => f.geometry.type === 'Polygon');
+        const point = edited.features.find(f => f.geometry.type === 'Point');
+
+        expect(polygon.geometry.coordinates[0][2]).toEqual([107.915, -7.195]);
+        expect(point.geometry.coordinates).toEqual([107.906, -7.206]);
+        expect(point.properties.nama).toBe('Patok 1');
+    });
+
+    test('should leave out layers the editing tools ignore', () => {
+        component.geoJsonLayer.addLayer(L.circleMarker([-7.2, 107.9], { pmIgnore: true }));
+
+        expect(component.getEditedGeoJSON().features).toHaveLength(2);
+    });
+});
+
+describe('mapEditCommand', () => {
+    const edited = { type: 'FeatureCollection', features: [parcel.features[0]] };
+
+    test('should keep a GeoJSON map file in step with the boundary', () => {
+        const project = { geojsonData: parcel, mapFileContent: { type: 'geojson', data: parcel, featureCount: 2, sourceFormat: 'kml' } };
+        const command = mapEditCommand(project, edited);
+
+        applyCommand(project, command, 'redo');
+        expect(project.geojsonData).toBe(edited);
+        expect(project.mapFileContent).toEqual({ type: 'geojson', data: edited, featureCount: 1, sourceFormat: 'kml' });
+
+        applyCommand(project, command, 'undo');
+        expect(project.geojsonData).toBe(parcel);
+        expect(project.mapFileContent.data).toBe(parcel);
+        expect(project.mapFileContent.featureCount).toBe(2);
+    });
+
+    test('should leave a scanned map image alone', () => {
+        const image = { type: 'image', data: 'data:image/png;base64,' };
+        const project = { geojsonData: parcel, mapFileContent: image };
+
+        applyCommand(project, mapEditCommand(project, edited), 'redo');
+        expect(project.mapFileContent).toBe(image);
+    });
+
+    test('should make each edit one undo step that saves back', async () => {
+        const db = new IndexedDBManager();
+        await db.ensureReady();
+        await db.replaceAllRecords('projects', []);
+        const storage = new ProjectStorageManager(db);
+        await storage.ensureReady();
+        await storage.addProject({ id: 'p1', projectName: 'A', geojsonData: parcel, mapFileContent: { type: 'geojson', data: parcel, featureCount: 2 } });
+
+        const project = storage.getProject('p1');
+        const stack = new UndoStack();
+        const command = mapEditCommand(project, edited);
+        stack.push(command);
+        applyCommand(project, command, 'redo');
+        expect(await storage.updateProject('p1', project, { reason: 'map_edit' })).toBe(true);
+        expect((await db.getRecord('projects', 'p1')).mapFileContent.featureCount).toBe(1);
+
+        applyCommand(project, stack.undo(), 'undo');
+        expect(stack.canUndo()).toBe(false);
+        await storage.updateProject('p1', project);
+        const stored = await db.getRecord('projects', 'p1');
+        expect(stored.geojsonData.features).toHaveLength(2);
+        expect(stored.mapFileContent.data.features).toHaveLength(2);
+    });
+});
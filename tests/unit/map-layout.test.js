@@ -0,0 +1,77 @@
+/**
+ * Map Layout Composer Tests
+ */
+
+import {
+    pageSize,
+    mercatorPixel,
+    mercatorLonLat,
+    fitView,
+    niceNumber,
+    scaleDenominator,
+    groundResolution,
+    vertexLabels,
+    imageDimensions
+} from '../../assets/js/services/map-layout.js';
+
+describe('Page and projection', () => {
+    test('should size pages by paper, orientation and resolution', () => {
+        expect(pageSize('A4', 'portrait', 300)).toEqual({ width: 2480, height: 3508 });
+        expect(pageSize('A4', 'landscape', 150)).toEqual({ width: 1754, height: 1240 });
+    });
+
+    test('should round-trip Web Mercator pixels', () => {
+        expect(mercatorPixel([0, 0], 0)).toEqual([128, 128]);
+
+        const [lon, lat] = mercatorLonLat(mercatorPixel([107.9031, -7.2175], 17.5), 17.5);
+        expect(lon).toBeCloseTo(107.9031, 9);
+        expect(lat).toBeCloseTo(-7.2175, 9);
+    });
+
+    test('should fit bounds into a frame', () => {
+        const bounds = [107.9, -7.2, 107.901, -7.199];
+        const { zoom, center } = fitView(bounds, 1000, 500);
+
+        const [x1, y1] = mercatorPixel([107.9, -7.199], zoom);
+        const [x2, y2] = mercatorPixel([107.901, -7.2], zoom);
+        expect(Math.max(x2 - x1, y2 - y1)).toBeCloseTo(500, 6);
+        expect(center[0]).toBeCloseTo(107.9005, 9);
+    });
+});
+
+describe('Cartographic furniture', () => {
+    test('should pick round scale bar lengths and the printed scale', () => {
+        expect(niceNumber(73)).toBe(50);
+        expect(niceNumber(0.0031)).toBeCloseTo(0.002, 12);
+        expect(niceNumber(1000)).toBe(1000);
+
+        // One pixel per ground metre printed at 96 dpi is 1:3 780
+        const zoom = Math.log2(groundResolution(0, 0));
+        expect(scaleDenominator(0, zoom, 96)).toBe(3780);
+    });
+
+    test('should number vertices like the coordinate table', () => {
+        const geojson = {
+            type: 'FeatureCollection',
+            features: [
+                { type: 'Feature', geometry: { type: 'Point', coordinates: [107.8, -7.1] } },
+                { type: 'Feature', geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] } }
+            ]
+        };
+        expect(vertexLabels(geojson).map(vertex => vertex.label)).toEqual(['K1', 'K2', 'K3', 'K4']);
+        expect(vertexLabels(geojson)[3].coord).toEqual([1, 1]);
+    });
+
+    test('should read PNG and JPEG image sizes', () => {
+        const png = new Uint8Array(24);
+        png.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+        new DataView(png.buffer).setUint32(16, 2480);
+        new DataView(png.buffer).setUint32(20, 3508);
+        expect(imageDimensions(png)).toEqual({ width: 2480, height: 3508 });
+
+        // SOI, an APP0 segment of 4 bytes, then SOF0 with height 600 and width 800
+        const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0x00, 0x00, 0xff, 0xc0, 0x00, 0x11, 0x08, 0x02, 0x58, 0x03, 0x20, 0x03]);
+        expect(imageDimensions(jpeg)).toEqual({ width: 800, height: 600 });
+        expect(imageDimensions(new Uint8Array([1, 2, 3]))).toBeNull();
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * Project Portfolio Tests
+ */
+
+import {
+    getProjectStatus,
+    getProjectKesesuaian,
+    getProjectKecamatan,
+    buildPortfolio,
+    filterPortfolio,
+    portfolioOptions,
+    portfolioColor,
+    KESESUAIAN_LEVELS
+} from '../../assets/js/services/portfolio.js';
+
+const parcel = (lon, lat) => ({
+    type: 'FeatureCollection',
+    features: [{
+        type: 'Feature',
+        properties: {},
+        geometry: { type: 'Polygon', coordinates: [[[lon, lat], [lon + 0.001, lat], [lon + 0.001, lat + 0.001], [lon, lat + 0.001], [lon, lat]]] }
+    }]
+});
+
+const project = (id, created, lokasi, zones, geojsonData = parcel(107.9, -7.2)) => ({
+    id,
+    projectName: `Proyek ${id}`,
+    created,
+    geojsonData,
+    mapFileContent: geojsonData ? { type: 'geojson' } : null,
+    analysisResult: { pemohon: { nama: 'Budi' }, lokasi_proyek: lokasi, analisis_zona: zones }
+});
+
+describe('Project classification', () => {
+    test('should give the status and the worst zone compliance', () => {
+        expect(getProjectStatus({})).toBe('Baru');
+        expect(getProjectStatus(project('a', '', {}, []))).toBe('Analisis');
+        expect(getProjectStatus(project('a', '', {}, [{ kesesuaian: 'SESUAI' }]))).toBe('Selesai');
+
+        expect(getProjectKesesuaian(project('a', '', {}, []))).toBe('BELUM');
+        expect(getProjectKesesuaian(project('a', '', {}, [{ kesesuaian: 'SESUAI' }, { kesesuaian: 'BERSYARAT' }]))).toBe('BERSYARAT');
+        expect(getProjectKesesuaian(project('a', '', {}, [{ kesesuaian: 'tidak sesuai' }, { kesesuaian: 'SESUAI' }]))).toBe('TIDAK_SESUAI');
+    });
+
+    test('should read the kecamatan from the letter or the address', () => {
+        expect(getProjectKecamatan(project('a', '', { kecamatan: 'TAROGONG  KIDUL' }, []))).toBe('Tarogong Kidul');
+        expect(getProjectKecamatan(project('a', '', { lokasi: 'Jl. Merdeka No. 5, Desa Suci, Kec. Karangpawitan, Kabupaten Garut' }, []))).toBe('Karangpawitan');
+        expect(getProjectKecamatan(project('a', '', { lokasi: 'Kecamatan garut kota' }, []))).toBe('Garut Kota');
+        expect(getProjectKecamatan(project('a', '', { lokasi: 'Jl. Cimanuk' }, []))).toBe('');
+    });
+});
+
+describe('Portfolio', () => {
+    const projects = [
+        project('a', '2025-01-10T08:00:00Z', { kecamatan: 'Garut Kota', peruntukan: 'Perumahan' }, [{ kesesuaian: 'SESUAI' }]),
+        project('b', '2025-03-02T08:00:00Z', { kecamatan: 'Tarogong Kidul', peruntukan: 'Toko' }, []),
+        project('c', '2025-05-20T08:00:00Z', { kecamatan: 'Garut Kota', peruntukan: 'perumahan' }, [], null)
+    ];
+
+    test('should place projects with a parcel', () => {
+        const entries = buildPortfolio(projects);
+
+        expect(entries.map(entry => entry.id)).toEqual(['a', 'b']);
+        expect(entries[0]).toMatchObject({ date: '2025-01-10', kecamatan: 'Garut Kota', status: 'Selesai', kesesuaian: 'SESUAI' });
+        expect(entries[0].centroid[0]).toBeCloseTo(107.9005, 6);
+        expect(portfolioColor(entries[1], 'kesesuaian')).toBe(KESESUAIAN_LEVELS.BELUM.color);
+    });
+
+    test('should filter by date range, kecamatan and peruntukan', () => {
+        const entries = buildPortfolio(projects);
+
+        expect(filterPortfolio(entries, { from: '2025-02-01' }).map(entry => entry.id)).toEqual(['b']);
+        expect(filterPortfolio(entries, { to: '2025-01-10' }).map(entry => entry.id)).toEqual(['a']);
+        expect(filterPortfolio(entries, { kecamatan: 'Tarogong Kidul' }).map(entry => entry.id)).toEqual(['b']);
+        expect(filterPortfolio(entries, { peruntukan: 'PERUMAHAN' }).map(entry => entry.id)).toEqual(['a']);
+        expect(filterPortfolio(entries, {})).toHaveLength(2);
+
+        expect(portfolioOptions(entries)).toEqual({ kecamatan: ['Garut Kota', 'Tarogong Kidul'], peruntukan: ['Perumahan', 'Toko'] });
+    });
+});
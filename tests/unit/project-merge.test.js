@@ -0,0 +1,49 @@
+/**
+ * Merge Import Tests
+ */
+
+import { planProjectMerge, resolveProjectMerge } from '../../assets/js/core/storage.js';
+
+describe('Project merge import', () => {
+    const mine = [
+        { id: 'p1', projectName: 'Gudang', lastModified: '2024-01-01T00:00:00.000Z' },
+        { id: 'p2', projectName: 'Ruko', lastModified: '2024-01-02T00:00:00.000Z' },
+        { id: 'p3', projectName: 'Rumah', lastModified: '2024-01-03T00:00:00.000Z' }
+    ];
+    const theirs = [
+        { id: 'p1', projectName: 'Gudang', lastModified: '2024-01-01T00:00:00.000Z' },
+        { id: 'p2', projectName: 'Ruko Revisi', lastModified: '2024-02-01T00:00:00.000Z' },
+        { id: 'p3', projectName: 'Rumah Revisi', lastModified: '2024-02-03T00:00:00.000Z' },
+        { id: 'p4', projectName: 'Sekolah', lastModified: '2024-02-04T00:00:00.000Z' }
+    ];
+
+    test('should classify projects as added, unchanged or conflicting', () => {
+        const plan = planProjectMerge(mine, theirs);
+
+        expect(plan.added.map(p => p.id)).toEqual(['p4']);
+        expect(plan.unchanged.map(p => p.id)).toEqual(['p1']);
+        expect(plan.conflicts.map(c => c.id)).toEqual(['p2', 'p3']);
+        expect(plan.conflicts[0].mine.projectName).toBe('Ruko');
+    });
+
+    test('should keep local versions for unresolved conflicts', () => {
+        const { records, counts } = resolveProjectMerge(planProjectMerge(mine, theirs));
+
+        expect(records.map(p => p.id)).toEqual(['p4']);
+        expect(counts).toEqual({ added: 1, updated: 0, skipped: 3 });
+    });
+
+    test('should apply per-project choices', () => {
+        const { records, counts } = resolveProjectMerge(planProjectMerge(mine, theirs), {
+            p2: 'theirs',
+            p3: 'both'
+        });
+
+        expect(counts).toEqual({ added: 2, updated: 1, skipped: 1 });
+        expect(records.find(p => p.id === 'p2').projectName).toBe('Ruko Revisi');
+
+        const copy = records.find(p => p.projectName === 'Rumah Revisi (salinan)');
+        expect(copy).toBeDefined();
+        expect(copy.id).not.toBe('p3');
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * Project Storage Tests
+ */
+
+import { IndexedDBManager, ProjectStorageManager } from '../../assets/js/core/storage.js';
+
+describe('ProjectStorageManager', () => {
+    let db;
+    let storage;
+
+    beforeEach(async () => {
+        db = new IndexedDBManager();
+        await db.ensureReady();
+        await db.replaceAllRecords('projects', []);
+
+        storage = new ProjectStorageManager(db);
+        await storage.ensureReady();
+    });
+
+    test('should add a stored project and make it active', async () => {
+        expect(await storage.addProject({ projectName: 'A' })).toBe(true);
+
+        expect(storage.projects).toHaveLength(1);
+        expect(storage.activeProjectId).toBe(storage.projects[0].id);
+        expect(await db.getAllRecords('projects')).toHaveLength(1);
+    });
+
+    test('should roll back a project whose save failed', async () => {
+        await storage.addProject({ id: 'p1', projectName: 'A' });
+        jest.spyOn(db, 'putRecord').mockRejectedValueOnce(new Error('QuotaExceededError'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(await storage.addProject({ id: 'p2', projectName: 'B' })).toBe(false);
+
+        expect(storage.projects.map(p => p.id)).toEqual(['p1']);
+        expect(storage.activeProjectId).toBe('p1');
+        jest.restoreAllMocks();
+    });
+
+    test('should roll back an update whose save failed', async () => {
+        await storage.addProject({ id: 'p1', projectName: 'A' });
+        jest.spyOn(db, 'putRecord').mockRejectedValueOnce(new Error('QuotaExceededError'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(await storage.updateProject('p1', { projectName: 'B' })).toBe(false);
+
+        expect(storage.getProject('p1').projectName).toBe('A');
+        expect((await db.getRecord('projects', 'p1')).projectName).toBe('A');
+        jest.restoreAllMocks();
+
+        expect(await storage.updateProject('p1', { projectName: 'B' })).toBe(true);
+        expect(storage.getProject('p1').projectName).toBe('B');
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Setback (Sempadan) Analysis Tests
+ */
+
+import {
+    bufferedShare,
+    getSetbackDistances,
+    guessRoadClassProperty,
+    classifyRoad,
+    analyzeSetbacks,
+    setbackBuffers,
+    mergeKetentuanTeknis,
+    setbackValidation,
+    applySetbackFindings
+} from '../../assets/js/services/setback.js';
+import { measureParcel } from '../../assets/js/services/geometry.js';
+import { rectangle, feature, line, collection } from './helpers/geojson.js';
+
+const edgesOf = ([ring]) => ring.slice(0, -1).map((point, i) => [point, ring[i + 1]]);
+
+describe('Buffered share', () => {
+    test('should measure the part of a parcel within a distance of lines', () => {
+        const square = edgesOf(rectangle(0, 0, 100, 100));
+
+        // Line along the west side: a 15 m strip
+        expect(bufferedShare(square, [[[0, -50], [0, 150]]], 15)).toBeCloseTo(0.15, 3);
+
+        // Two overlapping lines count once
+        expect(bufferedShare(square, [[[0, -50], [0, 150]], [[5, -50], [5, 150]]], 15)).toBeCloseTo(0.2, 3);
+
+        // Round end of a line stopping at the corner: a quarter disc
+        expect(bufferedShare(square, [[[-50, 0], [0, 0]]], 20)).toBeCloseTo(Math.PI * 400 / 4 / 10000, 3);
+
+        expect(bufferedShare(square, [[[200, 0], [200, 100]]], 15)).toBe(0);
+    });
+});
+
+describe('Setback analysis', () => {
+    // About 110 x 110 m at Garut
+    const parcel = collection(feature({}, rectangle(107.9, -7.2, 107.901, -7.199)));
+    const metresPerDegree = 110500;
+
+    test('should read the distances from the Perda', () => {
+        expect(getSetbackDistances()).toEqual({ sungai: 15, jalan_arteri: 15, jalan_kolektor: 10, jalan_lokal: 7, rel_kereta: 20 });
+    });
+
+    test('should classify roads by their function column', () => {
+        const roads = collection(line({ NAMOBJ: 'Jl. A', FUNGSI: 'Arteri Primer' }, []), line({ NAMOBJ: 'Jl. B', FUNGSI: 'Kolektor' }, []));
+
+        expect(guessRoadClassProperty(roads)).toBe('FUNGSI');
+        expect(classifyRoad(roads.features[0], 'FUNGSI')).toBe('jalan_arteri');
+        expect(classifyRoad(roads.features[1], 'FUNGSI')).toBe('jalan_kolektor');
+        expect(classifyRoad(line({}, []), 'FUNGSI')).toBe('jalan_lokal');
+    });
+
+    test('should find encroachments and the distance to lines outside', () => {
+        const layers = {
+            // River along the west side of the parcel
+            sungai: { geojson: collection(line({ nama: 'Sungai Cimanuk' }, [[107.9, -7.21], [107.9, -7.19]])) },
+            // Local road 50 m east of the parcel
+            jalan: { classProperty: 'fungsi', geojson: collection(line({ fungsi: 'lokal' }, [[107.9015, -7.21], [107.9015, -7.19]])) }
+        };
+        const findings = analyzeSetbacks(parcel, layers);
+
+        expect(findings.map(finding => finding.type)).toEqual(['sungai', 'jalan_lokal']);
+
+        const [river, road] = findings;
+        const width = 0.001 * metresPerDegree;
+        expect(river).toMatchObject({ name: 'Sungai Cimanuk', nearestDistance: 0, encroaches: true });
+        expect(river.share).toBeCloseTo(15 / width, 2);
+        expect(river.area).toBeCloseTo(river.share * measureParcel(parcel).area, 6);
+        expect(road.encroaches).toBe(false);
+        expect(road.nearestDistance).toBeCloseTo(0.0005 * metresPerDegree, -1);
+
+        expect(Object.keys(setbackBuffers(parcel, layers))).toEqual(['sungai', 'jalan_lokal']);
+        expect(setbackValidation(findings).compliant).toBe(false);
+        expect(analyzeSetbacks(collection(), layers)).toBeNull();
+    });
+
+    test('should replace earlier setback entries in ketentuan_teknis', () => {
+        const findings = [{ label: 'Sempadan Sungai', distance: 15, name: 'Cimanuk', nearestDistance: 40, share: 0, area: 0, encroaches: false }];
+        const gsb = { kategori: 'GSB', nilai: 5, satuan: 'm', keterangan: 'Sempadan bangunan dari as jalan', wajib: true };
+        const first = mergeKetentuanTeknis(['KDB maksimal 60%', gsb], findings);
+        const merged = mergeKetentuanTeknis(first, findings);
+
+        expect(merged).toHaveLength(3);
+        expect(merged.slice(0, 2)).toEqual(['KDB maksimal 60%', gsb]);
+        expect(merged[2]).toEqual({
+            kategori: 'Sempadan Sungai (Cimanuk)',
+            nilai: 15,
+            satuan: 'm',
+            keterangan: 'Bidang berjarak 40 m, di luar sempadan.',
+            wajib: true,
+            sumber: 'analisis_sempadan'
+        });
+        // Staff entries that only read like setbacks are kept
+        expect(mergeKetentuanTeknis(['Sempadan bangunan 5 m'], [])).toEqual(['Sempadan bangunan 5 m']);
+
+        const encroached = [{ ...findings[0], nearestDistance: 0, share: 0.1, area: 100, encroaches: true }];
+        const result = applySetbackFindings({ perda_validation: { zonasi_compliance: [{ perda_compliance: true }], overall_compliance: true } }, encroached);
+        expect(result.ketentuan_teknis[0].keterangan).toMatch(/100 m² \(10% luas bidang\) berada di dalam sempadan/);
+        expect(result.perda_validation).toMatchObject({ overall_compliance: false, sempadan: { compliant: false } });
+        expect(applySetbackFindings(result, findings).perda_validation.overall_compliance).toBe(true);
+    });
+});
@@ -0,0 +1,114 @@
+/**
+ * Shapefile Import Tests
+ */
+
+import { TextDecoder } from 'util';
+import { parseShp, parseDbf, shapefileToGeoJSON } from '../../assets/js/services/shapefile-import.js';
+
+// jsdom does not provide TextDecoder
+global.TextDecoder = TextDecoder;
+
+// One polygon record with a clockwise shell, as written by GIS software
+function buildShp(ring) {
+    const contentLength = 44 + 4 + ring.length * 16;
+    const view = new DataView(new ArrayBuffer(100 + 8 + contentLength));
+    view.setInt32(0, 9994, false);
+    view.setInt32(24, (100 + 8 + contentLength) / 2, false);
+    view.setInt32(28, 1000, true);
+    view.setInt32(32, 5, true);
+
+    view.setInt32(100, 1, false);
+    view.setInt32(104, contentLength / 2, false);
+    view.setInt32(108, 5, true);
+    view.setInt32(108 + 36, 1, true);
+    view.setInt32(108 + 40, ring.length, true);
+    view.setInt32(108 + 44, 0, true);
+    ring.forEach(([x, y], i) => {
+        view.setFloat64(108 + 48 + i * 16, x, true);
+        view.setFloat64(108 + 48 + i * 16 + 8, y, true);
+    });
+    return view.buffer;
+}
+
+function buildDbf(fields, rows) {
+    const headerLength = 32 + fields.length * 32 + 1;
+    const recordLength = 1 + fields.reduce((sum, f) => sum + f.length, 0);
+    const bytes = new Uint8Array(headerLength + rows.length * recordLength + 1);
+    const view = new DataView(bytes.buffer);
+    const ascii = (text, offset) => [...text].forEach((c, i) => { bytes[offset + i] = c.charCodeAt(0); });
+
+    bytes[0] = 3;
+    view.setUint32(4, rows.length, true);
+    view.setUint16(8, headerLength, true);
+    view.setUint16(10, recordLength, true);
+    fields.forEach((field, i) => {
+        ascii(field.name, 32 + i * 32);
+        ascii(field.type, 32 + i * 32 + 11);
+        bytes[32 + i * 32 + 16] = field.length;
+    });
+    bytes[headerLength - 1] = 0x0D;
+
+    rows.forEach((row, r) => {
+        let offset = headerLength + r * recordLength;
+        bytes[offset++] = row.deleted ? 0x2A : 0x20;
+        fields.forEach(field => {
+            ascii(String(row[field.name] ?? '').padEnd(field.length).slice(0, field.length), offset);
+            offset += field.length;
+        });
+    });
+    return bytes.buffer;
+}
+
+describe('Shapefile import', () => {
+    const fields = [{ name: 'NIB', type: 'C', length: 10 }, { name: 'LUAS', type: 'N', length: 8 }];
+    const prj = 'PROJCS["WGS_1984_UTM_Zone_48S",PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",500000.0],'
+        + 'PARAMETER["False_Northing",10000000.0],PARAMETER["Central_Meridian",105.0],PARAMETER["Scale_Factor",0.9996],'
+        + 'PARAMETER["Latitude_Of_Origin",0.0],UNIT["Meter",1.0]]';
+
+    test('should read DBF attributes and skip deleted rows', () => {
+        const rows = parseDbf(buildDbf(fields, [{ NIB: '0101', LUAS: 1200 }, { NIB: 'x', deleted: true }]));
+        expect(rows).toEqual([{ NIB: '0101', LUAS: 1200 }, null]);
+    });
+
+    test('should reproject UTM polygons to WGS84 with counter-clockwise shells', () => {
+        const ring = [[820000, 9200000], [820000, 9200100], [820100, 9200100], [820100, 9200000], [820000, 9200000]];
+        const { geojson, crs } = shapefileToGeoJSON({
+            shp: buildShp(ring),
+            dbf: buildDbf(fields, [{ NIB: '0101', LUAS: 10000 }]),
+            prj
+        });
+
+        const [feature] = geojson.features;
+        expect(crs.code).toBe('EPSG:32748');
+        expect(feature.properties).toEqual({ NIB: '0101', LUAS: 10000 });
+        expect(feature.geometry.type).toBe('Polygon');
+
+        const [[lon, lat], second] = feature.geometry.coordinates[0];
+        expect(lon).toBeGreaterThan(107.8);
+        expect(lon).toBeLessThan(108);
+        expect(lat).toBeCloseTo(-7.2, 0);
+        // Reversed: the second vertex is the shell's last corner
+        expect(second[0]).toBeGreaterThan(lon);
+    });
+
+    test('should refuse records with a corrupt length', () => {
+        const ring = [[107.9, -7.2], [107.91, -7.2], [107.91, -7.21], [107.9, -7.2]];
+        const corrupt = (offset, value) => {
+            const buffer = buildShp(ring);
+            new DataView(buffer).setInt32(offset, value, offset === 104 ? false : true);
+            return buffer;
+        };
+
+        expect(parseShp(buildShp(ring))).toHaveLength(1);
+        expect(() => parseShp(corrupt(104, -2))).toThrow('File .shp tidak valid');
+        expect(() => parseShp(corrupt(104, 0))).toThrow('File .shp tidak valid');
+        expect(() => parseShp(corrupt(104, 1000000))).toThrow('File .shp tidak valid');
+        // More points than the record holds
+        expect(() => parseShp(corrupt(108 + 40, 1000000))).toThrow('File .shp tidak valid');
+    });
+
+    test('should refuse projected data without a .prj', () => {
+        const ring = [[820000, 9200000], [820000, 9200100], [820100, 9200100], [820000, 9200000]];
+        expect(() => shapefileToGeoJSON({ shp: buildShp(ring) })).toThrow('.prj');
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Schema Migration Tests
+ */
+
+import { SchemaMigrator, SCHEMA_MIGRATIONS, LocalStorageManager } from '../../assets/js/core/storage.js';
+
+describe('Schema Migrator', () => {
+    const migrations = [
+        {
+            id: 'project_v3_rename',
+            target: 'project',
+            version: 3,
+            migrate: (project) => ({ ...project, renamed: project.old, old: undefined })
+        },
+        {
+            id: 'project_v2_flag',
+            target: 'project',
+            version: 2,
+            migrate: (project) => ({ ...project, flagged: true })
+        },
+        {
+            id: 'settings_v2_theme',
+            target: 'settings',
+            version: 2,
+            migrate: (settings) => ({ theme: 'light', ...settings })
+        }
+    ];
+
+    let migrator;
+
+    beforeEach(() => {
+        LocalStorageManager.clear();
+        migrator = new SchemaMigrator(migrations, 3);
+    });
+
+    describe('migrate', () => {
+        test('should apply migrations for the target in version order', () => {
+            const { data, applied } = migrator.migrate('project', { id: 'p1', old: 'x' });
+
+            expect(applied).toEqual(['project_v2_flag', 'project_v3_rename']);
+            expect(data.flagged).toBe(true);
+            expect(data.renamed).toBe('x');
+            expect(data.schemaVersion).toBe(3);
+        });
+
+        test('should skip migrations already covered by the data version', () => {
+            const { applied } = migrator.migrate('project', { id: 'p1', schemaVersion: 2 });
+            expect(applied).toEqual(['project_v3_rename']);
+        });
+
+        test('should only run migrations of the requested target', () => {
+            const { data, applied } = migrator.migrate('settings', { language: 'id' });
+            expect(applied).toEqual(['settings_v2_theme']);
+            expect(data.theme).toBe('light');
+        });
+
+        test('should refuse data from a newer schema version', () => {
+            expect(() => migrator.migrate('project', { id: 'p1', schemaVersion: 4 }))
+                .toThrow();
+            expect(migrator.isTooNew({ schemaVersion: 4 })).toBe(true);
+            expect(migrator.isTooNew({})).toBe(false);
+        });
+    });
+
+    describe('migration log', () => {
+        test('should record which migrations ran', () => {
+            migrator.recordRun('project', ['project_v2_flag'], 5);
+
+            const log = migrator.getLog();
+            expect(log.length).toBe(1);
+            expect(log[0].migrations).toEqual(['project_v2_flag']);
+            expect(log[0].count).toBe(5);
+        });
+
+        test('should not record empty runs', () => {
+            migrator.recordRun('project', []);
+            expect(migrator.getLog().length).toBe(0);
+        });
+    });
+
+    describe('built-in migrations', () => {
+        test('should align lokasi and alamat_lengkap', () => {
+            const builtIn = new SchemaMigrator(SCHEMA_MIGRATIONS, 2);
+            const { data } = builtIn.migrate('project', {
+                id: 'p1',
+                analysisResult: { lokasi_proyek: { alamat_lengkap: 'Jl. Cimanuk No. 1', lokasi: '' } }
+            });
+
+            expect(data.analysisResult.lokasi_proyek.lokasi).toBe('Jl. Cimanuk No. 1');
+            expect(data.analysisResult.lokasi_proyek.alamat_lengkap).toBe('Jl. Cimanuk No. 1');
+        });
+
+        test('should leave projects without analysis untouched', () => {
+            const builtIn = new SchemaMigrator(SCHEMA_MIGRATIONS, 2);
+            const { data } = builtIn.migrate('project', { id: 'p1', analysisResult: null });
+            expect(data.analysisResult).toBeNull();
+        });
+
+        test('should link an already stored map upload as an attachment', () => {
+            const builtIn = new SchemaMigrator(SCHEMA_MIGRATIONS, 3);
+            const { data } = builtIn.migrate('project', {
+                id: 'p1',
+                schemaVersion: 2,
+                mapFileContent: { type: 'geojson', fileId: 'upload_1' }
+            });
+
+            expect(data.attachments).toHaveLength(1);
+            expect(data.attachments[0]).toMatchObject({ fileId: 'upload_1', kind: 'map' });
+            expect(builtIn.migrate('project', { id: 'p2', schemaVersion: 2 }).data.attachments).toEqual([]);
+        });
+    });
+});
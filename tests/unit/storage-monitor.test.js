@@ -0,0 +1,54 @@
+/**
+ * Storage Monitor Tests
+ */
+
+import { CONFIG } from '../../assets/js/config.js';
+import { buildUsageBreakdown, getUsageLevel } from '../../assets/js/services/storage-monitor.js';
+
+describe('Storage usage breakdown', () => {
+    const projects = [
+        {
+            id: 'p1',
+            projectName: 'Gudang',
+            analysisResult: { pemohon: { nama: 'Budi' }, mapScreenshot: 'data:image/png;base64,AAAA' },
+            geojsonData: { type: 'FeatureCollection', features: [] },
+            mapFileContent: { type: 'image', data: 'data:image/jpeg;base64,BBBBBBBB', fileId: 'upload_1' },
+            attachments: [{ fileId: 'upload_1', name: 'peta.jpg', kind: 'map' }]
+        },
+        { id: 'p2', projectName: 'Ruko', analysisResult: null }
+    ];
+    const files = [
+        { id: 'upload_1', size: 500 },
+        { id: 'upload_2', size: 300, originalName: 'lama.pdf' },
+        { id: CONFIG.TEMPLATE_KEY, size: 1000 }
+    ];
+    const revisions = [
+        { id: 'r1', projectId: 'p1', snapshot: {} },
+        { id: 'r2', projectId: 'gone', snapshot: {} }
+    ];
+
+    test('should split project usage by category', () => {
+        const { projects: rows } = buildUsageBreakdown(projects, files, revisions);
+        const gudang = rows.find(row => row.id === 'p1');
+
+        expect(gudang.uploads).toBe(500);
+        expect(gudang.screenshots).toBe('data:image/png;base64,AAAA'.length + 'data:image/jpeg;base64,BBBBBBBB'.length);
+        expect(gudang.analysis).toBe(JSON.stringify({ pemohon: { nama: 'Budi' } }).length);
+        expect(gudang.history).toBeGreaterThan(0);
+        expect(rows[0].id).toBe('p1');
+    });
+
+    test('should report unreferenced files and revisions but keep the template', () => {
+        const breakdown = buildUsageBreakdown(projects, files, revisions);
+
+        expect(breakdown.orphanedFiles).toEqual([{ id: 'upload_2', name: 'lama.pdf', size: 300 }]);
+        expect(breakdown.orphanedRevisionCount).toBe(1);
+        expect(breakdown.templateSize).toBe(1000);
+    });
+
+    test('should map quota percentage to warning levels', () => {
+        expect(getUsageLevel(10)).toBe('ok');
+        expect(getUsageLevel(CONFIG.STORAGE_WARNING_PERCENT)).toBe('warning');
+        expect(getUsageLevel(99)).toBe('critical');
+    });
+});
@@ -0,0 +1,264 @@
+/**
+ * Tab Sync Tests
+ */
+
+import { CONFIG } from '../../assets/js/config.js';
+import { globalCache } from '../../assets/js/utils/performance.js';
+import { TabSyncManager, isLockHeldByOther, pruneExpiredLocks } from '../../assets/js/core/tab-sync.js';
+
+// Delivers to every other channel of the same name, later, as browsers do
+let channels = [];
+class FakeBroadcastChannel {
+    constructor(name) {
+        this.name = name;
+        this.onmessage = null;
+        channels.push(this);
+    }
+
+    postMessage(data) {
+        channels
+            .filter(channel => channel !== this && channel.name === this.name)
+            .forEach(channel => Promise.resolve().then(() => channel.onmessage?.({ data })));
+    }
+}
+
+const fakeStorage = () => ({
+    listeners: [],
+    addChangeListener(callback) {
+        this.listeners.push(callback);
+    },
+    emit(type, payload) {
+        this.listeners.forEach(callback => callback(type, payload));
+    },
+    refreshProject: jest.fn(async () => {}),
+    reload: jest.fn(async () => {})
+});
+const fakeSettings = () => ({ settings: { theme: 'lama' }, loadSettings: jest.fn(() => ({ theme: 'baru' })) });
+
+const flush = async () => {
+    for (let i = 0; i < 10; i++) await Promise.resolve();
+};
+
+describe('Project edit locks', () => {
+    const now = 1_000_000;
+    const locks = {
+        'project-a': { tabId: 'tab-1', expires: now + 5000 },
+        'project-b': { tabId: 'tab-2', expires: now - 1 }
+    };
+
+    test('should block other tabs only while the lease is valid', () => {
+        expect(isLockHeldByOther(locks, 'project-a', 'tab-2', now)).toBe(true);
+        expect(isLockHeldByOther(locks, 'project-a', 'tab-1', now)).toBe(false);
+        expect(isLockHeldByOther(locks, 'project-b', 'tab-1', now)).toBe(false);
+        expect(isLockHeldByOther(locks, 'project-c', 'tab-1', now)).toBe(false);
+    });
+
+    test('should drop expired leases', () => {
+        expect(Object.keys(pruneExpiredLocks(locks, now))).toEqual(['project-a']);
+    });
+});
+
+describe('TabSyncManager', () => {
+    let tabs;
+
+    // A tab with its own storage, settings and received events
+    const openTab = () => {
+        const storage = fakeStorage();
+        const settings = fakeSettings();
+        const sync = new TabSyncManager(storage, settings);
+        const events = [];
+        sync.addListener(event => events.push(event));
+        tabs.push(sync);
+        return { sync, storage, settings, events };
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        localStorage.clear();
+        globalCache.clear();
+        channels = [];
+        tabs = [];
+    });
+
+    afterEach(() => {
+        tabs.forEach(sync => clearInterval(sync.heartbeat));
+        jest.useRealTimers();
+        delete global.BroadcastChannel;
+    });
+
+    describe('over BroadcastChannel', () => {
+        beforeEach(() => {
+            global.BroadcastChannel = FakeBroadcastChannel;
+        });
+
+        test('should announce saves once typing pauses and refresh the project elsewhere', async () => {
+            const a = openTab();
+            const b = openTab();
+
+            a.storage.emit('save', { id: 'p1' });
+            jest.advanceTimersByTime(CONFIG.SYNC_SAVE_DELAY_MS - 100);
+            a.storage.emit('save', { id: 'p1' });
+            jest.advanceTimersByTime(CONFIG.SYNC_SAVE_DELAY_MS - 100);
+            await flush();
+            expect(b.storage.refreshProject).not.toHaveBeenCalled();
+
+            jest.advanceTimersByTime(100);
+            await flush();
+            expect(b.storage.refreshProject).toHaveBeenCalledTimes(1);
+            expect(b.storage.refreshProject).toHaveBeenCalledWith('p1');
+            expect(b.events).toEqual([{ type: 'project-updated', projectId: 'p1' }]);
+            expect(a.storage.refreshProject).not.toHaveBeenCalled();
+        });
+
+        test('should send pending saves when the tab is closed', async () => {
+            const a = openTab();
+            const b = openTab();
+
+            a.storage.emit('save', { id: 'p1' });
+            a.sync.flushSaves();
+            await flush();
+            expect(b.storage.refreshProject).toHaveBeenCalledWith('p1');
+
+            // Nothing more once the timer would have run
+            jest.advanceTimersByTime(CONFIG.SYNC_SAVE_DELAY_MS);
+            await flush();
+            expect(b.storage.refreshProject).toHaveBeenCalledTimes(1);
+        });
+
+        test('should announce a deletion at once and drop its pending save', async () => {
+            const a = openTab();
+            const b = openTab();
+
+            a.storage.emit('save', { id: 'p1' });
+            a.storage.emit('delete', { id: 'p1' });
+            await flush();
+            expect(b.events).toEqual([{ type: 'project-deleted', projectId: 'p1' }]);
+
+            jest.advanceTimersByTime(CONFIG.SYNC_SAVE_DELAY_MS);
+            await flush();
+            expect(b.storage.refreshProject).toHaveBeenCalledTimes(1);
+        });
+
+        test('should reload projects, settings and caches after an import elsewhere', async () => {
+            const a = openTab();
+            const b = openTab();
+            globalCache.set('file_1', 'isi lama');
+
+            a.storage.emit('restore', {});
+            await flush();
+
+            expect(globalCache.get('file_1')).toBeNull();
+            expect(b.settings.settings).toEqual({ theme: 'baru' });
+            expect(b.storage.reload).toHaveBeenCalled();
+            expect(b.events).toEqual([{ type: 'projects-reloaded' }]);
+        });
+
+        test('should ignore its own messages', async () => {
+            const a = openTab();
+
+            await a.sync.handleMessage({ type: 'project-saved', projectId: 'p1', from: a.sync.tabId });
+            expect(a.storage.refreshProject).not.toHaveBeenCalled();
+            expect(a.events).toEqual([]);
+        });
+    });
+
+    describe('over storage events', () => {
+        // What the browser fires in the other tabs after a localStorage write
+        const storageEvent = (key, newValue = localStorage.getItem(key)) => {
+            window.dispatchEvent(new StorageEvent('storage', { key, newValue }));
+        };
+
+        test('should carry messages through localStorage without BroadcastChannel', async () => {
+            const a = openTab();
+            const b = openTab();
+            expect(a.sync.channel).toBeNull();
+
+            a.storage.emit('delete', { id: 'p1' });
+            const message = JSON.parse(localStorage.getItem(CONFIG.SYNC_EVENT_KEY));
+            expect(message).toMatchObject({ type: 'project-deleted', projectId: 'p1', from: a.sync.tabId });
+
+            storageEvent(CONFIG.SYNC_EVENT_KEY);
+            await flush();
+            expect(b.storage.refreshProject).toHaveBeenCalledWith('p1');
+            expect(b.events).toEqual([{ type: 'project-deleted', projectId: 'p1' }]);
+            expect(a.storage.refreshProject).not.toHaveBeenCalled();
+        });
+
+        test('should reload settings changed in another tab and drop their cached copy', async () => {
+            const { settings, events } = openTab();
+            globalCache.set(`ls_${CONFIG.SETTINGS_KEY}`, { theme: 'lama' });
+            globalCache.set('ls_lain', 'tetap');
+
+            storageEvent(CONFIG.SETTINGS_KEY, '{}');
+            await flush();
+
+            expect(globalCache.get(`ls_${CONFIG.SETTINGS_KEY}`)).toBeNull();
+            expect(globalCache.get('ls_lain')).toBe('tetap');
+            expect(settings.settings).toEqual({ theme: 'baru' });
+            expect(events).toEqual([{ type: 'settings-changed' }]);
+        });
+
+        test('should clear every cached value when another tab clears localStorage', async () => {
+            const { events } = openTab();
+            globalCache.set('ls_lain', 'lama');
+
+            storageEvent(null, null);
+            await flush();
+
+            expect(globalCache.get('ls_lain')).toBeNull();
+            expect(events).toEqual([{ type: 'settings-changed' }]);
+        });
+    });
+
+    describe('edit locks', () => {
+        const storedLock = (projectId) => JSON.parse(localStorage.getItem(CONFIG.PROJECT_LOCKS_KEY))[projectId];
+
+        test('should give a project to one tab at a time', () => {
+            const a = openTab();
+            const b = openTab();
+
+            expect(a.sync.acquireLock('p1')).toBe(true);
+            expect(b.sync.acquireLock('p1')).toBe(false);
+            expect(b.sync.isLockedElsewhere('p1')).toBe(true);
+            expect(a.sync.isLockedElsewhere('p1')).toBe(false);
+
+            a.sync.releaseLock('p1');
+            expect(b.sync.acquireLock('p1')).toBe(true);
+        });
+
+        test('should renew held locks on the heartbeat', () => {
+            const a = openTab();
+            a.sync.acquireLock('p1');
+            const firstExpiry = storedLock('p1').expires;
+
+            jest.advanceTimersByTime(CONFIG.PROJECT_LOCK_HEARTBEAT_MS);
+
+            expect(storedLock('p1').expires).toBe(firstExpiry + CONFIG.PROJECT_LOCK_HEARTBEAT_MS);
+        });
+
+        test('should let a lock expire when its tab stops renewing it', () => {
+            const a = openTab();
+            const b = openTab();
+            a.sync.acquireLock('p1');
+            clearInterval(a.sync.heartbeat);
+
+            jest.advanceTimersByTime(CONFIG.PROJECT_LOCK_TTL_MS + 1);
+
+            expect(b.sync.isLockedElsewhere('p1')).toBe(false);
+            expect(b.sync.acquireLock('p1')).toBe(true);
+        });
+
+        test('should report a lock taken over by another tab as lost', () => {
+            const a = openTab();
+            const b = openTab();
+            a.sync.acquireLock('p1');
+
+            expect(b.sync.acquireLock('p1', { force: true })).toBe(true);
+            a.sync.renewLocks();
+
+            expect(a.events).toContainEqual({ type: 'lock-lost', projectId: 'p1' });
+            expect(a.sync.heldLocks.has('p1')).toBe(false);
+            expect(storedLock('p1').tabId).toBe(b.sync.tabId);
+        });
+    });
+});
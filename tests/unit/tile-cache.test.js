@@ -0,0 +1,133 @@
+/**
+ * Offline Basemap Tests
+ */
+
+import {
+    lonLatToTile,
+    countTiles,
+    tilesInBounds,
+    tileUrl,
+    tileCacheKey,
+    allowsBulkDownload,
+    tmsRow,
+    parseMBTilesMetadata,
+    tileCache
+} from '../../assets/js/services/tile-cache.js';
+import { CONFIG } from '../../assets/js/config.js';
+import { settingsStorage } from '../../assets/js/core/storage.js';
+
+describe('Tile math', () => {
+    test('should find the tile holding a position', () => {
+        expect(lonLatToTile(0, 0, 1)).toEqual({ x: 1, y: 1 });
+        expect(lonLatToTile(-180, 85, 2)).toEqual({ x: 0, y: 0 });
+        // Garut town centre
+        expect(lonLatToTile(107.9031, -7.2175, 15)).toEqual({ x: 26205, y: 17042 });
+    });
+
+    test('should count and list the tiles of an area', () => {
+        const bounds = [107.88, -7.23, 107.92, -7.2];
+        const tiles = [...tilesInBounds(bounds, 14, 15)];
+
+        expect(tiles).toHaveLength(countTiles(bounds, 14, 15));
+        expect(tiles[0].z).toBe(14);
+        expect(tiles.filter(tile => tile.z === 15).length).toBeGreaterThan(tiles.filter(tile => tile.z === 14).length);
+        expect(countTiles(CONFIG.TILE_SEED_BOUNDS, 10, 10)).toBeGreaterThan(0);
+    });
+});
+
+describe('Tile URLs', () => {
+    test('should fill the template and share cache keys across subdomains', () => {
+        const url = tileUrl(CONFIG.MAP_TILE_URL, { z: 15, x: 26205, y: 17042 });
+
+        expect(url).toMatch(/^https:\/\/[abc]\.tile\.openstreetmap\.org\/15\/26205\/17042\.png$/);
+        expect(tileCacheKey(url)).toBe('https://tile.openstreetmap.org/15/26205/17042.png');
+        expect(tileCacheKey('https://b.tile.openstreetmap.org/1/0/0.png')).toBe(tileCacheKey('https://c.tile.openstreetmap.org/1/0/0.png'));
+    });
+});
+
+describe('MBTiles', () => {
+    test('should flip rows and read metadata', () => {
+        expect(tmsRow(1, 0)).toBe(1);
+        expect(tmsRow(15, 17042)).toBe(2 ** 15 - 1 - 17042);
+
+        expect(parseMBTilesMetadata([
+            { name: 'name', value: 'Garut' },
+            { name: 'format', value: 'PNG' },
+            { name: 'bounds', value: '107.4,-7.75,108.1,-6.95' },
+            { name: 'minzoom', value: '10' },
+            { name: 'maxzoom', value: '17' }
+        ])).toEqual({ name: 'Garut', format: 'png', bounds: [107.4, -7.75, 108.1, -6.95], minZoom: 10, maxZoom: 17, attribution: '' });
+
+        expect(parseMBTilesMetadata([])).toMatchObject({ name: 'MBTiles', format: 'png', bounds: null, minZoom: null });
+    });
+});
+
+describe('Tile seeding', () => {
+    const area = [107.88, -7.23, 107.92, -7.2];
+    let cached;
+
+    beforeEach(() => {
+        localStorage.clear();
+        cached = new Map();
+        global.caches = {
+            open: async () => ({
+                match: async key => cached.get(key),
+                put: async (key, response) => { cached.set(key, response); }
+            })
+        };
+        global.fetch = jest.fn(async () => ({ ok: true, blob: async () => new Blob(['png'], { type: 'image/png' }) }));
+        // jsdom has no Fetch API Response; the fake cache only stores it
+        global.Response = class {
+            constructor(body, init) {
+                this.body = body;
+                this.headers = init.headers;
+            }
+        };
+    });
+
+    afterEach(() => {
+        delete global.caches;
+        delete global.fetch;
+        delete global.Response;
+    });
+
+    test('should tell bulk-friendly tile servers from OpenStreetMap', () => {
+        expect(allowsBulkDownload(CONFIG.MAP_TILE_URL)).toBe(false);
+        expect(allowsBulkDownload('https://tile.openstreetmap.org/{z}/{x}/{y}.png')).toBe(false);
+        expect(allowsBulkDownload('https://tiles.contoh.go.id/{z}/{x}/{y}.png')).toBe(true);
+        expect(allowsBulkDownload('bukan url')).toBe(false);
+    });
+
+    test('should refuse to seed without a tile source', async () => {
+        await expect(tileCache.seed(area, 14, 15)).rejects.toThrow(/Atur sumber ubin/);
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('should refuse to seed from OpenStreetMap', async () => {
+        settingsStorage.set('tileSourceUrl', CONFIG.MAP_TILE_URL);
+
+        await expect(tileCache.seed(area, 14, 15)).rejects.toThrow(/tidak mengizinkan unduhan massal/);
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('should refuse an area over the tile cap', async () => {
+        settingsStorage.set('tileSourceUrl', 'https://tiles.contoh.go.id/{z}/{x}/{y}.png');
+        // The whole kabupaten at street zoom
+        const kabupaten = [107.4, -7.75, 108.15, -6.95];
+        expect(countTiles(kabupaten, 10, 17)).toBeGreaterThan(CONFIG.TILE_SEED_MAX_TILES);
+
+        await expect(tileCache.seed(kabupaten, 10, 17)).rejects.toThrow(/Area terlalu besar/);
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('should seed a small area from the configured source', async () => {
+        settingsStorage.set('tileSourceUrl', 'https://tiles.contoh.go.id/{z}/{x}/{y}.png');
+
+        const result = await tileCache.seed(area, 14, 15);
+
+        expect(result.done).toBe(countTiles(area, 14, 15));
+        expect(result.failed).toBe(0);
+        expect(fetch.mock.calls.every(([url]) => url.startsWith('https://tiles.contoh.go.id/'))).toBe(true);
+        expect(cached.size).toBe(result.done);
+    });
+});
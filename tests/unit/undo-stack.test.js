@@ -0,0 +1,103 @@
+/**
+ * Undo/Redo Stack Tests
+ */
+
+import { UndoStack, UndoManager, applyCommand } from '../../assets/js/core/undo-stack.js';
+
+describe('applyCommand', () => {
+    test('should set and revert nested values', () => {
+        const project = { analysisResult: { pemohon: { nama: 'A' } } };
+        const command = { type: 'set', path: 'analysisResult.pemohon.nama', before: 'A', after: 'B' };
+
+        applyCommand(project, command, 'redo');
+        expect(project.analysisResult.pemohon.nama).toBe('B');
+
+        applyCommand(project, command, 'undo');
+        expect(project.analysisResult.pemohon.nama).toBe('A');
+    });
+
+    test('should insert and remove array rows', () => {
+        const project = { analysisResult: { catatan_tambahan: ['a', 'c'] } };
+        const insert = { type: 'insert', path: 'analysisResult.catatan_tambahan', index: 1, value: 'b' };
+        const remove = { type: 'remove', path: 'analysisResult.catatan_tambahan', index: 0, value: 'a' };
+
+        applyCommand(project, insert, 'redo');
+        expect(project.analysisResult.catatan_tambahan).toEqual(['a', 'b', 'c']);
+
+        applyCommand(project, remove, 'redo');
+        expect(project.analysisResult.catatan_tambahan).toEqual(['b', 'c']);
+
+        applyCommand(project, remove, 'undo');
+        applyCommand(project, insert, 'undo');
+        expect(project.analysisResult.catatan_tambahan).toEqual(['a', 'c']);
+    });
+
+    test('should revert batch commands in reverse order', () => {
+        const project = { geojsonData: { type: 'FeatureCollection' }, mapFileContent: { type: 'geojson' } };
+        const reset = {
+            type: 'batch',
+            commands: [
+                { type: 'set', path: 'geojsonData', before: project.geojsonData, after: null },
+                { type: 'set', path: 'mapFileContent', before: project.mapFileContent, after: null }
+            ]
+        };
+
+        applyCommand(project, reset, 'redo');
+        expect(project.geojsonData).toBeNull();
+
+        applyCommand(project, reset, 'undo');
+        expect(project.mapFileContent).toEqual({ type: 'geojson' });
+    });
+});
+
+describe('UndoStack', () => {
+    test('should coalesce consecutive edits of the same field', () => {
+        const stack = new UndoStack();
+        stack.push({ type: 'set', path: 'a', before: '', after: 'x' });
+        stack.push({ type: 'set', path: 'a', before: 'x', after: 'xy' });
+
+        const command = stack.undo();
+        expect(command).toEqual({ type: 'set', path: 'a', before: '', after: 'xy' });
+        expect(stack.canUndo()).toBe(false);
+    });
+
+    test('should start a new step after seal or a different field', () => {
+        const stack = new UndoStack();
+        stack.push({ type: 'set', path: 'a', before: '', after: 'x' });
+        stack.seal();
+        stack.push({ type: 'set', path: 'a', before: 'x', after: 'xy' });
+        stack.push({ type: 'set', path: 'b', before: '', after: 'z' });
+
+        expect(stack.undoStack).toHaveLength(3);
+    });
+
+    test('should clear redo history on a new edit', () => {
+        const stack = new UndoStack();
+        stack.push({ type: 'set', path: 'a', before: '', after: 'x' });
+        stack.undo();
+        expect(stack.canRedo()).toBe(true);
+
+        stack.push({ type: 'set', path: 'b', before: '', after: 'y' });
+        expect(stack.canRedo()).toBe(false);
+    });
+
+    test('should drop the oldest steps beyond the limit', () => {
+        const stack = new UndoStack(2);
+        ['a', 'b', 'c'].forEach(path => stack.push({ type: 'insert', path, index: 0, value: 1 }));
+
+        expect(stack.undoStack.map(c => c.path)).toEqual(['b', 'c']);
+    });
+});
+
+describe('UndoManager', () => {
+    test('should keep one stack per project', () => {
+        const manager = new UndoManager();
+        manager.getStack('p1').push({ type: 'set', path: 'a', before: 1, after: 2 });
+
+        expect(manager.getStack('p1').canUndo()).toBe(true);
+        expect(manager.getStack('p2').canUndo()).toBe(false);
+
+        manager.clear('p1');
+        expect(manager.getStack('p1').canUndo()).toBe(false);
+    });
+});
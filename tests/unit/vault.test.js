@@ -0,0 +1,122 @@
+/**
+ * Vault Tests
+ */
+
+import './helpers/web-platform.js';
+import { CONFIG, ERROR_MESSAGES } from '../../assets/js/config.js';
+import { Vault, bytesToBase64, base64ToBytes, isEnvelope } from '../../assets/js/core/vault.js';
+
+describe('Vault', () => {
+    const envelope = { __vault: 1, iv: 'aXY=', data: 'ZGF0YQ==' };
+
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('should round-trip bytes through base64', () => {
+        const bytes = new Uint8Array([0, 1, 127, 128, 255]);
+        expect(Array.from(base64ToBytes(bytesToBase64(bytes)))).toEqual(Array.from(bytes));
+    });
+
+    test('should recognise encrypted envelopes', () => {
+        expect(isEnvelope(envelope)).toBe(true);
+        expect(isEnvelope('plain-api-key')).toBe(false);
+        expect(isEnvelope({ iv: 'x' })).toBe(false);
+    });
+
+    test('should never write protected fields in plaintext synchronously', () => {
+        const vault = new Vault();
+        const settings = { geminiApiKey: 'secret', geminiModel: 'gemini-2.5-flash' };
+
+        expect(vault.keepSealedFields(CONFIG.SETTINGS_KEY, settings)).toEqual({ geminiModel: 'gemini-2.5-flash' });
+
+        localStorage.setItem(CONFIG.SETTINGS_KEY, JSON.stringify({ geminiApiKey: envelope }));
+        expect(vault.keepSealedFields(CONFIG.SETTINGS_KEY, settings).geminiApiKey).toEqual(envelope);
+    });
+
+    test('should hide sealed fields while locked', () => {
+        const vault = new Vault();
+        const revealed = vault.revealFields(CONFIG.SETTINGS_KEY, { geminiApiKey: envelope, theme: 'light' });
+
+        expect(revealed).toEqual({ geminiApiKey: null, theme: 'light' });
+    });
+
+    describe('with a passphrase', () => {
+        const passphrase = 'kata-sandi-uji';
+        const iterations = CONFIG.VAULT_PBKDF2_ITERATIONS;
+        let vault;
+
+        beforeAll(() => {
+            // Full-strength key derivation is slow and adds nothing here
+            CONFIG.VAULT_PBKDF2_ITERATIONS = 1000;
+        });
+
+        afterAll(() => {
+            CONFIG.VAULT_PBKDF2_ITERATIONS = iterations;
+        });
+
+        beforeEach(async () => {
+            vault = new Vault();
+            await vault.enable(passphrase, { encryptProjects: true });
+        });
+
+        afterEach(() => {
+            vault.stopAutoLock();
+        });
+
+        test('should round-trip sealed fields and records', async () => {
+            const settings = { geminiApiKey: 'secret', geminiModel: 'gemini-2.5-flash' };
+            const sealed = await vault.sealFields(CONFIG.SETTINGS_KEY, settings);
+            expect(isEnvelope(sealed.geminiApiKey)).toBe(true);
+            expect(JSON.stringify(sealed)).not.toContain('secret');
+            expect(await vault.openFieldsWith(vault.key, CONFIG.SETTINGS_KEY, sealed)).toEqual(settings);
+
+            const project = { id: 'p1', projectName: 'Gudang', lastModified: 5, status: 'Baru', pemohon: { nama: 'Budi' } };
+            const record = await vault.sealRecord(CONFIG.PROJECT_STORE_NAME, project);
+            expect(await vault.openRecord(record)).toEqual(project);
+        });
+
+        test('should keep only the key and indexed fields of sealed records readable', async () => {
+            const project = { id: 'p1', projectName: 'Gudang', lastModified: 5, status: 'Baru', pemohon: { nama: 'Budi' } };
+            const record = await vault.sealRecord(CONFIG.PROJECT_STORE_NAME, project);
+
+            expect(Object.keys(record).sort()).toEqual(['id', 'lastModified', 'sealed', 'status']);
+            expect(JSON.stringify(record)).not.toContain('Budi');
+            expect(JSON.stringify(record)).not.toContain('Gudang');
+        });
+
+        test('should reject a wrong passphrase', async () => {
+            vault.lock();
+
+            expect(await vault.unlock('kata-sandi-lain')).toBe(false);
+            expect(vault.isUnlocked()).toBe(false);
+            expect(await vault.keyFor(vault.getKeyParams(), 'kata-sandi-lain')).toBeNull();
+        });
+
+        test('should go through enable, lock, unlock and disable', async () => {
+            const states = [];
+            vault.addLockListener(state => states.push(state));
+            const record = await vault.sealRecord(CONFIG.PROJECT_STORE_NAME, { id: 'p1', projectName: 'Gudang' });
+            expect(vault.isEnabled()).toBe(true);
+            expect(vault.isUnlocked()).toBe(true);
+
+            vault.lock();
+            expect(await vault.openRecord(record)).toBeNull();
+            await expect(vault.sealRecord(CONFIG.PROJECT_STORE_NAME, { id: 'p2' })).rejects.toThrow(ERROR_MESSAGES.VAULT_LOCKED);
+            expect(() => vault.disable()).toThrow(ERROR_MESSAGES.VAULT_LOCKED);
+
+            // A fresh instance reads the stored config, as after a reload
+            const reloaded = new Vault();
+            expect(reloaded.isEnabled()).toBe(true);
+            expect(await reloaded.unlock(passphrase)).toBe(true);
+            expect(await reloaded.openRecord(record)).toEqual({ id: 'p1', projectName: 'Gudang' });
+            reloaded.stopAutoLock();
+
+            expect(await vault.unlock(passphrase)).toBe(true);
+            vault.disable();
+            expect(vault.isEnabled()).toBe(false);
+            expect(localStorage.getItem(CONFIG.VAULT_KEY)).toBeNull();
+            expect(states).toEqual(['lock', 'unlock']);
+        });
+    });
+});
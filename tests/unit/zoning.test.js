@@ -0,0 +1,64 @@
+/**
+ * RTRW Zoning Tests
+ */
+
+import { intersectionArea, guessZoneProperty, detectZones, zonesToAnalisisZona, zonesAround } from '../../assets/js/services/zoning.js';
+import { measureParcel } from '../../assets/js/services/geometry.js';
+import { rectangle, feature, collection } from './helpers/geojson.js';
+
+describe('Polygon intersection area', () => {
+    test('should measure overlaps of arbitrary polygons', () => {
+        expect(intersectionArea([rectangle(0, 0, 2, 2)], [rectangle(1, -1, 3, 3)])).toBeCloseTo(2);
+        expect(intersectionArea([rectangle(0, 0, 2, 2)], [rectangle(5, 5, 6, 6)])).toBe(0);
+        expect(intersectionArea([rectangle(0, 0, 2, 2)], [rectangle(-1, -1, 3, 3)])).toBeCloseTo(4);
+
+        // Concave L-shape against a square over its notch
+        const lShape = [[[0, 0], [2, 0], [2, 1], [1, 1], [1, 2], [0, 2], [0, 0]]];
+        expect(intersectionArea([lShape], [rectangle(0.5, 0.5, 2, 2)])).toBeCloseTo(1.25);
+
+        // Holes are left out, whatever the winding of the input
+        const withHole = [[...rectangle(0, 0, 4, 4), rectangle(1, 1, 3, 3)[0]].map(ring => ring.slice().reverse())];
+        expect(intersectionArea(withHole, [rectangle(0, 0, 4, 2)])).toBeCloseTo(6);
+    });
+
+    test('should count shared boundaries once', () => {
+        const parcel = [rectangle(0, 0, 2, 2)];
+        expect(intersectionArea(parcel, [rectangle(0, 0, 1, 2)])).toBeCloseTo(2);
+        expect(intersectionArea(parcel, [rectangle(1, 0, 3, 2)])).toBeCloseTo(2);
+        expect(intersectionArea(parcel, [rectangle(2, 0, 3, 2)])).toBeCloseTo(0);
+        expect(intersectionArea(parcel, parcel)).toBeCloseTo(4);
+    });
+});
+
+describe('Zone detection', () => {
+    const parcel = collection(feature({}, rectangle(107.9, -7.2, 107.902, -7.199)));
+    const zoning = collection(
+        feature({ OBJECTID: 1, KODE_ZONA: 'r-2' }, rectangle(107.89, -7.21, 107.9015, -7.19)),
+        feature({ OBJECTID: 2, KODE_ZONA: 'K-1' }, rectangle(107.9015, -7.21, 107.91, -7.19)),
+        feature({ OBJECTID: 3, KODE_ZONA: 'RTH-1' }, rectangle(107.95, -7.21, 107.96, -7.19))
+    );
+
+    test('should find the zone code column', () => {
+        expect(guessZoneProperty(zoning)).toBe('KODE_ZONA');
+        expect(guessZoneProperty(collection(feature({ id: 1, zona: 'Taman' }, rectangle(0, 0, 1, 1))))).toBe('zona');
+    });
+
+    test('should split the parcel area over the zones under it', () => {
+        const { zones, area, coveredShare } = detectZones(parcel, zoning, 'KODE_ZONA');
+
+        expect(zones.map(zone => zone.code)).toEqual(['R-2', 'K-1']);
+        expect(zones[0].share).toBeCloseTo(0.75);
+        expect(zones[0].area + zones[1].area).toBeCloseTo(measureParcel(parcel).area);
+        expect(area).toBeCloseTo(measureParcel(parcel).area);
+        expect(coveredShare).toBeCloseTo(1);
+        expect(zonesAround(zoning, parcel).features).toHaveLength(2);
+    });
+
+    test('should prefill analisis_zona rows', () => {
+        const rows = zonesToAnalisisZona(detectZones(parcel, zoning, 'KODE_ZONA'), 'Perumahan');
+
+        expect(rows[0]).toMatchObject({ zona: 'R-2', kesesuaian: 'SESUAI', persentase: 75, sumber: 'peta_pola_ruang' });
+        expect(rows[1]).toMatchObject({ zona: 'K-1', kesesuaian: 'BERSYARAT', persentase: 25 });
+        expect(rows[1].peruntukan).toMatch(/perdagangan/i);
+    });
+});